@@ -2,19 +2,70 @@
 // Özellikler:
 // - Chromium --disable-http2 + Firefox fallback (HTTP/2 sorunlarını azaltır)
 // - SPA/Next/Nuxt listinglerde gelişmiş link çıkarımı (__NEXT_DATA__, __NUXT__, dataLayer)
-// - Consent otomasyonu (iframe dahil), auto-scroll + "Load more" + basit sayfalama
+// - XHR/fetch JSON yanıtlarından ürün çıkarımı (genel sezgi + overrides.json jsonApi kuralları)
+// - Consent otomasyonu (iframe dahil), auto-scroll + "Load more"
+// - Sayfalama: rel=next, numaralı linkler, ?page= / ?start= ofsetleri, sonsuz kaydırma JSON uçları (--maxPages)
 // - Locale-aware fiyat ayrıştırma + sanity filtresi
 // - Ülke çözümleyici: TLD + .com override + path/language ipuçları
-// - Aggregator (Cimri/Akakçe) two-hop: dış mağaza linkine gidip gerçek ürün detayını toplar
-// - Çıktılar: data/deals-YYYY-MM-DD.json ve data/deals-latest.json
+// - Aggregator (Cimri/Akakçe): ürün sayfasındaki mağaza teklif tablosu (mağaza, fiyat, kargo, yönlendirme linki) → teklif başına
+//   gerçek mağazalı ürün; en ucuz --aggregatorHops teklif mağazasına gidilerek doğrulanır
+// - RSS/Atom/Google Merchant feed'leri tarayıcısız işlenir (fast-xml-parser)
+// - Site bazlı ayarlar: feeds/overrides.json (seçiciler, consent, sayfalama, ülke/para birimi, motor)
+// - Varyantlar: ld+json hasVariant/ProductGroup ve çoklu teklifler tek üründe (renk, boyut); stoktaki en ucuz varyant manşet
+// - Stok durumu: in_stock/limited/preorder/out_of_stock (çok dilli), tükenenler sona alınır (--outOfStock=exclude ile atılır)
+// - Birim fiyat: ml/g başına price_per_unit (+ EUR karşılığı)
+// - Kategori + ürün tipi: breadcrumb, ad, URL, listing yolu ve feed kategorisinden (parfüm/EdP, makyaj/dudak, saç/şampuan…)
+// - Hedef kitle: erkek ürünleri çok dilli regex ile dışlanır (--includeMen ile kapatılır)
+// - EUR karşılıkları: rates/*.xml (ECB) ile price_new_eur / price_old_eur + tek EUR tabanlı fiyat sınırı
+// - Ürün eşleştirme: GTIN/MPN veya marka+ad+boyut ile mağazalar/ülkeler arası "products" kümeleri
+// - Fiyat geçmişi: önceki data/deals-*.json dosyalarından 30 günlük en düşük fiyat + gerçek indirim
+// - Checkpoint: her biten feed data/runs/DAY/ altına yazılır; --resume ile kaldığı yerden, --shard=i/n + --merge ile parçalı
+// - Kampanyalar: kupon kodu, yüzde/tutar indirimi, alt limit, çoklu alım, hediye ve tarihler → sonuç başına "promotions"
+// - Engel tespiti: challenge/captcha/403/ülke yönlendirmesi → diğer motor, parmak izi, yavaş tempo; sonunda "blocked"
+// - Host nezaketi: alan adı başına gecikme, eşzamanlılık, günlük sayfa bütçesi, robots.txt (atlananlar → "skipped")
+// - Fırsat puanı: indirim, fiyat geçmişi, marka kademesi, stok ve mağaza güveni (feeds/ranking.json) → deal_score
+// - Günün fırsatları: data/digest-YYYY-MM-DD.json/.md/.html — ülke ve kategori başına en iyi N (--digestTop)
+// - Günlük fark: önceki data/deals-*.json'a göre yeni, biten, fiyatı düşen/artan ve indirimi değişen fırsatlar
+//   → data/changes-YYYY-MM-DD.json (ülke → mağaza); iki rastgele gün için: npm run changes -- GÜN1 GÜN2
+// - İzleme listesi: feeds/watchlist.json (marka, ad/GTIN, ülke, fiyat tavanı, indirim) → webhook, Telegram, Discord, Slack, e-posta
+//   bildirimleri; data/alerts-sent.json ile aynı fırsat her gece tekrar gönderilmez (--notify=false|dry)
+// - Salt okunur HTTP API: node bot.mjs serve (--port=8787, --host=127.0.0.1) → /deals (süzgeç, sıralama, sayfalama),
+//   /stores, /history/:productKey; ETag + Last-Modified
+// - Sağlık raporu: data/health-latest.json/.md; eşik aşılırsa çıkış kodu 2
+// - Çıktılar: data/deals-YYYY-MM-DD.json ve data/deals-latest.json (+ --sinks=min,ndjson,csv,sqlite)
 //
-// Not: Harici bağımlılık yok. Playwright yeterli.
+// Not: Playwright + fast-xml-parser dışında harici bağımlılık yok.
+// Tarama mantığı lib/ altındadır (lib/scrape.mjs, lib/extract.mjs, …); bu dosya yalnızca CLI + akıştır.
 
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import crypto from 'node:crypto';
-import { chromium, firefox } from 'playwright';
+import { ensureDir, isoDay, makeLimiter } from './lib/util.mjs';
+import { buildPriceIndex, annotateResults } from './lib/history.mjs';
+import { loadOverrides, overrideFor } from './lib/overrides.mjs';
+import { parseFeedsTxt, activeFeeds } from './lib/feeds.mjs';
+import { matchProducts } from './lib/matching.mjs';
+import { loadRates } from './lib/currency.mjs';
+import { parseSinks, writeSinks } from './lib/sinks.mjs';
+import { loadRanking, rankResults } from './lib/ranking.mjs';
+import { buildDigest, writeDigest } from './lib/digest.mjs';
+import { diffSnapshots, changesSummary, loadSnapshot, previousSnapshotDay, writeChanges } from './lib/changes.mjs';
+import { loadWatchlist, matchWatchlist } from './lib/watchlist.mjs';
+import { deliverAlerts } from './lib/notify.mjs';
+import { serveApi, DEFAULT_PORT } from './lib/server.mjs';
+import { trailingCounts, buildHealthReport, writeHealth, parseHealthThresholds } from './lib/health.mjs';
+import { createScraper } from './lib/scrape.mjs';
+import { DEFAULT_MAX_PAGES } from './lib/pagination.mjs';
+import { createHostScheduler, DEFAULT_HOST_LIMITS } from './lib/politeness.mjs';
+import { parseEscalation } from './lib/blocks.mjs';
+import { parseShard, shardFeeds, runDir, shardDirName, latestRunDay, saveCheckpoint, loadCheckpoints, writeManifest, collectRun } from './lib/runs.mjs';
+
+// Saf yardımcılar (testler ve diğer betikler için; içe aktarmak tarayıcı açmaz)
+export { parseNumberLocalized, detectCurrencyFromText } from './lib/price.mjs';
+export { resolveCountry, defaultCurrencyForCountry } from './lib/country.mjs';
+export { extractFromLdJson, extractFromOg } from './lib/extract.mjs';
+export { parseFeedsTxt } from './lib/feeds.mjs';
+export { computeDiscount } from './lib/util.mjs';
 
 // ===== CLI =====
 const args = Object.fromEntries(
@@ -24,140 +75,57 @@ const args = Object.fromEntries(
   })
 );
 const HEADLESS      = args.headless !== undefined ? args.headless !== 'false' : true;
-const MAX_PER_PAGE  = Number(args.maxPerPage || 60);   // kaç feed URL işlenecek
+const MAX_PER_PAGE  = Number(args.maxPerPage || Infinity); // en fazla kaç feed (shard başına; varsayılan: hepsi)
 const CONCURRENCY   = Number(args.concurrency || 4);   // aynı anda kaç feed
 const DETAIL_LIMIT  = Number(args.detailLimit || 12);  // listeden kaç ürün detayı
 const MAX_SCROLLS   = Number(args.maxScrolls || 6);    // listingte scroll turu
-const TRY_PAGINATE  = args.tryPaginate !== 'false';    // ?page=2.. dene
-
-// ===== Basit concurrency limiter (p-limit yerine) =====
-function makeLimiter(n) {
-  let active = 0;
-  const q = [];
-  const next = () => {
-    if (active >= n || q.length === 0) return;
-    active++;
-    const { fn, resolve, reject } = q.shift();
-    fn().then(resolve, reject).finally(() => { active--; next(); });
-  };
-  return (fn) => new Promise((resolve, reject) => { q.push({ fn, resolve, reject }); next(); });
-}
+const TRY_PAGINATE  = args.tryPaginate !== 'false';    // sonraki sayfaları izle
+const MAX_PAGES     = Number(args.maxPages || DEFAULT_MAX_PAGES); // feed başına en fazla listing sayfası
+const HISTORY_DAYS  = Number(args.historyDays || 30);  // gerçek indirim için geçmiş penceresi (gün)
+const EXCLUDE_MEN   = !args.includeMen || args.includeMen === 'false'; // erkek ürünlerini dışla
+const MAX_FEED_ITEMS = Number(args.maxFeedItems || 500); // RSS/Merchant feed başına en fazla ürün
+const MAX_PRICE_EUR = Number(args.maxPriceEur || 2000);  // bunun üstü hatalı ayrıştırma sayılır
+const OUT_OF_STOCK  = args.outOfStock === 'exclude' ? 'exclude' : 'demote'; // tükenenler: sona al (varsayılan) / hiç yazma
+const AGGREGATOR_HOPS = Number(args.aggregatorHops ?? 2); // Cimri/Akakçe ürünü başına mağazasında doğrulanan teklif (0 = hiç)
+const SINKS         = parseSinks(args.sinks);            // json (varsayılan), min, ndjson, csv, sqlite
+const SHARD         = parseShard(args.shard);            // --shard=2/4 → feed listesinin 2. çeyreği
+const RESUME        = !!args.resume && args.resume !== 'false'; // data/runs/DAY/ checkpoint'lerinden devam
+const MERGE         = !!args.merge && args.merge !== 'false';   // shard çıktılarını birleştirip günlük dosyayı yaz
+const SERVE         = !!args.serve && args.serve !== 'false';   // node bot.mjs serve: data/ üzerinde salt okunur HTTP API
+const PORT          = Number(args.port || DEFAULT_PORT);
+const HOST          = typeof args.host === 'string' ? args.host : '127.0.0.1';
+const RUN_DAY       = typeof args.day === 'string' ? args.day : null; // --day=YYYY-MM-DD (varsayılan: bugün; --resume/--merge'de son run)
+const ESCALATION    = parseEscalation(args.escalation);  // engel sayfasında: engine,fingerprint,slow (varsayılan) veya none
+const HOST_DELAY_MS = Number(args.hostDelayMs ?? DEFAULT_HOST_LIMITS.minDelayMs);      // aynı alan adına iki sayfa arası (ms)
+const HOST_CC       = Number(args.hostConcurrency ?? DEFAULT_HOST_LIMITS.maxInFlight); // alan adı başına aynı anda süren sayfa yüklemesi
+const HOST_BUDGET   = Number(args.hostBudget ?? DEFAULT_HOST_LIMITS.dailyBudget);     // alan adı başına günlük sayfa
+const ROBOTS        = args.robots !== 'false';             // robots.txt Disallow / Crawl-delay
+const DIGEST        = args.digest !== 'false';             // günlük digest (json + md + html)
+const DIGEST_TOP    = args.digestTop ? Number(args.digestTop) : null; // ülke/kategori başına (varsayılan: ranking.json topN)
+const CHANGES       = args.changes !== 'false';            // önceki anlık görüntüye göre fark (changes-YYYY-MM-DD.json)
+const NOTIFY        = args.notify === 'false' ? false : args.notify === 'dry' ? 'dry' : true; // izleme listesi bildirimleri (dry: yalnızca yazdır)
+// Sağlık eşikleri (verilmeyenler lib/health.mjs varsayılanlarını kullanır)
+const HEALTH_THRESHOLDS = parseHealthThresholds(args);
 
 // ===== Paths =====
 const __filename = fileURLToPath(import.meta.url);
 const __dirname  = path.dirname(__filename);
 const FEEDS_TXT  = path.join(__dirname, 'feeds', 'beautydrop-feeds.txt');
+const OVERRIDES_JSON = args.overrides ? path.resolve(String(args.overrides)) : path.join(__dirname, 'feeds', 'overrides.json');
+const RANKING_JSON = args.ranking ? path.resolve(String(args.ranking)) : path.join(__dirname, 'feeds', 'ranking.json');
+const WATCHLIST_JSON = args.watchlist ? path.resolve(String(args.watchlist)) : path.join(__dirname, 'feeds', 'watchlist.json');
 const DATA_DIR   = path.join(__dirname, 'data');
+const RATES_DIR  = path.join(__dirname, 'rates');
 
-// ===== Utils =====
-async function ensureDir(dir) { await fs.mkdir(dir, { recursive: true }); }
-function isoDay() { return new Date().toISOString().slice(0, 10); }
-function sha1(x) { return crypto.createHash('sha1').update(String(x)).digest('hex'); }
-function trim(s, n = 200) { return s ? (s.length > n ? s.slice(0, n) + '…' : s) : ''; }
-function uniq(arr) { return Array.from(new Set(arr)); }
-
-function resolveCountry(url) {
-  try {
-    const u = new URL(url);
-    const host = u.hostname.replace(/^www\./,'').toLowerCase();
-    const pathLow = u.pathname.toLowerCase();
-    const tld = host.split('.').pop();
-
-    const tldMap = { de:'DE', tr:'TR', fr:'FR', it:'IT', es:'ES', nl:'NL', be:'BE', at:'AT', ch:'CH',
-                     pl:'PL', cz:'CZ', sk:'SK', hu:'HU', ro:'RO', bg:'BG', gr:'GR', pt:'PT',
-                     dk:'DK', se:'SE', no:'NO', fi:'FI', ie:'IE', uk:'UK', co:'UK' };
-
-    const hostOverride = {
-      'gratis.com': 'TR', 'boyner.com.tr': 'TR', 'sevil.com.tr': 'TR',
-      'perfumesclub.com': 'ES', 'parfumdo.com': 'FR',
-      'lookfantastic.com': 'UK', 'cultbeauty.co.uk': 'UK', 'beautybay.com': 'UK',
-      'boots.com': 'UK', 'spacenk.com': 'UK',
-      'cimri.com': 'TR', 'akakce.com': 'TR',
-      'trendyol.com': 'TR', 'hepsiburada.com': 'TR', 'n11.com': 'TR'
-    };
-    if (hostOverride[host]) return hostOverride[host];
-
-    if (host.endsWith('primor.eu') && pathLow.includes('/es_es/')) return 'ES';
-    if (host.endsWith('kikocosmetics.com') && pathLow.includes('/it-it/')) return 'IT';
-    if (host.endsWith('sephora.co.uk') && (pathLow.includes('/gb/en') || pathLow.includes('/en-gb'))) return 'UK';
-    if (host.endsWith('gratis.com') && pathLow.includes('/kampanyalar')) return 'TR';
-
-    return tldMap[tld] || 'UNK';
-  } catch {
-    return 'UNK';
-  }
-}
-
-function defaultCurrencyForCountry(country) {
-  const map = {
-    TR:'TRY', DE:'EUR', FR:'EUR', IT:'EUR', ES:'EUR', NL:'EUR', BE:'EUR', AT:'EUR', CH:'CHF',
-    PL:'PLN', CZ:'CZK', SK:'EUR', HU:'HUF', RO:'RON', BG:'BGN', GR:'EUR', PT:'EUR',
-    DK:'DKK', SE:'SEK', NO:'NOK', FI:'EUR', IE:'EUR', UK:'GBP'
-  };
-  return map[country] || null;
-}
-
-function parseNumberLocalized(input) {
-  if (input == null) return null;
-  let s = String(input).replace(/&nbsp;/g,' ').replace(/\s+/g,' ').replace(/['’]/g,'').trim();
-  s = s.replace(/[^\d,.\-]/g, '');
-  if (s.includes(',') && s.includes('.')) {
-    if (s.lastIndexOf(',') > s.lastIndexOf('.')) s = s.replace(/\./g, '').replace(',', '.');
-    else s = s.replace(/,/g, '');
-  } else if (s.includes(',')) s = s.replace(',', '.');
-  const v = Number(s);
-  return Number.isFinite(v) ? v : null;
-}
-function detectCurrencyFromText(txt) {
-  if (!txt) return null;
-  const s = txt.toUpperCase();
-  if (/[€]/.test(txt) || /EUR/.test(s)) return 'EUR';
-  if (/[£]/.test(txt) || /GBP/.test(s)) return 'GBP';
-  if (/PLN|ZŁ/.test(s)) return 'PLN';
-  if (/CHF/.test(s)) return 'CHF';
-  if (/CZK|KČ/.test(s)) return 'CZK';
-  if (/HUF|FT/.test(s)) return 'HUF';
-  if (/RON|LEI/.test(s)) return 'RON';
-  if (/BGN/.test(s)) return 'BGN';
-  if (/DKK/.test(s)) return 'DKK';
-  if (/SEK/.test(s)) return 'SEK';
-  if (/NOK/.test(s)) return 'NOK';
-  if (/TRY|TL/.test(s)) return 'TRY';
-  return null;
-}
-function computeDiscount(priceNew, priceOld) {
-  if (priceNew == null || priceOld == null) return null;
-  if (!Number.isFinite(priceNew) || !Number.isFinite(priceOld)) return null;
-  if (priceOld <= 0 || priceNew >= priceOld) return null;
-  const pct = ((priceOld - priceNew) / priceOld) * 100;
-  return Math.round(pct * 10) / 10;
-}
-function isSanePrice(value, currency) {
-  if (!Number.isFinite(value) || value <= 0) return false;
-  const caps = { EUR:2000, USD:2000, GBP:1800, PLN:8000, HUF:300000, RON:10000, TRY:200000, CHF:2200, CZK:50000, DKK:15000, SEK:20000, NOK:20000 };
-  const cap = caps[currency || 'EUR'] || 2000;
-  return value <= cap;
-}
-
-// ---- feeds parser ----
-function parseFeedsTxt(txt) {
-  const urls = [];
-  for (let raw of txt.split(/\r?\n/)) {
-    let l = (raw || '').trim();
-    if (!l) continue;
-    l = l.replace(/\s+#.*$/, '').replace(/\s+\/\/.*$/, '').trim();
-    if (!l || l.startsWith('#') || l.startsWith('//')) continue;
-    const m = l.match(/https?:\/\/\S+/i);
-    if (m) urls.push(m[0]);
-  }
-  return uniq(urls);
-}
+// ===== Feeds =====
 async function readFeeds(file) {
   try {
     const t = await fs.readFile(file, 'utf8');
-    const list = parseFeedsTxt(t);
-    if (!list.length) console.warn(`[warn] ${file} içinde geçerli URL bulunamadı.`);
-    return list.slice(0, MAX_PER_PAGE);
+    const all = parseFeedsTxt(t);
+    const list = activeFeeds(all);
+    if (!all.length) console.warn(`[warn] ${file} içinde geçerli URL bulunamadı.`);
+    if (all.length > list.length) console.log(`[info] ${all.length - list.length} feed disabled olarak işaretli, atlandı.`);
+    return list;
   } catch (e) {
     if (e.code === 'ENOENT') {
       console.warn(`[warn] ${file} bulunamadı. (boş çalışılacak)`);
@@ -167,620 +135,157 @@ async function readFeeds(file) {
   }
 }
 
-// ===== Extractors =====
-function safeJsonParse(txt) { try { return JSON.parse(txt); } catch { return null; } }
-
-function extractFromLdJson(html, baseUrl, host, country) {
-  const items = [];
-  const re = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
-  let m;
-  while ((m = re.exec(html))) {
-    const raw = m[1].trim();
-    const obj = safeJsonParse(raw);
-    if (!obj) continue;
-    const nodes = Array.isArray(obj) ? obj : [obj];
-    for (const node of nodes) {
-      const graphs = Array.isArray(node['@graph']) ? node['@graph'] : [node];
-      for (const g of graphs) {
-        const types = [].concat(g['@type'] || []);
-        if (!types.some(t => String(t).toLowerCase() === 'product')) continue;
-
-        const name  = g.name || '';
-        const brand = typeof g.brand === 'object' ? (g.brand?.name || '') : (g.brand || '');
-        const image = Array.isArray(g.image) ? g.image[0] : (g.image || '');
-        const url   = g.url || baseUrl;
-
-        const offers = g.offers ? (Array.isArray(g.offers) ? g.offers : [g.offers]) : [];
-        if (!offers.length) {
-          items.push({
-            source: 'ldjson', name: trim(name,180), brand: trim(brand,80),
-            price_new: null, price_old: null, discount_pct: null,
-            currency: null, availability: null, url, image, store: host, country
-          });
-          continue;
-        }
-        for (const ofr of offers) {
-          const pNew = typeof ofr.price === 'number' ? ofr.price
-                     : parseNumberLocalized(ofr.price ?? ofr.lowPrice ?? ofr.highPrice ?? null);
-          const curr = ofr.priceCurrency || null;
-
-          const pOldCand = (ofr.listPrice ?? ofr.highPrice ?? ofr.priceSpecification?.price ?? null);
-          const pOld = typeof pOldCand === 'number' ? pOldCand : parseNumberLocalized(pOldCand);
-
-          const price_old = (pNew != null && pOld != null && pOld > pNew) ? pOld : null;
-          const discount_pct = computeDiscount(pNew ?? null, price_old);
-
-          items.push({
-            source: 'ldjson', name: trim(name,180), brand: trim(brand,80),
-            price_new: pNew ?? null, price_old, discount_pct,
-            currency: curr, availability: ofr.availability ?? null,
-            url, image, store: host, country
-          });
-        }
-      }
-    }
-  }
-  return items;
-}
-
-function extractFromOg(html, baseUrl, host, country) {
-  const out = [];
-  const amt   = html.match(/<meta[^>]+property=["']product:price:amount["'][^>]*content=["']([^"']+)["']/i);
-  const curr  = html.match(/<meta[^>]+property=["']product:price:currency["'][^>]*content=["']([^"']+)["']/i);
-  const title = html.match(/<meta[^>]+property=["']og:title["'][^>]*content=["']([^"']+)["']/i);
-  const img   = html.match(/<meta[^>]+property=["']og:image["'][^>]*content=["']([^"']+)["']/i);
-  if (amt) {
-    const priceNewNum = parseNumberLocalized(amt[1]);
-    const currency = (curr && curr[1]) ? curr[1] : detectCurrencyFromText(amt[1]);
-    out.push({
-      source: 'og',
-      name: trim(title?.[1] || '', 180),
-      brand: null,
-      price_new: priceNewNum,
-      price_old: null,
-      discount_pct: null,
-      currency,
-      availability: null,
-      url: baseUrl,
-      image: img?.[1] || null,
-      store: host,
-      country
-    });
-  }
-  return out;
-}
-
-async function extractFromDom(page, host, country) {
-  return await page.evaluate(() => {
-    function txt(el) { return (el && (el.textContent || '').trim()) || ''; }
-    function getNum(s) {
-      if (!s) return null;
-      let v = s.replace(/&nbsp;/g,' ').replace(/\s+/g,' ').replace(/['’]/g,'').trim();
-      v = v.replace(/[^\d,.\-]/g,'');
-      if (v.includes(',') && v.includes('.')) {
-        if (v.lastIndexOf(',') > v.lastIndexOf('.')) v = v.replace(/\./g,'').replace(',', '.');
-        else v = v.replace(/,/g, '');
-      } else if (v.includes(',')) v = v.replace(',', '.');
-      const n = Number(v);
-      return Number.isFinite(n) ? n : null;
-    }
-    function currencyFrom(s) {
-      if (!s) return null;
-      const u = s.toUpperCase();
-      if (/[€]/.test(s) || /EUR/.test(u)) return 'EUR';
-      if (/[£]/.test(s) || /GBP/.test(u)) return 'GBP';
-      if (/PLN|ZŁ/.test(u)) return 'PLN';
-      if (/CHF/.test(u)) return 'CHF';
-      if (/CZK|KČ/.test(u)) return 'CZK';
-      if (/HUF|FT/.test(u)) return 'HUF';
-      if (/RON|LEI/.test(u)) return 'RON';
-      if (/BGN/.test(u)) return 'BGN';
-      if (/DKK/.test(u)) return 'DKK';
-      if (/SEK/.test(u)) return 'SEK';
-      if (/NOK/.test(u)) return 'NOK';
-      if (/TRY|TL/.test(u)) return 'TRY';
-      return null;
-    }
-
-    const out = [];
-
-    // 1) Microdata
-    document.querySelectorAll('meta[itemprop="price"], [itemprop="price"]').forEach(el => {
-      const val = el.getAttribute && el.getAttribute('content') || txt(el);
-      const price_new = getNum(val);
-      if (price_new == null) return;
-      let currency = null;
-      const cEl = document.querySelector('meta[itemprop="priceCurrency"], [itemprop="priceCurrency"]');
-      if (cEl) currency = (cEl.getAttribute && cEl.getAttribute('content')) || txt(cEl);
-      currency = currencyFrom(currency) || currencyFrom(val);
-      const nameEl = document.querySelector('[itemprop="name"]') || document.querySelector('h1');
-      const name = (nameEl && nameEl.textContent && nameEl.textContent.trim()) || document.title || '';
-      const imgEl = document.querySelector('[itemprop="image"]') || document.querySelector('meta[property="og:image"]');
-      const image = imgEl ? (imgEl.getAttribute('content') || imgEl.getAttribute('src') || '') : '';
-      out.push({ source:'dom-microdata', name, brand:null, price_new, price_old:null, discount_pct:null, currency, availability:null, url:location.href, image });
-    });
-
-    // 2) Görünür fiyat classları
-    const priceSel = [
-      '[class*="price"]:not(script):not(style)',
-      '[data-price]',
-      'meta[name="twitter:data1"]'
-    ];
-    const priceNodes = [];
-    priceSel.forEach(sel => document.querySelectorAll(sel).forEach(e => priceNodes.push(e)));
-    for (const el of priceNodes) {
-      const val = el.tagName === 'META' ? el.getAttribute('content') : txt(el);
-      const price_new = getNum(val);
-      if (price_new == null) continue;
-      const nameEl = document.querySelector('h1,[class*="title"],[itemprop="name"]');
-      const name = nameEl ? nameEl.textContent.trim() : document.title || '';
-      let currency = currencyFrom(val);
-      if (!currency) {
-        const metaCurr = document.querySelector('meta[itemprop="priceCurrency"], meta[property="product:price:currency"]');
-        if (metaCurr) currency = currencyFrom(metaCurr.getAttribute('content'));
-      }
-      const imgMeta = document.querySelector('meta[property="og:image"]');
-      const image = imgMeta ? (imgMeta.getAttribute('content') || '') : '';
-      out.push({ source:'dom-visible', name, brand:null, price_new, price_old:null, discount_pct:null, currency, availability:null, url:location.href, image });
-    }
-
-    // 3) Script içi JSON ("price": 123)
-    const scriptTexts = Array.from(document.querySelectorAll('script:not([src])')).map(s => s.textContent || '');
-    for (const s of scriptTexts) {
-      const m = s.match(/"price"\s*:\s*"?([\d.,\s]+)"?/i);
-      if (m) {
-        const price_new = getNum(m[1]);
-        if (price_new != null) {
-          const nameEl = document.querySelector('h1,[itemprop="name"]');
-          const name = nameEl ? nameEl.textContent.trim() : document.title || '';
-          let currency = null;
-          const m2 = s.match(/"priceCurrency"\s*:\s*"([A-Z]{3})"/i);
-          if (m2) currency = m2[1];
-          const imgMeta = document.querySelector('meta[property="og:image"]');
-          const image = imgMeta ? (imgMeta.getAttribute('content') || '') : '';
-          out.push({ source:'dom-script', name, brand:null, price_new, price_old:null, discount_pct:null, currency, availability:null, url:location.href, image });
-        }
-      }
-    }
-
-    // 4) Eski fiyat (strike/was/statt/antes)
-    function findOldPrice() {
-      const candidates = Array.from(document.querySelectorAll('[class*="old"], [class*="was"], [class*="strike"], [class*="statt"], [class*="antes"]'))
-        .concat(Array.from(document.querySelectorAll('s, del')));
-      for (const el of candidates) {
-        const n = getNum(el.textContent || '');
-        if (n != null) return n;
-      }
-      return null;
-    }
-    const oldPrice = findOldPrice();
-
-    if (oldPrice != null) {
-      for (const it of out) {
-        if (it.price_old == null && it.price_new != null && oldPrice > it.price_new) {
-          it.price_old = oldPrice;
-          const pct = ((oldPrice - it.price_new) / oldPrice) * 100;
-          it.discount_pct = Math.round(pct * 10) / 10;
-        }
-      }
-    }
-
-    return out;
-  });
-}
-
-// ===== Playwright helpers =====
-async function launchBrowser(engine = 'chromium') {
-  const common = {
-    headless: HEADLESS,
-    args: [
-      '--no-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-blink-features=AutomationControlled',
-      '--disable-http2'
-    ]
-  };
-  if (engine === 'firefox') return await firefox.launch(common);
-  return await chromium.launch(common);
-}
-
-const DEFAULT_HEADERS = {
-  'Accept-Language': 'de-DE,de;q=0.9,en;q=0.8,tr;q=0.7,fr;q=0.6',
-  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-};
-
-async function newContext(browser) {
-  const ctx = await browser.newContext({
-    extraHTTPHeaders: DEFAULT_HEADERS,
-    ignoreHTTPSErrors: true,
-    viewport: { width: 1366, height: 900 }
+// ===== Main =====
+async function main() {
+  if (SERVE) return await serveMode();
+  if (MERGE) return await mergeRun();
+
+  const overrides = await loadOverrides(OVERRIDES_JSON);
+  const ranking = await loadRanking(RANKING_JSON); // geçersizse tarama başlamadan dur
+  const watchlist = await loadWatchlist(WATCHLIST_JSON);
+  const rates = await loadRates(RATES_DIR);
+  if (!rates.size) console.warn(`[warn] ${RATES_DIR} içinde kur bulunamadı; EUR alanları boş kalacak.`);
+  // --resume gece yarısını geçen yarım run'ı bulsun: gün verilmediyse son run klasörü (--merge gibi)
+  const day = RUN_DAY || (RESUME && await latestRunDay(DATA_DIR)) || isoDay();
+  // Site bazlı sınırlar overrides.json'dan (hostDelayMs / hostConcurrency / hostBudget)
+  const scheduler = createHostScheduler({
+    limits: { minDelayMs: HOST_DELAY_MS, maxInFlight: HOST_CC, dailyBudget: HOST_BUDGET },
+    limitsFor: (host) => {
+      const ov = overrideFor(overrides, host);
+      return Object.fromEntries(
+        [['minDelayMs', ov.hostDelayMs], ['maxInFlight', ov.hostConcurrency], ['dailyBudget', ov.hostBudget]].filter(([, v]) => v != null)
+      );
+    },
+    robots: ROBOTS,
+    cacheDir: path.join(DATA_DIR, 'cache'),
+    day
   });
-  await ctx.addInitScript(() => {
-    Object.defineProperty(navigator, 'webdriver', { get: () => false });
+  const { scrapeFeed } = createScraper({
+    headless: HEADLESS, detailLimit: DETAIL_LIMIT, maxScrolls: MAX_SCROLLS, tryPaginate: TRY_PAGINATE, maxPages: MAX_PAGES,
+    excludeMen: EXCLUDE_MEN, maxFeedItems: MAX_FEED_ITEMS, maxPriceEur: MAX_PRICE_EUR, overrides, rates, escalation: ESCALATION,
+    outOfStock: OUT_OF_STOCK, aggregatorHops: AGGREGATOR_HOPS, scheduler
   });
-  return ctx;
-}
-
-async function clickConsentIn(pageLike) {
-  const selectors = [
-    'button:has-text("Accept")','button:has-text("I agree")','button:has-text("Allow all")',
-    'button:has-text("Akzeptieren")','button:has-text("Alle akzeptieren")','button:has-text("Zustimmen")',
-    'button:has-text("Tout accepter")','button:has-text("Accepter")',
-    'button:has-text("Aceptar")','button:has-text("Aceptar todo")',
-    'button:has-text("Kabul et")','button:has-text("Tümünü kabul et")',
-    'button[aria-label*="accept" i]','button[aria-label*="Akzeptieren" i]',
-    '[role="dialog"] button:has-text("Accept")',
-    '[id*="consent"] button', '.cookie-accept, .js-accept-all'
-  ];
-  for (const sel of selectors) {
-    try {
-      const btn = await pageLike.$(sel);
-      if (btn) { await btn.click({ timeout: 1200 }); await pageLike.waitForTimeout(400); }
-    } catch {}
-  }
-}
-
-async function autoConsent(page) {
-  await clickConsentIn(page);
-  for (const f of page.frames()) {
-    try { await clickConsentIn(f); } catch {}
-  }
-}
-
-async function gotoWithRetry(page, url) {
-  let lastErr;
-  for (let i=0;i<3;i++){
-    try {
-      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
-      await autoConsent(page);
-      await page.waitForTimeout(1000);
-      await page.waitForLoadState('networkidle', { timeout: 8000 }).catch(()=>{});
-      return;
-    } catch (e) {
-      lastErr = e;
-      await page.waitForTimeout(700);
-    }
-  }
-  throw lastErr;
-}
+  await ensureDir(DATA_DIR);
+  const all = await readFeeds(FEEDS_TXT);
 
-async function autoScrollAndLoadMore(page, { maxScrolls = MAX_SCROLLS } = {}) {
-  const moreBtns = [
-    'button:has-text("Load more")','button:has-text("Mehr")','button:has-text("Mehr anzeigen")',
-    'button:has-text("Daha fazla")','button:has-text("Tümünü göster")','button:has-text("Weitere Anzeigen")'
-  ];
-  let lastHeight = 0;
-  for (let i=0;i<maxScrolls;i++){
-    try {
-      await page.evaluate(() => window.scrollBy(0, document.body.scrollHeight));
-      await page.waitForTimeout(700);
-      for (const sel of moreBtns) {
-        const btn = await page.$(sel).catch(()=>null);
-        if (btn) { await btn.click().catch(()=>{}); await page.waitForTimeout(900); }
-      }
-      const h = await page.evaluate(() => document.body.scrollHeight);
-      if (h <= lastHeight) break;
-      lastHeight = h;
-      await page.waitForLoadState('networkidle', { timeout: 8000 }).catch(()=>{});
-    } catch {}
+  if (!all.length) {
+    const payload = { date: day, total: 0, note: 'No feeds to scrape', results: [] };
+    const written = await writeSinks(payload, { dir: DATA_DIR, day, sinks: SINKS });
+    console.log(`[warn] ${FEEDS_TXT} boş veya URL bulunamadı.`);
+    for (const f of written) console.log(`[ok] Yazıldı: ${f}`);
+    return;
   }
-}
 
-function dedupe(items) {
-  const seen = new Set();
-  const out  = [];
-  for (const it of items) {
-    const key = sha1(`${(it.name||'').toLowerCase()}|${it.url}|${it.price_new ?? ''}|${it.currency ?? ''}`);
-    if (seen.has(key)) continue;
-    seen.add(key);
-    out.push(it);
+  // Sıra numarası tüm listedeki yerdir; birleştirmede sonuçlar bu sırayla dizilir
+  const order = new Map(all.map((f, i) => [f.url, i]));
+  let feeds = shardFeeds(all, SHARD);
+  if (feeds.length > MAX_PER_PAGE) {
+    console.warn(`[warn] --maxPerPage=${MAX_PER_PAGE}: ${feeds.length - MAX_PER_PAGE} feed atlandı.`);
+    feeds = feeds.slice(0, MAX_PER_PAGE);
   }
-  return out;
-}
-
-// ===== Ürün linkleri (ileri yöntem) =====
-async function findProductLinksAdvanced(page) {
-  const set = new Set();
-
-  // 0) Next: __NEXT_DATA__
-  try {
-    const nextJson = await page.$eval('#__NEXT_DATA__', el => el.textContent).catch(() => null);
-    if (nextJson) {
-      const obj = JSON.parse(nextJson);
-      (function walk(x){
-        if (!x || typeof x !== 'object') return;
-        if (x.url && typeof x.url === 'string' && /^https?:\/\//i.test(x.url)) {
-          if (/(\/p\/|\/product|\/produkt|\/producto|\/prodotto|\/[a-z]*-p\d+)/i.test(x.url)) set.add(x.url);
-        }
-        for (const k in x) walk(x[k]);
-      })(obj);
-    }
-  } catch {}
 
-  // 1) Nuxt: __NUXT__
-  try {
-    const nuxt = await page.evaluate(() => {
-      try { return window.__NUXT__ || null; } catch { return null; }
-    });
-    if (nuxt) {
-      (function walk(x){
-        if (!x || typeof x !== 'object') return;
-        if (x.link && typeof x.link === 'string' && /^https?:\/\//i.test(x.link)) {
-          if (/(\/p\/|\/product|\/produkt|\/producto|\/prodotto|\/[a-z]*-p\d+)/i.test(x.link)) set.add(x.link);
-        }
-        for (const k in x) walk(x[k]);
-      })(nuxt);
-    }
-  } catch {}
+  const dir = path.join(runDir(DATA_DIR, day), shardDirName(SHARD));
+  if (!RESUME) await fs.rm(dir, { recursive: true, force: true });
+  await ensureDir(dir);
+  const done = new Set((await loadCheckpoints(dir)).filter(cp => cp.result.ok).map(cp => cp.feed.url));
+  const todo = feeds.filter(f => !done.has(f.url));
 
-  // 2) dataLayer
-  try {
-    const dl = await page.evaluate(() => Array.isArray(window.dataLayer) ? window.dataLayer : null);
-    if (dl) {
-      for (const entry of dl) {
-        if (entry && typeof entry === 'object') {
-          for (const v of Object.values(entry)) {
-            if (v && typeof v === 'object' && v.url && /^https?:\/\//i.test(v.url)) {
-              if (/(\/p\/|\/product|\/produkt|\/producto|\/prodotto|\/[a-z]*-p\d+)/i.test(v.url)) set.add(v.url);
-            }
-          }
-        }
-      }
-    }
-  } catch {}
+  const xmlCount = todo.filter(f => f.kind !== 'html').length;
+  const shardInfo = SHARD.count > 1 ? ` | shard=${SHARD.index}/${SHARD.count}` : '';
+  console.log(`[info] ${todo.length} feed (${xmlCount} xml)${shardInfo} | headless=${HEADLESS} | cc=${CONCURRENCY} | detailLimit=${DETAIL_LIMIT} | maxPages=${MAX_PAGES} | excludeMen=${EXCLUDE_MEN}`);
+  if (done.size) console.log(`[info] --resume: ${done.size} feed checkpoint'ten alındı (${dir})`);
 
-  // 3) Domain’e göre kart seçimleri (DÜZELTİLMİŞ — bozuk satır yok!)
-  const host = (new URL(page.url())).host.replace(/^www\./,'');
-  const CARD_SELECTORS = {
-    // SEPHORA
-    'sephora.de': ['a[href*="/p/"]'],
-    'sephora.fr': ['a[href*="/p/"]'],
-    'sephora.it': ['a[href*="/p/"]'],
-    'sephora.es': ['a[href*="/p/"]'],
-    // DOUGLAS
-    'douglas.de': ['a.ProductTile-link, a[href*="/p/"]'],
-    'douglas.it': ['a.ProductTile-link, a[href*="/p/"]'],
-    'douglas.es': ['a.ProductTile-link, a[href*="/p/"]'],
-    'douglas.be': ['a.ProductTile-link, a[href*="/p/"]'],
-    'douglas.nl': ['a.ProductTile-link, a[href*="/p/"]'],
-    'douglas.at': ['a.ProductTile-link, a[href*="/p/"]'],
-    'douglas.ch': ['a.ProductTile-link, a[href*="/p/"]'],
-    // DİĞERLERİ
-    'flaconi.de': ['a[href*="/produkt/"], a[href*="/p/"]'],
-    'parfumdreams.de': ['a[href*="/p-"], a[href*="/Produkt/"], a[href*="/p/"]'],
-    'dm.de': ['a[href*="/p/"], a[href*="/product/"]'],
-    'rossmann.de': ['a[href*="/produkty/"], a[href*="/produkt/"], a[href*="/p/"]', 'a[data-product-url]'],
-    'notino.de': ['a[href*="/p-"], a[href*="/produkt/"], a[href*="/p/"]'],
-    // TR
-    'sephora.com.tr': ['a[href*="/p-"], a[href*="/urun/"], a[href*="/p/"]'],
-    'rossmann.com.tr': ['a[href*="/urun/"], a[href*="/p/"]'],
-    'gratis.com': ['a[href*="/urun/"], a[href*="/p/"]'],
-    'watsons.com.tr': ['a[href*="/urun/"], a[href*="/p/"]'],
-    // ES
-    'druni.es': ['a[href*="/p-"], a[href*="/producto/"], a[href*="/p/"]'],
-    'primor.eu': ['a[href*="/p-"], a[href*="/producto/"], a[href*="/p/"]'],
-    'perfumesclub.com': ['a[href*="/p-"], a[href*="/producto/"], a[href*="/p/"]'],
-    // IT
-    'kikocosmetics.com': ['a[href*="/p/"]']
-  };
-  const sel = CARD_SELECTORS[host] || [
-    'a[href*="/p/"]','a[href*="/product"]','a[href*="/produkt"]','a[href*="/producto"]','a[href*="/prodotto"]'
-  ];
-  for (const s of sel) {
-    try {
-      const links = await page.$$eval(s, els => Array.from(new Set(els.map(e => e.href).filter(Boolean))));
-      links.forEach(h => set.add(h));
-    } catch {}
+  const limitFeeds = makeLimiter(CONCURRENCY);
+  let finished = 0;
+  await Promise.all(todo.map(f => limitFeeds(async () => {
+    const result = await scrapeFeed(f);
+    await saveCheckpoint(dir, { order: order.get(f.url), feed: f, result });
+    finished++;
+    const tries = result.attempts ? ` (${result.attempts.map(a => a.step).join(' → ')})` : '';
+    const pages = result.pagesCrawled > 1 ? `, ${result.pagesCrawled} sayfa` : '';
+    const skips = result.ok && result.skippedUrls?.length ? `, ${result.skippedUrls.length} URL atlandı` : '';
+    console.log(`[${result.ok ? 'ok' : 'warn'}] ${finished}/${todo.length} ${f.url} → ${result.ok ? `${result.itemsCount} ürün${pages}${result.promotions?.length ? `, ${result.promotions.length} kampanya` : ''}${skips}` : result.error?.message}${tries}`);
+  })));
+  await scheduler.flush();
+  await writeManifest(dir, { day, shard: SHARD, feeds: feeds.length, finishedAt: new Date().toISOString() });
+
+  if (SHARD.count > 1) {
+    console.log(`[ok] Shard ${SHARD.index}/${SHARD.count} tamam (${dir}). Birleştirmek için: node bot.mjs --merge --day=${day}`);
+    return;
   }
-
-  // 4) Geniş kapsamlı anchor taraması (fallback)
-  try {
-    const broad = await page.$$eval('a', as => {
-      const hrefs = [];
-      for (const a of as) {
-        const href = a.href || '';
-        if (!href || !/^https?:\/\//i.test(href)) continue;
-        const t = href.toLowerCase();
-        if (t.includes('/product') || t.includes('/produkte') || t.includes('/producto') ||
-            t.includes('/produkt') || /\/p\/[a-z0-9]/.test(t) || /\/p-\d+/.test(t) || /\/\d{4,}/.test(t)) {
-          hrefs.push(href);
-        }
-      }
-      return Array.from(new Set(hrefs));
-    });
-    broad.forEach(h => set.add(h));
-  } catch {}
-
-  return Array.from(set);
+  const results = (await loadCheckpoints(dir)).map(cp => cp.result);
+  await finishRun(results, day, { ranking, watchlist });
+  await fs.rm(dir, { recursive: true, force: true });
+  await fs.rmdir(runDir(DATA_DIR, day)).catch(() => {}); // boşsa
 }
 
-const AGGREGATOR_DOMAINS = new Set([
-  'cimri.com', 'www.cimri.com',
-  'akakce.com', 'www.akakce.com'
-]);
-
-async function scrapeDetail(context, href, host, country) {
-  const p = await context.newPage();
-  try {
-    await gotoWithRetry(p, href);
-    const html = await p.content();
-    const finalUrl = p.url();
-
-    let items = [
-      ...extractFromLdJson(html, finalUrl, host, country),
-      ...extractFromOg(html, finalUrl, host, country)
-    ];
-
-    const needDom = !items.some(it => it.price_new != null);
-    if (needDom) {
-      const domItems = await extractFromDom(p, host, country);
-      for (const d of domItems) {
-        items.push({
-          source: d.source,
-          name: trim(d.name, 180),
-          brand: d.brand || null,
-          price_new: d.price_new ?? null,
-          price_old: d.price_old ?? null,
-          discount_pct: d.discount_pct ?? null,
-          currency: d.currency ?? null,
-          availability: d.availability ?? null,
-          url: d.url,
-          image: d.image || null,
-          store: host,
-          country
-        });
-      }
-    }
-
-    // Aggregator two-hop: Cimri/Akakçe ürün sayfasından dış mağaza linkine git
-    if (AGGREGATOR_DOMAINS.has(host.toLowerCase())) {
-      try {
-        const outbound = await p.$$eval('a[href^="http"]', as => {
-          const bad = ['cimri.com','akakce.com','facebook.com','twitter.com','pinterest.com'];
-          const links = as.map(a => a.href).filter(Boolean);
-          const filtered = links.filter(h => !bad.some(b => h.includes(b)));
-          return Array.from(new Set(filtered)).slice(0, 2);
-        });
-        for (const ext of outbound) {
-          const extHost = new URL(ext).host;
-          const hop = await scrapeDetail(context, ext, extHost, resolveCountry(ext));
-          if (hop.ok && hop.items?.length) { items.push(...hop.items); break; }
-        }
-      } catch {}
-    }
-
-    return { ok: true, url: href, finalUrl, items: dedupe(items) };
-  } catch (err) {
-    return { ok: false, url: href, error: String(err?.message || err) };
-  } finally {
-    await p.close().catch(()=>{});
-  }
+// Tarama yok: toplanmış anlık görüntüleri HTTP üzerinden sunar (Ctrl+C ile durur)
+async function serveMode() {
+  const { server, url } = await serveApi({ dataDir: DATA_DIR, rates: await loadRates(RATES_DIR), host: HOST, port: PORT });
+  console.log(`[ok] API: ${url}/deals, ${url}/stores, ${url}/history/:productKey (${DATA_DIR})`);
+  const stop = () => server.close(() => console.log('[info] API durdu'));
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
 }
 
-async function scrapeWithEngine(url, engine) {
-  const startedAt = new Date().toISOString();
-  const browser = await launchBrowser(engine);
-  const context = await newContext(browser);
-  try {
-    const page = await context.newPage();
-    await gotoWithRetry(page, url);
-
-    await autoScrollAndLoadMore(page, { maxScrolls: MAX_SCROLLS });
-    await page.waitForTimeout(800);
-    try {
-      await page.waitForSelector(
-        'a[href*="/p/"], a[href*="/product"], a[href*="/produkt"], a[href*="/producto"]',
-        { timeout: 5000 }
-      );
-    } catch {}
-
-    const listHtml  = await page.content();
-    const listUrl   = page.url();
-    const host      = new URL(listUrl).host;
-    const country   = resolveCountry(listUrl);
-
-    let items = dedupe([
-      ...extractFromLdJson(listHtml, listUrl, host, country),
-      ...extractFromOg(listHtml, listUrl, host, country)
-    ]);
-
-    let productLinks = await findProductLinksAdvanced(page);
-
-    // Basit sayfalama (ilk sayfada link yoksa)
-    if (TRY_PAGINATE && productLinks.length === 0) {
-      for (let p=2; p<=3; p++) {
-        const u = new URL(listUrl);
-        u.searchParams.set('page', String(p));
-        await gotoWithRetry(page, u.toString());
-        await autoScrollAndLoadMore(page, { maxScrolls: 3 });
-        const extra = await findProductLinksAdvanced(page);
-        productLinks.push(...extra);
-        productLinks = Array.from(new Set(productLinks));
-        if (productLinks.length) break;
-      }
-    }
-
-    productLinks = productLinks.slice(0, DETAIL_LIMIT);
-
-    const limitDetails = makeLimiter(Math.min(DETAIL_LIMIT, 4));
-    const detailResults = await Promise.all(
-      productLinks.map(href => limitDetails(() => scrapeDetail(context, href, host, country)))
-    );
-    for (const r of detailResults) {
-      if (r.ok && r.items?.length) items.push(...r.items);
-    }
-
-    const fallbackCurrency = defaultCurrencyForCountry(country);
-    items = items.map(it => ({
-      ...it,
-      currency: it.currency || fallbackCurrency || it.currency
-    }));
-
-    items = dedupe(items)
-      .filter(it => it.name && it.url && it.price_new != null)
-      .filter(it => isSanePrice(it.price_new, it.currency))
-      .map(it => ({ ...it, discount_pct: computeDiscount(it.price_new, it.price_old) }))
-      .slice(0, 60);
-
-    return {
-      sourceUrl: url,
-      finalUrl: listUrl,
-      host,
-      country,
-      startedAt,
-      finishedAt: new Date().toISOString(),
-      engine,
-      ok: true,
-      itemsCount: items.length,
-      items
-    };
-  } finally {
-    await context.close().catch(()=>{});
-    await browser.close().catch(()=>{});
-  }
+// Shard'ların checkpoint'lerini birleştirip günlük çıktıyı yazar
+async function mergeRun() {
+  const ranking = await loadRanking(RANKING_JSON);
+  const watchlist = await loadWatchlist(WATCHLIST_JSON);
+  const day = RUN_DAY || await latestRunDay(DATA_DIR);
+  if (!day) throw new Error(`${path.join(DATA_DIR, 'runs')} altında birleştirilecek çalışma yok`);
+  const dir = runDir(DATA_DIR, day);
+  const { results, shards, incomplete, missing } = await collectRun(dir);
+  console.log(`[info] Birleştirme ${day}: ${shards.length} shard, ${results.length} feed sonucu`);
+  if (incomplete.length) console.warn(`[warn] Bitmemiş shard (kısmi sonuçlar alındı): ${incomplete.join(', ')}`);
+  if (missing.length) console.warn(`[warn] Eksik shard: ${missing.join(', ')}`);
+  if (!results.length) throw new Error(`${dir} içinde feed sonucu yok`);
+  await finishRun(results, day, { ranking, watchlist });
+  await fs.rm(dir, { recursive: true, force: true });
 }
 
-async function scrapeUrl(url) {
-  try {
-    return await scrapeWithEngine(url, 'chromium');
-  } catch (e) {
-    if (/ERR_HTTP2|HTTP\/2|net::ERR/i.test(String(e?.message || e))) {
-      try {
-        return await scrapeWithEngine(url, 'firefox');
-      } catch (e2) {
-        return { sourceUrl: url, ok: false, error: { name: e2?.name || 'Error', message: String(e2?.message || e2) } };
-      }
-    }
-    return { sourceUrl: url, ok: false, error: { name: e?.name || 'Error', message: String(e?.message || e) } };
+// İzleme listesi eşleşmeleri → bildiriciler; hata taramayı başarısız saymaz
+async function notifyWatchlist(out, watchlist, day) {
+  const alerts = matchWatchlist(out, watchlist);
+  console.log(`[info] İzleme listesi: ${watchlist.watches.length} izleme, ${alerts.length} eşleşme`);
+  if (!alerts.length) return;
+  const report = await deliverAlerts(alerts, watchlist, {
+    day,
+    stateFile: path.join(DATA_DIR, 'alerts-sent.json'),
+    dryRun: NOTIFY === 'dry',
+    onDryRun: (name, text) => console.log(`[info] --notify=dry ${name}:\n${text}`)
+  });
+  for (const r of report) {
+    if (r.skipped) console.log(`[info] Bildirici ${r.name} atlandı: ${r.skipped}`);
+    else if (r.error) console.warn(`[warn] Bildirici ${r.name} (${r.type}) gönderemedi: ${r.error}`);
+    else console.log(`[ok] Bildirici ${r.name} (${r.type}): ${r.sent} gönderildi, ${r.suppressed} daha önce gönderilmişti`);
   }
 }
 
-// ===== Main =====
-async function main() {
-  await ensureDir(DATA_DIR);
-  const feeds = await readFeeds(FEEDS_TXT);
-
-  const day        = isoDay();
-  const dailyPath  = path.join(DATA_DIR, `deals-${day}.json`);
-  const latestPath = path.join(DATA_DIR, `deals-latest.json`);
-
-  if (!feeds.length) {
-    const payload = { date: day, total: 0, note: 'No feeds to scrape', results: [] };
-    await fs.writeFile(dailyPath, JSON.stringify(payload, null, 2), 'utf8');
-    await fs.writeFile(latestPath, JSON.stringify(payload, null, 2), 'utf8');
-    console.log(`[warn] ${FEEDS_TXT} boş veya URL bulunamadı.`);
-    console.log(`[ok] Yazıldı: ${dailyPath}`);
-    return;
+// Tüm feed sonuçları hazır: geçmiş, eşleştirme, puanlama, çıktılar, fark, digest, bildirimler, sağlık raporu
+async function finishRun(results, day, { ranking, watchlist }) {
+  // Fiyat geçmişi: bugünden önceki anlık görüntülerle karşılaştır
+  const priceIndex = await buildPriceIndex(DATA_DIR, { beforeDay: day, windowDays: HISTORY_DAYS });
+  annotateResults(results, priceIndex, day, { windowDays: HISTORY_DAYS });
+  console.log(`[info] Fiyat geçmişi: ${priceIndex.days.length} gün, ${priceIndex.index.size} ürün anahtarı`);
+
+  // Ürün eşleştirme: aynı ürünün farklı mağaza/ülkelerdeki teklifleri
+  const { products, productIdOf } = matchProducts(results.flatMap(r => r.items || []));
+  for (const r of results) {
+    if (Array.isArray(r.items)) r.items = r.items.map(it => ({ ...it, product_id: productIdOf(it) }));
   }
+  console.log(`[info] Eşleşen ürün: ${products.length} (en az 2 mağazada)`);
 
-  console.log(`[info] ${feeds.length} feed | headless=${HEADLESS} | cc=${CONCURRENCY} | detailLimit=${DETAIL_LIMIT}`);
-
-  const limitFeeds = makeLimiter(CONCURRENCY);
-  const results = await Promise.all(feeds.slice(0, MAX_PER_PAGE).map(u => limitFeeds(() => scrapeUrl(u))));
+  // Fırsat puanı (geçmiş ve eşleştirmeden sonra: true_discount_pct ve low_30d gerekli)
+  rankResults(results, ranking);
 
   const out = {
     date: day,
     total: results.length,
+    excludedMen: results.reduce((n, r) => n + (r.excludedMen || 0), 0),
+    promotionsCount: results.reduce((n, r) => n + (r.promotions?.length || 0), 0),
+    // robots.txt / host bütçesi nedeniyle açılmayan sayfalar
+    skipped: results.flatMap(r => (r.skippedUrls || []).map(s => ({ ...s, feed: r.sourceUrl }))),
     perCountry: Object.fromEntries(
       Object.entries(
         results.reduce((acc, r) => {
@@ -790,13 +295,51 @@ async function main() {
         }, {})
       ).sort()
     ),
-    results
+    results,
+    products
   };
 
-  await fs.writeFile(dailyPath, JSON.stringify(out, null, 2), 'utf8');
-  await fs.writeFile(latestPath, JSON.stringify(out, null, 2), 'utf8');
-  console.log(`[ok] Yazıldı: ${dailyPath}`);
-  console.log(`[ok] Yazıldı: ${latestPath}`);
+  if (out.skipped.length) {
+    const by = (reason) => out.skipped.filter(s => s.reason === reason).length;
+    console.log(`[info] Atlanan URL: ${out.skipped.length} (robots ${by('robots')}, bütçe ${by('budget')})`);
+  }
+
+  // Sağlık raporu: önceki günlerin ortalamasını bu günün dosyası yazılmadan önce oku
+  const counts = await trailingCounts(DATA_DIR, { beforeDay: day, window: HEALTH_THRESHOLDS.window });
+
+  // Fark: bugünün dosyası yazılmadan önceki en son anlık görüntüye göre (aynı gün yeniden çalışsa da)
+  const prevDay = CHANGES ? await previousSnapshotDay(DATA_DIR, day) : null;
+
+  const written = await writeSinks(out, { dir: DATA_DIR, day, sinks: SINKS });
+  for (const f of written) console.log(`[ok] Yazıldı: ${f}`);
+
+  if (prevDay) {
+    const changes = diffSnapshots(await loadSnapshot(DATA_DIR, prevDay), out);
+    console.log(`[info] Fark ${changesSummary(changes)}`);
+    console.log(`[ok] Yazıldı: ${await writeChanges(changes, DATA_DIR)}`);
+  } else if (CHANGES) {
+    console.log('[info] Fark: önceki anlık görüntü yok, changes dosyası yazılmadı');
+  }
+
+  if (DIGEST) {
+    const digest = buildDigest(out, ranking, { day, topN: DIGEST_TOP || ranking.topN });
+    console.log(`[info] Digest: ${digest.totals.deals} fırsat, öne çıkan ${digest.top.length}`);
+    for (const f of await writeDigest(digest, DATA_DIR)) console.log(`[ok] Yazıldı: ${f}`);
+  }
+
+  if (NOTIFY && watchlist.watches.length) await notifyWatchlist(out, watchlist, day);
+
+  const health = buildHealthReport(results, counts, { day, thresholds: HEALTH_THRESHOLDS });
+  for (const f of await writeHealth(health, DATA_DIR)) console.log(`[ok] Yazıldı: ${f}`);
+  const s = health.summary;
+  console.log(`[info] Sağlık: ok=${s.ok} empty=${s.empty} degraded=${s.degraded} error=${s.error} blocked=${s.blocked} skipped=${s.skipped}`);
+  if (!health.pass) {
+    console.error(`[warn] Sağlık eşikleri aşıldı: ${health.breaches.join('; ')}`);
+    process.exitCode = 2;
+  }
 }
 
-main().catch(e => { console.error('[fatal]', e); process.exitCode = 1; });
+// Yalnızca doğrudan çalıştırıldığında (node bot.mjs); import edildiğinde yan etki yok
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch(e => { console.error('[fatal]', e); process.exitCode = 1; });
+}
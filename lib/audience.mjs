@@ -0,0 +1,108 @@
+// lib/audience.mjs — Hedef kitle sınıflandırıcı (women / men / unisex)
+// Ürün adı, marka, breadcrumb ve URL yolundaki çok dilli ipuçlarına bakar.
+// feeds/beautydrop-feeds.txt içindeki diller: TR, DE, FR, IT, ES, PT, NL, PL, CZ, SK, HU, RO, BG, GR,
+// DA/SV/NO/FI ve EN. Erkek + kadın ipucu birlikte geçiyorsa (ör. "Damen & Herren") unisex sayılır.
+
+// Tek başına genel kelimeler listeye girmez: "para el" (para el cabello), "Bart" (ad), "Scheren" (DE: makas)
+// Harf olmayan sınırlar: \b ASCII dışı harflerde (ş, ę, á, ά…) çalışmadığı için
+const W = (body) => new RegExp(`(?<![\\p{L}\\p{N}])(?:${body})(?![\\p{L}])`, 'iu');
+
+const MEN_RE = W([
+  'men', 'mens', "men's", 'man\'s', 'for him', 'male', 'masculine', 'beard', 'aftershave', 'after shave', 'shaving',
+  'herren', 'herrenduft', 'männer', 'für ihn', 'rasur', 'bartpflege', 'bartöl', 'bartbalsam', 'rasierschaum', 'rasierwasser',
+  'homme', 'pour homme', 'pour lui', 'barbe', 'rasage',
+  'uomo', 'per lui', 'maschile', 'barba', 'rasatura',
+  'hombre', 'hombres', 'para él', 'masculino', 'masculina', 'caballero', 'afeitado',
+  'homem', 'homens', 'para ele',
+  'heren', 'mannen', 'voor hem', 'scheerschuim', 'scheergel', 'scheermes',
+  'męski', 'męska', 'męskie', 'dla mężczyzn', 'dla niego', 'golenia',
+  'pánský', 'pánská', 'pánské', 'pro muže', 'pánsky', 'pánska', 'pánske', 'pre mužov',
+  'férfi', 'férfiaknak', 'férfiak', 'borotva',
+  'bărbați', 'barbati', 'bărbătesc', 'barbatesc', 'pentru el',
+  'мъже', 'мъжки', 'мъжка', 'за мъже', 'ανδρικό', 'ανδρικά', 'ανδρικο', 'ανδρικα', 'για άνδρες',
+  'herre', 'herrer', 'herr', 'för honom', 'for ham', 'barbering', 'miesten', 'miehille',
+  'erkek', 'erkekler', 'erkeklere', 'tıraş', 'tiras', 'sakal'
+].join('|'));
+
+const WOMEN_RE = W([
+  'women', 'womens', "women's", 'woman', 'for her', 'female', 'feminine', 'ladies',
+  'damen', 'damenduft', 'frauen', 'für sie',
+  'femme', 'femmes', 'pour femme', 'pour elle',
+  'donna', 'per lei', 'femminile',
+  'mujer', 'mujeres', 'para ella', 'femenino', 'femenina',
+  'mulher', 'mulheres', 'feminino', 'feminina',
+  'dames', 'vrouwen', 'voor haar',
+  'damski', 'damska', 'damskie', 'dla kobiet', 'dla niej',
+  'dámský', 'dámská', 'dámské', 'pro ženy', 'dámsky', 'dámska', 'dámske', 'pre ženy',
+  'női', 'nőknek', 'nők',
+  'femei', 'pentru femei', 'pentru ea',
+  'жени', 'дамски', 'дамска', 'за жени', 'γυναικείο', 'γυναικεία', 'γυναικειο', 'για γυναίκες',
+  'dame', 'damer', 'dam', 'för henne', 'for henne', 'naisten', 'naisille',
+  'kadın', 'kadin', 'kadınlar', 'kadınlara', 'bayan'
+].join('|'));
+
+const UNISEX_RE = W(['unisex', 'uniseks', 'unissex', 'für alle', 'for all', 'pour tous', 'herren und damen', 'damen und herren', 'kadın erkek']
+  .join('|'));
+
+// Yalnızca erkek ürünü satan (veya ürün adına erkek ibaresini koymayan) markalar / alt markalar
+const MEN_BRANDS = [
+  'old spice', 'axe', 'gillette', 'bulldog', 'proraso', 'jack black', 'men expert', 'nivea men',
+  'the art of shaving', 'wilkinson sword', 'brave soldier', 'beardbrand', 'king c. gillette', 'barbon'
+];
+const WOMEN_BRANDS = ['gillette venus', 'venus', 'veet', 'intimissimi'];
+
+function pathText(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname).replace(/[\/_\-.+]+/g, ' ');
+  } catch {
+    return '';
+  }
+}
+
+function hits(text) {
+  const t = String(text || '');
+  if (!t) return null;
+  if (UNISEX_RE.test(t)) return 'unisex';
+  const m = MEN_RE.test(t), w = WOMEN_RE.test(t);
+  if (m && w) return 'unisex';
+  if (m) return 'men';
+  if (w) return 'women';
+  return null;
+}
+
+function brandHit(brand) {
+  const b = String(brand || '').toLowerCase().trim();
+  if (!b) return null;
+  if (WOMEN_BRANDS.some(x => b === x || b.startsWith(x + ' '))) return 'women';
+  if (MEN_BRANDS.some(x => b === x || b.startsWith(x + ' ') || b.endsWith(' ' + x))) return 'men';
+  return hits(b);
+}
+
+// { audience: 'women'|'men'|'unisex', signal: 'name'|'brand'|'breadcrumbs'|'url'|null }
+// Sinyaller öncelik sırasıyla denenir; hiçbir ipucu yoksa ürün unisex kabul edilir (dışlanmaz).
+export function classifyAudience({ name, brand, breadcrumbs, url } = {}) {
+  const signals = [
+    ['name', () => hits(name)],
+    ['breadcrumbs', () => hits((breadcrumbs || []).join(' / '))],
+    ['brand', () => brandHit(brand)],
+    ['url', () => hits(pathText(url))]
+  ];
+  for (const [signal, fn] of signals) {
+    const a = fn();
+    if (a) return { audience: a, signal };
+  }
+  return { audience: 'unisex', signal: null };
+}
+
+// Ürünleri etiketler, (varsayılan) yalnızca erkek ürünlerini ayıklar
+export function filterAudience(items, { excludeMen = true } = {}) {
+  const kept = [];
+  const excluded = [];
+  for (const it of items) {
+    const { audience, signal } = classifyAudience(it);
+    const tagged = { ...it, audience, audience_signal: signal };
+    if (excludeMen && audience === 'men') excluded.push(tagged);
+    else kept.push(tagged);
+  }
+  return { items: kept, excluded };
+}
@@ -0,0 +1,110 @@
+// lib/blocks.mjs — Anti-bot / engel sayfası tespiti ve kademeli yeniden deneme
+// detectBlock ilk sayfa açıldıktan sonra durum kodu, bilinen challenge izleri (Cloudflare, DataDome, "Access denied"),
+// ülke yönlendirmesi ve şüpheli derecede küçük DOM'a bakar. Engel varsa scrapeUrl merdivenin bir sonraki basamağıyla
+// tekrar dener:
+//   initial → engine (diğer tarayıcı) → fingerprint (başka viewport + user agent) → slow (yavaş tempo, tek detay)
+// Basamaklar birikimlidir (slow, önceki basamakların motor ve parmak izini de kullanır). Hepsi engellenirse sonuç
+// { ok: false, blocked: true, blockReason } olur; sağlık raporu bunu "blocked" olarak gösterir.
+
+export const ESCALATION_STEPS = ['engine', 'fingerprint', 'slow'];
+
+// "engine,slow" → ['engine', 'slow']; "none" → []
+export function parseEscalation(value) {
+  if (value === undefined || value === true || value === '') return ESCALATION_STEPS.slice();
+  if (Array.isArray(value)) value = value.join(',');
+  if (String(value).trim().toLowerCase() === 'none') return [];
+  const list = String(value).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const bad = list.filter(s => !ESCALATION_STEPS.includes(s));
+  if (bad.length) throw new Error(`--escalation: bilinmeyen basamak ${bad.join(', ')} (geçerli: ${ESCALATION_STEPS.join(', ')} veya none)`);
+  return Array.from(new Set(list));
+}
+
+// Motor başına ikinci parmak izi (UA motorla tutarlı olmalı, yoksa kendisi iz olur)
+const FINGERPRINTS = {
+  chromium: {
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+    viewport: { width: 1440, height: 900 }
+  },
+  firefox: {
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:125.0) Gecko/20100101 Firefox/125.0',
+    viewport: { width: 1536, height: 864 }
+  }
+};
+
+// Basamak listesi → denenecek profiller. İlk eleman her zaman varsayılan profildir.
+// profile: { step, engine, userAgent?, viewport?, pace, detailConcurrency? }
+export function escalationLadder(steps, primary = 'chromium') {
+  const ladder = [{ step: 'initial', engine: primary, pace: 1 }];
+  let cur = ladder[0];
+  for (const step of steps) {
+    if (step === 'engine') cur = { ...cur, step, engine: cur.engine === 'firefox' ? 'chromium' : 'firefox' };
+    if (step === 'fingerprint') cur = { ...cur, step, ...FINGERPRINTS[cur.engine] };
+    if (step === 'slow') cur = { ...cur, step, pace: 3, detailConcurrency: 1 };
+    ladder.push(cur);
+  }
+  return ladder;
+}
+
+// [ad, html/başlık içinde aranacak iz]; yalnızca challenge sayfasında görünen izler (normal sayfada da yüklenen
+// datadome/px istemci betikleri değil)
+const CHALLENGE_MARKERS = [
+  ['cloudflare', /cf-chl-|cf_chl_opt|<title>\s*just a moment\.{3}\s*<\/title>|attention required! \| cloudflare|cf-error-details/i],
+  ['datadome', /captcha-delivery\.com/i],
+  ['perimeterx', /px-captcha|press (?:&|&amp;) hold/i],
+  ['incapsula', /incapsula incident id|_incapsula_resource/i],
+  ['akamai', /reference #\d+\.[0-9a-f]+\.\d+/i],
+  ['sucuri', /sucuri website firewall/i]
+];
+// Kısa sayfalarda anlamlı: gerçek ürün sayfası bu kelimeleri yorum/SSS içinde geçirebilir
+const BLOCK_TEXT_RE = /access denied|zugriff verweigert|acceso denegado|accès refusé|accesso negato|erişim engellendi|odmowa dostępu|are you a robot|robot check|bist du ein mensch|êtes-vous un robot|unusual traffic|verify you are (?:a )?human|checking your browser|request unsuccessful|pardon our interruption|you have been blocked|du wurdest blockiert/i;
+const CAPTCHA_RE = /g-recaptcha|h-captcha|hcaptcha\.com|recaptcha\/api|captcha/i;
+const GEO_PATH_RE = /\/(?:country|region|geo|locale|language)[-_]?(?:select(?:or|ion)?|switch(?:er)?|gate|chooser)|\/choose-(?:country|region)|\/international(?:\/|$)|[?&](?:geo|country)redirect/i;
+const BLOCK_STATUSES = new Set([401, 403, 407, 429, 451, 503]);
+
+const hostOf = (u) => { try { return new URL(u).host.replace(/^www\./, '').toLowerCase(); } catch { return ''; } };
+
+// "douglas.de" ve "douglas.com.tr" → "douglas"
+function brandLabel(host) {
+  const parts = host.split('.');
+  const sld = parts.length > 2 && /^(co|com|org|net)$/.test(parts[parts.length - 2]) ? parts.length - 3 : parts.length - 2;
+  return parts[Math.max(0, sld)] || host;
+}
+
+// Sayfa sinyalleri → { reason } veya null
+// signals: { status, requestedUrl, finalUrl, title, html, text, links }
+export function detectBlock({ status = null, requestedUrl = '', finalUrl = '', title = '', html = '', text = '', links = 0 } = {}) {
+  const head = `${title}\n${html.slice(0, 200000)}`;
+  for (const [name, re] of CHALLENGE_MARKERS) {
+    if (re.test(head)) return { reason: `${name} challenge${status ? ` (HTTP ${status})` : ''}` };
+  }
+  const shortPage = text.length < 3000;
+  if (BLOCK_STATUSES.has(status)) {
+    const m = `${title}\n${text.slice(0, 2000)}`.match(BLOCK_TEXT_RE);
+    return { reason: `HTTP ${status}${m ? `: ${m[0].toLowerCase()}` : ''}` };
+  }
+  if (shortPage) {
+    const m = `${title}\n${text}`.match(BLOCK_TEXT_RE);
+    if (m) return { reason: m[0].toLowerCase() };
+    if (text.length < 1500 && CAPTCHA_RE.test(html)) return { reason: 'captcha' };
+  }
+
+  const from = hostOf(requestedUrl);
+  const to = hostOf(finalUrl);
+  if (from && to && from !== to && brandLabel(from) === brandLabel(to) && from.split('.').pop() !== to.split('.').pop()) {
+    return { reason: `geo-redirect: ${from} → ${to}` };
+  }
+  if (GEO_PATH_RE.test(finalUrl) && !GEO_PATH_RE.test(requestedUrl)) return { reason: `geo-redirect: ${finalUrl}` };
+
+  if (text.trim().length < 200 && links < 5) return { reason: `küçük DOM (${text.trim().length} karakter, ${links} link)` };
+  return null;
+}
+
+// Playwright sayfasından detectBlock sinyalleri
+export async function pageSignals(page, response, requestedUrl) {
+  const [title, html, dom] = await Promise.all([
+    page.title().catch(() => ''),
+    page.content().catch(() => ''),
+    page.evaluate(() => ({ text: (document.body && document.body.innerText) || '', links: document.querySelectorAll('a[href]').length })).catch(() => ({ text: '', links: 0 }))
+  ]);
+  return { status: response ? response.status() : null, requestedUrl, finalUrl: page.url(), title, html, text: dom.text, links: dom.links };
+}
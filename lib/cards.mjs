@@ -0,0 +1,192 @@
+// lib/cards.mjs — Listing sayfasında ürün kartı bazlı çıkarım
+// Sayfa genelindeki her fiyat düğümünü tek ürün saymak yerine tekrar eden kart kapsayıcıları bulunur
+// (aynı ebeveyn altında aynı etiket+class imzasını taşıyan, link içeren kardeşler). Ad, marka, güncel fiyat,
+// üstü çizili fiyat, rozet ("-30%"), görsel ve link her kartın kendi içinden okunur.
+//
+// Tarayıcı tarafı (cardFinder) yalnızca ham metin toplar; fiyat ayrıştırma Node tarafında lib/price.mjs ile yapılır:
+//   raw  = { url, name, brand, image, badge, soldOut, prices: [{ text, strike }] }
+//   item = cardToItem(raw, { currency: 'EUR', country: 'IE' })
+
+import { computeDiscount } from './util.mjs';
+import { parsePrice } from './price.mjs';
+import { defaultCurrencyForCountry } from './country.mjs';
+
+const MAX_CARDS = 200;
+
+// Kart rozetindeki yüzde: "-30%", "−30 %", "%30"
+const BADGE_PCT_RE = /[-−]\s?(\d{1,2}(?:[.,]\d)?)\s?%|%\s?(\d{1,2})\b/;
+
+export async function extractCards(page, country, ov = {}) {
+  const sel = {
+    card: ov.cardSelectors || [],
+    price: ov.cardPriceSelectors || [],
+    oldPrice: ov.cardOldPriceSelectors || [],
+    name: ov.cardNameSelectors || [],
+    max: MAX_CARDS
+  };
+  const raw = await page.evaluate(`(${cardFinder})(${JSON.stringify(sel)})`).catch(() => []);
+  const currency = ov.currency || defaultCurrencyForCountry(country);
+  return raw.map(r => cardToItem(r, { currency, country })).filter(Boolean);
+}
+
+// Ham kart → ürün (extractFromDom ile aynı biçim, source: 'dom-card'); fiyat yoksa null
+export function cardToItem(raw, { currency, country } = {}) {
+  if (!raw?.url) return null;
+  const parsed = (raw.prices || []).map(p => ({ strike: !!p.strike, ...parsePrice(p.text, { currency, country }) }));
+  const unit_price = parsed.find(p => p.unit_price?.value != null)?.unit_price ?? null;
+  const money = parsed.filter(p => p.value != null && p.value > 0);
+  const current = money.filter(p => !p.strike);
+  if (!current.length) return null;
+
+  const price_new = Math.min(...current.map(p => p.value));
+  const struck = money.filter(p => p.strike && p.value > price_new).map(p => p.value);
+  const badge = raw.badge ? String(raw.badge).trim() : null;
+  let price_old = struck.length ? Math.max(...struck) : null;
+  // Çizili fiyat işaretlenmemiş ama rozet varsa: kartta iki farklı fiyat = indirimli + normal
+  if (price_old == null && badge) {
+    const higher = current.map(p => p.value).filter(v => v > price_new);
+    if (higher.length) price_old = Math.max(...higher);
+  }
+  const m = badge && badge.match(BADGE_PCT_RE);
+  const badgePct = m ? Number((m[1] || m[2]).replace(',', '.')) : null;
+
+  const cur = current.find(p => p.value === price_new);
+  return {
+    source: 'dom-card',
+    name: String(raw.name || '').trim(),
+    brand: raw.brand ? String(raw.brand).trim() : null,
+    price_new,
+    price_old,
+    discount_pct: computeDiscount(price_new, price_old) ?? badgePct,
+    currency: cur.currency || currency || null,
+    availability: raw.soldOut ? 'OutOfStock' : null,
+    unit_price,
+    badge,
+    url: raw.url,
+    image: raw.image || null
+  };
+}
+
+// page.evaluate içinde çalışır; dış değişken kullanmamalı
+function cardFinder(sel) {
+  const txt = (el) => (el && (el.textContent || '').replace(/\s+/g, ' ').trim()) || '';
+  const cls = (el) => (el && typeof el.getAttribute === 'function' && el.getAttribute('class')) || '';
+  const PRICE_TEXT = /\d[\d.,'\s]*\s?(€|£|\$|₺|TL|zł|Kč|Ft|lei|лв|kr|CHF|EUR|USD|GBP|PLN|CZK|HUF|RON|BGN|DKK|SEK|NOK|TRY)(?![a-z])|(€|£|\$|₺|CHF|EUR|GBP|TL)\s?\d/i;
+  const PRICE_SEL = '[class*="price" i], [data-price], [itemprop="price"], s, del, strike';
+  const STRIKE_CLASS = /old|was|strike|statt|antes|before|regular|original|uvp|list-?price|crossed|compare|previous|prev-|rrp|msrp/i;
+  const SOLD_OUT = /ausverkauft|nicht verfügbar|out of stock|sold out|épuisé|agotado|esaurito|tükendi|stokta yok|niedostępny|vyprodáno/i;
+
+  // Etiket + kalıcı class'lar; "is-active", "item-12345" gibi değişkenler imzayı bozmasın
+  function sig(el) {
+    const c = cls(el).split(/\s+/).filter(x => x && !/\d{3,}|active|selected|hover|first|last|odd|even|visible|loaded/i.test(x)).sort();
+    return el.tagName + '.' + c.join('.');
+  }
+  function query(root, list) {
+    for (const s of list) {
+      try { const el = root.querySelector(s); if (el) return el; } catch {}
+    }
+    return null;
+  }
+  function queryAll(root, list) {
+    for (const s of list) {
+      try { const els = Array.from(root.querySelectorAll(s)); if (els.length) return els; } catch {}
+    }
+    return [];
+  }
+  const hasLink = (el) => (el.matches('a[href]') || !!el.querySelector('a[href]'));
+
+  // Fiyat taşıyan en küçük düğümler → [{ el, text }] ("price" class'lılar + para birimli metinler)
+  // Başka fiyat düğümü içeren kapsayıcıdan yalnızca kendi metni okunur: <div class="price">89,95 € <s>119 €</s></div>
+  function priceNodes(root) {
+    const set = new Set();
+    root.querySelectorAll(PRICE_SEL).forEach(el => set.add(el));
+    root.querySelectorAll('span, div, p, strong, b, em, ins, small, bdi').forEach(el => {
+      if (PRICE_TEXT.test(txt(el)) && !Array.from(el.children).some(c => PRICE_TEXT.test(txt(c)))) set.add(el);
+    });
+    const out = [];
+    for (const el of set) {
+      const inner = Array.from(set).some(o => o !== el && el.contains(o) && /\d/.test(txt(o)));
+      const text = el.tagName === 'META' ? el.getAttribute('content')
+        : inner ? Array.from(el.childNodes).filter(n => n.nodeType === 3).map(n => n.textContent).join(' ').replace(/\s+/g, ' ').trim()
+        : txt(el);
+      if (text && /\d/.test(text)) out.push({ el, text });
+    }
+    return out;
+  }
+
+  // 1) Kartlar: overrides.json → tekrar eden, link içeren kardeş kapsayıcılar
+  let cards = queryAll(document, sel.card);
+  if (!cards.length) {
+    const groups = new Map(); // ebeveyn + imza -> Set(kart)
+    for (const { el } of priceNodes(document.body)) {
+      for (let node = el.parentElement; node && node !== document.body; node = node.parentElement) {
+        const parent = node.parentElement;
+        if (!parent) break;
+        if (!hasLink(node)) continue;
+        const s = sig(node);
+        const same = Array.from(parent.children).filter(c => sig(c) === s);
+        if (same.length < 2) continue;
+        let g = groups.get(parent);
+        if (!g) { g = new Map(); groups.set(parent, g); }
+        if (!g.has(s)) g.set(s, new Set());
+        g.get(s).add(node);
+        break;
+      }
+    }
+    for (const bySig of groups.values()) {
+      for (const set of bySig.values()) if (set.size >= 2) cards.push(...set);
+    }
+  }
+
+  // 2) Her kartın kendi alanları
+  const out = [];
+  const seen = new Set();
+  for (const card of cards) {
+    if (out.length >= sel.max) break;
+    if (seen.has(card)) continue;
+    seen.add(card);
+    const links = card.matches('a[href]') ? [card] : Array.from(card.querySelectorAll('a[href]'));
+    const a = links.find(l => /^https?:/i.test(l.href) && !/^(#|javascript:)/i.test(l.getAttribute('href') || ''));
+    if (!a) continue;
+
+    const img = card.querySelector('img');
+    const src = img ? (img.currentSrc || img.getAttribute('src') || img.getAttribute('data-src') || (img.getAttribute('data-srcset') || img.getAttribute('srcset') || '').split(/[\s,]+/)[0]) : '';
+    let image = '';
+    try { image = src ? new URL(src, location.href).href : ''; } catch {}
+    const nameEl = query(card, [...sel.name, '[itemprop="name"]', '[class*="name" i]:not([class*="brand" i])', '[class*="title" i]', 'h2', 'h3', 'h4']);
+    const name = txt(nameEl) || a.getAttribute('title') || (img && img.getAttribute('alt')) || txt(a);
+    const brandEl = query(card, ['[itemprop="brand"]', '[class*="brand" i]', '[data-brand]']);
+    const brand = brandEl ? (brandEl.getAttribute('data-brand') || brandEl.getAttribute('content') || txt(brandEl)) : '';
+
+    const oldSet = new Set(queryAll(card, sel.oldPrice));
+    const nodes = sel.price.length
+      ? [...queryAll(card, sel.price), ...oldSet].map(el => ({ el, text: el.tagName === 'META' ? el.getAttribute('content') : txt(el) }))
+      : priceNodes(card);
+    const prices = [];
+    for (const { el, text } of nodes) {
+      if (!text) continue;
+      const parent = el.parentElement !== card ? el.parentElement : null;
+      let strike = oldSet.has(el) || !!el.closest('s, del, strike') || STRIKE_CLASS.test(cls(el)) || STRIKE_CLASS.test(cls(parent));
+      if (!strike) {
+        try { strike = /line-through/.test(getComputedStyle(el).textDecorationLine || ''); } catch {}
+      }
+      prices.push({ text, strike });
+    }
+
+    // Yüzde yalnızca rozet/indirim öğesinden okunur; kart metnindeki "-15% für Neukunden" gibi kampanya yazısı indirim değildir
+    const badgeEl = queryAll(card, ['[class*="badge" i]', '[class*="flag" i]', '[class*="discount" i]', '[class*="sale" i]', '[class*="sticker" i]'])
+      .find(el => /%/.test(txt(el)));
+    const pct = badgeEl ? txt(badgeEl).match(/[-−]\s?\d{1,2}(?:[.,]\d)?\s?%|%\s?\d{1,2}\b/) : null;
+
+    out.push({
+      url: a.href,
+      name: name.slice(0, 300),
+      brand: brand.slice(0, 120),
+      image,
+      badge: pct ? pct[0] : null,
+      soldOut: SOLD_OUT.test(txt(card)),
+      prices
+    });
+  }
+  return out;
+}
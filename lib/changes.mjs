@@ -0,0 +1,146 @@
+// lib/changes.mjs — Günden güne fark: yeni, biten ve fiyatı değişen fırsatlar
+// İki anlık görüntü (data/deals-*.json) ürün kimliğiyle (product_key, sinks "min" çıktısındaki id) eşlenir:
+//   new              : bugün var, önceki görüntüde yok
+//   ended            : önceki görüntüde var, bugün yok
+//   price_down/up    : aynı para biriminde price_new değişti → price_from, price_to, delta, delta_pct
+//   discount_changed : indirim en az minDiscountDelta puan değişti → discount_from, discount_to
+// new/ended yalnızca iki görüntüde de başarılı olan feed'lerin (sourceUrl) ürünleri için yazılır; hata veren, engellenen,
+// atlanan veya bir görüntüde hiç olmayan feed'ler ürünlerini "biten" ve ertesi gün "yeni" göstermesin diye ayrıca listelenir.
+// Çıktı ülke → mağaza → tür olarak gruplanır:
+//   { from, to, totals, feeds: [{ sourceUrl, host, country, before, after }],
+//     countries: { DE: { totals, stores: { "www.douglas.de": { new: [...], ended: [...], … } } } } }
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { classifyFeed } from './health.mjs';
+import { listSnapshots } from './history.mjs';
+import { flattenItems } from './sinks.mjs';
+import { readJson } from './util.mjs';
+
+export const CHANGE_KINDS = ['new', 'ended', 'price_down', 'price_up', 'discount_changed'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const emptyTotals = () => Object.fromEntries(CHANGE_KINDS.map(k => [k, 0]));
+
+function base(it) {
+  return { id: it.id, name: it.name, brand: it.brand, category: it.category, currency: it.currency, url: it.url };
+}
+
+// Sıralama: fiyat değişiminde büyük yüzde önce, yenilerde büyük indirim önce, diğerlerinde ada göre
+const ORDER = {
+  new: (a, b) => (b.discount_pct ?? 0) - (a.discount_pct ?? 0) || a.name.localeCompare(b.name),
+  ended: (a, b) => a.name.localeCompare(b.name),
+  price_down: (a, b) => a.delta_pct - b.delta_pct,
+  price_up: (a, b) => b.delta_pct - a.delta_pct,
+  discount_changed: (a, b) => Math.abs(b.discount_to - b.discount_from) - Math.abs(a.discount_to - a.discount_from)
+};
+
+// sourceUrl → durum (ok | error | blocked | skipped) ve ürün id → sourceUrl'leri; sourceUrl'siz eski sonuçlar her zaman karşılaştırılır
+function feedIndex(snap) {
+  const status = new Map();
+  const feedsOf = new Map();
+  for (const r of snap.results || []) {
+    if (!r.sourceUrl) continue;
+    status.set(r.sourceUrl, { status: r.ok && !r.blocked ? 'ok' : classifyFeed(r).status, host: r.host || null, country: r.country || null });
+    for (const it of flattenItems({ results: [r] })) {
+      if (!feedsOf.has(it.id)) feedsOf.set(it.id, []);
+      feedsOf.get(it.id).push(r.sourceUrl);
+    }
+  }
+  return { status, feedsOf };
+}
+
+// before/after: deals-*.json içeriği ({ date, results })
+export function diffSnapshots(before, after, { minDiscountDelta = 1 } = {}) {
+  const prev = new Map(flattenItems(before).map(it => [it.id, it]));
+  const cur = new Map(flattenItems(after).map(it => [it.id, it]));
+
+  // Yalnızca iki görüntüde de 'ok' olan feed'ler karşılaştırılabilir
+  const fb = feedIndex(before);
+  const fa = feedIndex(after);
+  const feeds = [];
+  for (const url of new Set([...fb.status.keys(), ...fa.status.keys()])) {
+    const b = fb.status.get(url);
+    const a = fa.status.get(url);
+    if (b?.status === 'ok' && a?.status === 'ok') continue;
+    feeds.push({ sourceUrl: url, host: (a || b).host, country: (a || b).country, before: b?.status ?? 'missing', after: a?.status ?? 'missing' });
+  }
+  const unstable = new Set(feeds.map(f => f.sourceUrl));
+  const comparable = (id, index) => {
+    const urls = index.feedsOf.get(id);
+    return !urls || urls.some(u => !unstable.has(u));
+  };
+
+  const countries = {};
+  const totals = emptyTotals();
+  const add = (kind, it, entry) => {
+    const c = it.country || 'UNK';
+    const country = countries[c] ||= { totals: emptyTotals(), stores: {} };
+    const store = country.stores[it.store] ||= Object.fromEntries(CHANGE_KINDS.map(k => [k, []]));
+    store[kind].push(entry);
+    country.totals[kind]++;
+    totals[kind]++;
+  };
+
+  for (const [id, it] of cur) {
+    const old = prev.get(id);
+    if (!old) {
+      if (comparable(id, fa)) add('new', it, { ...base(it), price_new: it.price_new, price_old: it.price_old, discount_pct: it.discount_pct });
+      continue;
+    }
+    if (old.currency === it.currency && old.price_new != null && it.price_new != null && round2(it.price_new - old.price_new) !== 0) {
+      const delta = round2(it.price_new - old.price_new);
+      add(delta < 0 ? 'price_down' : 'price_up', it, {
+        ...base(it), price_from: old.price_new, price_to: it.price_new, delta,
+        delta_pct: round2((delta / old.price_new) * 100), discount_pct: it.discount_pct
+      });
+    }
+    const dFrom = old.discount_pct ?? 0;
+    const dTo = it.discount_pct ?? 0;
+    if (Math.abs(dTo - dFrom) >= minDiscountDelta) {
+      add('discount_changed', it, { ...base(it), discount_from: old.discount_pct, discount_to: it.discount_pct, price_new: it.price_new });
+    }
+  }
+  for (const [id, old] of prev) {
+    if (!cur.has(id) && comparable(id, fb)) add('ended', old, { ...base(old), price_new: old.price_new, discount_pct: old.discount_pct });
+  }
+
+  // Kararlı çıktı: ülke ve mağaza adına göre, listeler ORDER'a göre
+  const sorted = Object.fromEntries(Object.keys(countries).sort().map(c => [c, {
+    totals: countries[c].totals,
+    stores: Object.fromEntries(Object.keys(countries[c].stores).sort().map(s => {
+      const lists = countries[c].stores[s];
+      return [s, Object.fromEntries(CHANGE_KINDS.map(k => [k, lists[k].sort(ORDER[k])]))];
+    }))
+  }]));
+  feeds.sort((a, b) => a.sourceUrl.localeCompare(b.sourceUrl));
+  return { from: before.date ?? null, to: after.date ?? null, totals, feeds, countries: sorted };
+}
+
+export function changesSummary(changes) {
+  const t = changes.totals;
+  const skipped = changes.feeds?.length ? ` (${changes.feeds.length} feed iki günde de başarılı değil, yeni/biten sayılmadı)` : '';
+  return `${changes.from} → ${changes.to}: ${t.new} yeni, ${t.ended} biten, ${t.price_down} fiyatı düşen, ${t.price_up} fiyatı artan, ${t.discount_changed} indirimi değişen${skipped}`;
+}
+
+// data/deals-DAY.json; yoksa hata (CLI'da hangi günlerin olduğunu göstermek için)
+export async function loadSnapshot(dataDir, day) {
+  const snap = await readJson(path.join(dataDir, `deals-${day}.json`));
+  if (!snap) {
+    const days = (await listSnapshots(dataDir)).map(s => s.day);
+    throw new Error(`${day} için anlık görüntü yok (mevcut: ${days.length ? `${days[0]} … ${days[days.length - 1]}` : 'hiç'})`);
+  }
+  return { ...snap, date: snap.date || day };
+}
+
+// day'den önceki en son anlık görüntünün günü (yoksa null)
+export async function previousSnapshotDay(dataDir, day) {
+  return (await listSnapshots(dataDir)).map(s => s.day).filter(d => d < day).pop() ?? null;
+}
+
+// Gece çalışması: changes-DAY.json ; iki rastgele gün: changes-FROM_TO.json
+export async function writeChanges(changes, dir, name = `changes-${changes.to}.json`) {
+  const file = path.join(dir, name);
+  await fs.writeFile(file, JSON.stringify(changes, null, 2), 'utf8');
+  return file;
+}
@@ -0,0 +1,49 @@
+// lib/country.mjs — Ülke çözümleyici: TLD + .com override + path/language ipuçları
+
+import { overrideFor } from './overrides.mjs';
+
+const TLD_MAP = { de:'DE', tr:'TR', fr:'FR', it:'IT', es:'ES', nl:'NL', be:'BE', at:'AT', ch:'CH',
+                  pl:'PL', cz:'CZ', sk:'SK', hu:'HU', ro:'RO', bg:'BG', gr:'GR', pt:'PT',
+                  dk:'DK', se:'SE', no:'NO', fi:'FI', ie:'IE', uk:'UK', co:'UK' };
+
+const HOST_OVERRIDE = {
+  'gratis.com': 'TR', 'boyner.com.tr': 'TR', 'sevil.com.tr': 'TR',
+  'perfumesclub.com': 'ES', 'parfumdo.com': 'FR',
+  'lookfantastic.com': 'UK', 'cultbeauty.co.uk': 'UK', 'beautybay.com': 'UK',
+  'boots.com': 'UK', 'spacenk.com': 'UK',
+  'cimri.com': 'TR', 'akakce.com': 'TR',
+  'trendyol.com': 'TR', 'hepsiburada.com': 'TR', 'n11.com': 'TR'
+};
+
+const CURRENCY_BY_COUNTRY = {
+  TR:'TRY', DE:'EUR', FR:'EUR', IT:'EUR', ES:'EUR', NL:'EUR', BE:'EUR', AT:'EUR', CH:'CHF',
+  PL:'PLN', CZ:'CZK', SK:'EUR', HU:'HUF', RO:'RON', BG:'BGN', GR:'EUR', PT:'EUR',
+  DK:'DKK', SE:'SEK', NO:'NOK', FI:'EUR', IE:'EUR', UK:'GBP'
+};
+
+// overrides: feeds/overrides.json içeriği (country anahtarı her şeyin önüne geçer)
+export function resolveCountry(url, overrides = {}) {
+  try {
+    const u = new URL(url);
+    const host = u.hostname.replace(/^www\./,'').toLowerCase();
+    const pathLow = u.pathname.toLowerCase();
+    const tld = host.split('.').pop();
+
+    const ov = overrideFor(overrides, host);
+    if (ov.country) return ov.country;
+    if (HOST_OVERRIDE[host]) return HOST_OVERRIDE[host];
+
+    if (host.endsWith('primor.eu') && pathLow.includes('/es_es/')) return 'ES';
+    if (host.endsWith('kikocosmetics.com') && pathLow.includes('/it-it/')) return 'IT';
+    if (host.endsWith('sephora.co.uk') && (pathLow.includes('/gb/en') || pathLow.includes('/en-gb'))) return 'UK';
+    if (host.endsWith('gratis.com') && pathLow.includes('/kampanyalar')) return 'TR';
+
+    return TLD_MAP[tld] || 'UNK';
+  } catch {
+    return 'UNK';
+  }
+}
+
+export function defaultCurrencyForCountry(country) {
+  return CURRENCY_BY_COUNTRY[country] || null;
+}
@@ -0,0 +1,89 @@
+// lib/currency.mjs — EUR'ya çevirme (çevrimdışı kur tabloları)
+// Kurlar rates/*.xml dosyalarından okunur (ECB eurofxref biçimi: günlük, 90 günlük veya tam geçmiş).
+// Dosyalar ayrı bir adımda yenilenir (scripts/update-rates.mjs); bot çalışırken ağa çıkılmaz.
+// Bir gün için kur yoksa o günden önceki en son kur, o da yoksa bilinen en son kur kullanılır.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { XMLParser } from 'fast-xml-parser';
+
+const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@_', removeNSPrefix: true });
+
+// ECB XML metni → [{ date, rates: { USD: 1.16, ... } }]
+export function parseEcbXml(xml) {
+  const doc = parser.parse(xml);
+  const days = [].concat(doc?.Envelope?.Cube?.Cube || []);
+  return days
+    .map(d => ({
+      date: d['@_time'],
+      rates: Object.fromEntries([].concat(d.Cube || [])
+        .map(c => [c['@_currency'], Number(c['@_rate'])])
+        .filter(([cur, r]) => cur && Number.isFinite(r) && r > 0))
+    }))
+    .filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d.date || ''));
+}
+
+// rates/ klasöründeki tüm XML'ler → { currency -> [{ date, rate }] (tarih sıralı) }
+export async function loadRates(dir) {
+  const table = new Map();
+  let names = [];
+  try {
+    names = (await fs.readdir(dir)).filter(n => n.endsWith('.xml'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  for (const n of names) {
+    let days;
+    try {
+      days = parseEcbXml(await fs.readFile(path.join(dir, n), 'utf8'));
+    } catch (e) {
+      console.warn(`[warn] ${n} kur dosyası okunamadı: ${e.message}`);
+      continue;
+    }
+    for (const { date, rates } of days) {
+      for (const [cur, rate] of Object.entries(rates)) {
+        if (!table.has(cur)) table.set(cur, new Map());
+        table.get(cur).set(date, rate);
+      }
+    }
+  }
+  const out = new Map();
+  for (const [cur, byDate] of table) {
+    out.set(cur, Array.from(byDate, ([date, rate]) => ({ date, rate })).sort((a, b) => a.date.localeCompare(b.date)));
+  }
+  return out;
+}
+
+// 1 EUR = rate <currency>; gün için en uygun kayıt (yoksa null)
+export function rateFor(rates, currency, day) {
+  if (!currency) return null;
+  if (currency === 'EUR') return { rate: 1, date: null };
+  const list = rates?.get(currency);
+  if (!list?.length) return null;
+  let pick = null;
+  for (const r of list) {
+    if (!day || r.date <= day) pick = r;
+    else break;
+  }
+  return pick || list[list.length - 1];
+}
+
+const round2 = v => Math.round(v * 100) / 100;
+
+export function toEur(amount, currency, rates, day) {
+  if (!Number.isFinite(amount)) return null;
+  const r = rateFor(rates, currency, day);
+  return r ? round2(amount / r.rate) : null;
+}
+
+// Ürüne price_new_eur / price_old_eur / fx_rate / fx_date ekler
+export function withEur(it, rates, day) {
+  const r = rateFor(rates, it.currency, day);
+  return {
+    ...it,
+    price_new_eur: r && Number.isFinite(it.price_new) ? round2(it.price_new / r.rate) : null,
+    price_old_eur: r && Number.isFinite(it.price_old) ? round2(it.price_old / r.rate) : null,
+    fx_rate: r ? r.rate : null,
+    fx_date: r ? r.date : null
+  };
+}
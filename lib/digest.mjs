@@ -0,0 +1,182 @@
+// lib/digest.mjs — "Günün fırsatları" özeti (editörler için elle seçim gerektirmeyen günlük BeautyDrop)
+// rankResults (lib/ranking.mjs) sonrası sonuç ağacından:
+//   data/digest-YYYY-MM-DD.json  ← { date, top, countries: { DE: [...] }, categories: { perfume: [...] }, totals }
+//   data/digest-YYYY-MM-DD.md    ← yayına hazır Markdown
+//   data/digest-YYYY-MM-DD.html  ← tek dosya, harici kaynak yok (e-posta / CMS'e yapıştırılabilir)
+// Listeye yalnızca stokta olabilecek, en az minDiscount indirimli ürünler girer; aynı ürün (product_key ve eşleşen
+// product_id) bir kez, aynı mağazadan en fazla maxPerStore ürün alınır ki tek mağaza listeyi doldurmasın.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { resolveRanking } from './ranking.mjs';
+import { normAvailability } from './variants.mjs';
+
+const CATEGORY_LABELS = { makeup: 'Makyaj', perfume: 'Parfüm', skin: 'Cilt bakımı', hair: 'Saç', body: 'Vücut', tools: 'Aksesuar', mixed: 'Karışık' };
+
+function entry(it, r) {
+  return {
+    id: it.product_key || null,
+    product_id: it.product_id ?? null,
+    name: it.name,
+    brand: it.brand || null,
+    store: it.store,
+    country: it.country || r.country || null,
+    category: it.category || 'mixed',
+    subtype: it.subtype || null,
+    currency: it.currency || null,
+    price_new: it.price_new,
+    price_old: it.price_old ?? null,
+    discount_pct: it.discount_pct ?? null,
+    true_discount_pct: it.history?.true_discount_pct ?? null,
+    low_30d: it.history?.low_30d ?? null,
+    price_new_eur: it.price_new_eur ?? null,
+    score: it.deal_score,
+    score_parts: it.score_parts || null,
+    url: it.url,
+    image: it.image || null
+  };
+}
+
+// Puan sırasındaki listeden n ürün: aynı ürün bir kez, mağaza başına en fazla maxPerStore
+function curate(deals, n, maxPerStore) {
+  const out = [];
+  const perStore = new Map();
+  const products = new Set();
+  for (const d of deals) {
+    if (out.length >= n) break;
+    const pid = d.product_id || d.id || d.url;
+    if (products.has(pid) || (perStore.get(d.store) || 0) >= maxPerStore) continue;
+    products.add(pid);
+    perStore.set(d.store, (perStore.get(d.store) || 0) + 1);
+    out.push(d);
+  }
+  return out;
+}
+
+function groupBy(list, key) {
+  const m = new Map();
+  for (const d of list) {
+    const k = d[key] || 'UNK';
+    if (!m.has(k)) m.set(k, []);
+    m.get(k).push(d);
+  }
+  return new Map(Array.from(m).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+export function buildDigest(out, conf = resolveRanking(), { day = out.date, topN = conf.topN } = {}) {
+  const best = new Map();
+  for (const r of out.results || []) {
+    for (const it of r.items || []) {
+      if (it.deal_score == null) continue;
+      if (normAvailability(it.availability) === 'out_of_stock') continue;
+      if (Math.max(it.discount_pct ?? 0, it.history?.true_discount_pct ?? 0) < conf.minDiscount) continue;
+      const d = entry(it, r);
+      const k = d.id || d.url;
+      if (!best.has(k) || best.get(k).score < d.score) best.set(k, d);
+    }
+  }
+  const deals = Array.from(best.values())
+    .sort((a, b) => b.score - a.score || (b.discount_pct ?? 0) - (a.discount_pct ?? 0) || String(a.name).localeCompare(String(b.name)));
+
+  const pickTop = (list) => curate(list, topN, conf.maxPerStore);
+  return {
+    date: day,
+    generatedAt: new Date().toISOString(),
+    topN,
+    totals: { deals: deals.length, stores: new Set(deals.map(d => d.store)).size },
+    top: pickTop(deals),
+    countries: Object.fromEntries(Array.from(groupBy(deals, 'country'), ([k, list]) => [k, pickTop(list)])),
+    categories: Object.fromEntries(Array.from(groupBy(deals, 'category'), ([k, list]) => [k, pickTop(list)]))
+  };
+}
+
+// ===== Biçimlendirme =====
+const money = (v, cur) => (v == null ? '-' : `${v.toFixed(2)} ${cur || ''}`.trim());
+const categoryLabel = (c) => CATEGORY_LABELS[c] || c;
+
+function discountText(d) {
+  const parts = [];
+  if (d.discount_pct != null) parts.push(`-%${Math.round(d.discount_pct)}`);
+  if (d.true_discount_pct) parts.push(`30 günün en düşüğüne göre -%${Math.round(d.true_discount_pct)}`);
+  return parts.join(' · ') || '-';
+}
+
+function mdTable(list) {
+  const esc = (s) => String(s ?? '').replace(/\|/g, '\\|').replace(/[[\]]/g, '\\$&');
+  const lines = ['| # | Ürün | Mağaza | Fiyat | İndirim | Puan |', '|---:|---|---|---:|---|---:|'];
+  list.forEach((d, i) => {
+    const name = `${d.brand ? `**${esc(d.brand)}** ` : ''}[${esc(d.name)}](${d.url})`;
+    const price = `${money(d.price_new, d.currency)}${d.price_old != null ? ` ~~${money(d.price_old, d.currency)}~~` : ''}`;
+    lines.push(`| ${i + 1} | ${name} | ${esc(d.store)} | ${price} | ${discountText(d)} | ${d.score} |`);
+  });
+  return lines;
+}
+
+export function digestMarkdown(digest) {
+  const lines = [`# BeautyDrop — Günün fırsatları (${digest.date})`, '', `${digest.totals.deals} fırsat, ${digest.totals.stores} mağaza.`, ''];
+  if (!digest.top.length) return [...lines, '_Bugün eşiği geçen fırsat yok._', ''].join('\n');
+  lines.push('## Öne çıkanlar', '', ...mdTable(digest.top), '');
+  lines.push('## Ülkeler', '');
+  for (const [c, list] of Object.entries(digest.countries)) lines.push(`### ${c}`, '', ...mdTable(list), '');
+  lines.push('## Kategoriler', '');
+  for (const [c, list] of Object.entries(digest.categories)) lines.push(`### ${categoryLabel(c)}`, '', ...mdTable(list), '');
+  return lines.join('\n');
+}
+
+const html = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function htmlList(list) {
+  return `<ol class="deals">\n${list.map(d => `  <li>
+    ${d.image ? `<img src="${html(d.image)}" alt="" loading="lazy">` : '<span class="noimg"></span>'}
+    <div class="info">
+      <a href="${html(d.url)}">${d.brand ? `<b>${html(d.brand)}</b> ` : ''}${html(d.name)}</a>
+      <div class="meta">${html(d.store)} · ${html(d.country || '')} · ${html(categoryLabel(d.category))}</div>
+    </div>
+    <div class="price"><b>${html(money(d.price_new, d.currency))}</b>${d.price_old != null ? ` <s>${html(money(d.price_old, d.currency))}</s>` : ''}
+      <div class="off">${html(discountText(d))}</div></div>
+    <div class="score" title="${html(JSON.stringify(d.score_parts || {}))}">${d.score}</div>
+  </li>`).join('\n')}\n</ol>`;
+}
+
+export function digestHtml(digest) {
+  const sections = [];
+  if (digest.top.length) {
+    sections.push(`<h2>Öne çıkanlar</h2>\n${htmlList(digest.top)}`);
+    for (const [c, list] of Object.entries(digest.countries)) sections.push(`<h2>${html(c)}</h2>\n${htmlList(list)}`);
+    for (const [c, list] of Object.entries(digest.categories)) sections.push(`<h2>${html(categoryLabel(c))}</h2>\n${htmlList(list)}`);
+  } else {
+    sections.push('<p><i>Bugün eşiği geçen fırsat yok.</i></p>');
+  }
+  return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>BeautyDrop — Günün fırsatları (${html(digest.date)})</title>
+<style>
+  body { font: 15px/1.45 system-ui, sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+  h1 { font-size: 1.6rem; } h2 { margin-top: 2rem; border-bottom: 1px solid #eee; padding-bottom: .3rem; }
+  ol.deals { list-style: none; padding: 0; }
+  ol.deals li { display: flex; gap: .8rem; align-items: center; padding: .5rem 0; border-bottom: 1px solid #f3f3f3; }
+  ol.deals img, .noimg { width: 56px; height: 56px; object-fit: contain; flex: none; }
+  .info { flex: 1; } .info a { color: inherit; text-decoration: none; } .meta { color: #888; font-size: .85rem; }
+  .price { text-align: right; white-space: nowrap; } .price s { color: #999; } .off { color: #c2185b; font-size: .85rem; }
+  .score { width: 3rem; text-align: right; font-weight: 600; color: #555; }
+</style>
+</head>
+<body>
+<h1>BeautyDrop — Günün fırsatları (${html(digest.date)})</h1>
+<p>${digest.totals.deals} fırsat, ${digest.totals.stores} mağaza.</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+export async function writeDigest(digest, dir) {
+  const base = path.join(dir, `digest-${digest.date}`);
+  await fs.writeFile(`${base}.json`, JSON.stringify(digest, null, 2), 'utf8');
+  await fs.writeFile(`${base}.md`, digestMarkdown(digest), 'utf8');
+  await fs.writeFile(`${base}.html`, digestHtml(digest), 'utf8');
+  return [`${base}.json`, `${base}.md`, `${base}.html`];
+}
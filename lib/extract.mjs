@@ -0,0 +1,229 @@
+// lib/extract.mjs — HTML'den ürün çıkarımı (tarayıcısız: ld+json, OpenGraph)
+// Ürün biçimi: { source, name, brand, price_new, price_old, discount_pct, currency, availability, unit_price, volume, url, image, store, country }
+// ld+json ürünlerinde ek olarak: shade, price_range, variants: [{ name, shade, size, price_new, …, availability, url, gtin, sku }]
+
+import { sha1, trim, computeDiscount } from './util.mjs';
+import { parseNumberLocalized, detectCurrencyFromText, volumeOf } from './price.mjs';
+import { normAvailability, pickHeadline } from './variants.mjs';
+
+function safeJsonParse(txt) { try { return JSON.parse(txt); } catch { return null; } }
+
+export function ldJsonNodes(html) {
+  const out = [];
+  const re = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    const obj = safeJsonParse(m[1].trim());
+    if (!obj) continue;
+    for (const node of (Array.isArray(obj) ? obj : [obj])) {
+      if (!node || typeof node !== 'object') continue;
+      out.push(...(Array.isArray(node['@graph']) ? node['@graph'] : [node]));
+    }
+  }
+  return out;
+}
+export function ldTypes(g) { return [].concat(g?.['@type'] || []).map(t => String(t).toLowerCase()); }
+
+// BreadcrumbList → ['Parfüm', 'Damen', 'Eau de Parfum']
+export function extractBreadcrumbs(graphs) {
+  for (const g of graphs) {
+    if (!ldTypes(g).includes('breadcrumblist')) continue;
+    const list = [].concat(g.itemListElement || [])
+      .sort((a, b) => (Number(a?.position) || 0) - (Number(b?.position) || 0))
+      .map(el => el?.name || el?.item?.name || '')
+      .map(n => String(n).trim())
+      .filter(Boolean);
+    if (list.length) return list;
+  }
+  return [];
+}
+
+// gtin13/gtin14/gtin12/gtin8/gtin, sku, mpn (teklif düzeyindeki değer ürün düzeyindekini ezer)
+export function ldIdentifiers(node, base = {}) {
+  const pick = (...keys) => {
+    for (const k of keys) {
+      const v = node?.[k];
+      if (v != null && String(v).trim()) return String(v).trim();
+    }
+    return null;
+  };
+  return {
+    gtin: pick('gtin13', 'gtin14', 'gtin12', 'gtin8', 'gtin', 'ean') ?? base.gtin ?? null,
+    sku: pick('sku') ?? base.sku ?? null,
+    mpn: pick('mpn') ?? base.mpn ?? null
+  };
+}
+
+// UN/CEFACT birim kodları (schema.org unitCode)
+const UNIT_CODES = { MLT: 'ml', LTR: 'l', GRM: 'g', KGM: 'kg', C62: 'pcs', H87: 'pcs' };
+
+// UnitPriceSpecification → { value, currency, per, unit }
+function ldUnitPrice(spec, currency, country) {
+  if (!spec) return null;
+  const q = spec.referenceQuantity || {};
+  const unit = UNIT_CODES[String(q.unitCode || '').toUpperCase()] || String(q.unitText || '').toLowerCase() || null;
+  const value = typeof spec.price === 'number' ? spec.price : parseNumberLocalized(spec.price, { currency: spec.priceCurrency || currency, country });
+  if (value == null || !unit) return null;
+  return { value, currency: spec.priceCurrency || currency || null, per: Number(q.value) || 1, unit };
+}
+
+const ldArr = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+const ldImage = (g) => {
+  const img = Array.isArray(g?.image) ? g.image[0] : g?.image;
+  return (img && typeof img === 'object' ? img.url || img.contentUrl : img) || '';
+};
+
+// AggregateOffer.offers açılır (teklif başına bir varyant); alt teklif para birimini üstten alabilir
+function ldOffers(node) {
+  return ldArr(node?.offers).filter(o => o && typeof o === 'object').flatMap(o =>
+    (o.offers ? ldArr(o.offers).filter(x => x && typeof x === 'object').map(x => ({ priceCurrency: o.priceCurrency, ...x })) : [o]));
+}
+
+// Teklif → fiyat alanları. AggregateOffer'da lowPrice/highPrice eski fiyat değil, varyantların fiyat aralığıdır.
+function ldOfferPrices(ofr, country) {
+  const curr = ofr.priceCurrency || null;
+  const num  = (v) => (typeof v === 'number' ? v : parseNumberLocalized(v, { currency: curr, country }));
+  const aggregate = ldTypes(ofr).includes('aggregateoffer');
+  const pNew = num(ofr.price ?? ofr.lowPrice ?? ofr.highPrice ?? null);
+
+  // priceSpecification: ListPrice/StrikethroughPrice → eski fiyat, referenceQuantity'li → birim fiyat
+  const specs    = [].concat(ofr.priceSpecification || []).filter(sp => sp && typeof sp === 'object');
+  const listSpec = specs.find(sp => /ListPrice|StrikethroughPrice|MSRP|SRP/i.test(String(sp.priceType || '')));
+  const unitSpec = specs.find(sp => sp.referenceQuantity);
+  const restSpec = specs.find(sp => sp !== unitSpec);
+  const pOld = num(ofr.listPrice ?? listSpec?.price ?? (aggregate ? null : ofr.highPrice) ?? restSpec?.price ?? null);
+  const high = aggregate ? num(ofr.highPrice ?? null) : null;
+
+  const price_old = (pNew != null && pOld != null && pOld > pNew) ? pOld : null;
+  return {
+    price_new: pNew ?? null, price_old, discount_pct: computeDiscount(pNew ?? null, price_old),
+    currency: curr, availability: normAvailability(ofr.availability), unit_price: ldUnitPrice(unitSpec, curr, country),
+    ...(pNew != null && high > pNew ? { price_range: { min: pNew, max: high } } : {})
+  };
+}
+
+// size: "50 ml" | { value: 50, unitCode: "MLT" } ; yoksa addan
+function ldSize(size, name) {
+  if (size && typeof size === 'object') {
+    const unit = UNIT_CODES[String(size.unitCode || '').toUpperCase()] || String(size.unitText || '').toLowerCase();
+    if (Number(size.value) > 0 && unit) return { value: Number(size.value), unit };
+  } else if (size != null && volumeOf(String(size))) {
+    return volumeOf(String(size));
+  }
+  return volumeOf(name) || null;
+}
+
+const SHADE_PROP = /colou?r|shade|farbe|teinte|nuance|tonalit|tono|renk|odcień|odstín|árnyalat|nuanț/i;
+function ldShade(...nodes) {
+  for (const n of nodes) {
+    if (!n || typeof n !== 'object') continue;
+    const prop = ldArr(n.additionalProperty).find(p => SHADE_PROP.test(String(p?.name || '')));
+    const v = n.color || prop?.value;
+    if (v) return trim(String(v), 80);
+  }
+  return null;
+}
+
+// Varyant satırı: node = ProductGroup.hasVariant elemanı (yoksa null), ofr = teklif (yoksa null)
+function ldVariant(node, ofr, base) {
+  const item = ofr?.itemOffered && typeof ofr.itemOffered === 'object' ? ofr.itemOffered : null;
+  const name = trim(node?.name || item?.name || ofr?.name || base.name, 180);
+  const prices = ofr ? ldOfferPrices(ofr, base.country)
+    : { price_new: null, price_old: null, discount_pct: null, currency: null, availability: null, unit_price: null };
+  return {
+    name,
+    shade: ldShade(node, item, ofr),
+    size: ldSize(node?.size ?? item?.size ?? ofr?.size, name),
+    ...prices,
+    url: ofr?.url || node?.url || base.url,
+    image: ldImage(node) || base.image,
+    ...ldIdentifiers(ofr || {}, ldIdentifiers(item || {}, ldIdentifiers(node || {}, base.ids)))
+  };
+}
+
+// Product → teklif başına değil ürün başına bir satır; ProductGroup (hasVariant / isVariantOf) → tek satır.
+// Manşet alanları (fiyat, stok, url, kimlikler) stoktaki en ucuz varyanttan; birden çok varyant varsa "variants".
+export function extractFromLdJson(html, baseUrl, host, country) {
+  const items = [];
+  const graphs = ldJsonNodes(html);
+  const breadcrumbs = extractBreadcrumbs(graphs);
+  const groups = graphs.filter(g => ldTypes(g).includes('productgroup'));
+  // @graph içinde ayrı duran varyant: isVariantOf { @id } veya inProductGroupWithID ile gruba bağlanır
+  const groupOf = (p) => groups.find(gr => p !== gr && (
+    (gr['@id'] && (p.isVariantOf?.['@id'] ?? p.isVariantOf) === gr['@id']) ||
+    (gr.productGroupID && p.inProductGroupWithID === gr.productGroupID)));
+
+  for (const g of graphs) {
+    const types = ldTypes(g);
+    const isGroup = types.includes('productgroup');
+    if (!isGroup && (!types.includes('product') || groupOf(g))) continue;
+
+    const name  = g.name || '';
+    const brand = typeof g.brand === 'object' ? (g.brand?.name || '') : (g.brand || '');
+    const base  = { name, image: ldImage(g), url: g.url || baseUrl, ids: ldIdentifiers(g), country };
+
+    const variantNodes = isGroup
+      ? [...ldArr(g.hasVariant).filter(v => v && typeof v === 'object'), ...graphs.filter(p => ldTypes(p).includes('product') && groupOf(p) === g)]
+      : [];
+    const rows = variantNodes.length
+      ? variantNodes.flatMap(v => (ldOffers(v).length ? ldOffers(v).map(o => ldVariant(v, o, base)) : [ldVariant(v, null, base)]))
+      : (ldOffers(g).length ? ldOffers(g).map(o => ldVariant(null, o, base)) : [ldVariant(null, null, base)]);
+    const head = pickHeadline(rows);
+
+    items.push({
+      source: 'ldjson',
+      name: trim(variantNodes.length ? head.name : name, 180), brand: trim(brand, 80),
+      price_new: head.price_new, price_old: head.price_old, discount_pct: head.discount_pct,
+      currency: head.currency, availability: head.availability, unit_price: head.unit_price,
+      volume: head.size ?? volumeOf(name),
+      ...(head.shade ? { shade: head.shade } : {}),
+      ...(head.price_range ? { price_range: head.price_range } : {}),
+      url: head.url, image: head.image, gtin: head.gtin, sku: head.sku, mpn: head.mpn,
+      store: host, country, breadcrumbs,
+      ...(rows.length > 1 ? { variants: rows } : {})
+    });
+  }
+  return items;
+}
+
+export function extractFromOg(html, baseUrl, host, country) {
+  const out = [];
+  const amt   = html.match(/<meta[^>]+property=["']product:price:amount["'][^>]*content=["']([^"']+)["']/i);
+  const curr  = html.match(/<meta[^>]+property=["']product:price:currency["'][^>]*content=["']([^"']+)["']/i);
+  const title = html.match(/<meta[^>]+property=["']og:title["'][^>]*content=["']([^"']+)["']/i);
+  const img   = html.match(/<meta[^>]+property=["']og:image["'][^>]*content=["']([^"']+)["']/i);
+  if (amt) {
+    const currency = (curr && curr[1]) ? curr[1] : detectCurrencyFromText(amt[1]);
+    const priceNewNum = parseNumberLocalized(amt[1], { currency, country });
+    out.push({
+      source: 'og',
+      name: trim(title?.[1] || '', 180),
+      brand: null,
+      price_new: priceNewNum,
+      price_old: null,
+      discount_pct: null,
+      currency,
+      availability: null,
+      unit_price: null,
+      volume: volumeOf(title?.[1]),
+      url: baseUrl,
+      image: img?.[1] || null,
+      store: host,
+      country
+    });
+  }
+  return out;
+}
+
+// ad + url + fiyat + para birimi aynıysa tekrar
+export function dedupe(items) {
+  const seen = new Set();
+  const out  = [];
+  for (const it of items) {
+    const key = sha1(`${(it.name||'').toLowerCase()}|${it.url}|${it.price_new ?? ''}|${it.currency ?? ''}`);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(it);
+  }
+  return out;
+}
@@ -0,0 +1,127 @@
+// lib/feeds.mjs — feeds/beautydrop-feeds.txt ayrıştırıcı
+// Düz URL listesi eskisi gibi çalışır; ek olarak satır bazlı meta veri desteklenir:
+//
+//   # GERMANY (DE)                         ← bölüm başlığı: country=DE, önceki #@ varsayılanları sıfırlanır
+//   #@ type=marketplace category=mixed     ← bu bölümde sonraki satırların varsayılanları
+//   https://www.douglas.de/de/c/sale/010100 category=perfume priority=2 tags=sale,douglas
+//   rss https://ornek.de/deals.rss          ← biçim (rss|atom|merchant|xml) satır başında veya format=
+//   https://www.dm.de/angebote disabled     ← atlanır (raporlanır)
+//
+// Anahtarlar: country, category, type, priority, tags, format, disabled.
+// Bilinmeyen anahtar / geçersiz değer satır numarasıyla hata verir.
+
+import { COUNTRIES } from './util.mjs';
+import { XML_FEED_KINDS, looksLikeXmlFeed } from './xmlfeed.mjs';
+
+export const FEED_CATEGORIES = ['makeup', 'perfume', 'skin', 'hair', 'body', 'tools', 'mixed'];
+export const RETAILER_TYPES = ['store', 'marketplace', 'aggregator'];
+const FORMATS = ['html', ...XML_FEED_KINDS];
+
+const DEFAULTS = { country: null, category: null, type: 'store', priority: 0, tags: [], format: null, disabled: false };
+
+const oneOf = (list, key, v) => (list.includes(v) ? { value: v } : { error: `${key}: ${list.join('|')} bekleniyordu, gelen "${v}"` });
+
+// key=value → { value } | { error }
+function parseAttr(key, value) {
+  switch (key) {
+    case 'country': return oneOf(COUNTRIES, key, String(value).toUpperCase());
+    case 'category': return oneOf(FEED_CATEGORIES, key, value);
+    case 'type': return oneOf(RETAILER_TYPES, key, value);
+    case 'format': return oneOf(FORMATS, key, value);
+    case 'priority':
+      return /^-?\d+$/.test(value) ? { value: Number(value) } : { error: `priority: tam sayı bekleniyordu, gelen "${value}"` };
+    case 'tags':
+      return { value: String(value).split(',').map(t => t.trim()).filter(Boolean) };
+    case 'disabled':
+      return { value: value === true || ['true', '1', 'yes'].includes(value) };
+    default:
+      return { error: `bilinmeyen anahtar "${key}"` };
+  }
+}
+
+// "category=perfume priority=2 disabled" → { attrs, errors }
+function parseAttrs(str) {
+  const attrs = {};
+  const errors = [];
+  for (const tok of String(str || '').split(/\s+/).filter(Boolean)) {
+    const eq = tok.indexOf('=');
+    const key = (eq === -1 ? tok : tok.slice(0, eq)).toLowerCase();
+    if (eq === -1 && key !== 'disabled') { errors.push(`"${tok}" key=value biçiminde değil`); continue; }
+    const { value, error } = parseAttr(key, eq === -1 ? true : tok.slice(eq + 1));
+    if (error) errors.push(error);
+    else attrs[key] = value;
+  }
+  return { attrs, errors };
+}
+
+const SECTION_RE = /^#+\s*[^@=].*\(([A-Z]{2})\)/;
+
+// txt → [{ url, kind, country, category, type, priority, tags, disabled, line }]
+export function parseFeedsTxt(txt) {
+  const feeds = [];
+  const errors = [];
+  let defaults = { ...DEFAULTS };
+
+  const lines = String(txt || '').split(/\r?\n/);
+  lines.forEach((raw, i) => {
+    const lineNo = i + 1;
+    let l = (raw || '').trim();
+    if (!l) return;
+
+    const sec = l.match(SECTION_RE);
+    if (sec && COUNTRIES.includes(sec[1])) {
+      defaults = { ...DEFAULTS, country: sec[1] };
+      return;
+    }
+    if (l.startsWith('#@')) {
+      const { attrs, errors: errs } = parseAttrs(l.slice(2));
+      errs.forEach(e => errors.push(`satır ${lineNo}: ${e}`));
+      defaults = { ...defaults, ...attrs };
+      return;
+    }
+
+    l = l.replace(/\s+#.*$/, '').replace(/\s+\/\/.*$/, '').trim();
+    if (!l || l.startsWith('#') || l.startsWith('//')) return;
+    const m = l.match(/https?:\/\/\S+/i);
+    if (!m) return;
+
+    const prefix = l.slice(0, m.index).trim().toLowerCase();
+    const { attrs, errors: errs } = parseAttrs(l.slice(m.index + m[0].length));
+    errs.forEach(e => errors.push(`satır ${lineNo}: ${e}`));
+
+    const meta = { ...defaults, ...attrs };
+    const format = XML_FEED_KINDS.includes(prefix) ? prefix : meta.format;
+    const kind = format || (looksLikeXmlFeed(m[0]) ? 'xml' : 'html');
+    feeds.push({
+      url: m[0],
+      kind,
+      country: meta.country,
+      category: meta.category,
+      type: meta.type,
+      priority: meta.priority,
+      tags: meta.tags,
+      disabled: meta.disabled,
+      line: lineNo
+    });
+  });
+
+  if (errors.length) {
+    throw new Error(`feeds dosyası geçersiz:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const seen = new Set();
+  return feeds.filter(f => {
+    if (seen.has(f.url)) return false;
+    seen.add(f.url);
+    return true;
+  });
+}
+
+// Etkin feed'ler öncelik sırasıyla (yüksek önce, eşitlikte dosya sırası)
+export function activeFeeds(feeds) {
+  return feeds
+    .filter(f => !f.disabled)
+    .map((f, i) => [f, i])
+    .sort((a, b) => (b[0].priority - a[0].priority) || (a[1] - b[1]))
+    .map(([f]) => f);
+}
@@ -0,0 +1,153 @@
+// lib/health.mjs — Çalışma sağlığı raporu ve gerileme alarmları
+// "ok: true" yalnızca "istisna yok" demek; 0 ürünlü bir feed de ok görünür. Bu modül her feed'i sınıflandırır:
+// - ok       : ürün var, son günlerin ortalamasına yakın
+// - empty    : hata yok ama 0 ürün
+// - degraded : ürün sayısı önceki data/ anlık görüntülerindeki ortalamaya göre %X'ten fazla düştü
+// - error    : istisna (timeout, DNS, …)
+// - blocked  : captcha, 403, erişim engeli veya consent duvarı
+// - skipped  : robots.txt yasağı veya host günlük bütçesi (bilinçli atlama; başarısızlık oranına sayılmaz)
+// Sonuç data/health-latest.json + data/health-latest.md olarak yazılır; eşikler aşılırsa pass=false.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { listSnapshots } from './history.mjs';
+
+export const HEALTH_STATUSES = ['ok', 'empty', 'degraded', 'error', 'blocked', 'skipped'];
+
+const BLOCK_RE = /\b403\b|\b429\b|captcha|access denied|zugriff verweigert|acceso denegado|cloudflare|datadome|perimeterx|akamai|bot detection|are you a robot|consent wall|just a moment/i;
+
+export const DEFAULT_THRESHOLDS = {
+  degradePct: 50,   // ortalamaya göre bu yüzdeden fazla düşüş → degraded
+  window: 7,        // ortalama için kaç önceki gün
+  maxBadPct: 50,    // empty + error + blocked oranı (%) bunu aşarsa başarısız
+  maxDegradedPct: 30, // degraded feed oranı (%) bunu aşarsa başarısız (yaygın bir selector/şablon kırılması)
+  minItems: 1       // toplam ürün bunun altındaysa başarısız
+};
+
+// CLI bayrağı → eşik ve kabul edilen değer; "abc" NaN olup her karşılaştırmayı sessizce geçirmesin
+const THRESHOLD_FLAGS = {
+  healthDegradePct: ['degradePct', v => v >= 0 && v <= 100, '0–100 arası yüzde'],
+  healthWindow: ['window', v => Number.isInteger(v) && v > 0, 'pozitif tam sayı (gün)'],
+  healthMaxBadPct: ['maxBadPct', v => v >= 0 && v <= 100, '0–100 arası yüzde'],
+  healthMaxDegradedPct: ['maxDegradedPct', v => v >= 0 && v <= 100, '0–100 arası yüzde'],
+  healthMinItems: ['minItems', v => Number.isInteger(v) && v >= 0, '0 veya pozitif tam sayı']
+};
+
+// args → { degradePct, … } (yalnızca verilenler); geçersiz değer açılışta hata
+export function parseHealthThresholds(args = {}) {
+  const out = {};
+  for (const [flag, [key, ok, expected]] of Object.entries(THRESHOLD_FLAGS)) {
+    const v = args[flag];
+    if (v === undefined || v === true) continue; // değersiz bayrak: varsayılan
+    const n = String(v).trim() === '' ? NaN : Number(v);
+    if (!Number.isFinite(n) || !ok(n)) throw new Error(`--${flag}: ${expected} bekleniyordu, gelen "${v}"`);
+    out[key] = n;
+  }
+  return out;
+}
+
+// sourceUrl -> önceki günlerin itemsCount listesi
+export async function trailingCounts(dataDir, { beforeDay, window = 7 } = {}) {
+  const snaps = (await listSnapshots(dataDir)).filter(s => !beforeDay || s.day < beforeDay).slice(-window);
+  const counts = new Map();
+  for (const { file } of snaps) {
+    let snap;
+    try {
+      snap = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+      continue;
+    }
+    if (!Array.isArray(snap?.results)) continue; // eski (results'sız) biçim
+    for (const r of snap.results) {
+      if (!r?.sourceUrl || !r.ok) continue;
+      if (!counts.has(r.sourceUrl)) counts.set(r.sourceUrl, []);
+      counts.get(r.sourceUrl).push(r.itemsCount || 0);
+    }
+  }
+  return counts;
+}
+
+export function classifyFeed(r, history = [], { degradePct = DEFAULT_THRESHOLDS.degradePct } = {}) {
+  const avg = history.length ? history.reduce((a, b) => a + b, 0) / history.length : null;
+  const trailingAvg = avg == null ? null : Math.round(avg * 10) / 10;
+  const msg = String(r.error?.message || r.error || '');
+  if (r.blocked) return { status: 'blocked', reason: r.blockReason || 'blocked', trailingAvg };
+  if (r.error?.name === 'Skipped') return { status: 'skipped', reason: msg, trailingAvg };
+  if (!r.ok) {
+    if (BLOCK_RE.test(msg)) return { status: 'blocked', reason: msg.split('\n')[0].slice(0, 200), trailingAvg };
+    return { status: 'error', reason: msg.split('\n')[0].slice(0, 200) || 'unknown error', trailingAvg };
+  }
+  const n = r.itemsCount || 0;
+  if (n === 0) return { status: 'empty', reason: avg ? `0 ürün (ortalama ${trailingAvg})` : '0 ürün', trailingAvg };
+  if (avg && avg > 0) {
+    const drop = ((avg - n) / avg) * 100;
+    if (drop > degradePct) {
+      return { status: 'degraded', reason: `${n} ürün, ortalama ${trailingAvg} (-%${Math.round(drop)})`, trailingAvg };
+    }
+  }
+  return { status: 'ok', reason: null, trailingAvg };
+}
+
+export function buildHealthReport(results, counts, { day, thresholds = {} } = {}) {
+  const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const feeds = results.map(r => {
+    const c = classifyFeed(r, counts.get(r.sourceUrl) || [], t);
+    return {
+      sourceUrl: r.sourceUrl,
+      host: r.host || null,
+      country: r.country || null,
+      status: c.status,
+      reason: c.reason,
+      itemsCount: r.itemsCount || 0,
+      trailingAvg: c.trailingAvg
+    };
+  });
+
+  const summary = Object.fromEntries(HEALTH_STATUSES.map(s => [s, feeds.filter(f => f.status === s).length]));
+  summary.total = feeds.length;
+  summary.items = feeds.reduce((n, f) => n + f.itemsCount, 0);
+
+  const pct = (n) => (feeds.length ? Math.round((n / feeds.length) * 1000) / 10 : 0);
+  const badPct = pct(summary.empty + summary.error + summary.blocked);
+  const degradedPct = pct(summary.degraded);
+  const breaches = [];
+  if (badPct > t.maxBadPct) breaches.push(`empty+error+blocked %${badPct} > %${t.maxBadPct}`);
+  if (degradedPct > t.maxDegradedPct) breaches.push(`degraded %${degradedPct} > %${t.maxDegradedPct}`);
+  if (summary.items < t.minItems) breaches.push(`toplam ürün ${summary.items} < ${t.minItems}`);
+
+  return { date: day, pass: breaches.length === 0, breaches, thresholds: t, summary, badPct, degradedPct, feeds };
+}
+
+export function healthMarkdown(report) {
+  const s = report.summary;
+  const lines = [
+    `# BeautyDrop sağlık raporu — ${report.date}`,
+    '',
+    report.pass ? '**Durum: GEÇTİ**' : `**Durum: BAŞARISIZ** — ${report.breaches.join('; ')}`,
+    '',
+    `| ok | empty | degraded | error | blocked | skipped | toplam feed | toplam ürün |`,
+    `|---:|---:|---:|---:|---:|---:|---:|---:|`,
+    `| ${s.ok} | ${s.empty} | ${s.degraded} | ${s.error} | ${s.blocked} | ${s.skipped} | ${s.total} | ${s.items} |`,
+    ''
+  ];
+  const problems = report.feeds.filter(f => f.status !== 'ok');
+  if (problems.length) {
+    lines.push('## Sorunlu feed\'ler', '', '| Durum | Ülke | Host | Ürün | Ortalama | Neden |', '|---|---|---|---:|---:|---|');
+    const order = { blocked: 0, error: 1, degraded: 2, empty: 3, skipped: 4 };
+    for (const f of problems.sort((a, b) => order[a.status] - order[b.status] || String(a.country).localeCompare(String(b.country)))) {
+      const host = f.host || (() => { try { return new URL(f.sourceUrl).host; } catch { return f.sourceUrl; } })();
+      const reason = String(f.reason || '').replace(/\|/g, '\\|');
+      lines.push(`| ${f.status} | ${f.country || '-'} | [${host}](${f.sourceUrl}) | ${f.itemsCount} | ${f.trailingAvg ?? '-'} | ${reason} |`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+export async function writeHealth(report, dir) {
+  const jsonPath = path.join(dir, 'health-latest.json');
+  const mdPath = path.join(dir, 'health-latest.md');
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2), 'utf8');
+  await fs.writeFile(mdPath, healthMarkdown(report), 'utf8');
+  return [jsonPath, mdPath];
+}
@@ -0,0 +1,135 @@
+// lib/history.mjs — Günler arası fiyat geçmişi
+// data/deals-YYYY-MM-DD.json anlık görüntülerini kararlı bir ürün anahtarıyla indeksler ve
+// yeni çıktıdaki her ürüne geçmiş bilgisini ekler:
+// - first_seen: ürünün ilk görüldüğü gün
+// - prev_price / prev_seen: bugünden önceki son gözlenen fiyat (pencere içinde)
+// - low_30d: son N günün (varsayılan 30) en düşük fiyatı
+// - true_discount_pct: güncel fiyatın low_30d'ye göre indirimi (sitenin "eski fiyat"ına değil)
+//
+// Sitenin beyan ettiği price_old (ld+json listPrice veya üstü çizili DOM fiyatı) şişirilmiş olabilir;
+// true_discount_pct ise yalnızca bizim gözlemlerimize dayanır.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { sha1, addDays, computeDiscount } from './util.mjs';
+
+const SNAPSHOT_RE = /^deals-(\d{4}-\d{2}-\d{2})\.json$/;
+const TRACKING_PARAMS = /^(utm_|gclid$|fbclid$|msclkid$|mc_|_ga$|ref$|affid$|awc$)/i;
+
+function canonicalUrl(url) {
+  try {
+    const u = new URL(url);
+    u.hash = '';
+    for (const k of Array.from(u.searchParams.keys())) {
+      if (TRACKING_PARAMS.test(k)) u.searchParams.delete(k);
+    }
+    u.searchParams.sort();
+    const host = u.hostname.replace(/^www\./, '').toLowerCase();
+    const p = u.pathname.replace(/\/+$/, '') || '/';
+    return `${host}${p}${u.search}`;
+  } catch {
+    return String(url || '');
+  }
+}
+
+function normName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Aynı mağazadaki aynı ürün için günden güne değişmeyen anahtar
+export function productKey(it) {
+  const store = String(it.store || '').replace(/^www\./, '').toLowerCase();
+  return sha1(`${store}|${canonicalUrl(it.url)}|${normName(it.name)}`).slice(0, 16);
+}
+
+export async function listSnapshots(dataDir) {
+  let names = [];
+  try {
+    names = await fs.readdir(dataDir);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  return names
+    .map(n => { const m = n.match(SNAPSHOT_RE); return m ? { day: m[1], file: path.join(dataDir, n) } : null; })
+    .filter(Boolean)
+    .sort((a, b) => a.day.localeCompare(b.day));
+}
+
+// key -> [{ day, price, currency }] (gün sıralı, gün başına en düşük fiyat)
+// windowDays verilirse yalnızca beforeDay'den önceki son N günün dosyaları okunur (gecelik çalışma tüm geçmişi
+// taramaz). Pencereden eski first_seen, anlık görüntülerdeki history.first_seen'den taşınır: firstSeen key -> gün.
+export async function buildPriceIndex(dataDir, { beforeDay, windowDays } = {}) {
+  const index = new Map();
+  const firstSeen = new Map();
+  const since = beforeDay && windowDays != null ? addDays(beforeDay, -windowDays) : null;
+  const snapshots = (await listSnapshots(dataDir))
+    .filter(s => (!beforeDay || s.day < beforeDay) && (!since || s.day >= since));
+  for (const { day, file } of snapshots) {
+    let snap;
+    try {
+      snap = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+      console.warn(`[warn] ${path.basename(file)} okunamadı, geçmişe alınmadı: ${e.message}`);
+      continue;
+    }
+    for (const r of snap.results || []) {
+      for (const it of r.items || []) {
+        if (!Number.isFinite(it.price_new)) continue;
+        const key = it.product_key || productKey(it);
+        const seen = [firstSeen.get(key), it.history?.first_seen, day].filter(Boolean).sort()[0];
+        firstSeen.set(key, seen);
+        let obs = index.get(key);
+        if (!obs) { obs = []; index.set(key, obs); }
+        const last = obs[obs.length - 1];
+        if (last && last.day === day && last.currency === (it.currency || null)) {
+          if (it.price_new < last.price) last.price = it.price_new;
+        } else {
+          obs.push({ day, price: it.price_new, currency: it.currency || null });
+        }
+      }
+    }
+  }
+  return { days: snapshots.map(s => s.day), index, firstSeen };
+}
+
+export function historyFor(it, priceIndex, day, { windowDays = 30 } = {}) {
+  const key = productKey(it);
+  const obs = (priceIndex.index.get(key) || [])
+    .filter(o => o.day < day && (!it.currency || !o.currency || o.currency === it.currency));
+  if (!obs.length) {
+    return { key, first_seen: day, prev_price: null, prev_seen: null, low_30d: null, days_observed: 0, true_discount_pct: null };
+  }
+  const since = addDays(day, -windowDays);
+  const recent = obs.filter(o => o.day >= since);
+  const prev = obs[obs.length - 1];
+  const low = recent.length ? Math.min(...recent.map(o => o.price)) : null;
+  let trueDiscount = null;
+  if (low != null && Number.isFinite(it.price_new)) trueDiscount = computeDiscount(it.price_new, low) ?? 0;
+  return {
+    key,
+    first_seen: [priceIndex.firstSeen?.get(key), obs[0].day].filter(d => d && d < day).sort()[0],
+    prev_price: prev.price,
+    prev_seen: prev.day,
+    low_30d: low,
+    days_observed: obs.length,
+    true_discount_pct: trueDiscount
+  };
+}
+
+// results[].items içindeki her ürüne product_key + history ekler
+export function annotateResults(results, priceIndex, day, opts = {}) {
+  for (const r of results) {
+    if (!Array.isArray(r.items)) continue;
+    r.items = r.items.map(it => {
+      const { key, ...history } = historyFor(it, priceIndex, day, opts);
+      return { ...it, product_key: key, history };
+    });
+  }
+  return results;
+}
@@ -0,0 +1,179 @@
+// lib/matching.mjs — Mağazalar/ülkeler arası ürün eşleştirme
+// Aynı SKU douglas.de, notino.de, sephora.fr, flaconi… üzerinde farklı adlarla görünür.
+// Kimlik önceliği:
+//   1) GTIN/EAN (ld+json gtin13/gtin14/gtin12/gtin8/gtin, Merchant g:gtin) → GTIN-14'e normalize
+//   2) marka + MPN
+//   3) normalize marka + ad + boyut (ör. "lancome|idole edp|50ml") — yalnızca marka biliniyorsa
+// GTIN'siz bir ürün, ad anahtarı tek bir GTIN kümesiyle örtüşüyorsa o kümeye katılır.
+
+import { sha1 } from './util.mjs';
+
+const BRAND_ALIASES = {
+  'ysl': 'yves saint laurent',
+  'saint laurent': 'yves saint laurent',
+  'ck': 'calvin klein',
+  'd g': 'dolce gabbana',
+  'dolce and gabbana': 'dolce gabbana',
+  'jpg': 'jean paul gaultier',
+  'jean p gaultier': 'jean paul gaultier',
+  'esteelauder': 'estee lauder',
+  'loreal paris': 'loreal',
+  'l oreal paris': 'loreal',
+  'l oreal': 'loreal',
+  'mac cosmetics': 'mac',
+  'hugo boss': 'boss',
+  'giorgio armani': 'armani',
+  'emporio armani': 'armani'
+};
+
+// Ad içindeki, eşleştirmeyi bozan ama ürünü değiştirmeyen kelimeler
+const FILLER = new Set([
+  'spray', 'vaporisateur', 'vapo', 'natural', 'for', 'pour', 'per', 'para', 'fur', 'icin', 'unisex', 'the', 'de', 'di', 'la', 'le', 'by',
+  'online', 'kaufen', 'new', 'neu', 'nouveau', 'nuovo', 'nuevo', 'yeni', 'und', 'and', 'et', 'e', 'y', 've'
+]);
+
+// Cinsiyet ürünü değiştirir ("Guilty pour Homme" ≠ "Guilty pour Femme"): atılmaz, dilden bağımsız tek simgeye indirgenir
+const GENDER = {
+  women: 'g:f', woman: 'g:f', her: 'g:f', damen: 'g:f', femme: 'g:f', elle: 'g:f', donna: 'g:f', lei: 'g:f', mujer: 'g:f', ella: 'g:f', kadin: 'g:f',
+  men: 'g:m', man: 'g:m', him: 'g:m', herren: 'g:m', homme: 'g:m', lui: 'g:m', uomo: 'g:m', hombre: 'g:m', erkek: 'g:m'
+};
+
+const CONCENTRATIONS = [
+  [/\b(eau de parfum|eau du parfum|edp)\b/g, 'edp'],
+  [/\b(eau de toilette|edt)\b/g, 'edt'],
+  [/\b(eau de cologne|edc)\b/g, 'edc'],
+  [/\b(extrait de parfum|extrait)\b/g, 'extrait'],
+  [/\b(parfum intense|intense)\b/g, 'intense']
+];
+
+export function fold(s) {
+  return String(s || '')
+    .toLowerCase()
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/ı/g, 'i')
+    .replace(/&amp;/g, '&')
+    .replace(/['’`´]/g, '')
+    .replace(/[^a-z0-9.,]+/g, ' ')
+    .trim();
+}
+
+export function normBrand(brand) {
+  const b = fold(brand).replace(/[.,]/g, ' ').replace(/\s+/g, ' ').trim();
+  return BRAND_ALIASES[b] || b;
+}
+
+// "Idôle Eau de Parfum 50 ml" → '50ml'
+export function sizeOf(name) {
+  const m = fold(name).match(/(\d+(?:[.,]\d+)?)\s?(ml|g|gr|oz|l)\b/);
+  if (!m) return null;
+  const n = Number(m[1].replace(',', '.'));
+  const unit = m[2] === 'gr' ? 'g' : m[2];
+  if (unit === 'l') return `${Math.round(n * 1000)}ml`;
+  return `${n}${unit}`;
+}
+
+function nameTokens(name, brand) {
+  let s = fold(name)
+    .replace(/(\d+(?:[.,]\d+)?)\s?(ml|g|gr|oz|l)\b/g, ' ')
+    .replace(/[.,]/g, ' ');
+  for (const [re, rep] of CONCENTRATIONS) s = s.replace(re, rep);
+  const brandWords = new Set(normBrand(brand).split(' ').concat(fold(brand).split(' ')));
+  return Array.from(new Set(s.split(/\s+/).filter(t => t && !FILLER.has(t) && !brandWords.has(t)).map(t => GENDER[t] || t)))
+    .sort()
+    .join(' ');
+}
+
+export function normGtin(v) {
+  const d = String(v ?? '').replace(/\D/g, '');
+  if (![8, 12, 13, 14].includes(d.length)) return null;
+  return d.padStart(14, '0');
+}
+
+// Bir ürün için { primary, nameKey, match }
+export function identityOf(it) {
+  const brand = normBrand(it.brand);
+  const size = sizeOf(it.name);
+  const tokens = nameTokens(it.name, it.brand);
+  const nameKey = brand && tokens ? `${brand}|${tokens}|${size || ''}` : null;
+  const gtin = normGtin(it.gtin);
+  if (gtin) return { primary: `gtin:${gtin}`, nameKey, match: 'gtin', brand, size };
+  const mpn = String(it.mpn || '').trim().toLowerCase();
+  if (brand && mpn) return { primary: `mpn:${brand}|${mpn}`, nameKey, match: 'mpn', brand, size };
+  if (nameKey) return { primary: `name:${nameKey}`, nameKey, match: 'name', brand, size };
+  return { primary: null, nameKey: null, match: null, brand, size };
+}
+
+function offerOf(it) {
+  return {
+    store: it.store, country: it.country,
+    price_new: it.price_new, price_old: it.price_old ?? null, discount_pct: it.discount_pct ?? null,
+    currency: it.currency, price_new_eur: it.price_new_eur ?? null,
+    url: it.url, product_key: it.product_key || null
+  };
+}
+
+// items → { products, productIdOf(item) }
+// products: yalnızca en az iki farklı mağazada görülen kümeler; cheapest EUR karşılığına göre (Avrupa'nın en ucuzu)
+export function matchProducts(items, { minStores = 2 } = {}) {
+  const groups = new Map(); // primary -> { match, items: [], nameKeys: Set }
+  for (const it of items) {
+    const id = identityOf(it);
+    if (!id.primary) continue;
+    let g = groups.get(id.primary);
+    if (!g) { g = { match: id.match, size: id.size, items: [], nameKeys: new Set() }; groups.set(id.primary, g); }
+    g.items.push(it);
+    if (id.nameKey) g.nameKeys.add(id.nameKey);
+  }
+
+  // Ad anahtarıyla kurulan kümeleri, ad anahtarını paylaşan tek GTIN/MPN kümesine bağla
+  const strongByName = new Map();
+  for (const [key, g] of groups) {
+    if (g.match === 'name') continue;
+    for (const nk of g.nameKeys) {
+      if (!strongByName.has(nk)) strongByName.set(nk, new Set());
+      strongByName.get(nk).add(key);
+    }
+  }
+  for (const [key, g] of Array.from(groups)) {
+    if (g.match !== 'name') continue;
+    const nk = key.slice('name:'.length);
+    const targets = strongByName.get(nk);
+    if (targets && targets.size === 1) {
+      groups.get(Array.from(targets)[0]).items.push(...g.items);
+      groups.delete(key);
+    }
+  }
+
+  const idByItem = new Map();
+  const products = [];
+  for (const [key, g] of groups) {
+    const productId = sha1(key).slice(0, 16);
+    for (const it of g.items) idByItem.set(it, productId);
+    const stores = new Set(g.items.map(it => String(it.store || '').replace(/^www\./, '')));
+    if (stores.size < minStores) continue;
+
+    const offers = g.items.map(offerOf)
+      .sort((a, b) => (a.price_new_eur ?? a.price_new ?? Infinity) - (b.price_new_eur ?? b.price_new ?? Infinity));
+    const cheapestByCurrency = {};
+    for (const o of offers) {
+      if (o.currency && o.price_new != null && !cheapestByCurrency[o.currency]) cheapestByCurrency[o.currency] = o;
+    }
+    const withBrand = g.items.find(it => it.brand) || g.items[0];
+    products.push({
+      product_id: productId,
+      match: g.match,
+      gtin: key.startsWith('gtin:') ? key.slice(5) : null,
+      brand: withBrand.brand || null,
+      name: g.items.map(it => it.name).sort((a, b) => a.length - b.length)[0],
+      size: g.size || null,
+      image: g.items.find(it => it.image)?.image || null,
+      stores: stores.size,
+      countries: Array.from(new Set(g.items.map(it => it.country).filter(Boolean))).sort(),
+      offers,
+      cheapest: offers.find(o => o.price_new_eur != null) || null,
+      cheapestByCurrency
+    });
+  }
+  products.sort((a, b) => b.stores - a.stores || a.name.localeCompare(b.name));
+  return { products, productIdOf: (it) => idByItem.get(it) || null };
+}
@@ -0,0 +1,220 @@
+// lib/netcapture.mjs — Sayfanın XHR/fetch JSON yanıtlarından ürün çıkarımı
+// Trendyol, Hepsiburada, Notino, Douglas gibi siteler listeyi bir arama/katalog API'sinden çeker; HTML'de ya hiç
+// fiyat yoktur ya da yalnızca ilk birkaç kart vardır. captureJson sayfa açılmadan bağlanır, goto ve scroll / "Load more"
+// sırasında gelen JSON yanıtlarını toplar; extractFromJson bunlardan ürün kayıtlarını çıkarır:
+//   1) overrides.json "jsonApi" kuralı (URL parçası + ürün dizisinin yolu + alan yolları) eşleşirse o kullanılır,
+//   2) yoksa genel sezgi: elemanlarının çoğu ad + fiyat + link taşıyan nesne dizileri ürün listesi sayılır.
+// Ürün biçimi DOM/kart çıkarımıyla aynıdır (source: 'json-api'); linkler sayfa adresine göre mutlaklaştırılır.
+//
+// Örnek kural:
+//   "trendyol.com": { "jsonApi": [{ "match": "/discovery-web-searchgw-service/", "items": "result.products",
+//     "name": "name", "brand": "brand.name", "price": "price.sellingPrice", "oldPrice": "price.originalPrice",
+//     "url": "url", "image": "images.0" }] }
+
+import { trim, computeDiscount } from './util.mjs';
+import { parseNumberLocalized, volumeOf } from './price.mjs';
+
+const MAX_RESPONSES = 80;
+const MAX_BYTES = 4_000_000;
+const MAX_ITEMS = 500;
+const MAX_DEPTH = 10;
+
+// Analitik, reklam, consent ve izleme uçları: ürün verisi taşımaz, yalnızca belleği doldurur
+const NOISE_RE = /google-analytics|googletagmanager|doubleclick|facebook\.(?:com|net)|hotjar|criteo|onetrust|cookielaw|usercentrics|cookiebot|didomi|trustarc|sentry|newrelic|nr-data|datadome|px-cdn|perimeterx|optimizely|dynatrace|segment\.io|braze|klaviyo|tiktok|pinterest|bing\.com|clarity\.ms|\/collect\b|\/beacon\b|\/log(?:ging)?\b|\/metrics?\b|\/events?\b/i;
+
+// Sayfa açılmadan bağlanır → { responses, drain(), stop() }
+// responses: [{ url, body }] ; drain() okunmakta olan gövdeleri bekler
+export function captureJson(page, { maxResponses = MAX_RESPONSES, maxBytes = MAX_BYTES } = {}) {
+  const responses = [];
+  const pending = new Set();
+  const onResponse = (res) => {
+    if (responses.length + pending.size >= maxResponses) return;
+    const type = res.request().resourceType();
+    if (type !== 'xhr' && type !== 'fetch') return;
+    if (res.status() < 200 || res.status() >= 300 || NOISE_RE.test(res.url())) return;
+    if (!/json/i.test(res.headers()['content-type'] || '')) return;
+    const p = res.text()
+      .then(txt => {
+        if (txt.length > maxBytes) return;
+        const body = JSON.parse(txt);
+        if (body && typeof body === 'object') responses.push({ url: res.url(), body });
+      })
+      .catch(() => {}) // gövde okunamadı (yönlendirme, sayfa kapandı) veya JSON değil
+      .finally(() => pending.delete(p));
+    pending.add(p);
+  };
+  page.on('response', onResponse);
+  return {
+    responses,
+    async drain() {
+      while (pending.size) await Promise.all(Array.from(pending));
+      return responses;
+    },
+    stop() { page.off('response', onResponse); }
+  };
+}
+
+// ===== Yol ve alan yardımcıları =====
+// "result.products" / "images.0" / "price.sellingPrice"
+export function getPath(obj, p) {
+  if (!p) return obj;
+  let cur = obj;
+  for (const k of String(p).split('.')) {
+    if (cur == null) return undefined;
+    cur = cur[k];
+  }
+  return cur;
+}
+
+const NAME_KEYS = ['name', 'productName', 'displayName', 'title', 'product_name', 'item_name', 'itemName', 'productTitle'];
+const BRAND_KEYS = ['brand', 'brandName', 'brand_name', 'manufacturer', 'item_brand', 'designer'];
+const PRICE_KEYS = ['sellingPrice', 'discountedPrice', 'salePrice', 'finalPrice', 'currentPrice', 'specialPrice', 'offerPrice', 'priceWithDiscount', 'price', 'priceValue'];
+// Yalnızca fiyat nesnesinin içinde: kaydın kendi "value"/"amount" alanı fiyat olmayabilir
+const INNER_PRICE_KEYS = [...PRICE_KEYS, 'value', 'amount', 'current', 'final'];
+const OLD_KEYS = ['originalPrice', 'oldPrice', 'listPrice', 'regularPrice', 'strikePrice', 'strikethroughPrice', 'crossedPrice', 'wasPrice', 'previousPrice', 'recommendedRetailPrice', 'rrp', 'msrp', 'uvp', 'basePrice', 'marketPrice'];
+const URL_KEYS = ['url', 'productUrl', 'pdpUrl', 'link', 'href', 'canonicalUrl', 'detailUrl', 'webUrl', 'productLink'];
+const IMAGE_KEYS = ['image', 'imageUrl', 'imageURL', 'img', 'thumbnail', 'thumbnailUrl', 'picture', 'images', 'media', 'mainImage'];
+const CURRENCY_KEYS = ['currency', 'currencyCode', 'currencyIso', 'priceCurrency', 'currencyIsoCode'];
+// Kuruş cinsinden tamsayı fiyat (commercetools "centAmount" gibi)
+const CENT_KEYS = ['centAmount', 'cents', 'priceInCents', 'amountInCents'];
+// Fiyat nesnesi içinde okunabilir metin ("29,95 €") sayıdan önce denenir: "value: 2995" kuruş olabilir
+const FORMATTED_KEYS = ['formattedValue', 'formattedPrice', 'formatted', 'displayValue', 'text'];
+
+function pick(obj, keys) {
+  for (const k of keys) {
+    if (obj[k] != null && obj[k] !== '') return obj[k];
+  }
+  return undefined;
+}
+
+// Fiyat alanı: sayı, "1.299,90 TL", { value, currency }, { formattedValue }, { centAmount }, { sellingPrice, … }
+// hint: { currency, country } (metin fiyatların ondalık ayırıcısı için)
+function priceOf(v, hint, depth = 0) {
+  if (v == null || depth > 3) return null;
+  if (typeof v === 'number') return Number.isFinite(v) && v > 0 ? v : null;
+  if (typeof v === 'string') return parseNumberLocalized(v, hint) || null;
+  if (Array.isArray(v)) return priceOf(v[0], hint, depth + 1);
+  if (typeof v !== 'object') return null;
+  const cents = pick(v, CENT_KEYS);
+  if (typeof cents === 'number') return cents / 10 ** (Number.isInteger(v.fractionDigits) ? v.fractionDigits : 2);
+  const formatted = pick(v, FORMATTED_KEYS);
+  if (typeof formatted === 'string' && /\d/.test(formatted)) return parseNumberLocalized(formatted, hint);
+  return priceOf(pick(v, INNER_PRICE_KEYS), hint, depth + 1);
+}
+
+function currencyOf(obj) {
+  const direct = pick(obj, CURRENCY_KEYS);
+  if (typeof direct === 'string' && /^[A-Z]{3}$/i.test(direct)) return direct.toUpperCase();
+  // { price: { currency } } veya { price: { value: { currencyCode } } }
+  for (const k of ['price', 'prices', 'priceInfo', 'pricing']) {
+    const p = obj[k] && typeof obj[k] === 'object' ? obj[k] : null;
+    const inner = p && (pick(p, CURRENCY_KEYS) ?? (p.value && typeof p.value === 'object' ? pick(p.value, CURRENCY_KEYS) : null));
+    if (typeof inner === 'string' && /^[A-Z]{3}$/i.test(inner)) return inner.toUpperCase();
+  }
+  return null;
+}
+
+function textOf(v) {
+  if (v == null) return '';
+  if (typeof v === 'string' || typeof v === 'number') return String(v).trim();
+  if (Array.isArray(v)) return textOf(v[0]);
+  if (typeof v === 'object') return textOf(pick(v, ['name', 'title', 'label', 'text', 'value']));
+  return '';
+}
+
+function linkOf(v, baseUrl) {
+  if (Array.isArray(v)) v = v[0];
+  if (v && typeof v === 'object') v = pick(v, ['url', 'href', 'src', 'link', 'original', 'large', 'medium', 'default']);
+  if (typeof v !== 'string' || !v.trim() || /^(javascript:|data:|#)/i.test(v)) return null;
+  try { return new URL(v.trim(), baseUrl).href; } catch { return null; }
+}
+
+function availabilityOf(obj) {
+  const sold = pick(obj, ['soldOut', 'isSoldOut']);
+  if (typeof sold === 'boolean') return sold ? 'OutOfStock' : 'InStock';
+  const v = pick(obj, ['inStock', 'isInStock', 'available', 'isAvailable', 'hasStock', 'availability', 'stockStatus']);
+  if (v == null) return null;
+  if (typeof v === 'boolean') return v ? 'InStock' : 'OutOfStock';
+  const s = String(v).toLowerCase();
+  if (/out|sold|unavailable|nicht|tükendi|false|^0$/.test(s)) return 'OutOfStock';
+  if (/in_?stock|available|true|limited/.test(s)) return 'InStock';
+  return null;
+}
+
+// Tek kayıt → ürün (ad, fiyat veya link yoksa null)
+function recordToItem(rec, { rule, baseUrl, currency, country }) {
+  if (!rec || typeof rec !== 'object' || Array.isArray(rec)) return null;
+  const get = (field, keys) => (rule?.[field] ? getPath(rec, rule[field]) : pick(rec, keys));
+  const cur = currencyOf(rec) || currency || null;
+  const hint = { currency: cur, country };
+  const divisor = rule?.priceDivisor || 1;
+
+  const name = textOf(get('name', NAME_KEYS));
+  const url = linkOf(get('url', URL_KEYS), baseUrl);
+  let price_new = priceOf(get('price', PRICE_KEYS.concat('prices', 'priceInfo', 'pricing')), hint);
+  let price_old = priceOf(get('oldPrice', OLD_KEYS), hint);
+  // Fiyat nesnesinin kendi içindeki eski fiyat: { price: { sellingPrice, originalPrice } }
+  if (price_old == null && !rule?.oldPrice) {
+    for (const k of ['price', 'prices', 'priceInfo', 'pricing']) {
+      if (rec[k] && typeof rec[k] === 'object' && !Array.isArray(rec[k])) price_old ??= priceOf(pick(rec[k], OLD_KEYS), hint);
+    }
+  }
+  if (price_new != null) price_new /= divisor;
+  if (price_old != null) price_old /= divisor;
+  if (!name || !url || price_new == null) return null;
+  if (price_old != null && price_old <= price_new) price_old = null;
+
+  const brand = textOf(get('brand', BRAND_KEYS));
+  return {
+    source: 'json-api',
+    name: trim(name, 180),
+    brand: brand || null,
+    price_new,
+    price_old,
+    discount_pct: computeDiscount(price_new, price_old),
+    currency: cur,
+    availability: availabilityOf(rec),
+    unit_price: null,
+    volume: volumeOf(name),
+    url,
+    image: linkOf(get('image', IMAGE_KEYS), baseUrl)
+  };
+}
+
+// Genel sezgi: elemanlarının en az yarısı ürüne dönüşen (ve en az 2) nesne dizileri; kabul edilen dizinin içine inilmez
+function findProductArrays(node, ctx, out, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > MAX_DEPTH || out.length >= MAX_ITEMS) return;
+  if (Array.isArray(node)) {
+    const objs = node.filter(x => x && typeof x === 'object' && !Array.isArray(x));
+    if (objs.length >= 2) {
+      const items = objs.map(o => recordToItem(o, ctx)).filter(Boolean);
+      if (items.length >= 2 && items.length * 2 >= objs.length) {
+        out.push(...items);
+        return;
+      }
+    }
+    for (const x of node) findProductArrays(x, ctx, out, depth + 1);
+    return;
+  }
+  for (const v of Object.values(node)) findProductArrays(v, ctx, out, depth + 1);
+}
+
+// responses: captureJson çıktısı ; rules: overrides.json "jsonApi" listesi
+// Host için kural varsa yalnızca kurala uyan yanıtlar okunur (öneri/son bakılan widget'ları listeye karışmasın).
+// → ortak ürün alanları (store/country çağıran tarafından eklenir)
+export function extractFromJson(responses, { baseUrl, currency = null, country = null, rules = [] } = {}) {
+  const out = [];
+  for (const { url, body } of responses) {
+    if (out.length >= MAX_ITEMS) break;
+    const rule = rules.find(r => url.includes(r.match));
+    if (rule) {
+      const list = getPath(body, rule.items);
+      if (!Array.isArray(list)) continue;
+      out.push(...list.map(rec => recordToItem(rec, { rule, baseUrl: rule.urlBase || baseUrl, currency, country })).filter(Boolean));
+    } else if (!rules.length) {
+      findProductArrays(body, { baseUrl, currency, country }, out);
+    }
+  }
+  const seen = new Set();
+  return out.filter(it => (seen.has(it.url) ? false : (seen.add(it.url), true))).slice(0, MAX_ITEMS);
+}
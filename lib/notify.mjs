@@ -0,0 +1,249 @@
+// lib/notify.mjs — İzleme listesi eşleşmelerini bildiricilere gönderir (lib/watchlist.mjs)
+// Bildiriciler (feeds/watchlist.json "notifiers"):
+//   webhook  : { url, headers? }                  → POST JSON { source, date, alerts: [...] }
+//   telegram : { token, chatId, baseUrl? }        → POST {baseUrl}/bot{token}/sendMessage (4096 karakterlik parçalar)
+//   discord  : { url }                            → POST { content } (2000 karakterlik parçalar)
+//   slack    : { url }                            → POST { text }
+//   email    : { host, port?, secure?, starttls?, user?, pass?, from, to, subject? } → SMTP (harici paket yok)
+// Metin değerlerindeki ${AD} ortam değişkeninden okunur (gizli anahtarlar repoya girmez); zorunlu alanı boş kalan
+// bildirici atlanır. Adresler yapılandırılabilir olduğu için testlerde yerel sahte sunucu kullanılabilir.
+// Tekilleştirme: data/alerts-sent.json → "bildirici|izleme|ürün" anahtarı için son gönderilen fiyat ve gün.
+// Aynı fırsat, fiyat daha da düşmedikçe resendAfterDays gün içinde tekrar gönderilmez (0: yalnızca düşüşte).
+
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+import { addDays, readJson } from './util.mjs';
+
+export const NOTIFIER_TYPES = ['webhook', 'telegram', 'discord', 'slack', 'email'];
+
+const REQUIRED = {
+  webhook: ['url'],
+  telegram: ['token', 'chatId'],
+  discord: ['url'],
+  slack: ['url'],
+  email: ['host', 'from', 'to']
+};
+const TELEGRAM_API = 'https://api.telegram.org';
+const STATE_TTL_DAYS = 90; // bu kadar eski kayıtlar alerts-sent.json'dan silinir
+
+// "${TELEGRAM_BOT_TOKEN}" → process.env.TELEGRAM_BOT_TOKEN (yoksa boş)
+export function expandEnv(v, env = process.env) {
+  if (typeof v === 'string') return v.replace(/\$\{([A-Z0-9_]+)\}/gi, (_, k) => env[k] ?? '');
+  if (Array.isArray(v)) return v.map(x => expandEnv(x, env));
+  if (v && typeof v === 'object') return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, expandEnv(x, env)]));
+  return v;
+}
+
+// ===== Mesaj biçimi =====
+const money = (v, cur) => (v == null ? '?' : `${Number(v).toFixed(2)} ${cur || ''}`.trim());
+
+function alertLine({ watch, item }) {
+  const disc = item.discount_pct ? ` (-%${Math.round(item.discount_pct)}, önce ${money(item.price_old, item.currency)})` : '';
+  const brand = item.brand && !item.name.toLowerCase().includes(item.brand.toLowerCase()) ? `${item.brand} ` : '';
+  return `• ${brand}${item.name} — ${money(item.price_new, item.currency)}${disc} · ${item.store}${item.country ? ` · ${item.country}` : ''} [${watch.id}]\n  ${item.url}`;
+}
+
+export function alertText(alerts, day) {
+  return [`BeautyDrop fiyat alarmı — ${day} (${alerts.length} ürün)`, '', ...alerts.map(alertLine)].join('\n');
+}
+
+// Sınırı aşan mesaj ürün satırlarını bölmeden parçalara ayrılır
+function chunks(alerts, day, limit) {
+  const head = `BeautyDrop fiyat alarmı — ${day} (${alerts.length} ürün)`;
+  const out = [];
+  let cur = head + '\n';
+  for (const line of alerts.map(alertLine).map(l => l.slice(0, limit - head.length - 2))) {
+    if (cur.length + line.length + 1 > limit) { out.push(cur.trimEnd()); cur = ''; }
+    cur += `\n${line}`;
+  }
+  out.push(cur.trimEnd());
+  return out;
+}
+
+function payloadItem({ watch, item, key }) {
+  return {
+    watch: watch.id, key, product_key: item.product_key || null, name: item.name, brand: item.brand || null,
+    store: item.store, country: item.country || null, currency: item.currency || null,
+    price_new: item.price_new, price_old: item.price_old ?? null, discount_pct: item.discount_pct ?? null,
+    price_new_eur: item.price_new_eur ?? null, url: item.url, image: item.image || null
+  };
+}
+
+// ===== Taşıyıcılar =====
+async function postJson(url, body, { headers = {}, timeoutMs = 15000 } = {}) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText} (${new URL(url).host})`);
+  return res;
+}
+
+const SENDERS = {
+  async webhook(conf, alerts, day) {
+    await postJson(conf.url, { source: 'beautydrop', date: day, alerts: alerts.map(payloadItem) }, { headers: conf.headers });
+  },
+  async telegram(conf, alerts, day) {
+    const url = `${(conf.baseUrl || TELEGRAM_API).replace(/\/+$/, '')}/bot${conf.token}/sendMessage`;
+    for (const text of chunks(alerts, day, 4096)) {
+      await postJson(url, { chat_id: conf.chatId, text, disable_web_page_preview: true });
+    }
+  },
+  async discord(conf, alerts, day) {
+    for (const content of chunks(alerts, day, 2000)) await postJson(conf.url, { username: 'BeautyDrop', content });
+  },
+  async slack(conf, alerts, day) {
+    await postJson(conf.url, { text: alertText(alerts, day) });
+  },
+  async email(conf, alerts, day) {
+    await sendMail({
+      ...conf,
+      to: [].concat(conf.to).flatMap(t => String(t).split(',')).map(t => t.trim()).filter(Boolean),
+      subject: conf.subject || `BeautyDrop fiyat alarmı — ${day} (${alerts.length} ürün)`,
+      text: alertText(alerts, day)
+    });
+  }
+};
+
+// ===== SMTP =====
+// Yanıt okuyucu: "250-..." satırları "250 ..." gelene kadar tek yanıt sayılır; STARTTLS sonrası yeni sokete bağlanır
+function smtpReader() {
+  let buf = '';
+  let pending = null;
+  let failure = null;
+  let sock = null;
+  const flush = () => {
+    if (!pending) return;
+    if (failure) { const p = pending; pending = null; p.reject(failure); return; }
+    const lines = buf.split(/\r?\n/);
+    for (let i = 0; i < lines.length - 1; i++) {
+      if (!/^\d{3}(?: |$)/.test(lines[i])) continue;
+      buf = lines.slice(i + 1).join('\r\n');
+      const p = pending; pending = null;
+      p.resolve({ code: Number(lines[i].slice(0, 3)), lines: lines.slice(0, i + 1) });
+      return;
+    }
+  };
+  const onData = (d) => { buf += d; flush(); };
+  const onError = (e) => { failure = e; flush(); };
+  const onClose = () => onError(failure || new Error('SMTP bağlantısı kapandı'));
+  return {
+    attach(s) {
+      if (sock) { sock.off('data', onData); sock.off('error', onError); sock.off('close', onClose); }
+      sock = s;
+      s.setEncoding('utf8');
+      s.on('data', onData).on('error', onError).on('close', onClose);
+    },
+    next: () => new Promise((resolve, reject) => { pending = { resolve, reject }; flush(); })
+  };
+}
+
+const encodeHeader = (s) => (/^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s).toString('base64')}?=`);
+
+function mimeMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n')).toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@beautydrop>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+// Tek bir e-posta: EHLO → (STARTTLS) → (AUTH PLAIN) → MAIL FROM → RCPT TO → DATA → QUIT
+export async function sendMail({ host, port, secure, starttls = true, user, pass, from, to, subject, text, timeoutMs = 30000 }) {
+  port = Number(port) || (secure ? 465 : 587);
+  secure = secure === true || secure === 'true' || (secure == null && port === 465);
+  const reader = smtpReader();
+  let sock = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+  sock.setTimeout(timeoutMs, () => sock.destroy(new Error(`SMTP zaman aşımı (${host}:${port})`)));
+  reader.attach(sock);
+
+  const cmd = async (line, ok) => {
+    if (line != null) sock.write(`${line}\r\n`);
+    const r = await reader.next();
+    if (!ok.includes(r.code)) {
+      const shown = line == null ? 'bağlantı' : line.startsWith('AUTH') ? 'AUTH' : line.split(' ')[0];
+      throw new Error(`SMTP ${shown}: ${r.lines.join(' ').trim()}`);
+    }
+    return r;
+  };
+  try {
+    await cmd(null, [220]);
+    const helo = `EHLO ${os.hostname() || 'beautydrop'}`;
+    let ehlo = await cmd(helo, [250]);
+    if (!secure && starttls !== false && starttls !== 'false' && ehlo.lines.some(l => /^250[ -]STARTTLS/i.test(l))) {
+      await cmd('STARTTLS', [220]);
+      sock = tls.connect({ socket: sock, servername: host });
+      sock.setTimeout(timeoutMs, () => sock.destroy(new Error(`SMTP zaman aşımı (${host}:${port})`)));
+      reader.attach(sock);
+      ehlo = await cmd(helo, [250]);
+    }
+    if (user) await cmd(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, [235]);
+    await cmd(`MAIL FROM:<${from.replace(/^.*<|>.*$/g, '')}>`, [250]);
+    for (const rcpt of to) await cmd(`RCPT TO:<${rcpt.replace(/^.*<|>.*$/g, '')}>`, [250, 251]);
+    await cmd('DATA', [354]);
+    // Nokta doldurma: satır başındaki "." ikiye katlanır
+    await cmd(`${mimeMessage({ from, to, subject, text }).replace(/^\./gm, '..')}\r\n.`, [250]);
+    await cmd('QUIT', [221]).catch(() => {});
+  } finally {
+    sock.destroy();
+  }
+}
+
+// ===== Tekilleştirme =====
+export async function loadAlertState(file) {
+  return (await readJson(file, {})) || {};
+}
+
+export async function saveAlertState(file, state, day) {
+  const cutoff = addDays(day, -STATE_TTL_DAYS);
+  const kept = Object.fromEntries(Object.entries(state).filter(([, v]) => v.day >= cutoff).sort(([a], [b]) => a.localeCompare(b)));
+  await fs.writeFile(file, JSON.stringify(kept, null, 2));
+}
+
+// Daha önce gönderildiyse: fiyat düştüyse veya resendAfterDays dolduysa yine gönder
+export function shouldSend(prev, item, day, resendAfterDays) {
+  if (!prev) return true;
+  if (prev.currency === item.currency && item.price_new < prev.price) return true;
+  return resendAfterDays > 0 && addDays(prev.day, resendAfterDays) <= day;
+}
+
+// alerts: matchWatchlist çıktısı. Bildirici başına { name, type, sent, suppressed, skipped?, error? } döner.
+// dryRun: hiçbir şey gönderilmez ve durum dosyası değişmez (mesajlar onDryRun'a verilir).
+export async function deliverAlerts(alerts, watchlist, { day, stateFile, env = process.env, dryRun = false, onDryRun = () => {} }) {
+  const state = stateFile ? await loadAlertState(stateFile) : {};
+  const report = [];
+  for (const [name, raw] of Object.entries(watchlist.notifiers || {})) {
+    const conf = expandEnv(raw, env);
+    const mine = alerts.filter(a => !a.watch.notify || a.watch.notify.includes(name));
+    const fresh = mine.filter(a => shouldSend(state[`${name}|${a.key}`], a.item, day, watchlist.resendAfterDays ?? 7));
+    const row = { name, type: conf.type, sent: 0, suppressed: mine.length - fresh.length };
+    report.push(row);
+    // Tip ortam değişkeninden gelebilir ("${NOTIFY_TYPE}"): bilinmeyen tip yalnızca bu bildiriciyi düşürür
+    if (!REQUIRED[conf.type]) { row.error = `bilinmeyen tip "${conf.type}" (geçerli: ${NOTIFIER_TYPES.join(', ')})`; continue; }
+    const missing = REQUIRED[conf.type].filter(k => !conf[k] || (Array.isArray(conf[k]) && !conf[k].length));
+    if (missing.length) { row.skipped = `yapılandırılmamış (${missing.join(', ')})`; continue; }
+    if (!fresh.length) continue;
+    if (dryRun) { onDryRun(name, alertText(fresh, day)); row.sent = fresh.length; continue; }
+    try {
+      await SENDERS[conf.type](conf, fresh, day);
+      row.sent = fresh.length;
+      for (const a of fresh) state[`${name}|${a.key}`] = { day, price: a.item.price_new, currency: a.item.currency || null };
+    } catch (e) {
+      row.error = String(e?.message || e);
+    }
+  }
+  if (stateFile && !dryRun && report.some(r => r.sent)) await saveAlertState(stateFile, state, day);
+  return report;
+}
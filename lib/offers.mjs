@@ -0,0 +1,208 @@
+// lib/offers.mjs — Aggregator (Cimri/Akakçe) ürün sayfasındaki mağaza teklifleri
+// Aggregator sayfası tek bir ürünün tüm mağaza fiyatlarını listeler; her teklif gerçek mağazayı store alan ayrı bir ürün olur.
+// Teklif: { merchant, store, price, currency, shipping, url, availability, source }
+//   merchant : mağazanın görünen adı ("Trendyol")
+//   store    : mağaza host'u (doğrudan link, yönlendirme parametresi veya bilinen adlardan); bulunamazsa null
+//   shipping : kargo ücreti (0 = ücretsiz, null = bilinmiyor)
+//   url      : aggregator'ın yönlendirme linki (mutlak)
+// Kaynaklar sırayla: ld+json (seller adı olan Offer / AggregateOffer.offers), gömülü durum JSON'u (__NEXT_DATA__ vb.),
+// HTML satırları (<li>/<tr>/<article> içinde yönlendirme linki + fiyat). İlk teklif bulan kaynak kullanılır.
+
+import { trim } from './util.mjs';
+import { parsePrice } from './price.mjs';
+import { ldJsonNodes, ldTypes } from './extract.mjs';
+import { normAvailability } from './variants.mjs';
+import { fold } from './matching.mjs';
+
+export const AGGREGATOR_HOSTS = ['cimri.com', 'akakce.com'];
+
+export function isAggregatorHost(host) {
+  const h = String(host || '').toLowerCase().replace(/^www\./, '');
+  return AGGREGATOR_HOSTS.some(a => h === a || h.endsWith(`.${a}`));
+}
+
+// Yönlendirme linkinden host çıkmıyorsa adla eşleşen bilinen Türkiye mağazaları (fold edilmiş ad → host)
+const KNOWN_MERCHANTS = {
+  trendyol: 'www.trendyol.com', hepsiburada: 'www.hepsiburada.com', n11: 'www.n11.com', amazon: 'www.amazon.com.tr',
+  'amazon tr': 'www.amazon.com.tr', 'amazon turkiye': 'www.amazon.com.tr', gratis: 'www.gratis.com', watsons: 'www.watsons.com.tr',
+  rossmann: 'www.rossmann.com.tr', sephora: 'www.sephora.com.tr', boyner: 'www.boyner.com.tr', flormar: 'www.flormar.com.tr',
+  ciceksepeti: 'www.ciceksepeti.com', pazarama: 'www.pazarama.com', 'kozmetik sepeti': 'www.kozmetiksepeti.com',
+  tshop: 'www.tshop.com.tr', eveshop: 'www.eveshop.com.tr', beymen: 'www.beymen.com', idefix: 'www.idefix.com',
+  migros: 'www.migros.com.tr', a101: 'www.a101.com.tr', pttavm: 'www.pttavm.com'
+};
+
+const REDIRECT_PARAMS = ['url', 'u', 'target', 'to', 'redirect', 'redirectUrl', 'dest', 'link'];
+const REDIRECT_PATH = /\/(c|r|git|redirect|yonlendir|go|out)\/|[?&](c|f|offer|oid)=\d/i;
+
+function absUrl(href, baseUrl) {
+  try { return new URL(String(href).replace(/&amp;/g, '&'), baseUrl).href; } catch { return null; }
+}
+
+// Teklif linki + ad → mağaza host'u
+export function merchantHost(name, url) {
+  try {
+    const u = new URL(url);
+    if (!isAggregatorHost(u.host)) return u.host;
+    for (const p of REDIRECT_PARAMS) {
+      const v = u.searchParams.get(p);
+      if (v && /^https?:\/\//i.test(v)) {
+        const host = new URL(v).host;
+        if (!isAggregatorHost(host)) return host;
+      }
+    }
+  } catch {}
+  const key = fold(name).replace(/[^a-z0-9 ]+/g, ' ').replace(/\s+/g, ' ').trim();
+  return KNOWN_MERCHANTS[key] || KNOWN_MERCHANTS[key.replace(/ (com|com tr|tr)$/, '')] || null;
+}
+
+const FREE_SHIPPING = /ücretsiz\s+kargo|kargo\s+(bedava|ücretsiz)|bedava\s+kargo|free\s+shipping/i;
+const SHIPPING_PRICE = /kargo[^0-9₺]{0,20}([₺]?\s*\d[\d.,]*\s*(?:TL|₺)?)|\+\s*([₺]?\s*\d[\d.,]*\s*(?:TL|₺)?)\s*kargo/i;
+
+// Kargo metni → 0 (ücretsiz) | tutar | null
+export function parseShipping(text, currency = 'TRY') {
+  const s = String(text ?? '');
+  if (FREE_SHIPPING.test(s)) return 0;
+  const m = s.match(SHIPPING_PRICE);
+  return m ? parsePrice(m[1] || m[2], { currency }).value : null;
+}
+
+function offer(merchant, price, { currency, shipping = null, url, availability = null, source }) {
+  const name = trim(String(merchant || '').replace(/\s+/g, ' ').trim(), 80);
+  if (!name || !(price > 0) || !url) return null;
+  return { merchant: name, store: merchantHost(name, url), price, currency, shipping, url, availability: normAvailability(availability), source };
+}
+
+// 1) ld+json: Product.offers (ve AggregateOffer.offers) içinde seller adı olan teklifler
+function ldOffers(html, baseUrl, currency) {
+  const out = [];
+  for (const g of ldJsonNodes(html)) {
+    if (!ldTypes(g).some(t => t === 'product' || t === 'productgroup')) continue;
+    const list = [].concat(g.offers || []).flatMap(o => (o?.offers ? [].concat(o.offers).map(x => ({ priceCurrency: o.priceCurrency, ...x })) : [o]));
+    for (const o of list) {
+      if (!o || typeof o !== 'object') continue;
+      const seller = typeof o.seller === 'object' ? o.seller?.name : o.seller;
+      const cur = o.priceCurrency || currency;
+      const rate = [].concat(o.shippingDetails || [])[0]?.shippingRate;
+      out.push(offer(seller, typeof o.price === 'number' ? o.price : parsePrice(String(o.price ?? ''), { currency: cur }).value, {
+        currency: cur, url: absUrl(o.url, baseUrl), availability: o.availability, source: 'ldjson',
+        shipping: rate?.value != null ? Number(rate.value) : null
+      }));
+    }
+  }
+  return out.filter(Boolean);
+}
+
+// 2) Gömülü durum JSON'u: mağaza adı ve fiyat taşıyan nesne dizileri
+const MERCHANT_KEYS = ['merchant', 'merchantName', 'seller', 'sellerName', 'store', 'storeName', 'shop', 'shopName', 'vendor'];
+const PRICE_KEYS = ['price', 'finalPrice', 'salePrice', 'amount', 'minPrice'];
+const SHIPPING_KEYS = ['shippingPrice', 'shippingFee', 'shippingCost', 'cargoPrice', 'cargoFee', 'shipping'];
+const FREE_KEYS = ['freeShipping', 'isFreeShipping', 'freeCargo', 'isFreeCargo'];
+const URL_KEYS = ['redirectUrl', 'clickUrl', 'url', 'link', 'href'];
+
+const pickKey = (o, keys) => keys.find(k => o[k] != null && o[k] !== '');
+const nameOf = (v) => (v && typeof v === 'object' ? v.name || v.title || v.displayName : v);
+
+function jsonOffer(o, baseUrl, currency) {
+  const mk = pickKey(o, MERCHANT_KEYS);
+  const pk = pickKey(o, PRICE_KEYS);
+  const uk = pickKey(o, URL_KEYS);
+  if (!mk || !pk || !uk || typeof nameOf(o[mk]) !== 'string') return null;
+  const cur = o.currency || o.priceCurrency || currency;
+  const price = typeof o[pk] === 'number' ? o[pk] : parsePrice(String(o[pk]), { currency: cur }).value;
+  const sk = pickKey(o, SHIPPING_KEYS);
+  const shipping = FREE_KEYS.some(k => o[k] === true) ? 0
+    : sk ? (typeof o[sk] === 'number' ? o[sk] : parseShipping(`kargo ${o[sk]}`, cur)) : null;
+  return offer(nameOf(o[mk]), price, {
+    currency: cur, shipping, url: absUrl(o[uk], baseUrl), source: 'json',
+    availability: o.availability ?? o.inStock ?? o.stock ?? null
+  });
+}
+
+function stateOffers(html, baseUrl, currency) {
+  const re = /<script[^>]+type=["']application\/json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let best = [];
+  let m;
+  while ((m = re.exec(html))) {
+    let data;
+    try { data = JSON.parse(m[1]); } catch { continue; }
+    const walk = (v, depth) => {
+      if (!v || typeof v !== 'object' || depth > 12) return;
+      if (Array.isArray(v)) {
+        const found = v.filter(x => x && typeof x === 'object' && !Array.isArray(x)).map(x => jsonOffer(x, baseUrl, currency)).filter(Boolean);
+        if (found.length > best.length) best = found;
+      }
+      for (const x of Object.values(v)) walk(x, depth + 1);
+    };
+    walk(data, 0);
+  }
+  return best;
+}
+
+// 3) HTML satırları: yönlendirme linki + fiyat içeren <li>/<tr>/<article>
+const stripTags = (s) => s.replace(/<script[\s\S]*?<\/script>/gi, ' ').replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&#x?[0-9a-f]+;/gi, ' ').replace(/\s+/g, ' ').trim();
+const PRICE_TEXT = /(?:₺\s*\d[\d.,]*|\d[\d.,]*\s*(?:TL|₺))/gi;
+const MERCHANT_CLASS = /class=["'][^"']*(merchant|seller|store|shop|magaza|mağaza|v_v\d)[^"']*["'][^>]*>([\s\S]*?)<\/(?:span|div|a|b|strong|p)>/i;
+const PRICE_CLASS = /class=["'][^"']*(price|fiyat|pt_v\d)[^"']*["'][^>]*>([\s\S]*?)<\/(?:span|div|b|strong|p)>/i;
+
+function rowOffer(row, baseUrl, currency) {
+  const hrefs = Array.from(row.matchAll(/<a\b[^>]*href=["']([^"']+)["']/gi), x => absUrl(x[1], baseUrl)).filter(Boolean);
+  const url = hrefs.find(h => { const host = new URL(h).host; return !isAggregatorHost(host) || REDIRECT_PATH.test(h); });
+  if (!url) return null;
+
+  const merchant = row.match(/data-(?:merchant|seller|store)(?:-name)?=["']([^"']+)["']/i)?.[1]
+    || stripTags(row.match(MERCHANT_CLASS)?.[2] || '')
+    || row.match(/<img\b[^>]*alt=["']([^"']+)["']/i)?.[1];
+
+  const text = stripTags(row);
+  // Kargo tutarı fiyat sanılmasın: önce fiyat sınıflı öğe, yoksa kargo ifadeleri çıkarılmış metindeki ilk tutar
+  const priceText = stripTags(row.match(PRICE_CLASS)?.[2] || '') || (text.replace(SHIPPING_PRICE, ' ').match(PRICE_TEXT) || [])[0];
+  const price = priceText ? parsePrice(priceText, { currency }).value : null;
+  const availability = /tükendi|stokta\s+yok|satışta\s+değil/i.test(text) ? 'out_of_stock' : null;
+  return offer(merchant, price, { currency, shipping: parseShipping(text, currency), url, availability, source: 'html' });
+}
+
+function htmlOffers(html, baseUrl, currency) {
+  const rows = Array.from(html.matchAll(/<(li|tr|article)\b[^>]*>([\s\S]*?)<\/\1>/gi), x => x[2]);
+  return rows.map(r => rowOffer(r, baseUrl, currency)).filter(Boolean);
+}
+
+// Aggregator ürün sayfası → teklifler (aynı mağaza + fiyat tekrarları atılır), toplam fiyata (fiyat + kargo) göre artan
+export function extractOffers(html, baseUrl, { currency = 'TRY' } = {}) {
+  let offers = ldOffers(html, baseUrl, currency);
+  if (!offers.length) offers = stateOffers(html, baseUrl, currency);
+  if (!offers.length) offers = htmlOffers(html, baseUrl, currency);
+  const seen = new Set();
+  return offers
+    .filter(o => { const k = `${fold(o.merchant)}|${o.price}`; if (seen.has(k)) return false; seen.add(k); return true; })
+    .sort((a, b) => (a.price + (a.shipping || 0)) - (b.price + (b.shipping || 0)) || a.merchant.localeCompare(b.merchant));
+}
+
+// Teklifler → ürünler. product: sayfadaki ürün bilgisi (ad, marka, görsel, kimlikler; ld+json / OG / DOM'dan)
+export function offerItems(offers, product, { host, country }) {
+  return offers.map(o => ({
+    source: 'aggregator',
+    name: product.name, brand: product.brand || null,
+    price_new: o.price, price_old: null, discount_pct: null,
+    currency: o.currency, availability: o.availability, unit_price: null,
+    volume: product.volume ?? null,
+    url: o.url, image: product.image || null,
+    gtin: product.gtin ?? null, sku: null, mpn: product.mpn ?? null,
+    store: o.store || o.merchant, merchant: o.merchant, via: host,
+    shipping: o.shipping, verified: false,
+    country,
+    ...(product.breadcrumbs?.length ? { breadcrumbs: product.breadcrumbs } : {})
+  }));
+}
+
+// Yönlendirme izlendikten sonra teklif: gerçek mağaza host'u ve linki her durumda yazılır; verified yalnızca mağaza
+// sayfasında fiyat bulunduysa true olur (fiyat/eski fiyat mağazadan, aggregator'ın fiyatı aggregator_price olarak kalır)
+export function verifiedOffer(it, { host, finalUrl, found = null }) {
+  return {
+    ...it, store: host, url: finalUrl, offer_url: it.url, verified: !!found,
+    ...(found ? {
+      price_new: found.price_new, price_old: found.price_old, aggregator_price: it.price_new,
+      currency: found.currency || it.currency, availability: found.availability ?? it.availability
+    } : {})
+  };
+}
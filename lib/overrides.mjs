@@ -0,0 +1,125 @@
+// lib/overrides.mjs — Site bazlı ayarlar (feeds/overrides.json)
+// Bir mağazanın kart/fiyat seçicileri değiştiğinde bot.mjs'e dokunmadan düzeltme yapılabilsin diye.
+// Dosya başlangıçta doğrulanır; bilinmeyen anahtar veya yanlış tür varsa bot hiç başlamaz.
+//
+// Örnek:
+//   {
+//     "douglas.de": {
+//       "linkSelectors": ["a.ProductTile-link", "a[href*=\"/p/\"]"],
+//       "oldPriceSelectors": [".product-price__original"],
+//       "pagination": "?page={n}",
+//       "detailLimit": 8
+//     }
+//   }
+// Anahtar olarak host yazılır ("www." olmadan). "shop.rossmann.hu" bulunamazsa "rossmann.hu" denenir.
+
+import { COUNTRIES, loadJsonConfig } from './util.mjs';
+import { ESCALATION_STEPS } from './blocks.mjs';
+
+const ENGINES = ['chromium', 'firefox'];
+
+const isSelectorList = v => Array.isArray(v) && v.length > 0 && v.every(x => typeof x === 'string' && x.trim());
+
+// jsonApi kuralı: match (yanıt URL'i parçası) + items (ürün dizisinin yolu) zorunlu, alanlar nokta yolları
+const JSON_API_FIELDS = ['name', 'brand', 'price', 'oldPrice', 'url', 'image', 'urlBase', 'priceDivisor'];
+const isJsonApiRules = v => Array.isArray(v) && v.length > 0 && v.every(r =>
+  r && typeof r === 'object' && typeof r.match === 'string' && r.match && typeof r.items === 'string' &&
+  Object.entries(r).every(([k, x]) => k === 'match' || k === 'items' ||
+    (JSON_API_FIELDS.includes(k) && (k === 'priceDivisor' ? typeof x === 'number' && x > 0 : typeof x === 'string' && x))));
+
+// anahtar -> [doğrulayıcı, beklenen biçim açıklaması]
+const SCHEMA = {
+  notes:                 [v => typeof v === 'string', 'metin'],
+  cardSelectors:         [isSelectorList, 'CSS seçici listesi (ürün kartı kapsayıcıları)'],
+  cardPriceSelectors:    [isSelectorList, 'CSS seçici listesi (kart içinde güncel fiyat)'],
+  cardOldPriceSelectors: [isSelectorList, 'CSS seçici listesi (kart içinde üstü çizili fiyat)'],
+  cardNameSelectors:     [isSelectorList, 'CSS seçici listesi (kart içinde ürün adı)'],
+  linkSelectors:         [isSelectorList, 'CSS seçici listesi (ürün linkleri)'],
+  priceSelectors:        [isSelectorList, 'CSS seçici listesi'],
+  oldPriceSelectors:     [isSelectorList, 'CSS seçici listesi'],
+  nameSelectors:         [isSelectorList, 'CSS seçici listesi'],
+  consentSelectors:      [isSelectorList, 'CSS/Playwright seçici listesi'],
+  loadMoreSelectors:     [isSelectorList, 'CSS/Playwright seçici listesi'],
+  pagination:            [v => typeof v === 'string' && /\{(n|offset)\}/.test(v) && /^[?&/]/.test(v), '"?page={n}", "?start={offset}" veya "/page/{n}" gibi bir kalıp'],
+  pageSize:              [v => Number.isInteger(v) && v > 0, 'pozitif tam sayı'],
+  maxPages:              [v => Number.isInteger(v) && v > 0, 'pozitif tam sayı (feed başına listing sayfası)'],
+  country:               [v => COUNTRIES.includes(v), `ülke kodu (${COUNTRIES.join(', ')})`],
+  currency:              [v => typeof v === 'string' && /^[A-Z]{3}$/.test(v), 'ISO para birimi (ör. EUR)'],
+  engine:                [v => ENGINES.includes(v), ENGINES.join(' | ')],
+  detailLimit:           [v => Number.isInteger(v) && v >= 0, 'sıfır veya pozitif tam sayı'],
+  escalation:            [v => Array.isArray(v) && v.every(x => ESCALATION_STEPS.includes(x)), `engel basamakları listesi (${ESCALATION_STEPS.join(', ')}; [] = denenmez)`],
+  hostDelayMs:           [v => Number.isInteger(v) && v >= 0, 'iki sayfa açılışı arasında en az bekleme (ms)'],
+  hostConcurrency:       [v => Number.isInteger(v) && v > 0, 'pozitif tam sayı (aynı anda süren sayfa yüklemesi)'],
+  hostBudget:            [v => Number.isInteger(v) && v >= 0, 'sıfır veya pozitif tam sayı (günlük sayfa bütçesi)'],
+  jsonApi:               [isJsonApiRules, `JSON API kural listesi ([{ "match", "items", ${JSON_API_FIELDS.map(k => `"${k}"`).join(', ')} }])`]
+};
+
+export const OVERRIDE_KEYS = Object.keys(SCHEMA);
+
+function closestKey(k) {
+  const low = k.toLowerCase();
+  return OVERRIDE_KEYS.find(x => x.toLowerCase() === low || x.toLowerCase().startsWith(low) || low.startsWith(x.toLowerCase())) || null;
+}
+
+// Hata listesi döndürür (boşsa geçerli)
+export function validateOverrides(obj) {
+  const errors = [];
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return ['kök değer host -> ayar nesnesi olmalı'];
+  for (const [host, conf] of Object.entries(obj)) {
+    if (host.startsWith('$')) continue; // "$comment" gibi açıklama alanları
+    if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(host) || host.startsWith('www.')) {
+      errors.push(`"${host}": geçersiz host (ör. "douglas.de", "www." olmadan)`);
+    }
+    if (!conf || typeof conf !== 'object' || Array.isArray(conf)) {
+      errors.push(`"${host}": ayar nesnesi olmalı`);
+      continue;
+    }
+    for (const [k, v] of Object.entries(conf)) {
+      const rule = SCHEMA[k];
+      if (!rule) {
+        const hint = closestKey(k);
+        errors.push(`"${host}".${k}: bilinmeyen anahtar${hint ? ` ("${hint}" mı demek istediniz?)` : ''}`);
+        continue;
+      }
+      if (!rule[0](v)) errors.push(`"${host}".${k}: beklenen ${rule[1]}, gelen ${JSON.stringify(v)}`);
+    }
+    if (conf.pagination && /\{offset\}/.test(conf.pagination) && conf.pageSize == null) {
+      errors.push(`"${host}".pagination: {offset} kullanılıyorsa pageSize de verilmeli`);
+    }
+  }
+  return errors;
+}
+
+export async function loadOverrides(file) {
+  const obj = await loadJsonConfig(file, validateOverrides);
+  if (!obj) return {};
+  return Object.fromEntries(Object.entries(obj).filter(([host]) => !host.startsWith('$')));
+}
+
+// Host için ayarlar ("www." atılır, sonra üst alan adlarına çıkılır)
+export function overrideFor(overrides, hostOrUrl) {
+  let host = String(hostOrUrl || '');
+  try { if (/^https?:/i.test(host)) host = new URL(host).hostname; } catch {}
+  host = host.replace(/^www\./, '').toLowerCase();
+  const parts = host.split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    const h = parts.slice(i).join('.');
+    if (overrides[h]) return overrides[h];
+  }
+  return {};
+}
+
+// "?page={n}" / "?start={offset}" / "/page/{n}" → n. sayfanın URL'i
+export function buildPageUrl(listUrl, pattern, n, pageSize = 0) {
+  const u = new URL(listUrl);
+  const fill = s => s.replace(/\{n\}/g, String(n)).replace(/\{offset\}/g, String((n - 1) * pageSize));
+  if (pattern.startsWith('/')) {
+    u.pathname = u.pathname.replace(/\/+$/, '') + fill(pattern);
+    return u.toString();
+  }
+  for (const pair of pattern.replace(/^[?&]/, '').split('&')) {
+    const [k, v = ''] = pair.split('=');
+    if (k) u.searchParams.set(k, fill(v));
+  }
+  return u.toString();
+}
@@ -0,0 +1,107 @@
+// lib/pagination.mjs — Listing sayfalaması: sonraki sayfanın bulunması
+// Douglas (?page=), Sephora (?start=), Shopify (/collections/x?page=) ve WordPress (/page/2/) kalıplarını tanır. Sıra:
+//   1) overrides.json "pagination" kalıbı (site için bilinen doğru yol)
+//   2) <link rel="next"> / <a rel="next">
+//   3) sayfalama kutusundaki numaralı linkler (şu anki sayfa + 1)
+//   4) "Weiter" / "Sonraki" / "›" gibi ileri linkleri
+//   5) adresteki sayfa/ofset parametresi (?page=2 → 3, ?start=24&sz=24 → 48, /page/2/ → /page/3/)
+//   6) ilk sayfada hiç ürün linki yoksa ?page=n (eski davranış)
+// Sonsuz kaydırma uçları (ürün döndüren JSON isteği) aynı parametre kuralıyla (5) ilerletilir.
+// Durma koşulları (scrape.mjs): feed başına sayfa bütçesi (maxPages), ziyaret edilmiş adres, yeni ürün getirmeyen sayfa.
+
+import { buildPageUrl } from './overrides.mjs';
+
+export const DEFAULT_MAX_PAGES = 5;
+
+const PAGE_PARAMS = ['page', 'p', 'pg', 'pagenumber', 'pageno', 'pageindex', 'currentpage', 'pi'];
+const OFFSET_PARAMS = ['offset', 'start', 'from', 'skip', 'startindex'];
+const SIZE_PARAMS = ['limit', 'size', 'sz', 'pagesize', 'rows', 'count', 'per_page', 'perpage', 'hitsperpage', 'take', 'num'];
+
+const stripHash = (u) => String(u).split('#')[0];
+
+// Adresteki sayfa/ofset parametresini bir sayfa ilerletir; bulunamazsa null
+// pageSize: ofset parametresinin yanında boyut parametresi yoksa adım (ör. son yanıttaki ürün sayısı)
+export function nextParamUrl(url, { pageSize = 0 } = {}) {
+  let u;
+  try { u = new URL(url); } catch { return null; }
+  const sp = u.searchParams;
+  const find = (names) => Array.from(sp.keys()).find(k => names.includes(k.toLowerCase()) && /^\d+$/.test(sp.get(k)));
+
+  const off = find(OFFSET_PARAMS);
+  if (off) {
+    const sizeKey = find(SIZE_PARAMS);
+    const size = sizeKey ? Number(sp.get(sizeKey)) : pageSize;
+    if (!size) return null;
+    sp.set(off, String(Number(sp.get(off)) + size));
+    return u.href;
+  }
+  const pg = find(PAGE_PARAMS);
+  if (pg) {
+    sp.set(pg, String(Number(sp.get(pg)) + 1));
+    return u.href;
+  }
+  const m = u.pathname.match(/\/page\/(\d+)\/?$/i);
+  if (m) {
+    u.pathname = u.pathname.replace(/\/page\/\d+(\/?)$/i, `/page/${Number(m[1]) + 1}$1`);
+    return u.href;
+  }
+  return null;
+}
+
+// signals: pagerSignals çıktısı ; pageNo: şu anki sayfa (1'den başlar) ; visited: açılmış adresler
+// fallback: ilk sayfada ürün linki yoksa ?page=n denenir
+export function nextPageUrl(signals, { listUrl, pageNo = 1, pattern = null, pageSize = 0, fallback = false, visited = new Set() } = {}) {
+  const fresh = (u) => (u && /^https?:/i.test(u) && !visited.has(stripHash(u)) ? stripHash(u) : null);
+  if (pattern) return fresh(buildPageUrl(listUrl, pattern, pageNo + 1, pageSize));
+
+  const s = signals || {};
+  const candidates = [
+    s.relNext,
+    (s.numbered || []).find(x => x.n === pageNo + 1)?.href,
+    ...(s.next || []),
+    s.url && nextParamUrl(s.url, { pageSize }),
+    fallback ? buildPageUrl(listUrl, '?page={n}', pageNo + 1) : null
+  ];
+  for (const c of candidates) {
+    const u = fresh(c);
+    if (u) return u;
+  }
+  return null;
+}
+
+// Sayfadaki sayfalama izleri → { url, relNext, next: [href], numbered: [{ n, href }] }
+export async function pagerSignals(page) {
+  return await page.evaluate(`(${pagerFinder})()`).catch(() => ({ url: page.url(), relNext: null, next: [], numbered: [] }));
+}
+
+// page.evaluate içinde çalışır; dış değişken kullanmamalı
+function pagerFinder() {
+  const abs = (h) => { try { return new URL(h, location.href).href; } catch { return null; } };
+  const label = (a) => (a.getAttribute('aria-label') || a.getAttribute('title') || a.textContent || '').replace(/\s+/g, ' ').trim();
+  const NEXT_TEXT = /^(?:next(?: page)?|weiter|nächste(?: seite)?|sonraki(?: sayfa)?|suivant(?:e)?(?: page)?|page suivante|siguiente|successiv[ao]|avanti|volgende|następna|další|következő|următoarea|seuraava|næste|nästa|neste|επόμενη|›|»|→|>|>>)$/i;
+  const NEXT_CLASS = /(?:^|[\s_-])next(?:[\s_-]|$)|pagination-next|pager-next/i;
+
+  const rel = document.querySelector('link[rel="next"][href], a[rel~="next"][href]');
+  const next = [];
+  for (const a of document.querySelectorAll('a[href]')) {
+    if (/^(#|javascript:)/i.test(a.getAttribute('href') || '')) continue;
+    if (a.getAttribute('aria-disabled') === 'true' || /disabled/i.test(a.getAttribute('class') || '')) continue;
+    if (NEXT_TEXT.test(label(a)) || NEXT_CLASS.test(a.getAttribute('class') || '') || NEXT_CLASS.test((a.parentElement && a.parentElement.getAttribute('class')) || '')) {
+      const h = abs(a.href);
+      if (h && !next.includes(h)) next.push(h);
+    }
+  }
+
+  const numbered = [];
+  const boxes = document.querySelectorAll('[class*="pagination" i], [class*="pager" i], [class*="paging" i], nav[aria-label*="pag" i], nav[aria-label*="seite" i], [role="navigation"]');
+  for (const box of boxes) {
+    for (const a of box.querySelectorAll('a[href]')) {
+      const t = (a.textContent || '').trim();
+      if (/^\d{1,3}$/.test(t)) {
+        const h = abs(a.href);
+        if (h && !numbered.some(x => x.n === Number(t))) numbered.push({ n: Number(t), href: h });
+      }
+    }
+  }
+  return { url: location.href, relNext: rel ? abs(rel.getAttribute('href')) : null, next: next.slice(0, 5), numbered };
+}
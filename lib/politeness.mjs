@@ -0,0 +1,206 @@
+// lib/politeness.mjs — Host bazlı nezaket: hız sınırı, eşzamanlılık, günlük sayfa bütçesi, robots.txt
+// Zamanlayıcı her sayfa açılışından (goto / XML fetch) önce çağrılır ve kayıtlı alan adı
+// (registrable domain: "shop.rossmann.hu" → "rossmann.hu") başına:
+//   - iki istek arasında en az minDelayMs (robots.txt Crawl-delay daha büyükse o) bekletir,
+//   - aynı anda en fazla maxInFlight sayfa yüklemesine (goto / fetch) izin verir; yer yüklenme bitince bırakılır,
+//     yüklenmiş ve açık duran sayfa (detaylarını bekleyen listing) yer tutmaz,
+//   - günlük dailyBudget sayfayı aşan istekleri atlar,
+//   - robots.txt Disallow kurallarına takılan URL'leri atlar.
+// Atlanan URL'ler { url, host, reason } olarak feed sonucuna yazılır (reason: robots | budget).
+//
+// Önbellek (data/cache/):
+//   robots/<host>.json     ← { fetchedAt, status, txt }   (24 saat geçerli)
+//   budget-YYYY-MM-DD.json ← { "douglas.de": 143, … }     (aynı gün --resume / yeniden çalıştırma bütçeyi aşmasın)
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { ensureDir, readJson } from './util.mjs';
+
+export const ROBOTS_AGENT = 'BeautyDropBot';
+const ROBOTS_TTL_MS = 24 * 3600 * 1000;
+
+// İkinci düzey kamu son ekleri (tam Public Suffix List yerine feed'lerde geçenler)
+const SECOND_LEVEL = new Set(['co.uk', 'org.uk', 'com.tr', 'gen.tr', 'com.pl', 'com.gr', 'com.pt', 'com.ro', 'co.at', 'or.at', 'com.es', 'com.de', 'co.it', 'com.au', 'co.nz']);
+
+export function registrableDomain(host) {
+  const h = String(host || '').toLowerCase().replace(/:\d+$/, '').replace(/^www\./, '');
+  if (/^[\d.]+$/.test(h) || !h.includes('.')) return h;
+  const parts = h.split('.');
+  const n = SECOND_LEVEL.has(parts.slice(-2).join('.')) ? 3 : 2;
+  return parts.slice(-n).join('.');
+}
+
+// ===== robots.txt =====
+// → { rules: [{ allow, path }], crawlDelay } ; bizim ajan için grup yoksa "*" grubu
+export function parseRobots(txt, agent = ROBOTS_AGENT) {
+  const groups = [];
+  let cur = null;
+  let lastWasAgent = false;
+  for (const raw of String(txt || '').split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, '').trim();
+    const m = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!m) continue;
+    const key = m[1].toLowerCase();
+    const val = m[2].trim();
+    if (key === 'user-agent') {
+      if (!lastWasAgent) { cur = { agents: [], rules: [], crawlDelay: null }; groups.push(cur); }
+      cur.agents.push(val.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!cur) continue;
+    if (key === 'allow' || key === 'disallow') {
+      if (val) cur.rules.push({ allow: key === 'allow', path: val });
+    } else if (key === 'crawl-delay') {
+      const n = Number(val.replace(',', '.'));
+      if (Number.isFinite(n) && n >= 0) cur.crawlDelay = n;
+    }
+  }
+  const a = agent.toLowerCase();
+  const mine = groups.filter(g => g.agents.some(x => x !== '*' && a.includes(x)));
+  const chosen = mine.length ? mine : groups.filter(g => g.agents.includes('*'));
+  return {
+    rules: chosen.flatMap(g => g.rules),
+    crawlDelay: chosen.map(g => g.crawlDelay).find(x => x != null) ?? null
+  };
+}
+
+function ruleRegex(p) {
+  const anchored = p.endsWith('$');
+  const body = (anchored ? p.slice(0, -1) : p).split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+// En uzun eşleşen kural kazanır; eşitlikte Allow (RFC 9309)
+export function isAllowed(robots, pathAndQuery) {
+  if (!robots?.rules?.length) return true;
+  let best = null;
+  for (const r of robots.rules) {
+    if (!ruleRegex(r.path).test(pathAndQuery)) continue;
+    if (!best || r.path.length > best.path.length || (r.path.length === best.path.length && r.allow)) best = r;
+  }
+  return best ? best.allow : true;
+}
+
+// 4xx → her şey serbest; 5xx / ağ hatası → önbellekteki eski kopya, o da yoksa serbest (uyarıyla)
+async function fetchRobots(origin, { cacheDir, headers = {}, timeoutMs = 10000 } = {}) {
+  const host = new URL(origin).host;
+  const file = cacheDir ? path.join(cacheDir, 'robots', `${host.replace(/[^a-z0-9.-]/gi, '_')}.json`) : null;
+  const cached = file ? await readJson(file, null).catch(() => null) : null;
+  if (cached && Date.now() - Date.parse(cached.fetchedAt) < ROBOTS_TTL_MS) return cached.txt;
+
+  let entry;
+  try {
+    const res = await fetch(`${origin}/robots.txt`, { headers, redirect: 'follow', signal: AbortSignal.timeout(timeoutMs) });
+    if (res.status >= 500) throw new Error(`HTTP ${res.status}`);
+    entry = { fetchedAt: new Date().toISOString(), status: res.status, txt: res.ok ? await res.text() : '' };
+  } catch (e) {
+    console.warn(`[warn] ${origin}/robots.txt okunamadı (${e.message}); ${cached ? 'önbellekteki kopya' : 'kısıtsız'} kullanılıyor`);
+    return cached?.txt || '';
+  }
+  if (file) {
+    await ensureDir(path.dirname(file));
+    await fs.writeFile(file, JSON.stringify(entry), 'utf8');
+  }
+  return entry.txt;
+}
+
+// ===== Zamanlayıcı =====
+export const DEFAULT_HOST_LIMITS = {
+  minDelayMs: 1500,
+  maxInFlight: 2,
+  dailyBudget: 400
+};
+
+// limitsFor(host) → site bazlı { minDelayMs, maxInFlight, dailyBudget } (overrides.json)
+export function createHostScheduler({
+  limits = {},
+  limitsFor = () => ({}),
+  robots = true,
+  agent = ROBOTS_AGENT,
+  headers = {},
+  cacheDir = null,
+  day = new Date().toISOString().slice(0, 10)
+} = {}) {
+  const defaults = { ...DEFAULT_HOST_LIMITS, ...limits };
+  const states = new Map();     // registrable domain -> { active, waiting, nextStart, used }
+  const robotsCache = new Map(); // origin -> Promise<parsed>
+  const budgetFile = cacheDir ? path.join(cacheDir, `budget-${day}.json`) : null;
+  let usedLoaded = null;
+
+  async function loadUsed() {
+    if (!usedLoaded) usedLoaded = budgetFile ? readJson(budgetFile, {}).catch(() => ({})) : Promise.resolve({});
+    return usedLoaded;
+  }
+
+  async function stateFor(key) {
+    const used = await loadUsed();
+    if (!states.has(key)) states.set(key, { active: 0, waiting: [], nextStart: 0, used: used[key] || 0 });
+    return states.get(key);
+  }
+
+  function robotsFor(origin) {
+    if (!robotsCache.has(origin)) {
+      robotsCache.set(origin, fetchRobots(origin, { cacheDir, headers }).then(txt => parseRobots(txt, agent)));
+    }
+    return robotsCache.get(origin);
+  }
+
+  // → { ok: true, release } veya { ok: false, reason }
+  async function acquire(url) {
+    let u;
+    try { u = new URL(url); } catch { return { ok: true, release() {} }; }
+    if (!/^https?:$/.test(u.protocol)) return { ok: true, release() {} };
+    const key = registrableDomain(u.host);
+    const lim = { ...defaults, ...limitsFor(u.host) };
+
+    let delayMs = lim.minDelayMs;
+    if (robots) {
+      const r = await robotsFor(u.origin);
+      if (!isAllowed(r, u.pathname + u.search)) return { ok: false, reason: 'robots' };
+      if (r.crawlDelay != null) delayMs = Math.max(delayMs, r.crawlDelay * 1000);
+    }
+
+    const st = await stateFor(key);
+    if (st.used >= lim.dailyBudget) return { ok: false, reason: 'budget' };
+    st.used++;
+
+    // Dolu ise sırada bekle; bırakılan yer doğrudan sıradakine devredilir (araya başka istek giremez)
+    if (st.active >= lim.maxInFlight) await new Promise(resolve => st.waiting.push(resolve));
+    else st.active++;
+    const start = Math.max(Date.now(), st.nextStart);
+    st.nextStart = start + delayMs;
+    if (start > Date.now()) await sleep(start - Date.now());
+
+    let released = false;
+    return {
+      ok: true,
+      release() {
+        if (released) return;
+        released = true;
+        const next = st.waiting.shift();
+        if (next) next();
+        else st.active--;
+      }
+    };
+  }
+
+  // Bugünkü kullanım (kayıtlı alan adı → sayfa sayısı)
+  function usage() {
+    return Object.fromEntries(Array.from(states, ([k, st]) => [k, st.used]).sort((a, b) => b[1] - a[1]));
+  }
+
+  async function flush() {
+    if (!budgetFile) return;
+    const merged = { ...(await loadUsed()), ...usage() };
+    await ensureDir(path.dirname(budgetFile));
+    await fs.writeFile(budgetFile, JSON.stringify(merged, null, 2), 'utf8');
+  }
+
+  return { acquire, usage, flush };
+}
+
+// Zamanlayıcı verilmediğinde: kısıtsız
+export const UNLIMITED_SCHEDULER = { acquire: async () => ({ ok: true, release() {} }), usage: () => ({}), flush: async () => {} };
@@ -0,0 +1,183 @@
+// lib/price.mjs — Fiyat metni ayrıştırma ve para birimi tespiti
+// Tek ayrıştırıcı: ld+json/OG (Node tarafı) ve DOM çıkarımı (tarayıcı içi) aynı kuralları kullanır.
+// createPriceParser dış değişkene dokunmaz; kaynağı page.evaluate içine olduğu gibi gömülebilir
+// (bkz. priceParserSource). Bu yüzden gerekli tüm tablolar fonksiyonun içindedir.
+//
+// parsePrice("ab 1.299,90 TL") → { value: 1299.9, currency: 'TRY', from: true, ... }
+// parsePrice("12,99 € / 100 ml") → { value: null, unit_price: { value: 12.99, currency: 'EUR', per: 100, unit: 'ml' } }
+//
+// Kurallar:
+// - Ayırıcı hem "," hem "." ise sondaki ondalıktır ("1.299,90", "1,299.90").
+// - Tek ayırıcı birden çok geçiyorsa binliktir ("1.299.000").
+// - Tek ayırıcıdan sonra tam 3 hane varsa ve para biriminin küsuratı 3 değilse binliktir ("1.299" TRY/HUF/CZK → 1299).
+//   Virgülde bu yalnızca ondalığı nokta olan para birimlerinde geçerli ("1,299 £" → 1299); € / zł / TL gibi ondalığı
+//   virgül olanlarda ve para birimi bilinmezken virgül ondalıktır ("24,950 €" → 24.95). Euro'yu noktayla yazan
+//   ülkelerde (country: IE, MT, CY) € da nokta ondalıklı sayılır ("€1,299" boots.ie → 1299).
+// - Boşluk, NBSP, ince boşluk ve kesme işareti (CHF 1'299.90) yalnızca 3 haneli grupların önünde binlik sayılır.
+// - "ab / from / à partir de / desde / vanaf / od / från / 'den başlayan" → from: true
+// - "12,99 – 24,99 €" / "12,99 bis 24,99" → min/max (value = min)
+// - "2 für 1", "3 for 2", "1+1", "buy 2 get 1 free" → multibuy { buy, pay }; "3 for £10" → multibuy { qty, total }
+// - "12,99 €/100 ml", "(1 l = 25,98 €)", "Grundpreis 179,80 € pro 1 l" → unit_price; "50 ml" → volume ("3x50 ml": çarpan fiyat değil)
+
+export function createPriceParser(defaults = {}) {
+  const CUR = '€|£|\\$|₺|лв|EUR|GBP|USD|CHF|PLN|zł|CZK|Kč|HUF|Ft|RON|lei|BGN|DKK|SEK|NOK|kr|TRY|TL';
+  const NUM = "\\d(?:[\\d.,'’\\u00a0\\u202f\\u2009 ]*\\d)?";
+  const MONEY = `(?:(?:${CUR})\\s?)?[-−]?${NUM}(?:\\s?(?:${CUR})(?![\\p{L}]))?`;
+  const UNIT = '(ml|cl|l|g|gr|kg|oz|stk|st|pcs|adet|szt|ks)';
+  const MINOR_UNITS = { JPY: 0, ISK: 0, KRW: 0, CLP: 0, KWD: 3, BHD: 3, JOD: 3, OMR: 3, TND: 3 };
+  const KR = { DKK: 'DKK', SEK: 'SEK', NOK: 'NOK' };
+  const DOT_DECIMAL = ['GBP', 'USD', 'CHF', 'JPY', 'KRW'];
+  const DOT_DECIMAL_EUR = ['IE', 'MT', 'CY'];
+
+  const FROM_RE = /(?:^|[^\p{L}])(ab|from|starting at|à partir de|a partir de|dès|desde|a partire da|da|vanaf|od|från|fra|alkaen|από)(?=[^\p{L}]|$)|['’]?(?:den|dan|ten|tan) başlayan/iu;
+  const UNIT_AFTER_RE = new RegExp(`(${MONEY})\\s*(?:\\/|pro|per|je|par|por|za)\\s*(\\d+(?:[.,]\\d+)?)?\\s*${UNIT}(?![\\p{L}])`, 'iu');
+  const UNIT_BEFORE_RE = new RegExp(`(\\d+(?:[.,]\\d+)?)?\\s*${UNIT}\\s*[=:]\\s*(${MONEY})`, 'iu');
+  const VOLUME_RE = new RegExp(`(?:\\d+\\s?[x×]\\s?)?(\\d+(?:[.,]\\d+)?)\\s?(ml|cl|l|g|gr|kg|oz)(?![\\p{L}])`, 'iu');
+  const MULTI_TOTAL_RE = new RegExp(`(?:^|[^\\d])(\\d+)\\s*(?:x\\s*)?(?:for|für|pour|per|por|za|için|voor|för)\\s*((?:${CUR})\\s?${NUM}|${NUM}\\s?(?:${CUR}))`, 'iu');
+  const MULTI_RES = [
+    [/(?:^|[^\d])(\d+)\s*(?:for|für|pour|per|por|za|voor|för|al prezzo di|al precio de)\s*(\d+)(?![\d.,]|\s*(?:%|ml|g|l\b))/iu, m => ({ buy: +m[1], pay: +m[2] })],
+    [/(?:^|[^\d])(\d+)\s*\+\s*(\d+)(?![\d.,%])/u, m => ({ buy: +m[1] + +m[2], pay: +m[1] })],
+    [/buy\s*(\d+)\s*get\s*(\d+)\s*free/iu, m => ({ buy: +m[1] + +m[2], pay: +m[1] })],
+    [/(\d+)\s*al\s*(\d+)\s*öde/iu, m => ({ buy: +m[1], pay: +m[2] })]
+  ];
+  const RANGE_RE = new RegExp(`(${MONEY})\\s*(?:[-–—]|bis|to|à|a|hasta|tot|do|till)\\s*(${MONEY})`, 'iu');
+  const PERCENT_RE = /[-−]?\s?\d+(?:[.,]\d+)?\s?%/g;
+
+  function clean(s) {
+    return String(s ?? '')
+      .replace(/&nbsp;|&#160;/gi, ' ')
+      .replace(/&euro;/gi, '€').replace(/&pound;/gi, '£')
+      .replace(/[\u00a0\u202f\u2009]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  function detectCurrency(txt, opts = {}) {
+    if (!txt) return null;
+    const t = String(txt);
+    const s = t.toUpperCase();
+    if (/€/.test(t) || /\bEUR\b/.test(s)) return 'EUR';
+    if (/£/.test(t) || /\bGBP\b/.test(s)) return 'GBP';
+    if (/₺/.test(t) || /\bTRY\b|\bTL\b|\dTL\b/.test(s)) return 'TRY';
+    if (/\bPLN\b|ZŁ/.test(s)) return 'PLN';
+    if (/\bCHF\b/.test(s)) return 'CHF';
+    if (/\bCZK\b|KČ/.test(s)) return 'CZK';
+    if (/\bHUF\b|\bFT\b|\dFT\b/.test(s)) return 'HUF';
+    if (/\bRON\b|\bLEI\b/.test(s)) return 'RON';
+    if (/\bBGN\b|ЛВ/.test(s)) return 'BGN';
+    if (/\bDKK\b/.test(s)) return 'DKK';
+    if (/\bSEK\b/.test(s)) return 'SEK';
+    if (/\bNOK\b/.test(s)) return 'NOK';
+    if (/\bKR\b|\dKR\b/.test(s)) return KR[opts.currency || defaults.currency] || null;
+    if (/\bUSD\b|\$/.test(s)) return 'USD';
+    return null;
+  }
+
+  // Tek bir sayı (metindeki ilk sayı). currency / country ipuçları yalnızca ondalık ayırıcı ve küsurat hanesi için kullanılır.
+  function parseNumber(input, opts = {}) {
+    if (input == null) return null;
+    if (typeof input === 'number') return Number.isFinite(input) ? input : null;
+    let s = clean(input);
+    // 3 haneli grupların önündeki boşluk/kesme işareti binliktir
+    s = s.replace(/(\d)[ '’ʼ](?=\d{3}(?!\d))/g, '$1');
+    const m = s.match(/(?:^|[^\d])([-−])?\s?(\d[\d.,]*)/) || s.match(/()(\d[\d.,]*)/);
+    if (!m) return null;
+    const sign = m[1] ? -1 : 1;
+    let t = m[2].replace(/[.,]+$/, '');
+    const currency = opts.currency || defaults.currency || detectCurrency(s, opts);
+    const minor = MINOR_UNITS[currency] ?? 2;
+    const country = String(opts.country || defaults.country || '').toUpperCase();
+    const dotDecimal = DOT_DECIMAL.includes(currency) || (currency === 'EUR' && DOT_DECIMAL_EUR.includes(country));
+    const lastDot = t.lastIndexOf('.');
+    const lastComma = t.lastIndexOf(',');
+    if (lastDot !== -1 && lastComma !== -1) {
+      const dec = lastDot > lastComma ? '.' : ',';
+      const grp = dec === '.' ? ',' : '.';
+      t = t.split(grp).join('').replace(dec, '.');
+    } else if (lastDot !== -1 || lastComma !== -1) {
+      const sep = lastDot !== -1 ? '.' : ',';
+      const parts = t.split(sep);
+      const tail = parts[parts.length - 1];
+      const grouping = parts.length > 2 ||
+        (tail.length === 3 && minor !== 3 && !/^0+$/.test(parts[0]) && (sep === '.' || dotDecimal));
+      t = grouping ? parts.join('') : parts.join('.');
+    }
+    const v = Number(t);
+    return Number.isFinite(v) ? sign * v : null;
+  }
+
+  function normUnit(qty, unit) {
+    const u = unit.toLowerCase();
+    if (u === 'gr') return { value: qty, unit: 'g' };
+    if (u === 'cl') return { value: qty * 10, unit: 'ml' };
+    if (['stk', 'st', 'pcs', 'adet', 'szt', 'ks'].includes(u)) return { value: qty, unit: 'pcs' };
+    return { value: qty, unit: u };
+  }
+
+  const qtyOf = (q) => (q ? Number(String(q).replace(',', '.')) : 1);
+
+  // Fiyat metni → { value, currency, min, max, from, unit_price, volume, multibuy }
+  function parsePrice(input, opts = {}) {
+    let s = clean(input);
+    const out = { value: null, currency: null, min: null, max: null, from: false, unit_price: null, volume: null, multibuy: null };
+    if (!s) return out;
+    const hint = { currency: opts.currency || defaults.currency };
+    out.currency = detectCurrency(s, hint) || hint.currency || null;
+    const num = (x) => parseNumber(x, { currency: out.currency, country: opts.country || defaults.country });
+
+    let m = s.match(UNIT_AFTER_RE);
+    if (m) {
+      const u = normUnit(qtyOf(m[2]), m[3]);
+      out.unit_price = { value: num(m[1]), currency: detectCurrency(m[1], hint) || out.currency, per: u.value, unit: u.unit };
+      s = s.replace(m[0], ' ');
+    } else if ((m = s.match(UNIT_BEFORE_RE))) {
+      const u = normUnit(qtyOf(m[1]), m[2]);
+      out.unit_price = { value: num(m[3]), currency: detectCurrency(m[3], hint) || out.currency, per: u.value, unit: u.unit };
+      s = s.replace(m[0], ' ');
+    }
+
+    if ((m = s.match(MULTI_TOTAL_RE))) {
+      out.multibuy = { qty: +m[1], total: num(m[2]) };
+      s = s.replace(m[0], ' ');
+    } else {
+      for (const [re, fn] of MULTI_RES) {
+        const mm = s.match(re);
+        if (mm) { out.multibuy = fn(mm); s = s.replace(mm[0], ' '); break; }
+      }
+    }
+
+    if ((m = s.match(VOLUME_RE))) {
+      out.volume = normUnit(qtyOf(m[1]), m[2]);
+      s = s.replace(m[0], ' ');
+    }
+
+    s = s.replace(PERCENT_RE, ' ');
+    if (FROM_RE.test(s)) out.from = true;
+
+    if ((m = s.match(RANGE_RE))) {
+      const a = num(m[1]);
+      const b = num(m[2]);
+      if (a != null && b != null && b > a && a >= 0) {
+        out.min = a; out.max = b; out.value = a;
+        return out;
+      }
+    }
+    const money = s.match(new RegExp(MONEY, 'u'));
+    out.value = money ? num(money[0]) : null;
+    return out;
+  }
+
+  return { parseNumber, parsePrice, detectCurrency };
+}
+
+// page.evaluate içine gömmek için: `(${priceParserSource})(opts)`
+export const priceParserSource = createPriceParser.toString();
+
+const shared = createPriceParser();
+
+export function parseNumberLocalized(input, opts) { return shared.parseNumber(input, opts); }
+export function detectCurrencyFromText(txt, opts) { return shared.detectCurrency(txt, opts); }
+export function parsePrice(input, opts) { return shared.parsePrice(input, opts); }
+
+// Ürün adındaki hacim/ağırlık: "Idôle Eau de Parfum 50 ml" → { value: 50, unit: 'ml' }
+export function volumeOf(name) { return name ? shared.parsePrice(name).volume : null; }
@@ -0,0 +1,198 @@
+// lib/promotions.mjs — Kampanya/kupon çıkarımı
+// Kampanya sayfalarının (/kampanyalar, /angebote, /promotions) değeri ürün fiyatı değil mekaniktir:
+// "-20% mit Code BEAUTY20", "3 al 2 öde", "50 € Einkaufswert ab → Geschenk". Bu modül metin bloklarından
+// kod, yüzde/tutar indirimi, alt limit, çoklu alım ve geçerlilik tarihlerini çıkarır. Her feed sonucunda ayrı bir
+// `promotions` dizisi olarak yazılır:
+//   { id, type, code, percent, amount, currency, threshold, multibuy, gift, valid_from, valid_until, text, store, country, url }
+// type: coupon (kod var) | multibuy | gift | discount
+// Tek başına "-30%" (ürün rozeti, "Sale bis -50%") kampanya sayılmaz; kod, alt limit veya "extra/sepette/auf alles" gerekir.
+
+import { sha1 } from './util.mjs';
+import { parsePrice, detectCurrencyFromText, parseNumberLocalized } from './price.mjs';
+
+// lib/price.mjs ile aynı semboller; burada para birimi zorunlu ("ab 3 Produkten" tutar değildir)
+const CUR = '€|£|\\$|₺|лв|EUR|GBP|USD|CHF|PLN|zł|CZK|Kč|HUF|Ft|RON|lei|BGN|DKK|SEK|NOK|kr|TRY|TL';
+const NUM = "\\d+(?:[.,'’ ]\\d{3})*(?:[.,]\\d{1,2})?";
+const MONEY = `(?:(?:${CUR})\\s?${NUM}|${NUM}\\s?(?:${CUR})(?![\\p{L}]))`;
+
+const CODE_WORDS = 'promo ?code|rabatt ?code|gutschein ?code|gutschein|rabattkod|rabatkode|rabattkode|code promo|code|codice sconto|codice|código promocional|código|codigo|cupón|cupom|coupon|voucher|indirim kodu|kupon kodu|kod rabatowy|kodem|kod|slevový kód|kódem|kuponkód|kóddal|cod(?:ul)? promoțional|codul|cod|kortingscode';
+// Bağlaç kelimesinden sonra boşluk/tırnak gerekir ("GUTSCHEIN SICHERN" → "s" + "ICHERN" olmasın); koddan sonra harf gelmez
+// ("EINLÖSEN" → "EINL" olmasın). Gruplar: 1 = ":" / "=", 2 = tırnak, 3 = kod
+const CODE_BEFORE_RE = new RegExp(`(?:^|[^\\p{L}])(?:${CODE_WORDS})\\s*(?:([:：=])|(?:ile|mit|with|avec|con|met|z|s|cu)(?=[\\s"'„“«‚]))?\\s*(["'„“«‚]?)([A-Za-z0-9][A-Za-z0-9_-]{2,19})(?![\\p{L}])`, 'giu');
+const CODE_AFTER_RE = /(?:^|[^\p{L}\d])["'„“«]?([A-Z0-9][A-Z0-9_-]{2,19})["'“”»]?\s*(?:kodu|kuponu|kóddal)/gu;
+// Kod gibi görünen ama kod olmayan kelimeler (büyük harfli bannerlardaki fiiller dahil)
+const NOT_CODES = new Set(['CODE', 'CODES', 'MIT', 'WITH', 'AVEC', 'CON', 'INDIRIM', 'RABATT', 'SALE', 'EXTRA', 'GRATIS', 'FREE', 'HIER', 'HERE', 'ICI', 'AQUI', 'QUI', 'KODU', 'BLACK', 'FRIDAY',
+  'SICHERN', 'KOPIEREN', 'EINLÖSEN', 'ANZEIGEN', 'HOLEN', 'NUTZEN', 'JETZT', 'COPY', 'APPLY', 'REDEEM', 'CLAIM', 'GET', 'USE', 'SHOW', 'REVEAL',
+  'COPIER', 'UTILISER', 'COPIAR', 'USAR', 'COPIA', 'USA', 'KOPYALA', 'UYGULA', 'KOPIUJ', 'KOPIEER', 'GEBRUIK']);
+
+const PERCENT_RE = /[-−]?\s?(\d{1,2}(?:[.,]\d)?)\s?%|%\s?(\d{1,2})(?![\d.,])/u;
+const AMOUNT_AFTER_RE = new RegExp(`(${MONEY})\\s*(?:rabatt|nachlass|off|de réduction|de remise|offerts?|di sconto|de descuento|korting|zniżki|rabatu|sleva|slevu|kedvezmény|reducere|indirim|rabat)`, 'iu');
+const AMOUNT_BEFORE_RE = new RegExp(`(?:[-−]\\s?|save\\s|spare\\s|sparen sie\\s|économisez\\s|ahorra\\s|risparmia\\s|bespaar\\s|oszczędź\\s|ušetřete\\s)(${MONEY})`, 'iu');
+const THRESHOLD_BEFORE_RE = new RegExp(`(?:^|[^\\p{L}])(?:ab|über|ueber|from|over|spend|when you spend|orders? over|dès|des|à partir de|a partir de|desde|más de|da|oltre|sopra|vanaf|boven|od|powyżej|nad|min\\.?|minimum|mindestbestellwert(?: von)?|einkaufswert(?: von)?|bestellwert(?: von)?|feletti|de la|peste|från|över|fra|yli)\\s*(${MONEY})`, 'iu');
+const THRESHOLD_AFTER_RE = new RegExp(`(${MONEY})\\s*(?:ve üzeri|ve üstü|üzeri|üstü|alışverişlerde|alışverişe|siparişlerde|feletti|felett|et plus|d'achat|or more|und mehr|oder mehr|einkaufswert|bestellwert|e più|o más|of meer|i więcej|a více|sau mai mult)`, 'iu');
+// İspanyol/İtalyan yazımı: "2x1", "3x2" (parsePrice bunu "2x50 ml" ile karışmasın diye tanımaz)
+const MULTI_X_RE = /(?:^|[^\d])([2-5])\s?x\s?([1-4])(?![\d]|\s?(?:ml|g|cl|l)\b)/iu;
+// Hediye kampanyası: alışverişe bağlı hediye ifadesi ya da hediye kelimesi + alt limit. Ürün adları ("Geschenkset",
+// "Coffret Cadeau", "Hediye Seti") tek başına hediye kampanyası değildir.
+const GIFT_PURCHASE_RE = /free gift|gift with (?:purchase|every order)|\bgwp\b|geschenk (?:ab|zum|beim|bei|zu jedem|zu jeder|zur) (?:einkauf|bestellung|kauf)|gratis[- ]?zugabe|cadeau offert|en cadeau (?:dès|pour|avec)|regalo (?:con|por|per) (?:la |tu |il |l'|un |ogni )?(?:compra|pedido|acquisto|ordine)|omaggio (?:con|per) (?:l'|un |ogni )?(?:acquisto|ordine)|hediye[^.!|]{0,40}(?:alışveriş|sipariş)|(?:alışveriş|sipariş)[^.!|]{0,40}hediye|cadou la (?:comand|achizi)|prezent (?:do|przy) (?:zamówie|zakup)|dárek k (?:nákupu|objednávce)|ajándék (?:minden|a) (?:rendelés|vásárlás)|kado bij (?:je |elke )?(?:bestelling|aankoop)/iu;
+const GIFT_WORD_RE = /(?<![\p{L}])(?:gift|geschenk|cadeau|regalo|omaggio|hediye|cadou|prezent|dárek|ajándék|gåva|kado)(?![\p{L}])/iu;
+// Tek başına yüzde bunlardan biriyle birlikte anlam kazanır
+const EXTRA_RE = /extra|zusätzlich|auf alles|auf das gesamte|sitewide|storewide|on everything|sepette|tüm ürünlerde|ek indirim|en plus|supplémentaire|sur tout|adicional|en todo|aggiuntivo|su tutto|op alles|dodatkowe|na wszystko|navíc|na vše|mindenre|suplimentar|la tot|gutschein|voucher|coupon|kupon|cupón|bon de réduction|buono/iu;
+
+// ===== Geçerlilik tarihleri =====
+const MONTHS = {};
+[
+  ['january|jan', 'januar|jänner', 'janvier', 'enero', 'gennaio', 'ocak', 'januari', 'stycznia|styczeń', 'január', 'ianuarie'],
+  ['february|feb', 'februar|feber', 'février', 'febrero', 'febbraio', 'şubat', 'februari', 'lutego|luty', 'február', 'februarie'],
+  ['march|mar', 'märz', 'mars', 'marzo', 'marzo', 'mart', 'maart', 'marca|marzec', 'március', 'martie'],
+  ['april|apr', 'april', 'avril', 'abril', 'aprile', 'nisan', 'april', 'kwietnia|kwiecień', 'április', 'aprilie'],
+  ['may', 'mai', 'mai', 'mayo', 'maggio', 'mayıs', 'mei', 'maja|maj', 'május', 'mai'],
+  ['june|jun', 'juni', 'juin', 'junio', 'giugno', 'haziran', 'juni', 'czerwca|czerwiec', 'június', 'iunie'],
+  ['july|jul', 'juli', 'juillet', 'julio', 'luglio', 'temmuz', 'juli', 'lipca|lipiec', 'július', 'iulie'],
+  ['august|aug', 'august', 'août', 'agosto', 'agosto', 'ağustos', 'augustus', 'sierpnia|sierpień', 'augusztus', 'august'],
+  ['september|sept|sep', 'september', 'septembre', 'septiembre', 'settembre', 'eylül', 'september', 'września|wrzesień', 'szeptember', 'septembrie'],
+  ['october|oct', 'oktober', 'octobre', 'octubre', 'ottobre', 'ekim', 'oktober', 'października|październik', 'október', 'octombrie'],
+  ['november|nov', 'november', 'novembre', 'noviembre', 'novembre', 'kasım', 'november', 'listopada|listopad', 'november', 'noiembrie'],
+  ['december|dec', 'dezember', 'décembre', 'diciembre', 'dicembre', 'aralık', 'december', 'grudnia|grudzień', 'december', 'decembrie']
+].forEach((names, i) => names.join('|').split('|').forEach(n => { MONTHS[n] = i + 1; }));
+const MONTH_ALT = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+// Fiyatlar ("3.10 €", "€9.12") tarih sayılmaz
+const DATE_NUM_RE = /(?<![\d.,]|[€£$₺]\s?)(\d{1,2})[./-](\d{1,2})(?:[./-](\d{4}|\d{2}))?(?![\d]|[.,]\d|\s?(?:€|£|\$|₺|%|TL|EUR|GBP|USD|CHF|zł|Kč|Ft|lei|kr))/gu;
+const DATE_DMY_RE = new RegExp(`(?<![\\d])(\\d{1,2})\\.?\\s*(?:de\\s+)?(${MONTH_ALT})(?![\\p{L}])(?:\\s*(?:de\\s+)?(\\d{4}))?`, 'giu');
+const DATE_MDY_RE = new RegExp(`(?<![\\p{L}])(${MONTH_ALT})\\.?\\s+(\\d{1,2})(?![\\d]|\\s?%)(?:(?:st|nd|rd|th)?,?\\s*(\\d{4}))?`, 'giu');
+const FROM_WORD_RE = /(?:ab|from|starting|dès|du|desde|dal|vanaf|od|från|itibaren|tól|től|de la)\s*$/iu;
+
+// ISO gün; yıl yoksa referans güne göre (60 günden eskiyse gelecek yıl)
+function isoDate(d, m, y, refDay) {
+  if (!(m >= 1 && m <= 12 && d >= 1 && d <= 31)) return null;
+  const ref = new Date(`${refDay}T00:00:00Z`);
+  let year = y ? (y < 100 ? 2000 + y : y) : ref.getUTCFullYear();
+  let dt = new Date(Date.UTC(year, m - 1, d));
+  if (dt.getUTCMonth() !== m - 1) return null;
+  if (!y && ref - dt > 60 * 864e5) dt = new Date(Date.UTC(year + 1, m - 1, d));
+  return dt.toISOString().slice(0, 10);
+}
+
+// Metindeki tarihler → { valid_from, valid_until }
+export function parseValidity(text, { day = new Date().toISOString().slice(0, 10) } = {}) {
+  const found = [];
+  const s = String(text || '');
+  for (const m of s.matchAll(DATE_NUM_RE)) {
+    let d = +m[1], mo = +m[2];
+    if (mo > 12 && d <= 12) [d, mo] = [mo, d]; // 10/31 (ABD)
+    const iso = isoDate(d, mo, m[3] ? +m[3] : null, day);
+    if (iso) found.push({ iso, index: m.index });
+  }
+  for (const m of s.matchAll(DATE_DMY_RE)) {
+    const iso = isoDate(+m[1], MONTHS[m[2].toLowerCase()], m[3] ? +m[3] : null, day);
+    if (iso) found.push({ iso, index: m.index });
+  }
+  for (const m of s.matchAll(DATE_MDY_RE)) {
+    const iso = isoDate(+m[2], MONTHS[m[1].toLowerCase()], m[3] ? +m[3] : null, day);
+    if (iso) found.push({ iso, index: m.index });
+  }
+  const dates = found.sort((a, b) => a.index - b.index).filter((x, i, a) => !i || x.index !== a[i - 1].index);
+  if (!dates.length) return { valid_from: null, valid_until: null };
+  if (dates.length >= 2 && dates[0].iso <= dates[1].iso) return { valid_from: dates[0].iso, valid_until: dates[1].iso };
+  const only = dates[0];
+  if (FROM_WORD_RE.test(s.slice(Math.max(0, only.index - 12), only.index))) return { valid_from: only.iso, valid_until: null };
+  return { valid_from: null, valid_until: only.iso };
+}
+
+function money(m, currency, country) {
+  if (!m) return null;
+  const cur = detectCurrencyFromText(m, { currency }) || currency || null;
+  const value = parseNumberLocalized(m, { currency: cur, country });
+  return value != null ? { value, currency: cur } : null;
+}
+
+function findCode(s) {
+  // Büyük harfli bannerda ("JETZT GUTSCHEIN SICHERN") her kelime kod gibi görünür: rakam, tırnak veya ":" gerekir
+  const letters = s.replace(/[^\p{L}]/gu, '');
+  const banner = letters.length >= 8 && letters === letters.toUpperCase();
+  const ok = (c, marked) => c && /[A-Z]/.test(c) && c === c.toUpperCase() && !NOT_CODES.has(c) && !/^\d+$/.test(c) &&
+    (!banner || marked || /\d/.test(c));
+  for (const m of s.matchAll(CODE_BEFORE_RE)) if (ok(m[3], !!(m[1] || m[2]))) return m[3];
+  for (const m of s.matchAll(CODE_AFTER_RE)) if (ok(m[1], true)) return m[1];
+  return null;
+}
+
+// Tek metin parçası → kampanya veya null
+export function parsePromotion(text, { currency = null, country = null, day } = {}) {
+  const raw = String(text || '').replace(/\s+/g, ' ').trim();
+  if (raw.length < 4) return null;
+  let s = raw;
+
+  const code = findCode(s);
+  let m = s.match(THRESHOLD_BEFORE_RE) || s.match(THRESHOLD_AFTER_RE);
+  const threshold = m ? money(m[1], currency, country) : null;
+  if (m) s = s.replace(m[0], ' ');
+
+  const mx = s.match(MULTI_X_RE);
+  const multibuy = parsePrice(s, { currency, country }).multibuy || (mx && +mx[1] > +mx[2] ? { buy: +mx[1], pay: +mx[2] } : null);
+  const gift = GIFT_PURCHASE_RE.test(raw) || (!!threshold && GIFT_WORD_RE.test(s));
+  const am = s.match(AMOUNT_AFTER_RE) || s.match(AMOUNT_BEFORE_RE);
+  const amount = am ? money(am[1], currency, country) : null;
+  const pm = s.match(PERCENT_RE);
+  const percent = pm ? Number((pm[1] || pm[2]).replace(',', '.')) : null;
+
+  const isPromo = code || multibuy || gift || ((percent || amount) && (threshold || EXTRA_RE.test(s)));
+  if (!isPromo) return null;
+
+  return {
+    type: code ? 'coupon' : multibuy ? 'multibuy' : gift ? 'gift' : 'discount',
+    code,
+    percent: percent || null,
+    amount: amount?.value ?? null,
+    currency: amount?.currency || threshold?.currency || currency || null,
+    threshold: threshold?.value ?? null,
+    multibuy: multibuy || null,
+    gift,
+    ...parseValidity(raw, { day }),
+    text: raw.slice(0, 240)
+  };
+}
+
+// Metin blokları (string veya { text, url }) → tekil kampanya listesi
+// Bloklar satır, "|", "•" ve "·" ile parçalanır; aynı mekanik birden çok yerde geçse de bir kez yazılır.
+export function extractPromotions(blocks, { store = null, country = null, url = null, currency = null, day } = {}) {
+  const out = new Map();
+  for (const b of blocks || []) {
+    const text = typeof b === 'string' ? b : b?.text;
+    const href = (typeof b === 'object' && b?.url) || url;
+    for (const part of String(text || '').split(/\n+|\s[|•·]\s/)) {
+      const p = parsePromotion(part, { currency, country, day });
+      if (!p) continue;
+      const key = [p.type, p.code, p.percent, p.amount, p.threshold, JSON.stringify(p.multibuy), p.gift].join('|');
+      if (out.has(key)) continue;
+      out.set(key, { id: sha1(`${store}|${key}`).slice(0, 16), ...p, store, country, url: href });
+    }
+  }
+  return Array.from(out.values());
+}
+
+// Sayfadaki kampanya alanlarının metni (banner, kupon kutusu, başlıklar)
+export async function pagePromotionTexts(page) {
+  return await page.evaluate(() => {
+    const sel = [
+      '[class*="promo" i]', '[class*="campaign" i]', '[class*="kampanya" i]', '[class*="coupon" i]', '[class*="voucher" i]',
+      '[class*="gutschein" i]', '[class*="aktion" i]', '[class*="banner" i]', '[class*="teaser" i]', '[class*="hero" i]',
+      '[class*="offer" i]', '[class*="deal" i]', '[class*="code" i]', '[class*="announcement" i]', '[class*="topbar" i]',
+      '[id*="promo" i]', '[id*="campaign" i]', '[data-promo]', '[data-promotion]', 'h1', 'h2', 'h3', 'marquee'
+    ].join(',');
+    const out = [];
+    const seen = new Set();
+    // Ürün kartı başlıkları (h2/h3 ürün adları: "Geschenkset", "Coffret Cadeau") kampanya metni değildir
+    const card = 'article, li, [class*="product" i], [class*="tile" i], [class*="card" i], [itemtype*="Product"]';
+    for (const el of document.querySelectorAll(sel)) {
+      if (/^H[23]$/.test(el.tagName) && el.closest(card)) continue;
+      const text = (el.innerText || el.textContent || '').trim();
+      if (!text || text.length > 600 || seen.has(text)) continue;
+      seen.add(text);
+      const a = el.closest('a[href]') || el.querySelector('a[href]');
+      out.push({ text, url: a ? a.href : null });
+      if (out.length >= 300) break;
+    }
+    return out;
+  }).catch(() => []);
+}
@@ -0,0 +1,125 @@
+// lib/ranking.mjs — Fırsat puanlama (0–100)
+// Her ürüne bileşenlerin ağırlıklı ortalaması olan deal_score eklenir:
+//   discount     : sitenin indirimi veya 30 günlük en düşüğe göre gerçek indirim (büyük olan), %60'ta tavan
+//   history      : fiyat geçmişi güvenilirliği — 30 günlük en düşüğün altında 1, eşit 0.6, üstünde 0.2, geçmiş yok 0.5
+//   brand        : marka kademesi (feeds/ranking.json "brandTiers"; 1 → 1, 2 → 0.7, 3 → 0.4, bilinmeyen 0.3)
+//   availability : stokta 1, bilinmiyor 0.7, sınırlı/ön sipariş 0.5, tükendi 0
+//   store        : mağaza güveni ("storeTrust", yoksa "retailerTypeTrust": store/marketplace/aggregator)
+// Puan ağırlıklı ortalamadır (weights); bileşenler score_parts ile döner ki editör nedenini görebilsin.
+//
+// feeds/ranking.json:
+//   { "weights": { "discount": 0.35, … }, "brandTiers": { "1": ["Chanel", …] }, "storeTrust": { "douglas.de": 1 },
+//     "retailerTypeTrust": { "marketplace": 0.6 }, "minDiscount": 10, "topN": 10, "maxPerStore": 3 }
+
+import { loadJsonConfig } from './util.mjs';
+import { normBrand } from './matching.mjs';
+import { registrableDomain } from './politeness.mjs';
+import { normAvailability } from './variants.mjs';
+
+export const DEFAULT_RANKING = {
+  weights: { discount: 0.35, history: 0.25, brand: 0.2, availability: 0.1, store: 0.1 },
+  brandTiers: {},
+  storeTrust: {},
+  retailerTypeTrust: { store: 0.9, marketplace: 0.6, aggregator: 0.5 },
+  minDiscount: 10,   // digest'e girmek için en az indirim (%)
+  topN: 10,          // ülke/kategori başına digest uzunluğu
+  maxPerStore: 3     // bir listede aynı mağazadan en fazla
+};
+
+const TIER_SCORES = { 1: 1, 2: 0.7, 3: 0.4 };
+const UNKNOWN_BRAND = 0.3;
+const DEFAULT_TRUST = 0.7;
+const DISCOUNT_CAP = 60;
+
+const isNum01 = v => typeof v === 'number' && v >= 0 && v <= 1;
+const SCHEMA = {
+  weights: [v => v && typeof v === 'object' && Object.entries(v).every(([k, x]) => k in DEFAULT_RANKING.weights && typeof x === 'number' && x >= 0), `ağırlık nesnesi (${Object.keys(DEFAULT_RANKING.weights).join(', ')})`],
+  brandTiers: [v => v && typeof v === 'object' && Object.entries(v).every(([k, x]) => k in TIER_SCORES && Array.isArray(x) && x.every(b => typeof b === 'string')), '{ "1": [marka, …], "2": […], "3": […] }'],
+  storeTrust: [v => v && typeof v === 'object' && Object.values(v).every(isNum01), 'host → 0..1'],
+  retailerTypeTrust: [v => v && typeof v === 'object' && Object.values(v).every(isNum01), 'store/marketplace/aggregator → 0..1'],
+  minDiscount: [v => typeof v === 'number' && v >= 0 && v < 100, '0–99 arası yüzde'],
+  topN: [v => Number.isInteger(v) && v > 0, 'pozitif tam sayı'],
+  maxPerStore: [v => Number.isInteger(v) && v > 0, 'pozitif tam sayı']
+};
+
+export function validateRanking(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return ['kök değer nesne olmalı'];
+  const errors = [];
+  for (const [k, v] of Object.entries(obj)) {
+    if (k.startsWith('$')) continue;
+    const rule = SCHEMA[k];
+    if (!rule) errors.push(`${k}: bilinmeyen anahtar`);
+    else if (!rule[0](v)) errors.push(`${k}: beklenen ${rule[1]}, gelen ${JSON.stringify(v)}`);
+  }
+  return errors;
+}
+
+// Dosya yoksa varsayılanlar; geçersizse bot başlamaz (overrides.json ile aynı)
+export async function loadRanking(file) {
+  return resolveRanking((await loadJsonConfig(file, validateRanking)) || {});
+}
+
+// Ham ayar → varsayılanlarla birleşmiş, aramaya hazır ayar (brandTier: normBrand → kademe)
+export function resolveRanking(obj = {}) {
+  const conf = {
+    ...DEFAULT_RANKING,
+    ...Object.fromEntries(Object.entries(obj).filter(([k]) => !k.startsWith('$'))),
+    weights: { ...DEFAULT_RANKING.weights, ...(obj.weights || {}) },
+    retailerTypeTrust: { ...DEFAULT_RANKING.retailerTypeTrust, ...(obj.retailerTypeTrust || {}) }
+  };
+  conf.brandTier = new Map();
+  for (const [tier, brands] of Object.entries(conf.brandTiers || {})) {
+    for (const b of brands) if (!conf.brandTier.has(normBrand(b))) conf.brandTier.set(normBrand(b), Number(tier));
+  }
+  return conf;
+}
+
+// lib/variants.mjs stok enum'u → puan bileşeni (bilinmiyor: 0.7)
+const STOCK_SCORE = { in_stock: 1, limited: 0.5, preorder: 0.5, out_of_stock: 0 };
+
+function brandTierOf(it, conf) {
+  const b = normBrand(it.brand);
+  if (b && conf.brandTier.has(b)) return conf.brandTier.get(b);
+  // Marka alanı boş kartlar: ad marka ile başlıyorsa
+  const name = normBrand(it.name);
+  for (const [brand, tier] of conf.brandTier) if (name.startsWith(brand + ' ')) return tier;
+  return null;
+}
+
+// Ürün → { score, parts } ; indirim yoksa score null (fırsat değil)
+export function scoreDeal(it, conf = resolveRanking()) {
+  const claimed = it.discount_pct ?? 0;
+  const observed = it.history?.true_discount_pct ?? 0;
+  const discount = Math.max(claimed, observed);
+  if (!(discount > 0) || !Number.isFinite(it.price_new)) return { score: null, parts: null };
+
+  const low = it.history?.low_30d;
+  const history = low == null ? 0.5 : it.price_new < low ? 1 : it.price_new === low ? 0.6 : 0.2;
+  const tier = brandTierOf(it, conf);
+  const stock = normAvailability(it.availability);
+  const host = registrableDomain(it.store);
+  const parts = {
+    discount: Math.min(discount, DISCOUNT_CAP) / DISCOUNT_CAP,
+    history,
+    brand: tier ? TIER_SCORES[tier] : UNKNOWN_BRAND,
+    availability: STOCK_SCORE[stock] ?? 0.7,
+    store: conf.storeTrust[host] ?? conf.storeTrust[it.store] ?? conf.retailerTypeTrust[it.retailer_type] ?? DEFAULT_TRUST
+  };
+  const w = conf.weights;
+  const total = Object.keys(parts).reduce((n, k) => n + (w[k] || 0), 0) || 1;
+  const score = Object.keys(parts).reduce((n, k) => n + (w[k] || 0) * parts[k], 0) / total;
+  for (const k of Object.keys(parts)) parts[k] = Math.round(parts[k] * 100) / 100;
+  return { score: Math.round(score * 1000) / 10, parts };
+}
+
+// results[].items içindeki her ürüne deal_score + score_parts ekler (fırsat değilse null)
+export function rankResults(results, conf = resolveRanking()) {
+  for (const r of results) {
+    if (!Array.isArray(r.items)) continue;
+    r.items = r.items.map(it => {
+      const { score, parts } = scoreDeal({ ...it, retailer_type: it.retailer_type ?? r.retailerType }, conf);
+      return { ...it, deal_score: score, score_parts: parts };
+    });
+  }
+  return results;
+}
@@ -0,0 +1,137 @@
+// lib/runs.mjs — Kaldığı yerden devam eden, parçalanabilir çalışmalar
+// Her biten feed sonucu hemen diske yazılır (checkpoint); çökme sonrası --resume ile yalnızca eksikler taranır.
+//
+//   data/runs/YYYY-MM-DD/
+//     shard-1of4/
+//       <feed anahtarı>.json   ← { order, feed, result }
+//       manifest.json          ← shard tamamlandığında yazılır
+//     shard-2of4/ …
+//
+// --shard=2/4 feed listesini dört parçaya böler. Bir alan adının tüm feed'leri aynı parçaya düşer: host gecikmesi,
+// eşzamanlılık ve günlük bütçe her parçanın kendi zamanlayıcısında tutulduğundan bölünen bir alan adı n kat yük alırdı.
+// Birleştirme (--merge) tüm shard klasörlerindeki sonuçları feed sırasıyla toplar.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { registrableDomain } from './politeness.mjs';
+import { sha1 } from './util.mjs';
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const SHARD_DIR_RE = /^shard-(\d+)of(\d+)$/;
+
+// "2/4" → { index: 2, count: 4 }; boş değer tek parça demek
+export function parseShard(value) {
+  if (value === undefined || value === true || value === '') return { index: 1, count: 1 };
+  const m = String(value).match(/^(\d+)\/(\d+)$/);
+  const index = m ? Number(m[1]) : NaN;
+  const count = m ? Number(m[2]) : NaN;
+  if (!(count >= 1 && index >= 1 && index <= count)) {
+    throw new Error(`--shard: "i/n" biçiminde 1 ≤ i ≤ n bekleniyordu, gelen "${value}"`);
+  }
+  return { index, count };
+}
+
+const feedDomain = (f) => { try { return registrableDomain(new URL(f.url).host); } catch { return String(f.url); } };
+
+// Alan adı grupları büyükten küçüğe en az yüklü parçaya verilir (eşitlikte küçük numara); her shard aynı listeden aynı
+// dağılımı hesaplar. Parça içinde öncelik sırası korunur.
+export function shardFeeds(feeds, { index, count }) {
+  if (count <= 1) return feeds;
+  const groups = new Map();
+  for (const f of feeds) {
+    const d = feedDomain(f);
+    groups.set(d, (groups.get(d) || 0) + 1);
+  }
+  const load = new Array(count).fill(0);
+  const shardOf = new Map();
+  for (const [d, n] of [...groups].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))) {
+    const i = load.indexOf(Math.min(...load));
+    shardOf.set(d, i);
+    load[i] += n;
+  }
+  return feeds.filter(f => shardOf.get(feedDomain(f)) === index - 1);
+}
+
+export function runDir(dataDir, day) { return path.join(dataDir, 'runs', day); }
+export function shardDirName({ index, count }) { return `shard-${index}of${count}`; }
+export function feedKey(url) { return sha1(url).slice(0, 16); }
+
+// En son günün run klasörü (birleştirmede --day verilmediyse)
+export async function latestRunDay(dataDir) {
+  try {
+    const days = (await fs.readdir(path.join(dataDir, 'runs'))).filter(d => DAY_RE.test(d)).sort();
+    return days[days.length - 1] || null;
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+// Yarım kalmış dosya okunmasın diye önce geçici dosyaya yaz, sonra taşı
+async function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, data, 'utf8');
+  await fs.rename(tmp, file);
+}
+
+export async function saveCheckpoint(dir, { order, feed, result }) {
+  await writeAtomic(path.join(dir, `${feedKey(feed.url)}.json`), JSON.stringify({ order, feed, result }));
+}
+
+export async function loadCheckpoints(dir) {
+  let names = [];
+  try {
+    names = (await fs.readdir(dir)).filter(n => n.endsWith('.json') && n !== 'manifest.json');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const out = [];
+  for (const n of names) {
+    try {
+      const cp = JSON.parse(await fs.readFile(path.join(dir, n), 'utf8'));
+      if (cp?.feed?.url && cp.result) out.push(cp);
+    } catch {
+      console.warn(`[warn] Bozuk checkpoint atlandı: ${path.join(dir, n)}`);
+    }
+  }
+  return out.sort((a, b) => a.order - b.order);
+}
+
+export async function writeManifest(dir, manifest) {
+  await writeAtomic(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+}
+
+// Bir günün tüm shard'larını topla → { results, shards, incomplete, missing }
+// incomplete: manifest'i olmayan (çökmüş/bitmemiş) shard klasörleri; missing: hiç gelmemiş shard'lar
+export async function collectRun(dir) {
+  let names = [];
+  try {
+    names = (await fs.readdir(dir)).filter(n => SHARD_DIR_RE.test(n));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  const byUrl = new Map();
+  const shards = [];
+  const incomplete = [];
+  let expected = 0;
+  for (const n of names.sort()) {
+    const [, , count] = n.match(SHARD_DIR_RE);
+    expected = Math.max(expected, Number(count));
+    const sub = path.join(dir, n);
+    for (const cp of await loadCheckpoints(sub)) byUrl.set(cp.feed.url, cp);
+    try {
+      shards.push(JSON.parse(await fs.readFile(path.join(sub, 'manifest.json'), 'utf8')));
+    } catch {
+      incomplete.push(n);
+    }
+  }
+  const present = new Set(names);
+  const missing = [];
+  for (let i = 1; i <= expected; i++) {
+    const n = shardDirName({ index: i, count: expected });
+    if (!present.has(n)) missing.push(n);
+  }
+  const results = Array.from(byUrl.values()).sort((a, b) => a.order - b.order).map(cp => cp.result);
+  return { results, shards, incomplete, missing };
+}
@@ -0,0 +1,857 @@
+// lib/scrape.mjs — Playwright ile feed tarama (HTML listing → ürün detayları) + tarayıcısız XML yolu
+// Modül içe aktarıldığında tarayıcı açılmaz; createScraper(ayarlar) ile bir tarayıcı nesnesi kurulur:
+//   const { scrapeFeed } = createScraper({ overrides, rates, detailLimit: 8 });
+//   const result = await scrapeFeed({ url, kind: 'html', country: 'DE' });
+
+import { chromium, firefox } from 'playwright';
+import { isoDay, trim, computeDiscount, makeLimiter } from './util.mjs';
+import { filterAudience } from './audience.mjs';
+import { classifyItems } from './taxonomy.mjs';
+import { overrideFor } from './overrides.mjs';
+import { parseXmlFeed, fetchXmlFeed } from './xmlfeed.mjs';
+import { toEur, withEur } from './currency.mjs';
+import { resolveCountry, defaultCurrencyForCountry } from './country.mjs';
+import { extractFromLdJson, extractFromOg, dedupe, ldJsonNodes, extractBreadcrumbs } from './extract.mjs';
+import { priceParserSource, volumeOf } from './price.mjs';
+import { normAvailability, pricePerUnit } from './variants.mjs';
+import { extractCards } from './cards.mjs';
+import { captureJson, extractFromJson } from './netcapture.mjs';
+import { DEFAULT_MAX_PAGES, nextPageUrl, nextParamUrl, pagerSignals } from './pagination.mjs';
+import { extractPromotions, pagePromotionTexts } from './promotions.mjs';
+import { ESCALATION_STEPS, escalationLadder, detectBlock, pageSignals } from './blocks.mjs';
+import { UNLIMITED_SCHEDULER } from './politeness.mjs';
+import { isAggregatorHost, extractOffers, offerItems, verifiedOffer } from './offers.mjs';
+
+// ===== DOM çıkarımı (sayfa içinde çalışır) =====
+export async function extractFromDom(page, host, country, ov = {}) {
+  const sel = {
+    price: ov.priceSelectors || [],
+    oldPrice: ov.oldPriceSelectors || [],
+    name: ov.nameSelectors || [],
+    currency: ov.currency || defaultCurrencyForCountry(country),
+    country
+  };
+  // Fonksiyonlar kaynak olarak gömülür: tarayıcı tarafında import yok
+  const items = await page.evaluate(`(${domExtractor})(${JSON.stringify(sel)}, ${priceParserSource})`);
+  if (items.some(it => it.source === 'dom-override' || it.source === 'dom-microdata')) return items;
+  // Sayfa aslında bir liste ise her fiyat düğümü h1 adıyla ayrı "ürün" olur; kartlar varsa onları kullan
+  const cards = await extractCards(page, country, ov);
+  return cards.length >= 2 ? cards : items;
+}
+
+// extractFromDom/extractCards çıktısı → ortak ürün biçimi
+function fromDom(d, host, country) {
+  return {
+    source: d.source,
+    name: trim(d.name, 180),
+    brand: d.brand || null,
+    price_new: d.price_new ?? null,
+    price_old: d.price_old ?? null,
+    discount_pct: d.discount_pct ?? null,
+    currency: d.currency ?? null,
+    availability: d.availability ?? null,
+    unit_price: d.unit_price ?? null,
+    volume: volumeOf(d.name),
+    ...(d.badge ? { badge: d.badge } : {}),
+    url: d.url,
+    image: d.image || null,
+    store: host,
+    country
+  };
+}
+
+// page.evaluate içinde çalışır; dış değişken kullanmamalı
+function domExtractor(sel, createPriceParser) {
+  function txt(el) { return (el && (el.textContent || '').trim()) || ''; }
+  // lib/price.mjs ile aynı ayrıştırıcı; birim fiyat ("12,99 €/100 ml") ürün fiyatı sayılmaz
+  const P = createPriceParser({ currency: sel.currency, country: sel.country });
+  function getNum(s) { return s ? P.parsePrice(s).value : null; }
+  function currencyFrom(s) { return s ? P.detectCurrency(s) : null; }
+  function unitPrice() {
+    const nodes = document.querySelectorAll('[class*="unit-price"], [class*="unitPrice"], [class*="base-price"], [class*="basePrice"], [class*="grundpreis"], [class*="price-per"], [class*="pricePerUnit"]');
+    for (const el of nodes) {
+      const u = P.parsePrice(txt(el)).unit_price;
+      if (u && u.value != null) return u;
+    }
+    return null;
+  }
+
+  function firstText(selectors) {
+    for (const s of selectors) {
+      try {
+        const el = document.querySelector(s);
+        const t = el && (el.getAttribute('content') || txt(el));
+        if (t) return t;
+      } catch {}
+    }
+    return '';
+  }
+
+  const out = [];
+
+  // 0) overrides.json ile verilen seçiciler
+  if (sel.price.length) {
+    const val = firstText(sel.price);
+    const price_new = getNum(val);
+    if (price_new != null) {
+      const name = firstText(sel.name) || (document.querySelector('h1') && txt(document.querySelector('h1'))) || document.title || '';
+      const imgMeta = document.querySelector('meta[property="og:image"]');
+      const image = imgMeta ? (imgMeta.getAttribute('content') || '') : '';
+      out.push({ source:'dom-override', name, brand:null, price_new, price_old:null, discount_pct:null, currency:currencyFrom(val), availability:null, url:location.href, image });
+    }
+  }
+
+  // 1) Microdata
+  document.querySelectorAll('meta[itemprop="price"], [itemprop="price"]').forEach(el => {
+    const val = el.getAttribute && el.getAttribute('content') || txt(el);
+    const price_new = getNum(val);
+    if (price_new == null) return;
+    let currency = null;
+    const cEl = document.querySelector('meta[itemprop="priceCurrency"], [itemprop="priceCurrency"]');
+    if (cEl) currency = (cEl.getAttribute && cEl.getAttribute('content')) || txt(cEl);
+    currency = currencyFrom(currency) || currencyFrom(val);
+    const nameEl = document.querySelector('[itemprop="name"]') || document.querySelector('h1');
+    const name = (nameEl && nameEl.textContent && nameEl.textContent.trim()) || document.title || '';
+    const imgEl = document.querySelector('[itemprop="image"]') || document.querySelector('meta[property="og:image"]');
+    const image = imgEl ? (imgEl.getAttribute('content') || imgEl.getAttribute('src') || '') : '';
+    out.push({ source:'dom-microdata', name, brand:null, price_new, price_old:null, discount_pct:null, currency, availability:null, url:location.href, image });
+  });
+
+  // 2) Görünür fiyat classları
+  const priceSel = [
+    '[class*="price"]:not(script):not(style)',
+    '[data-price]',
+    'meta[name="twitter:data1"]'
+  ];
+  const priceNodes = [];
+  priceSel.forEach(sel => document.querySelectorAll(sel).forEach(e => priceNodes.push(e)));
+  for (const el of priceNodes) {
+    const val = el.tagName === 'META' ? el.getAttribute('content') : txt(el);
+    const price_new = getNum(val);
+    if (price_new == null) continue;
+    const nameEl = document.querySelector('h1,[class*="title"],[itemprop="name"]');
+    const name = nameEl ? nameEl.textContent.trim() : document.title || '';
+    let currency = currencyFrom(val);
+    if (!currency) {
+      const metaCurr = document.querySelector('meta[itemprop="priceCurrency"], meta[property="product:price:currency"]');
+      if (metaCurr) currency = currencyFrom(metaCurr.getAttribute('content'));
+    }
+    const imgMeta = document.querySelector('meta[property="og:image"]');
+    const image = imgMeta ? (imgMeta.getAttribute('content') || '') : '';
+    out.push({ source:'dom-visible', name, brand:null, price_new, price_old:null, discount_pct:null, currency, availability:null, url:location.href, image });
+  }
+
+  // 3) Script içi JSON ("price": 123)
+  const scriptTexts = Array.from(document.querySelectorAll('script:not([src])')).map(s => s.textContent || '');
+  for (const s of scriptTexts) {
+    const m = s.match(/"price"\s*:\s*"?([\d.,\s]+)"?/i);
+    if (m) {
+      const price_new = getNum(m[1]);
+      if (price_new != null) {
+        const nameEl = document.querySelector('h1,[itemprop="name"]');
+        const name = nameEl ? nameEl.textContent.trim() : document.title || '';
+        let currency = null;
+        const m2 = s.match(/"priceCurrency"\s*:\s*"([A-Z]{3})"/i);
+        if (m2) currency = m2[1];
+        const imgMeta = document.querySelector('meta[property="og:image"]');
+        const image = imgMeta ? (imgMeta.getAttribute('content') || '') : '';
+        out.push({ source:'dom-script', name, brand:null, price_new, price_old:null, discount_pct:null, currency, availability:null, url:location.href, image });
+      }
+    }
+  }
+
+  // 4) Eski fiyat (strike/was/statt/antes)
+  function findOldPrice() {
+    if (sel.oldPrice.length) {
+      const n = getNum(firstText(sel.oldPrice));
+      if (n != null) return n;
+    }
+    const candidates = Array.from(document.querySelectorAll('[class*="old"], [class*="was"], [class*="strike"], [class*="statt"], [class*="antes"]'))
+      .concat(Array.from(document.querySelectorAll('s, del')));
+    for (const el of candidates) {
+      const n = getNum(el.textContent || '');
+      if (n != null) return n;
+    }
+    return null;
+  }
+  const oldPrice = findOldPrice();
+
+  if (oldPrice != null) {
+    for (const it of out) {
+      if (it.price_old == null && it.price_new != null && oldPrice > it.price_new) {
+        it.price_old = oldPrice;
+        const pct = ((oldPrice - it.price_new) / oldPrice) * 100;
+        it.discount_pct = Math.round(pct * 10) / 10;
+      }
+    }
+  }
+
+  // 5) Birim fiyat (Grundpreis / prix au litre / birim fiyat)
+  const unit = unitPrice();
+  if (unit) for (const it of out) it.unit_price = unit;
+
+  // 6) Stok durumu: ham değer döner, enum'a finalizeItems'da (lib/variants.mjs) çevrilir
+  function stockStatus() {
+    const prop = document.querySelector('[itemprop="availability"]');
+    const v = prop && (prop.getAttribute('content') || prop.getAttribute('href') || txt(prop));
+    if (v) return v;
+    const meta = document.querySelector('meta[property="product:availability"], meta[property="og:availability"]');
+    if (meta && meta.getAttribute('content')) return meta.getAttribute('content');
+    const badge = Array.from(document.querySelectorAll('[class*="stock"], [class*="Stock"], [class*="availability"], [class*="Availability"], [class*="sold-out"], [class*="soldout"]'))
+      .map(txt).find(t => t && t.length < 60);
+    if (badge) return badge;
+    const cart = document.querySelector('button[name="add-to-cart"], button[class*="add-to-cart"], button[class*="addToCart"], [data-testid*="add-to-cart"]');
+    if (cart) return cart.disabled || cart.getAttribute('aria-disabled') === 'true' ? 'OutOfStock' : 'InStock';
+    return null;
+  }
+  const stock = stockStatus();
+  if (stock) for (const it of out) if (it.availability == null) it.availability = stock;
+
+  return out;
+}
+
+// ===== Playwright helpers =====
+const DEFAULT_HEADERS = {
+  'Accept-Language': 'de-DE,de;q=0.9,en;q=0.8,tr;q=0.7,fr;q=0.6',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+};
+
+// lib/politeness.mjs ret nedenleri → feed hata mesajı
+const SKIP_MESSAGES = {
+  robots: 'robots.txt bu URL\'yi yasaklıyor',
+  budget: 'host için günlük sayfa bütçesi doldu'
+};
+
+// profile: lib/blocks.mjs escalationLadder basamağı (userAgent, viewport)
+export async function newContext(browser, profile = {}) {
+  const ctx = await browser.newContext({
+    extraHTTPHeaders: profile.userAgent ? { ...DEFAULT_HEADERS, 'User-Agent': profile.userAgent } : DEFAULT_HEADERS,
+    ...(profile.userAgent ? { userAgent: profile.userAgent } : {}),
+    ignoreHTTPSErrors: true,
+    viewport: profile.viewport || { width: 1366, height: 900 }
+  });
+  await ctx.addInitScript(() => {
+    Object.defineProperty(navigator, 'webdriver', { get: () => false });
+  });
+  return ctx;
+}
+
+async function clickConsentIn(pageLike, extra = []) {
+  const selectors = [
+    ...extra,
+    'button:has-text("Accept")','button:has-text("I agree")','button:has-text("Allow all")',
+    'button:has-text("Akzeptieren")','button:has-text("Alle akzeptieren")','button:has-text("Zustimmen")',
+    'button:has-text("Tout accepter")','button:has-text("Accepter")',
+    'button:has-text("Aceptar")','button:has-text("Aceptar todo")',
+    'button:has-text("Kabul et")','button:has-text("Tümünü kabul et")',
+    'button[aria-label*="accept" i]','button[aria-label*="Akzeptieren" i]',
+    '[role="dialog"] button:has-text("Accept")',
+    '[id*="consent"] button', '.cookie-accept, .js-accept-all'
+  ];
+  for (const sel of selectors) {
+    try {
+      const btn = await pageLike.$(sel);
+      if (btn) { await btn.click({ timeout: 1200 }); await pageLike.waitForTimeout(400); }
+    } catch {}
+  }
+}
+
+// feeds dosyasındaki meta veriyi sonuca ve her ürüne işler; ürün kategorisi/alt tipi taxonomy.mjs ile
+export function withFeedMeta(result, feed) {
+  const meta = { category: feed.category ?? null, retailerType: feed.type ?? 'store', priority: feed.priority ?? 0, tags: feed.tags || [] };
+  const listing = { url: result.finalUrl || feed.url, breadcrumbs: result.listingBreadcrumbs };
+  return {
+    ...result,
+    country: result.country || feed.country || null,
+    ...meta,
+    items: result.items && classifyItems(result.items, { listing, feedCategory: meta.category }).map(it => ({
+      ...it,
+      retailer_type: meta.retailerType,
+      tags: meta.tags
+    }))
+  };
+}
+
+// Varsayılanlar bot.mjs CLI varsayılanlarıyla aynıdır
+export function createScraper({
+  headless = true,
+  executablePath,          // sistemdeki Chromium (Playwright indirmesi yoksa)
+  detailLimit = 12,
+  maxScrolls = 6,
+  tryPaginate = true,
+  excludeMen = true,
+  maxFeedItems = 500,
+  maxPriceEur = 2000,
+  outOfStock = 'demote',   // tükenen ürünler: 'demote' (sona al) | 'exclude' (yazma)
+  aggregatorHops = 2,      // Cimri/Akakçe ürün sayfası başına mağazasına gidilip doğrulanan en ucuz teklif (0 = gidilmez)
+  overrides = {},
+  rates = new Map(),
+  maxPages = DEFAULT_MAX_PAGES,   // feed başına en fazla listing sayfası (lib/pagination.mjs)
+  escalation = ESCALATION_STEPS,  // engel sayfasında denenecek basamaklar (lib/blocks.mjs)
+  scheduler = UNLIMITED_SCHEDULER // host bazlı gecikme/eşzamanlılık/bütçe/robots.txt (lib/politeness.mjs)
+} = {}) {
+  const ovFor = (hostOrUrl) => overrideFor(overrides, hostOrUrl);
+
+  // Tek kural: EUR karşılığı maxPriceEur'yu aşmamalı. Para birimi yoksa değer EUR sayılır; para birimi var ama kuru
+  // bilinmiyorsa (rates/ eksik) ürün tutulur: 2000 TRY/HUF/CZK'yı EUR gibi eşiklemek normal fiyatları atar.
+  function isSanePrice(value, currency) {
+    if (!Number.isFinite(value) || value <= 0) return false;
+    const eur = toEur(value, currency || 'EUR', rates, isoDay());
+    return eur == null || eur <= maxPriceEur;
+  }
+
+  async function launchBrowser(engine = 'chromium') {
+    const common = {
+      headless,
+      args: [
+        '--no-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-blink-features=AutomationControlled',
+        '--disable-http2'
+      ]
+    };
+    if (engine === 'firefox') return await firefox.launch(common);
+    return await chromium.launch(executablePath ? { ...common, executablePath } : common);
+  }
+
+  async function autoConsent(page) {
+    const extra = ovFor(page.url()).consentSelectors || [];
+    await clickConsentIn(page, extra);
+    for (const f of page.frames()) {
+      try { await clickConsentIn(f, extra); } catch {}
+    }
+  }
+
+  // pace: bekleme çarpanı (yavaş profil için > 1)
+  async function gotoWithRetry(page, url, { pace = 1 } = {}) {
+    let lastErr;
+    for (let i=0;i<3;i++){
+      try {
+        const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await autoConsent(page);
+        await page.waitForTimeout(1000 * pace);
+        await page.waitForLoadState('networkidle', { timeout: 8000 * pace }).catch(()=>{});
+        return response;
+      } catch (e) {
+        lastErr = e;
+        await page.waitForTimeout(700 * pace);
+      }
+    }
+    throw lastErr;
+  }
+
+  // Zamanlayıcıdan izin alıp sayfayı açar; yer (maxInFlight) yalnızca gezinme süresince tutulur, sayfa kapanana kadar
+  // değil: listing açıkken kendi detaylarını aynı alan adından açabilmeli (hostConcurrency=1'de kilitlenmesin).
+  // Reddedilen URL skipped listesine yazılır → { skipped: reason } | { response }
+  async function politeGoto(page, url, profile, skipped) {
+    const slot = await scheduler.acquire(url);
+    if (!slot.ok) {
+      skipped.push({ url, host: new URL(url).host, reason: slot.reason });
+      return { skipped: slot.reason };
+    }
+    try {
+      return { response: await gotoWithRetry(page, url, profile) };
+    } finally {
+      slot.release();
+    }
+  }
+
+  // Sayfa içinden fetch (çerezler ve oturum başlıkları sitenin kendi isteğiyle aynı) → JSON gövdesi veya null
+  async function politeFetchJson(page, url, skipped) {
+    const slot = await scheduler.acquire(url);
+    if (!slot.ok) {
+      skipped.push({ url, host: new URL(url).host, reason: slot.reason });
+      return null;
+    }
+    try {
+      const txt = await page.evaluate(async (u) => {
+        const r = await fetch(u, { credentials: 'include', headers: { accept: 'application/json' } });
+        return r.ok ? await r.text() : null;
+      }, url);
+      return txt ? JSON.parse(txt) : null;
+    } catch {
+      return null;
+    } finally {
+      slot.release();
+    }
+  }
+
+  async function autoScrollAndLoadMore(page, { rounds = maxScrolls, pace = 1 } = {}) {
+    const moreBtns = [
+      ...(ovFor(page.url()).loadMoreSelectors || []),
+      'button:has-text("Load more")','button:has-text("Mehr")','button:has-text("Mehr anzeigen")',
+      'button:has-text("Daha fazla")','button:has-text("Tümünü göster")','button:has-text("Weitere Anzeigen")'
+    ];
+    let lastHeight = 0;
+    for (let i=0;i<rounds;i++){
+      try {
+        await page.evaluate(() => window.scrollBy(0, document.body.scrollHeight));
+        await page.waitForTimeout(700 * pace);
+        for (const sel of moreBtns) {
+          const btn = await page.$(sel).catch(()=>null);
+          if (btn) { await btn.click().catch(()=>{}); await page.waitForTimeout(900 * pace); }
+        }
+        const h = await page.evaluate(() => document.body.scrollHeight);
+        if (h <= lastHeight) break;
+        lastHeight = h;
+        await page.waitForLoadState('networkidle', { timeout: 8000 }).catch(()=>{});
+      } catch {}
+    }
+  }
+
+  async function findProductLinksAdvanced(page) {
+    const set = new Set();
+
+    // 0) Next: __NEXT_DATA__
+    try {
+      const nextJson = await page.$eval('#__NEXT_DATA__', el => el.textContent).catch(() => null);
+      if (nextJson) {
+        const obj = JSON.parse(nextJson);
+        (function walk(x){
+          if (!x || typeof x !== 'object') return;
+          if (x.url && typeof x.url === 'string' && /^https?:\/\//i.test(x.url)) {
+            if (/(\/p\/|\/product|\/produkt|\/producto|\/prodotto|\/[a-z]*-p\d+)/i.test(x.url)) set.add(x.url);
+          }
+          for (const k in x) walk(x[k]);
+        })(obj);
+      }
+    } catch {}
+
+    // 1) Nuxt: __NUXT__
+    try {
+      const nuxt = await page.evaluate(() => {
+        try { return window.__NUXT__ || null; } catch { return null; }
+      });
+      if (nuxt) {
+        (function walk(x){
+          if (!x || typeof x !== 'object') return;
+          if (x.link && typeof x.link === 'string' && /^https?:\/\//i.test(x.link)) {
+            if (/(\/p\/|\/product|\/produkt|\/producto|\/prodotto|\/[a-z]*-p\d+)/i.test(x.link)) set.add(x.link);
+          }
+          for (const k in x) walk(x[k]);
+        })(nuxt);
+      }
+    } catch {}
+
+    // 2) dataLayer
+    try {
+      const dl = await page.evaluate(() => Array.isArray(window.dataLayer) ? window.dataLayer : null);
+      if (dl) {
+        for (const entry of dl) {
+          if (entry && typeof entry === 'object') {
+            for (const v of Object.values(entry)) {
+              if (v && typeof v === 'object' && v.url && /^https?:\/\//i.test(v.url)) {
+                if (/(\/p\/|\/product|\/produkt|\/producto|\/prodotto|\/[a-z]*-p\d+)/i.test(v.url)) set.add(v.url);
+              }
+            }
+          }
+        }
+      }
+    } catch {}
+
+    // 3) Domain’e göre kart/link seçimleri (feeds/overrides.json)
+    const ov = ovFor(page.url());
+    const sel = [
+      ...(ov.linkSelectors || []),
+      ...(ov.cardSelectors || []).map(c => `${c} a[href]`)
+    ];
+    if (!sel.length) sel.push(
+      'a[href*="/p/"]','a[href*="/product"]','a[href*="/produkt"]','a[href*="/producto"]','a[href*="/prodotto"]'
+    );
+    for (const s of sel) {
+      try {
+        const links = await page.$$eval(s, els => Array.from(new Set(els.map(e => e.href).filter(Boolean))));
+        links.forEach(h => set.add(h));
+      } catch {}
+    }
+
+    // 4) Geniş kapsamlı anchor taraması (fallback)
+    try {
+      const broad = await page.$$eval('a', as => {
+        const hrefs = [];
+        for (const a of as) {
+          const href = a.href || '';
+          if (!href || !/^https?:\/\//i.test(href)) continue;
+          const t = href.toLowerCase();
+          if (t.includes('/product') || t.includes('/produkte') || t.includes('/producto') ||
+              t.includes('/produkt') || /\/p\/[a-z0-9]/.test(t) || /\/p-\d+/.test(t) || /\/\d{4,}/.test(t)) {
+            hrefs.push(href);
+          }
+        }
+        return Array.from(new Set(hrefs));
+      });
+      broad.forEach(h => set.add(h));
+    } catch {}
+
+    return Array.from(set);
+  }
+
+  // Detay sayfası → ürünler: ld+json ve OG; fiyat bulunamazsa DOM
+  async function pageItems(p, html, finalUrl, host, country) {
+    const items = [
+      ...extractFromLdJson(html, finalUrl, host, country),
+      ...extractFromOg(html, finalUrl, host, country)
+    ];
+    if (!items.some(it => it.price_new != null)) {
+      const domItems = await extractFromDom(p, host, country, ovFor(finalUrl));
+      items.push(...domItems.map(d => fromDom(d, host, country)));
+    }
+    return items;
+  }
+
+  async function scrapeDetail(context, href, host, country, profile = {}, skipped = []) {
+    const p = await context.newPage();
+    try {
+      const nav = await politeGoto(p, href, profile, skipped);
+      if (nav.skipped) return { ok: false, url: href, skipped: nav.skipped };
+      const html = await p.content();
+      const finalUrl = p.url();
+      const items = await pageItems(p, html, finalUrl, host, country);
+
+      // Aggregator (Cimri/Akakçe): sayfadaki mağaza teklif tablosu; her teklif gerçek mağazayla ayrı ürün olur
+      if (isAggregatorHost(host)) {
+        const offers = extractOffers(html, finalUrl, { currency: ovFor(finalUrl).currency || defaultCurrencyForCountry(country) });
+        if (offers.length) {
+          const product = items.find(it => it.name) || { name: trim(await p.$eval('h1', el => el.textContent.trim()).catch(() => ''), 180) };
+          const offered = await verifyOffers(context, offerItems(offers, product, { host, country }), country, profile, skipped);
+          return { ok: true, url: href, finalUrl, items: offered, offers: offers.length };
+        }
+      }
+
+      return { ok: true, url: href, finalUrl, items: dedupe(items) };
+    } catch (err) {
+      return { ok: false, url: href, error: String(err?.message || err) };
+    } finally {
+      await p.close().catch(()=>{});
+    }
+  }
+
+  // Stoktaki en ucuz aggregatorHops teklifin yönlendirmesi izlenir: gerçek mağaza host'u ve linki, mağaza sayfasındaki
+  // fiyat/eski fiyat (verifiedOffer). Gidilemeyen veya mağaza sayfasında fiyatı bulunamayan teklif verified: false kalır.
+  async function verifyOffers(context, items, country, profile, skipped) {
+    const picks = new Set(items.filter(it => it.availability !== 'out_of_stock').slice(0, aggregatorHops));
+    const out = [];
+    for (const it of items) {
+      if (!picks.has(it)) { out.push(it); continue; }
+      const p = await context.newPage();
+      try {
+        const nav = await politeGoto(p, it.url, profile, skipped);
+        const finalUrl = p.url();
+        const host = nav.skipped ? null : new URL(finalUrl).host;
+        if (!host || isAggregatorHost(host)) { out.push(it); continue; }
+        const found = (await pageItems(p, await p.content(), finalUrl, host, country)).find(x => x.price_new != null);
+        out.push(verifiedOffer(it, { host, finalUrl, found }));
+      } catch {
+        out.push(it);
+      } finally {
+        await p.close().catch(()=>{});
+      }
+    }
+    return out;
+  }
+
+  async function scrapeWithEngine(url, engine, feed = {}, profile = {}) {
+    const startedAt = new Date().toISOString();
+    const browser = await launchBrowser(engine);
+    const context = await newContext(browser, profile);
+    const skipped = [];
+    try {
+      const page = await context.newPage();
+      // Listing'i dolduran XHR/fetch JSON yanıtları: goto, scroll ve sayfalama boyunca toplanır
+      const capture = captureJson(page);
+      const nav = await politeGoto(page, url, profile, skipped);
+      if (nav.skipped) {
+        return {
+          sourceUrl: url,
+          country: feed.country || resolveCountry(url, overrides),
+          startedAt,
+          finishedAt: new Date().toISOString(),
+          engine,
+          ok: false,
+          error: { name: 'Skipped', message: SKIP_MESSAGES[nav.skipped] || nav.skipped },
+          skippedUrls: skipped,
+          itemsCount: 0,
+          items: []
+        };
+      }
+      const response = nav.response;
+
+      // Challenge/captcha/erişim engeli/ülke yönlendirmesi: 0 ürünle "ok" dönmek yerine nedeni yaz
+      const block = detectBlock(await pageSignals(page, response, url));
+      if (block) {
+        return {
+          sourceUrl: url,
+          finalUrl: page.url(),
+          host: new URL(page.url()).host,
+          country: feed.country || resolveCountry(url, overrides),
+          startedAt,
+          finishedAt: new Date().toISOString(),
+          engine,
+          ok: false,
+          blocked: true,
+          blockReason: block.reason,
+          error: { name: 'Blocked', message: block.reason },
+          itemsCount: 0,
+          items: [],
+          ...(skipped.length ? { skippedUrls: skipped } : {})
+        };
+      }
+
+      await autoScrollAndLoadMore(page, { pace: profile.pace });
+      await page.waitForTimeout(800 * (profile.pace || 1));
+      try {
+        await page.waitForSelector(
+          'a[href*="/p/"], a[href*="/product"], a[href*="/produkt"], a[href*="/producto"]',
+          { timeout: 5000 }
+        );
+      } catch {}
+
+      const listHtml  = await page.content();
+      const listUrl   = page.url();
+      const host      = new URL(listUrl).host;
+      const country   = feed.country || resolveCountry(listUrl, overrides);
+      const ov        = ovFor(listUrl);
+      const maxDetails  = ov.detailLimit ?? detailLimit;
+
+      let items = dedupe([
+        ...extractFromLdJson(listHtml, listUrl, host, country),
+        ...extractFromOg(listHtml, listUrl, host, country),
+        ...(await extractCards(page, country, ov)).map(d => fromDom(d, host, country))
+      ]);
+
+      // Kampanya sayfalarında asıl değer kod/mekaniktir; sayfalamadan önce, listing sayfasından
+      const promotions = extractPromotions(await pagePromotionTexts(page), {
+        store: host, country, url: listUrl, currency: ov.currency || defaultCurrencyForCountry(country), day: isoDay()
+      });
+
+      // API'den gelen ürünler kartlarla aynı işi görür: fiyatı bilinen link için detay sayfası açılmaz
+      const jsonCtx = { baseUrl: listUrl, currency: ov.currency || defaultCurrencyForCountry(country), country, rules: ov.jsonApi || [] };
+      let jsonSeen = 0;
+      let productApi = null; // son ürün döndüren JSON isteği { url, count } (sonsuz kaydırma ucu)
+      const takeJsonItems = async () => {
+        const responses = (await capture.drain()).slice(jsonSeen);
+        jsonSeen += responses.length;
+        const found = [];
+        for (const r of responses) {
+          const got = extractFromJson([r], jsonCtx);
+          if (got.length) productApi = { url: r.url, count: got.length };
+          found.push(...got.map(d => fromDom(d, host, country)));
+        }
+        items.push(...found);
+        return found.map(it => it.url);
+      };
+
+      let productLinks = Array.from(new Set([...(await findProductLinksAdvanced(page)), ...(await takeJsonItems())]));
+
+      // Sayfalama (lib/pagination.mjs): rel=next, numaralı linkler, ofset parametreleri; yeni ürün gelmeyince durur
+      let pagesCrawled = 1;
+      if (tryPaginate) {
+        const pageBudget = ov.maxPages ?? maxPages;
+        const visited = new Set([url, listUrl]);
+        const fallback = productLinks.length === 0;
+        while (pagesCrawled < pageBudget) {
+          const next = nextPageUrl(await pagerSignals(page), {
+            listUrl, pageNo: pagesCrawled, pattern: ov.pagination, pageSize: ov.pageSize || 0, fallback, visited
+          });
+          if (!next) break;
+          visited.add(next);
+          if ((await politeGoto(page, next, profile, skipped)).skipped) break;
+          visited.add(page.url());
+          const known = new Set([...productLinks, ...items.map(it => it.url)]);
+          await autoScrollAndLoadMore(page, { rounds: 3, pace: profile.pace });
+          const cards = (await extractCards(page, country, ov)).map(d => fromDom(d, host, country));
+          const links = [...(await findProductLinksAdvanced(page)), ...(await takeJsonItems()), ...cards.map(it => it.url)];
+          if (!links.some(h => !known.has(h))) break; // son sayfadan sonra ilk sayfaya dönen ya da aynı listeyi veren site
+          items.push(...cards);
+          productLinks = Array.from(new Set([...productLinks, ...links]));
+          pagesCrawled++;
+        }
+
+        // Sonsuz kaydırma: listeyi dolduran JSON ucunun sonraki sayfaları (aynı çerezlerle, sayfa içinden)
+        while (productApi && pagesCrawled < pageBudget) {
+          const next = nextParamUrl(productApi.url, { pageSize: productApi.count });
+          if (!next || visited.has(next)) break;
+          visited.add(next);
+          const body = await politeFetchJson(page, next, skipped);
+          const found = body ? extractFromJson([{ url: next, body }], jsonCtx).map(d => fromDom(d, host, country)) : [];
+          const known = new Set(items.map(it => it.url));
+          if (!found.some(it => !known.has(it.url))) break;
+          items.push(...found);
+          productApi = { url: next, count: found.length };
+          pagesCrawled++;
+        }
+      }
+
+      capture.stop();
+
+      // Kartından fiyatı okunmuş ürünler için detay sayfası açılmaz; bütçe kalanlara harcanır.
+      // Aggregator kartındaki fiyat yalnızca en düşük tekliftir: mağaza teklifleri için detay sayfası her zaman açılır.
+      const aggregator = isAggregatorHost(host);
+      const priced = new Set(aggregator ? [] : items.filter(it => it.price_new != null).map(it => it.url));
+      productLinks = productLinks.filter(h => !priced.has(h)).slice(0, maxDetails);
+
+      const limitDetails = makeLimiter(Math.max(1, Math.min(maxDetails, profile.detailConcurrency || 4)));
+      const detailResults = await Promise.all(
+        productLinks.map(href => limitDetails(() => scrapeDetail(context, href, host, country, profile, skipped)))
+      );
+      // Teklif tablosu okunan ürünün aggregator kartı yazılmaz; mağaza teklifleri onun yerini alır
+      const expanded = new Set(detailResults.filter(r => r.offers).map(r => r.url));
+      if (expanded.size) items = items.filter(it => !expanded.has(it.url));
+      for (const r of detailResults) {
+        if (r.ok && r.items?.length) items.push(...r.items);
+      }
+      const offersCount = detailResults.reduce((n, r) => n + (r.offers || 0), 0);
+
+      // Eski tek sayfalık sınır (60) sayfa başına uygulanır; sayfalama ürünleri ve aggregator teklifleri kesilmesin
+      const audience = finalizeItems(items, { country, ov, limit: 60 * pagesCrawled + offersCount });
+      items = audience.items;
+
+      return {
+        sourceUrl: url,
+        finalUrl: listUrl,
+        host,
+        country,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        engine,
+        ok: true,
+        itemsCount: items.length,
+        pagesCrawled,
+        listingBreadcrumbs: extractBreadcrumbs(ldJsonNodes(listHtml)),
+        outOfStockCount: audience.outOfStock,
+        ...(aggregator ? { offersCount } : {}),
+        excludedMen: audience.excluded.length,
+        excludedSamples: audience.excluded.slice(0, 5).map(it => ({ name: it.name, signal: it.audience_signal, url: it.url })),
+        items,
+        promotions,
+        ...(skipped.length ? { skippedUrls: skipped } : {})
+      };
+    } finally {
+      await context.close().catch(()=>{});
+      await browser.close().catch(()=>{});
+    }
+  }
+
+  // Para birimi tamamlama + temizlik + hedef kitle filtresi (HTML ve XML yolları ortak)
+  function finalizeItems(items, { country, ov = {}, limit = 60 }) {
+    const fallbackCurrency = defaultCurrencyForCountry(country);
+    items = items.map(it => {
+      const currency = ov.currency || it.currency || fallbackCurrency || it.currency;
+      return {
+        ...it,
+        currency,
+        availability: normAvailability(it.availability),
+        ...(it.variants ? { variants: it.variants.map(v => withUnitPrice({ ...v, currency: v.currency || currency, availability: normAvailability(v.availability) }, v.size)) } : {})
+      };
+    });
+
+    const day = isoDay();
+    // Eski fiyat yoksa kartın rozetinden gelen indirim ("-20%") korunur
+    items = dedupe(items)
+      .filter(it => it.name && it.url && it.price_new != null)
+      .filter(it => isSanePrice(it.price_new, it.currency))
+      .map(it => withEur({ ...it, discount_pct: computeDiscount(it.price_new, it.price_old) ?? it.discount_pct ?? null }, rates, day))
+      .map(it => withUnitPrice(it, it.volume));
+
+    // Tükenenler: demote → listenin sonuna (limit önce onları keser), exclude → hiç yazılmaz
+    const soldOut = items.filter(it => it.availability === 'out_of_stock');
+    if (soldOut.length) {
+      const rest = items.filter(it => it.availability !== 'out_of_stock');
+      items = outOfStock === 'exclude' ? rest : rest.concat(soldOut);
+    }
+
+    // Hedef kitle: erkek ürünlerini ayıkla, yanlış pozitifleri görmek için örnekleri raporla
+    const audience = filterAudience(items, { excludeMen });
+    return { items: audience.items.slice(0, limit), excluded: audience.excluded, outOfStock: soldOut.length };
+  }
+
+  // ml/g başına fiyat; EUR karşılığı biliniyorsa o da (ülkeler arası karşılaştırma)
+  function withUnitPrice(it, volume) {
+    const per = pricePerUnit(it.price_new, volume);
+    if (!per) return it;
+    const eur = pricePerUnit(it.price_new_eur, volume);
+    return { ...it, price_per_unit: { ...per, ...(eur ? { value_eur: eur.value } : {}) } };
+  }
+
+  // RSS/Atom/Merchant: tarayıcı açmadan
+  async function scrapeXmlFeed(url, feed = {}) {
+    const startedAt = new Date().toISOString();
+    const slot = await scheduler.acquire(url);
+    if (!slot.ok) {
+      return {
+        sourceUrl: url, ok: false, engine: 'xml',
+        error: { name: 'Skipped', message: SKIP_MESSAGES[slot.reason] || slot.reason },
+        skippedUrls: [{ url, host: new URL(url).host, reason: slot.reason }]
+      };
+    }
+    try {
+      const { finalUrl, xml } = await fetchXmlFeed(url, { headers: DEFAULT_HEADERS });
+      const host    = new URL(finalUrl).host;
+      const country = feed.country || resolveCountry(finalUrl, overrides);
+      const ov      = ovFor(finalUrl);
+      const { format, items: raw } = parseXmlFeed(xml, { url: finalUrl, host, country });
+      const { items, excluded, outOfStock: outOfStockCount } = finalizeItems(raw, { country, ov, limit: maxFeedItems });
+      // Kampanya feed'lerinde başlık çoğu zaman fiyatsız bir mekaniktir ("3 al 2 öde"); fiyatlı girdiler ürün adıdır, okunmaz
+      const promotions = extractPromotions(raw.filter(it => it.price_new == null).map(it => ({ text: it.name, url: it.url })), {
+        store: host, country, url: finalUrl, currency: ov.currency || defaultCurrencyForCountry(country), day: isoDay()
+      });
+      return {
+        sourceUrl: url,
+        finalUrl,
+        host,
+        country,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        engine: `xml:${format}`,
+        ok: true,
+        itemsCount: items.length,
+        outOfStockCount,
+        excludedMen: excluded.length,
+        excludedSamples: excluded.slice(0, 5).map(it => ({ name: it.name, signal: it.audience_signal, url: it.url })),
+        items,
+        promotions
+      };
+    } catch (e) {
+      return { sourceUrl: url, ok: false, engine: 'xml', error: { name: e?.name || 'Error', message: String(e?.message || e) } };
+    } finally {
+      slot.release();
+    }
+  }
+
+  async function scrapeFeed(feed) {
+    const r = feed.kind === 'html' ? await scrapeUrl(feed.url, feed) : await scrapeXmlFeed(feed.url, feed);
+    return withFeedMeta(r, feed);
+  }
+
+  // HTTP/2 ve ağ hataları: aynı profille diğer motor
+  async function scrapeProfile(url, feed, profile) {
+    const fail = (e) => ({ sourceUrl: url, ok: false, error: { name: e?.name || 'Error', message: String(e?.message || e) } });
+    try {
+      return await scrapeWithEngine(url, profile.engine, feed, profile);
+    } catch (e) {
+      if (!/ERR_HTTP2|HTTP\/2|net::ERR/i.test(String(e?.message || e))) return fail(e);
+      const fallback = profile.engine === 'firefox' ? 'chromium' : 'firefox';
+      try {
+        return await scrapeWithEngine(url, fallback, feed, { ...profile, engine: fallback });
+      } catch (e2) {
+        return fail(e2);
+      }
+    }
+  }
+
+  // Engel sayfası: merdivenin bir sonraki basamağı (diğer motor → parmak izi → yavaş tempo), sonunda blocked
+  async function scrapeUrl(url, feed = {}) {
+    const ov = ovFor(url);
+    const ladder = escalationLadder(ov.escalation ?? escalation, ov.engine || 'chromium');
+    const attempts = [];
+    let r;
+    for (const profile of ladder) {
+      r = await scrapeProfile(url, feed, profile);
+      attempts.push({ step: profile.step, engine: r.engine || profile.engine, blockReason: r.blockReason || null });
+      if (!r.blocked) break;
+    }
+    return attempts.length > 1 ? { ...r, attempts } : r;
+  }
+
+  return { scrapeFeed, scrapeUrl, scrapeWithEngine, scrapeXmlFeed, finalizeItems };
+}
@@ -0,0 +1,288 @@
+// lib/server.mjs — data/deals-*.json üzerinde salt okunur HTTP API (node bot.mjs serve)
+//   GET /deals                → { date, total, limit, offset, items } — min çıktısındaki düz ürün kayıtları
+//       ?country=DE,AT &store=douglas.de &brand=lancome &currency=EUR &category=perfume &minDiscount=20
+//       &minPrice=10 &maxPrice=100 &q=idole &sort=-discount &limit=50 &offset=0 &date=YYYY-MM-DD
+//       minPrice/maxPrice: tek currency verildiyse o para biriminde, yoksa EUR karşılığı (price_new_eur; EUR alanı
+//       olmayan eski anlık görüntülerde rates/ kurlarıyla o gün için hesaplanır)
+//       sort: score, discount, true_discount, price, price_eur, name ("-" önekiyle azalan; varsayılan -score)
+//   GET /stores               → mağaza başına ürün, indirimli ürün, ortalama/en yüksek indirim, feed ve hata sayısı
+//   GET /history/:productKey  → geçmiş anlık görüntülerden gün başına fiyat gözlemleri
+// Yanıtlar ETag (gövde özeti) ve Last-Modified (anlık görüntü dosyasının zamanı) taşır; If-None-Match /
+// If-Modified-Since eşleşirse 304 döner. Yeni anlık görüntü yazıldığında bir sonraki istek onu okur (yeniden başlatma yok).
+
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import { sha1 } from './util.mjs';
+import { toEur } from './currency.mjs';
+import { listSnapshots, buildPriceIndex } from './history.mjs';
+import { flattenItems } from './sinks.mjs';
+import { normBrand, fold } from './matching.mjs';
+
+export const DEFAULT_PORT = 8787;
+const MAX_LIMIT = 500;
+const DEFAULT_LIMIT = 50;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const SORTS = {
+  score: it => it.deal_score,
+  discount: it => it.discount_pct,
+  true_discount: it => it.true_discount_pct,
+  price: it => it.price_new,
+  price_eur: it => it.price_new_eur,
+  name: it => it.name
+};
+
+// İstemci hatası → 400/404 (mesaj yanıtta görünür)
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+const list = (v) => (v ? String(v).split(',').map(s => s.trim()).filter(Boolean) : []);
+const bareHost = (h) => String(h || '').toLowerCase().replace(/^www\./, '');
+const words = (s) => fold(s).replace(/[.,]/g, ' ').split(/\s+/).filter(Boolean);
+// Eski/elle düzenlenmiş anlık görüntüdeki bozuk sourceUrl tüm /stores yanıtını düşürmesin
+const urlHost = (u) => { try { return new URL(u).host; } catch { return null; } };
+
+// "/history/%E0" gibi bozuk kodlama istemci hatasıdır
+function decodeKey(v) {
+  try {
+    return decodeURIComponent(v);
+  } catch {
+    throw httpError(400, `productKey: geçersiz URL kodlaması "${v}"`);
+  }
+}
+
+function num(params, name) {
+  const v = params.get(name);
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isFinite(n)) throw httpError(400, `${name}: sayı bekleniyordu, gelen "${v}"`);
+  return n;
+}
+
+// /deals süzgeçleri, sıralama ve sayfalama
+export function queryDeals(items, params) {
+  const countries = list(params.get('country')).map(c => c.toUpperCase());
+  const stores = list(params.get('store')).map(bareHost);
+  const brands = list(params.get('brand')).map(normBrand);
+  const currencies = list(params.get('currency')).map(c => c.toUpperCase());
+  const categories = list(params.get('category'));
+  const minDiscount = num(params, 'minDiscount');
+  const minPrice = num(params, 'minPrice');
+  const maxPrice = num(params, 'maxPrice');
+  const q = words(params.get('q') || '');
+  const limit = num(params, 'limit') ?? DEFAULT_LIMIT;
+  const offset = num(params, 'offset') ?? 0;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw httpError(400, `limit: 1–${MAX_LIMIT} arası tam sayı`);
+  if (!Number.isInteger(offset) || offset < 0) throw httpError(400, 'offset: 0 veya pozitif tam sayı');
+  const sort = params.get('sort') || '-score';
+  const desc = sort.startsWith('-');
+  const field = sort.replace(/^-/, '');
+  if (!SORTS[field]) throw httpError(400, `sort: ${Object.keys(SORTS).join(', ')} (azalan için "-" öneki)`);
+
+  // Fiyat aralığı tek para birimi seçildiyse o para biriminde, aksi halde EUR karşılığıyla (kuru olmayan ürün eşleşmez)
+  const priceOf = currencies.length === 1 ? (it => it.price_new) : (it => it.price_new_eur);
+  const inRange = (p) => (minPrice == null || (p != null && p >= minPrice)) && (maxPrice == null || (p != null && p <= maxPrice));
+
+  const hits = items.filter(it =>
+    (!countries.length || countries.includes(it.country)) &&
+    (!stores.length || stores.includes(bareHost(it.store))) &&
+    (!brands.length || brands.includes(normBrand(it.brand))) &&
+    (!currencies.length || currencies.includes(it.currency)) &&
+    (!categories.length || categories.includes(it.category)) &&
+    (minDiscount == null || (it.discount_pct ?? 0) >= minDiscount) &&
+    inRange(priceOf(it)) &&
+    (!q.length || (() => { const have = new Set(words(`${it.brand || ''} ${it.name}`)); return q.every(t => have.has(t)); })())
+  );
+
+  // Değeri olmayanlar yöne bakmaksızın sonda; eşitlikte id ile kararlı sıra
+  const key = SORTS[field];
+  hits.sort((a, b) => {
+    const x = key(a), y = key(b);
+    if (x == null || y == null) return (x == null) - (y == null) || a.id.localeCompare(b.id);
+    const d = typeof x === 'string' ? x.localeCompare(y) : x - y;
+    return (desc ? -d : d) || a.id.localeCompare(b.id);
+  });
+  return { total: hits.length, limit, offset, sort, items: hits.slice(offset, offset + limit) };
+}
+
+// /stores: ürünler + feed sonuçlarından host başına özet
+export function storeStats(snapshot, items) {
+  const by = new Map();
+  const row = (host) => {
+    if (!by.has(host)) by.set(host, { store: host, countries: new Set(), currencies: new Set(), items: 0, discounted: 0, discountSum: 0, max_discount: null, feeds: 0, errors: 0 });
+    return by.get(host);
+  };
+  for (const r of snapshot.results || []) {
+    const host = r.host || urlHost(r.sourceUrl);
+    if (!host) continue;
+    const s = row(host);
+    s.feeds++;
+    if (!r.ok) s.errors++;
+  }
+  for (const it of items) {
+    const s = row(it.store);
+    s.items++;
+    if (it.country) s.countries.add(it.country);
+    if (it.currency) s.currencies.add(it.currency);
+    if (it.discount_pct > 0) {
+      s.discounted++;
+      s.discountSum += it.discount_pct;
+      s.max_discount = Math.max(s.max_discount ?? 0, it.discount_pct);
+    }
+  }
+  return Array.from(by.values())
+    .map(s => ({
+      store: s.store,
+      countries: Array.from(s.countries).sort(),
+      currencies: Array.from(s.currencies).sort(),
+      feeds: s.feeds,
+      errors: s.errors,
+      items: s.items,
+      discounted: s.discounted,
+      avg_discount: s.discounted ? Math.round((s.discountSum / s.discounted) * 10) / 10 : null,
+      max_discount: s.max_discount
+    }))
+    .sort((a, b) => b.items - a.items || a.store.localeCompare(b.store));
+}
+
+// EUR alanı yazılmamış ürün (kur tablosu olmadan toplanmış eski anlık görüntü) → o günün kuruyla doldurulur
+const fillEur = (it, rates, day) => (it.price_new_eur != null ? it : {
+  ...it,
+  price_new_eur: toEur(it.price_new, it.currency, rates, day),
+  price_old_eur: it.price_old_eur ?? toEur(it.price_old, it.currency, rates, day)
+});
+
+// Anlık görüntü ve fiyat geçmişi önbelleği: dosya zamanı değişince yeniden okunur
+function createStore(dataDir, rates) {
+  const snaps = new Map(); // day → { mtime, snapshot, items }
+  let history = null;      // { sig, index, mtime }
+
+  async function snapshotFor(day) {
+    const all = await listSnapshots(dataDir);
+    const pick = day ? all.find(s => s.day === day) : all[all.length - 1];
+    if (!pick) throw httpError(404, day ? `${day} için anlık görüntü yok` : `${dataDir} içinde anlık görüntü yok`);
+    const { mtime } = await fs.stat(pick.file);
+    const hit = snaps.get(pick.day);
+    if (hit && hit.mtime.getTime() === mtime.getTime()) return hit;
+    const snapshot = JSON.parse(await fs.readFile(pick.file, 'utf8'));
+    const entry = { day: pick.day, mtime, snapshot, items: flattenItems(snapshot).map(it => fillEur(it, rates, pick.day)) };
+    // Yalnızca en son ve istenen son gün bellekte kalır
+    snaps.delete(pick.day);
+    if (snaps.size >= 2) snaps.delete(snaps.keys().next().value);
+    snaps.set(pick.day, entry);
+    return entry;
+  }
+
+  async function priceHistory() {
+    const all = await listSnapshots(dataDir);
+    const stats = await Promise.all(all.map(s => fs.stat(s.file)));
+    const sig = all.map((s, i) => `${s.day}:${stats[i].mtimeMs}`).join('|');
+    if (history?.sig !== sig) {
+      const { index } = await buildPriceIndex(dataDir);
+      history = { sig, index, mtime: new Date(Math.max(0, ...stats.map(s => s.mtimeMs))) };
+    }
+    return history;
+  }
+
+  return { snapshotFor, priceHistory };
+}
+
+function send(req, res, status, body, { lastModified } = {}) {
+  const json = JSON.stringify(body);
+  const etag = `"${sha1(json).slice(0, 20)}"`;
+  const headers = {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-cache',
+    ETag: etag
+  };
+  if (lastModified) headers['Last-Modified'] = lastModified.toUTCString();
+  if (status === 200) {
+    const inm = req.headers['if-none-match'];
+    const ims = Date.parse(req.headers['if-modified-since'] || '');
+    // If-None-Match varsa If-Modified-Since'a bakılmaz (RFC 9110)
+    const fresh = inm ? inm.split(',').map(s => s.trim().replace(/^W\//, '')).some(t => t === etag || t === '*')
+      : lastModified && Number.isFinite(ims) && Math.floor(lastModified.getTime() / 1000) * 1000 <= ims;
+    if (fresh) {
+      res.writeHead(304, headers);
+      return res.end();
+    }
+  }
+  res.writeHead(status, { ...headers, 'Content-Length': Buffer.byteLength(json) });
+  res.end(req.method === 'HEAD' ? undefined : json);
+}
+
+// node:http isteği işleyicisi; testlerde doğrudan http.createServer(createApi(...)) ile kullanılır
+// rates: loadRates() tablosu (yoksa yalnızca EUR ürünler EUR karşılığı alır)
+export function createApi({ dataDir, rates = new Map() }) {
+  const store = createStore(dataDir, rates);
+  const routes = {
+    async '/'() {
+      const { day, mtime } = await store.snapshotFor(null);
+      return [{ date: day, endpoints: ['/deals', '/stores', '/history/:productKey'] }, mtime];
+    },
+    async '/deals'(params) {
+      const date = params.get('date');
+      if (date && !DAY_RE.test(date)) throw httpError(400, 'date: YYYY-MM-DD');
+      const { day, mtime, items } = await store.snapshotFor(date);
+      return [{ date: day, ...queryDeals(items, params) }, mtime];
+    },
+    async '/stores'(params) {
+      const date = params.get('date');
+      if (date && !DAY_RE.test(date)) throw httpError(400, 'date: YYYY-MM-DD');
+      const { day, mtime, snapshot, items } = await store.snapshotFor(date);
+      return [{ date: day, stores: storeStats(snapshot, items) }, mtime];
+    }
+  };
+
+  async function historyRoute(key) {
+    const { index, mtime } = await store.priceHistory();
+    const obs = index.get(key);
+    if (!obs) throw httpError(404, `ürün anahtarı bulunamadı: ${key}`);
+    const latest = await store.snapshotFor(null);
+    const cur = latest.items.find(it => it.id === key);
+    const prices = obs.map(o => o.price);
+    return [{
+      product_key: key,
+      name: cur?.name ?? null,
+      store: cur?.store ?? null,
+      first_seen: obs[0].day,
+      last_seen: obs[obs.length - 1].day,
+      low: Math.min(...prices),
+      high: Math.max(...prices),
+      observations: obs
+    }, mtime];
+  }
+
+  return async function handler(req, res) {
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        throw httpError(405, `${req.method} desteklenmiyor (salt okunur)`);
+      }
+      const url = new URL(req.url, 'http://localhost');
+      const pathname = url.pathname.replace(/\/+$/, '') || '/';
+      const m = pathname.match(/^\/history\/([^/]+)$/);
+      const route = m ? () => historyRoute(decodeKey(m[1])) : routes[pathname];
+      if (!route) throw httpError(404, `bilinmeyen yol: ${pathname}`);
+      const [body, lastModified] = await route(url.searchParams);
+      send(req, res, 200, body, { lastModified });
+    } catch (e) {
+      const status = e.status || 500;
+      if (status === 500) console.error(`[warn] API ${req.method} ${req.url}: ${e.message}`);
+      send(req, res, status, { error: { name: status === 500 ? e.name || 'Error' : 'HttpError', message: String(e.message || e) } });
+    }
+  };
+}
+
+// Sunucuyu başlatır; { server, url } döner (port 0 → rastgele boş port)
+export async function serveApi({ dataDir, rates, host = '127.0.0.1', port = DEFAULT_PORT }) {
+  const server = http.createServer(createApi({ dataDir, rates }));
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const addr = server.address();
+  return { server, url: `http://${addr.address.includes(':') ? `[${addr.address}]` : addr.address}:${addr.port}` };
+}
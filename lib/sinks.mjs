@@ -0,0 +1,172 @@
+// lib/sinks.mjs — Çıktı katmanı
+// --sinks=json,min,ndjson,csv,sqlite (varsayılan: json)
+// - json   : data/deals-YYYY-MM-DD.json + data/deals-latest.json (tam sonuç ağacı, mevcut biçim)
+// - min    : data/deals-latest.min.json — uygulama için düzleştirilmiş, tekilleştirilmiş ürünler + kampanyalar
+// - ndjson : data/deals-YYYY-MM-DD.ndjson — satır başına bir ürün (stream)
+// - csv    : data/deals-YYYY-MM-DD.csv — merchandising ekibi için (Excel uyumlu, UTF-8 BOM)
+// - sqlite : data/deals.sqlite — gün + ürün anahtarıyla yalnızca eklenen gözlem tablosu
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { productKey } from './history.mjs';
+
+export const SINKS = ['json', 'min', 'ndjson', 'csv', 'sqlite'];
+
+export function parseSinks(value) {
+  const list = String(value || 'json').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const bad = list.filter(s => !SINKS.includes(s));
+  if (bad.length) throw new Error(`--sinks: bilinmeyen çıktı ${bad.join(', ')} (geçerli: ${SINKS.join(', ')})`);
+  return Array.from(new Set(list));
+}
+
+// Ürün → uygulamanın ihtiyaç duyduğu düz kayıt. id, günden güne aynı kalan product_key'dir.
+function flatItem(it, r) {
+  return {
+    id: it.product_key || productKey(it),
+    product_id: it.product_id ?? null,
+    name: it.name,
+    brand: it.brand || null,
+    store: it.store,
+    via: it.via || null,
+    country: it.country || r.country || null,
+    category: it.category ?? null,
+    subtype: it.subtype ?? null,
+    currency: it.currency || null,
+    price_new: it.price_new,
+    price_old: it.price_old ?? null,
+    discount_pct: it.discount_pct ?? null,
+    shipping: it.shipping ?? null,
+    price_new_eur: it.price_new_eur ?? null,
+    price_old_eur: it.price_old_eur ?? null,
+    true_discount_pct: it.history?.true_discount_pct ?? null,
+    low_30d: it.history?.low_30d ?? null,
+    first_seen: it.history?.first_seen ?? null,
+    availability: it.availability ?? null,
+    deal_score: it.deal_score ?? null,
+    price_per_unit: it.price_per_unit?.value ?? null,
+    price_unit: it.price_per_unit?.unit ?? null,
+    variants_count: it.variants?.length || null,
+    url: it.url,
+    image: it.image || null
+  };
+}
+
+// Tüm feed'lerdeki kampanyalar (kod/çoklu alım/hediye), id'ye göre tekil
+export function flattenPromotions(out) {
+  const seen = new Map();
+  for (const r of out.results || []) for (const p of r.promotions || []) if (!seen.has(p.id)) seen.set(p.id, p);
+  return Array.from(seen.values());
+}
+
+// Tüm feed'lerdeki ürünler, id'ye göre tekil (aynı ürün birden çok feed'de çıkabiliyor)
+export function flattenItems(out) {
+  const seen = new Map();
+  for (const r of out.results || []) {
+    for (const it of r.items || []) {
+      const f = flatItem(it, r);
+      const prev = seen.get(f.id);
+      if (!prev || (f.price_new != null && (prev.price_new == null || f.price_new < prev.price_new))) seen.set(f.id, f);
+    }
+  }
+  return Array.from(seen.values());
+}
+
+const CSV_COLUMNS = ['id', 'product_id', 'name', 'brand', 'store', 'via', 'country', 'category', 'subtype', 'currency', 'price_new', 'price_old',
+  'discount_pct', 'shipping', 'price_new_eur', 'price_old_eur', 'true_discount_pct', 'low_30d', 'first_seen', 'availability', 'deal_score',
+  'price_per_unit', 'price_unit', 'variants_count', 'url', 'image'];
+
+function csvCell(v) {
+  if (v == null) return '';
+  const s = String(v);
+  return /[",;\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const r of rows) lines.push(CSV_COLUMNS.map(c => csvCell(r[c])).join(','));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// node:sqlite (Node 22.5+) veya better-sqlite3; ikisi de yoksa anlaşılır hata
+async function openSqlite(file) {
+  try {
+    const { DatabaseSync } = await import('node:sqlite');
+    return new DatabaseSync(file);
+  } catch {}
+  try {
+    const { default: Database } = await import('better-sqlite3');
+    return new Database(file);
+  } catch {}
+  throw new Error('sqlite çıktısı için Node 22.5+ (node:sqlite) veya "better-sqlite3" paketi gerekli');
+}
+
+async function writeSqlite(file, day, rows) {
+  const db = await openSqlite(file);
+  try {
+    db.exec(`CREATE TABLE IF NOT EXISTS observations (
+      day TEXT NOT NULL,
+      product_key TEXT NOT NULL,
+      product_id TEXT,
+      name TEXT, brand TEXT, store TEXT, country TEXT, category TEXT,
+      currency TEXT, price_new REAL, price_old REAL, discount_pct REAL,
+      price_new_eur REAL, price_old_eur REAL, true_discount_pct REAL,
+      url TEXT, image TEXT,
+      PRIMARY KEY (day, product_key)
+    )`);
+    db.exec('CREATE INDEX IF NOT EXISTS observations_product ON observations (product_key, day)');
+    const ins = db.prepare(`INSERT OR IGNORE INTO observations
+      (day, product_key, product_id, name, brand, store, country, category, currency, price_new, price_old, discount_pct,
+       price_new_eur, price_old_eur, true_discount_pct, url, image)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+    db.exec('BEGIN');
+    try {
+      for (const r of rows) {
+        ins.run(day, r.id, r.product_id, r.name, r.brand, r.store, r.country, r.category, r.currency, r.price_new, r.price_old,
+          r.discount_pct, r.price_new_eur, r.price_old_eur, r.true_discount_pct, r.url, r.image);
+      }
+      db.exec('COMMIT');
+    } catch (e) {
+      // Yarım gün yazılmasın: sonraki çalışma aynı günü INSERT OR IGNORE ile baştan ekler
+      db.exec('ROLLBACK');
+      throw e;
+    }
+  } finally {
+    db.close();
+  }
+}
+
+// Seçili çıktıları yazar, yazılan dosya yollarını döndürür
+export async function writeSinks(out, { dir, day, sinks = ['json'] }) {
+  const written = [];
+  const write = async (name, data) => {
+    const file = path.join(dir, name);
+    await fs.writeFile(file, data, 'utf8');
+    written.push(file);
+  };
+  const flat = sinks.some(s => s !== 'json') ? flattenItems(out) : [];
+
+  for (const sink of sinks) {
+    switch (sink) {
+      case 'json':
+        await write(`deals-${day}.json`, JSON.stringify(out, null, 2));
+        await write('deals-latest.json', JSON.stringify(out, null, 2));
+        break;
+      case 'min':
+        await write('deals-latest.min.json', JSON.stringify({ date: day, count: flat.length, items: flat, promotions: flattenPromotions(out) }));
+        break;
+      case 'ndjson':
+        await write(`deals-${day}.ndjson`, flat.map(r => JSON.stringify({ day, ...r })).join('\n') + (flat.length ? '\n' : ''));
+        break;
+      case 'csv':
+        await write(`deals-${day}.csv`, toCsv(flat));
+        break;
+      case 'sqlite': {
+        const file = path.join(dir, 'deals.sqlite');
+        await writeSqlite(file, day, flat);
+        written.push(file);
+        break;
+      }
+    }
+  }
+  return written;
+}
@@ -0,0 +1,201 @@
+// lib/taxonomy.mjs — Kategori ve ürün tipi sınıflandırıcı (parfüm / makyaj / cilt / saç / vücut / aksesuar)
+// Her ürüne category, subtype ve güven değeri yazılır. Sinyaller sırayla:
+//   breadcrumbs : ürünün ld+json BreadcrumbList'i (Merchant g:product_type, RSS <category>)
+//   name        : ürün adındaki çok dilli anahtar kelimeler
+//   url         : ürün URL yolu
+//   listing     : listing sayfasının breadcrumb'ı ve yolu (cimri /parfum, /makyaj-urunleri, /cilt-bakimi)
+//   feed        : feeds/beautydrop-feeds.txt içindeki category= (mixed hariç)
+// Kategoriyi ilk eşleşen sinyal belirler; alt tip aynı kategori içinde önce addan, sonra diğer sinyallerden aranır.
+// Güven: sinyalin temel değeri + aynı kategoriyi söyleyen her ek sinyal için +0.05; feed kategorisiyle çelişki -0.1.
+// Diller audience.mjs ile aynı: TR, DE, FR, IT, ES, PT, NL, PL, CZ, SK, HU, RO, BG, GR, DA/SV/NO/FI ve EN.
+
+export const TAXONOMY = {
+  perfume: ['edp', 'edt', 'edc', 'parfum', 'mist'],
+  makeup: ['lips', 'eyes', 'face', 'nails'],
+  skin: ['cleanser', 'serum', 'mask', 'sun', 'moisturizer'],
+  hair: ['shampoo', 'conditioner', 'treatment', 'styling', 'color'],
+  body: ['wash', 'lotion', 'deodorant', 'hand'],
+  tools: ['brush', 'device', 'accessory']
+};
+
+const SIGNAL_CONFIDENCE = { breadcrumbs: 0.9, name: 0.8, url: 0.7, listing: 0.6, feed: 0.5 };
+
+// Harf olmayan sınırlar (audience.mjs ile aynı); "*" ile biten kelime kök, "*" ile başlayan birleşik kelime sonu
+// ("dusch*" → Duschgel, "*creme" → Gesichtscreme)
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const K = (words) => new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.map(w =>
+  `${w.startsWith('*') ? '\\p{L}*' : ''}${escape(w.replace(/^\*|\*$/g, ''))}${w.endsWith('*') ? '\\p{L}*' : ''}`).join('|')})(?![\\p{L}])`, 'iu');
+
+// Sıra önemli: önce alt tipi belli kalıplar (aksesuar → parfüm → vücut → saç → makyaj → cilt), sonra genel kategori kelimeleri.
+// Ör. "Duschgel" saç jölesi değil, "Haarmaske" yüz maskesi değil, "Foundation SPF 15" güneş kremi değil.
+const RULES = [
+  ['tools', 'device', K(['device', 'gerät', 'hair dryer', 'haartrockner', 'föhn', 'fön', 'sèche-cheveux', 'asciugacapelli', 'secador',
+    'saç kurutma', 'suszarka', 'straightener', 'glätteisen', 'lisseur', 'piastra', 'plancha', 'düzleştirici', 'prostownica',
+    'curling iron', 'lockenstab', 'fer à boucler', 'epilator', 'epilierer', 'épilateur', 'trimmer', 'led mask'])],
+  ['tools', 'brush', K(['brush', 'brushes', 'pinsel', '*pinsel', 'pinceau', 'pinceaux', 'pennello', 'pennelli', 'pincel', 'pinceles',
+    'fırça', 'fırçası', 'pędzel', 'pędzle', 'štětec', 'ecset', 'pensulă', 'pensula', 'kabuki'])],
+  ['tools', 'accessory', K(['sponge', 'beauty blender', 'make-up blender', 'schwamm', '*schwamm', 'éponge', 'spugna', 'spugnetta', 'esponja',
+    'sünger', 'gąbka', 'houbička', 'tweezers', 'pinzette', 'pince à épiler', 'pinzetta', 'pinzas', 'cımbız', 'eyelash curler',
+    'wimpernzange', 'recourbe-cils', 'piegaciglia', 'rizador de pestañas', 'sharpener', 'spitzer', 'taille-crayon', 'temperamatite',
+    'kulturbeutel', 'necessaire', 'toiletry bag', 'trousse', 'makyaj çantası', 'kosmetyczka'])],
+
+  ['perfume', 'edp', K(['eau de parfum', 'edp', 'eau de parfüm', 'parfum spray'])],
+  ['perfume', 'edt', K(['eau de toilette', 'edt'])],
+  ['perfume', 'edc', K(['eau de cologne', 'edc', 'cologne', 'kolonya', 'acqua di colonia', 'agua de colonia'])],
+  ['perfume', 'parfum', K(['extrait de parfum', 'extrait', 'parfum extrait', 'elixir de parfum', 'perfume oil', 'parfümöl', 'huile parfumée'])],
+  ['perfume', 'mist', K(['body mist', 'hair mist', 'fragrance mist', 'körperspray', 'duftspray', 'brume', 'brume parfumée',
+    'acqua profumata', 'bruma', 'vücut spreyi', 'mgiełka', 'tělový sprej'])],
+
+  ['body', 'deodorant', K(['deodorant', 'deodorants', 'deo', 'deospray', 'deoroller', 'antiperspirant', 'antitranspirant', 'déodorant',
+    'anti-transpirant', 'deodorante', 'desodorante', 'desodorizante', 'dezodorant', 'antyperspirant', 'izzadásgátló', 'deodorantti',
+    'αποσμητικό', 'дезодорант', 'deodorant roll-on'])],
+  ['body', 'wash', K(['shower gel', 'body wash', 'shower oil', 'shower cream', 'dusch*', 'gel douche', 'crème de douche', 'huile de douche',
+    'bagnoschiuma', 'docciaschiuma', 'gel de ducha', 'gel de banho', 'douchegel', 'duş jeli', 'duş kremi', 'żel pod prysznic',
+    'sprchový gel', 'tusfürdő', 'gel de duș', 'gel de dus', 'suihkugeeli', 'dusjsåpe', 'duschtvål', 'bath foam', 'schaumbad', 'badeschaum',
+    'bath salt', 'badesalz', 'soap', 'seife', 'savon', 'sapone', 'jabón', 'sabun', 'mydło'])],
+  ['body', 'hand', K(['hand cream', 'handcreme', 'hand balm', 'crème mains', 'crema mani', 'crema de manos', 'creme de mãos', 'handcrème',
+    'el kremi', 'krem do rąk', 'krém na ruce', 'kézkrém', 'cremă de mâini', 'foot cream', 'fußcreme', 'crème pieds', 'ayak kremi'])],
+  ['body', 'lotion', K(['body lotion', 'bodylotion', 'body milk', 'body cream', 'body butter', 'body oil', 'body scrub', 'körperlotion',
+    'körpermilch', 'körpercreme', 'körperbutter', 'körperöl', 'körperpeeling', 'lait corps', 'lait pour le corps', 'crème corps',
+    'huile corps', 'gommage corps', 'crema corpo', 'latte corpo', 'olio corpo', 'loción corporal', 'crema corporal', 'leche corporal',
+    'loção corporal', 'creme corporal', 'bodymilk', 'vücut losyonu', 'vücut kremi', 'vücut yağı', 'balsam do ciała', 'mleczko do ciała',
+    'tělové mléko', 'testápoló', 'loțiune de corp', 'lotiune de corp', 'vartalovoide', 'kroppslotion', 'body-lotion'])],
+
+  ['hair', 'styling', K(['dry shampoo', 'trockenshampoo', 'shampooing sec', 'shampoo secco', 'champú en seco', 'kuru şampuan',
+    'suchy szampon', 'hairspray', 'hair spray', 'haarspray', 'haarlack', 'laque cheveux', 'laque coiffante', 'lacca per capelli',
+    'laca capilar', 'saç spreyi', 'lakier do włosów', 'hair gel', 'haargel', 'styling gel', 'saç jölesi', 'hair wax', 'haarwachs',
+    'hair pomade', 'haarpomade', 'hair mousse', 'haarmousse', 'mousse coiffante', 'schaumfestiger', 'texturizing spray', 'sea salt spray',
+    'heat protect', 'hitzeschutz', 'thermo-protecteur', 'termoprotettore', 'protector térmico', 'ısı koruyucu'])],
+  ['hair', 'shampoo', K(['shampoo', 'shampoos', 'shampooing', 'şampuan', 'şampuanı', 'sampuan', 'szampon', 'šampon', 'șampon', 'sampon',
+    'champú', 'champu', 'xampu', 'σαμπουάν', 'шампоан', 'schampo', 'sjampo', 'shampoo*'])],
+  ['hair', 'conditioner', K(['conditioner', 'spülung', '*spülung', 'après-shampooing', 'apres-shampooing', 'balsamo capelli',
+    'balsamo per capelli', 'acondicionador', 'condicionador', 'crèmespoeling', 'saç kremi', 'odżywka', 'kondicionér', 'kondicionáló',
+    'balsam de păr', 'hoitoaine', 'balsam til håret'])],
+  ['hair', 'color', K(['hair color', 'hair colour', 'hair dye', 'haarfarbe', 'coloration', 'colorazione', 'tinta per capelli',
+    'tinte capilar', 'tinte para el pelo', 'saç boyası', 'farba do włosów', 'barva na vlasy', 'hajfesték', 'vopsea de păr',
+    'vopsea de par', 'hårfärg', 'hiusväri'])],
+  ['hair', 'treatment', K(['hair mask', 'haarmaske', 'haarkur', 'hair oil', 'haaröl', 'hair serum', 'haarserum', 'leave-in',
+    'masque capillaire', 'huile capillaire', 'sérum capillaire', 'maschera capelli', 'maschera per capelli', 'olio capelli',
+    'mascarilla capilar', 'mascarilla para el cabello', 'aceite capilar', 'máscara capilar', 'haarmasker', 'saç maskesi', 'saç serumu',
+    'saç yağı', 'saç bakım yağı', 'maska do włosów', 'olejek do włosów', 'maska na vlasy', 'hajpakolás', 'mască de păr', 'hiusnaamio'])],
+
+  ['makeup', 'lips', K(['lipstick', 'lipsticks', 'lip gloss', 'lipgloss', 'lip liner', 'lipliner', 'lip balm', 'lip oil', 'lip stain',
+    'lip tint', 'liquid lipstick', 'lip', 'lips', 'lippenstift', 'lippen*', 'rouge à lèvres', 'gloss', 'crayon à lèvres', 'baume à lèvres',
+    'rossetto', 'rossetti', 'lucidalabbra', 'matita labbra', 'pintalabios', 'labial', 'labiales', 'barra de labios', 'batom',
+    'lippenbalsem', 'ruj', 'rujlar', 'dudak', 'dudak parlatıcısı', 'dudak kalemi', 'pomadka', 'błyszczyk', 'konturówka', 'rtěnka',
+    'rúž', 'rúzs', 'szájfény', 'червило', 'κραγιόν', 'läppstift', 'leppestift', 'læbestift', 'huulipuna'])],
+  ['makeup', 'eyes', K(['mascara', 'mascaras', 'maskara', 'eyeliner', 'eye liner', 'eyeshadow', 'eye shadow', 'eyeshadow palette', 'eye palette',
+    'eyebrow', 'brow', 'brows', 'lash', 'lashes', 'false lashes', 'kajal', 'khol', 'kohl', 'lidschatten', 'lidstrich', 'augenbrauen*',
+    'wimpern*', 'wimperntusche', 'fard à paupières', 'crayon yeux', 'sourcils', 'mascara waterproof', 'ombretto', 'ombretti',
+    'matita occhi', 'sopracciglia', 'sombra de ojos', 'sombras', 'delineador', 'cejas', 'máscara de pestañas', 'máscara de cílios',
+    'rímel', 'rimel', 'göz farı', 'göz kalemi', 'kaş', 'kirpik', 'tusz do rzęs', 'cienie do powiek', 'kredka do oczu', 'brwi', 'řasenka',
+    'oční stíny', 'szempillaspirál', 'szemhéjpúder', 'fard de pleoape', 'спирала', 'σκιές', 'μάσκαρα', 'ripsiväri', 'ögonskugga'])],
+  ['makeup', 'face', K(['foundation', 'concealer', 'primer', 'powder', 'blush', 'bronzer', 'highlighter', 'contouring', 'contour palette',
+    'contour stick', 'bb cream', 'cc cream', 'setting spray', 'fixing spray', 'tinted moisturizer', 'make-up base', 'grundierung', 'puder',
+    'abdeckstift', 'fond de teint', 'fond de ten', 'correcteur', 'poudre', 'enlumineur', 'fondotinta', 'correttore', 'cipria',
+    'terra abbronzante', 'base de maquillaje', 'corrector', 'colorete', 'polvos', 'iluminador', 'fondöten', 'kapatıcı', 'allık', 'pudra',
+    'aydınlatıcı', 'podkład', 'korektor', 'róż', 'rozświetlacz', 'alapozó', 'korrektor', 'pirosító', 'fard de obraz', 'фон дьо тен',
+    'μέικ απ'])],
+  ['makeup', 'nails', K(['nail polish', 'nail lacquer', 'nail', 'nails', 'nagellack', 'nägel', 'vernis', 'vernis à ongles', 'smalto',
+    'smalti', 'esmalte', 'esmalte de uñas', 'nagellak', 'oje', 'tırnak', 'lakier do paznokci', 'lak na nehty', 'körömlakk',
+    'lac de unghii', 'neglelak', 'nagellack*'])],
+
+  ['skin', 'sun', K(['sunscreen', 'sun cream', 'sun lotion', 'sun spray', 'spf', 'after sun', 'self tan', 'self-tan', 'sonnencreme',
+    'sonnenschutz', 'sonnenspray', 'sonnenmilch', 'selbstbräuner', 'solaire', 'protection solaire', 'autobronzant', 'protezione solare',
+    'crema solare', 'autoabbronzante', 'protector solar', 'crema solar', 'autobronceador', 'protetor solar', 'zonnebrand',
+    'güneş kremi', 'güneş koruyucu', 'bronzlaştırıcı', 'krem z filtrem', 'samoopalacz', 'opalovací', 'napvédő', 'protecție solară',
+    'aurinkovoide', 'solkräm'])],
+  ['skin', 'cleanser', K(['cleanser', 'cleansing', 'face wash', 'micellar', 'micellar water', 'toner', 'tonic', 'makeup remover',
+    'make-up remover', 'mizellen*', 'reinigung*', 'gesichtswasser', 'abschminke', 'démaquillant', 'nettoyant', 'eau micellaire', 'lotion tonique',
+    'detergente viso', 'struccante', 'acqua micellare', 'tonico', 'limpiador', 'desmaquillante', 'agua micelar', 'tónico', 'reinigingsgel',
+    'temizleyici', 'temizleme', 'makyaj temizleyici', 'misel', 'tonik', 'płyn micelarny', 'żel do mycia twarzy', 'micelární',
+    'arctisztító', 'micellás', 'apă micelară', 'demachiant', 'puhdistus*'])],
+  ['skin', 'serum', K(['serum', 'serums', 'sérum', 'siero', 'sieri', 'sérum facial', 'ampoule', 'ampul', 'booster', 'konsantre',
+    'serum do twarzy', 'szérum', 'ser facial', 'seerumi'])],
+  ['skin', 'mask', K(['face mask', 'sheet mask', 'peel-off', 'mask', 'masks', 'maske', 'masken', '*maske', 'masque', 'masques', 'maschera',
+    'maschera viso', 'mascarilla', 'máscara facial', 'masker', 'yüz maskesi', 'maseczka', 'pleťová maska', 'maska', 'arcmaszk', 'masca',
+    'mască', 'peeling', 'exfoliant', 'scrub', 'gommage'])],
+  ['skin', 'moisturizer', K(['moisturizer', 'moisturiser', 'moisture*', 'day cream', 'night cream', 'eye cream', 'face cream', 'gel cream',
+    'tagescreme', 'nachtcreme', 'augencreme', 'gesichtscreme', 'feuchtigkeits*', '*creme', 'crème', 'crème hydratante', 'crème de jour',
+    'crème de nuit', 'contour des yeux', 'crema', 'crema viso', 'crema idratante', 'crema hidratante', 'contorno de ojos',
+    'hidratante', 'creme', 'cream', 'dagcrème', 'nachtcrème', 'nemlendirici', 'krem', 'gündüz kremi', 'gece kremi', 'göz kremi',
+    'krem nawilżający', 'krem do twarzy', 'krem pod oczy', 'pleťový krém', 'krém', 'arckrém', 'hidratáló', 'cremă', 'crema de zi',
+    'päivävoide', 'yövoide', 'dagkräm', 'nattkräm', 'ansiktskräm', 'fuktighetskrem', 'krem', 'крем', 'κρέμα'])],
+
+  // Genel kategori kelimeleri (alt tip bilinmez)
+  ['perfume', null, K(['parfum', 'parfums', 'perfume', 'perfumes', 'perfumy', 'perfumes', 'profumo', 'profumi', 'fragrance', 'fragrances',
+    'fragancia', 'fragancias', 'fragranza', 'fragranze', 'duft', 'düfte', '*düfte', '*duft', 'damenparfum', 'herrenparfum', 'parfém',
+    'parfémy', 'parfüm', 'parfümler', 'parfümök', '*parfum', 'parfumuri', 'parfym', 'parfymer', 'parfume', 'parfumer', 'hajuvesi',
+    'hajuvedet', 'tuoksu', 'tuoksut', 'άρωμα', 'αρώματα', 'парфюм', 'парфюми', 'geur', 'geuren', 'eau de', 'perfumaria'])],
+  ['makeup', null, K(['make-up', 'makeup', 'make up', 'maquillage', 'trucco', 'maquillaje', 'maquilhagem', 'maquiagem', 'makijaż', 'smink', 'machiaj', 'makyaj',
+    'μακιγιάζ', 'грим', 'meikki', 'sminke', 'smink', 'líčidla', 'líčení', 'dekorative kosmetik'])],
+  ['hair', null, K(['hair', 'haircare', 'hair care', 'haar', 'haare', 'haarpflege', 'cheveux', 'capillaire', 'capelli', 'cabello', 'pelo',
+    'capilar', 'cabelo', 'haarverzorging', 'saç', 'sac bakimi', 'saç bakımı', 'włosy', 'włosów', 'vlasy', 'haj', 'hajápolás', 'păr',
+    'μαλλιά', 'коса', 'hår', 'hårpleje', 'hårvård', 'hiukset', 'hiustenhoito'])],
+  ['body', null, K(['body', 'bodycare', 'body care', 'körper', 'körperpflege', 'corps', 'soin du corps', 'corpo', 'cuerpo', 'corporal',
+    'lichaam', 'lichaamsverzorging', 'vücut', 'vücut bakımı', 'ciało', 'ciała', 'tělo', 'tělová péče', 'testápolás', 'corp',
+    'σώμα', 'тяло', 'kropp', 'krop', 'kroppsvård', 'vartalo', 'vartalonhoito', 'bath'])],
+  ['skin', null, K(['skincare', 'skin care', 'skin', 'face care', 'facial', 'hautpflege', 'gesichtspflege', 'gesicht', 'soin visage',
+    'soins visage', 'visage', 'cura viso', 'viso', 'cuidado facial', 'facial care', 'rostro', 'cuidados de rosto', 'gezichtsverzorging',
+    'cilt', 'cilt bakımı', 'cilt bakimi', 'yüz', 'pielęgnacja', 'twarz', 'pleť', 'péče o pleť', 'arcápolás', 'îngrijire',
+    'πρόσωπο', 'лице', 'hudpleje', 'hudvård', 'ihonhoito', 'kasvot', 'face'])],
+  ['tools', null, K(['accessories', 'accessory', 'tools', 'zubehör', 'accessoires', 'accessori', 'accesorios', 'acessórios', 'aksesuar',
+    'akcesoria', 'doplňky', 'kiegészítők', 'accesorii', 'tilbehør', 'tillbehör', 'tarvikkeet'])]
+];
+
+function pathText(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname).replace(/[\/_\-.+]+/g, ' ');
+  } catch {
+    return '';
+  }
+}
+
+// Metin → ilk eşleşen kural { category, subtype } ; only: yalnızca bu kategorinin kuralları
+function matchRule(text, only = null) {
+  const t = String(text || '');
+  if (!t) return null;
+  for (const [category, subtype, re] of RULES) {
+    if (only && category !== only) continue;
+    if (re.test(t)) return { category, subtype };
+  }
+  return null;
+}
+
+// { category, subtype, confidence (0–1), signal: 'breadcrumbs'|'name'|'url'|'listing'|'feed'|null }
+// listing: { url, breadcrumbs } — ürünün bulunduğu listing sayfası ; feedCategory: feeds.txt category=
+export function classifyCategory({ name, breadcrumbs, url } = {}, { listing = {}, feedCategory = null } = {}) {
+  const feed = feedCategory && feedCategory !== 'mixed' ? feedCategory : null;
+  const texts = {
+    breadcrumbs: (breadcrumbs || []).join(' / '),
+    name,
+    url: pathText(url),
+    listing: [...(listing.breadcrumbs || []), pathText(listing.url)].join(' / ')
+  };
+  const found = Object.entries(texts).map(([signal, t]) => [signal, matchRule(t)]).filter(([, m]) => m);
+
+  let category, signal;
+  if (found.length) [signal, { category }] = found[0];
+  else if (feed) [signal, category] = ['feed', feed];
+  else return { category: feedCategory || null, subtype: null, confidence: 0, signal: null };
+
+  // Alt tip: ad en belirgin ("Eau de Toilette", "Mascara"); yoksa breadcrumb, URL, listing
+  let subtype = null;
+  for (const s of ['name', 'breadcrumbs', 'url', 'listing']) {
+    subtype = matchRule(texts[s], category)?.subtype || null;
+    if (subtype) break;
+  }
+
+  const agree = found.filter(([, m]) => m.category === category).length + (feed === category && signal !== 'feed' ? 1 : 0);
+  let confidence = SIGNAL_CONFIDENCE[signal] + 0.05 * Math.max(0, agree - 1);
+  if (feed && feed !== category) confidence -= 0.1;
+  return { category, subtype, confidence: Math.round(Math.min(confidence, 0.99) * 100) / 100, signal };
+}
+
+// Ürünleri etiketler: category, subtype, category_confidence, category_signal
+export function classifyItems(items, ctx = {}) {
+  return items.map(it => {
+    const c = classifyCategory(it, ctx);
+    return { ...it, category: c.category, subtype: c.subtype, category_confidence: c.confidence, category_signal: c.signal };
+  });
+}
@@ -0,0 +1,71 @@
+// lib/util.mjs — bot.mjs ve lib/ modüllerinin paylaştığı küçük yardımcılar
+
+import fs from 'node:fs/promises';
+import crypto from 'node:crypto';
+
+// feeds/beautydrop-feeds.txt'te geçen ülke kodları
+export const COUNTRIES = ['TR', 'DE', 'FR', 'IT', 'ES', 'NL', 'BE', 'AT', 'CH', 'PL', 'CZ', 'SK', 'HU', 'RO', 'BG', 'GR', 'PT',
+  'DK', 'SE', 'NO', 'FI', 'IE', 'UK'];
+
+export async function ensureDir(dir) { await fs.mkdir(dir, { recursive: true }); }
+export function isoDay() { return new Date().toISOString().slice(0, 10); }
+export function sha1(x) { return crypto.createHash('sha1').update(String(x)).digest('hex'); }
+export function trim(s, n = 200) { return s ? (s.length > n ? s.slice(0, n) + '…' : s) : ''; }
+export function uniq(arr) { return Array.from(new Set(arr)); }
+
+export function computeDiscount(priceNew, priceOld) {
+  if (priceNew == null || priceOld == null) return null;
+  if (!Number.isFinite(priceNew) || !Number.isFinite(priceOld)) return null;
+  if (priceOld <= 0 || priceNew >= priceOld) return null;
+  const pct = ((priceOld - priceNew) / priceOld) * 100;
+  return Math.round(pct * 10) / 10;
+}
+
+// YYYY-MM-DD gün aritmetiği (UTC)
+export function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+export async function readJson(file, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return fallback;
+    throw e;
+  }
+}
+
+// feeds/*.json ayar dosyası: yoksa null; bozuk JSON veya validate(obj) → [hata, …] doluysa dosya adıyla hata
+export async function loadJsonConfig(file, validate) {
+  let txt;
+  try {
+    txt = await fs.readFile(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  let obj;
+  try {
+    obj = JSON.parse(txt);
+  } catch (e) {
+    throw new Error(`${file}: JSON okunamadı: ${e.message}`);
+  }
+  const errors = validate(obj);
+  if (errors.length) throw new Error(`${file} geçersiz:\n  - ${errors.join('\n  - ')}`);
+  return obj;
+}
+
+// Basit concurrency limiter (p-limit yerine)
+export function makeLimiter(n) {
+  let active = 0;
+  const q = [];
+  const next = () => {
+    if (active >= n || q.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = q.shift();
+    fn().then(resolve, reject).finally(() => { active--; next(); });
+  };
+  return (fn) => new Promise((resolve, reject) => { q.push({ fn, resolve, reject }); next(); });
+}
@@ -0,0 +1,60 @@
+// lib/variants.mjs — Varyantlar (renk/boyut), stok durumu ve birim fiyat
+// Stok: schema.org URL'leri ("https://schema.org/InStock"), Merchant değerleri ("in stock"), JSON bayrakları (true/false)
+// ve sayfa metinleri ("Ausverkauft", "Tükendi", "Nur noch 2 Stück") tek bir enum'a indirgenir:
+//   in_stock | limited | preorder | out_of_stock   (anlaşılamazsa null)
+// Birim fiyat: hacmi/ağırlığı bilinen üründe 1 ml / 1 g başına fiyat (sitenin bildirdiği unit_price'tan bağımsız).
+// Manşet varyant: stokta olanlar içinde en ucuz; hiçbiri stokta değilse en ucuz (ürün o zaman out_of_stock görünür).
+
+export const AVAILABILITY = ['in_stock', 'limited', 'preorder', 'out_of_stock'];
+
+// Sıra önemli: "nicht verfügbar", "unavailable", "non disponibile", "stokta yok" olumlu kalıplardan önce
+const OUT_RE = new RegExp([
+  'outofstock', 'out_of_stock', 'soldout', 'sold_out', 'discontinued', 'unavailable', 'not_available', 'no_stock',
+  'nicht_verfügbar', 'nicht_lieferbar', 'ausverkauft', 'vergriffen', 'épuisé', 'epuise', 'rupture', 'indisponible', 'non_disponible',
+  'esaurito', 'non_disponibile', 'agotado', 'sin_stock', 'no_disponible', 'esgotado', 'indisponível', 'uitverkocht', 'niet_beschikbaar',
+  'niet_op_voorraad', 'wyprzedan', 'niedostępn', 'brak_w_magazynie', 'vyprodáno', 'nedostupn', 'elfogyott', 'nem_elérhető',
+  'stoc_epuizat', 'indisponibil', 'tükendi', 'stokta_yok', 'slutsåld', 'udsolgt', 'utsolgt', 'loppuunmyyty', 'εξαντλήθηκε', 'изчерпан',
+  '^false$', '^0$', '^no$',
+  // Olumsuzlanmış olumlu kalıplar: "Not in stock", "Nicht auf Lager", "Pas en stock", "Non disponibile", "Nie ma w magazynie"
+  '(?:^|_)(?:not|no|nicht|kein|pas|plus|non|niet|nie|nem|nu|není|ikke|inte|ei)_(?:[a-zäöüéèíóúăîș]+_){0,2}(?:in_stock|stock|auf_lager|lager|vorrätig|lieferbar|verfügbar|disponib|voorraad|beschikbaar|magazynie|dostępn|skladem|raktáron|stoc|available)'
+].join('|'), 'i');
+const PRE_RE = /preorder|pre_order|presale|pre_sale|backorder|madetoorder|vorbestell|précommande|precommande|preordine|preventa|pré_venda|ön_sipariş|on_siparis|przedsprzedaż|předprodej/i;
+const LIMITED_RE = /limited|only_\d+_left|nur_noch|wenige_(?:artikel|stück)|plus_que|ultimi|últimas_unidades|ultimas_unidades|son_\d+|sınırlı_stok|ostatnie_sztuki|poslední_kusy/i;
+const IN_RE = /instock|in_stock|onlineonly|instoreonly|available|verfügbar|lieferbar|auf_lager|en_stock|disponible|disponibile|op_voorraad|dostępn|skladem|raktáron|în_stoc|in_stoc|stokta|på_lager|i_lager|varastossa|^true$|^1$|^yes$/i;
+
+// Ham stok değeri → enum | null
+export function normAvailability(v) {
+  if (v === true) return 'in_stock';
+  if (v === false) return 'out_of_stock';
+  const s = String(v ?? '').trim().toLowerCase().replace(/^https?:\/\/schema\.org\//, '').replace(/[\s-]+/g, '_');
+  if (!s) return null;
+  if (AVAILABILITY.includes(s)) return s;
+  if (OUT_RE.test(s)) return 'out_of_stock';
+  if (PRE_RE.test(s)) return 'preorder';
+  if (LIMITED_RE.test(s)) return 'limited';
+  if (IN_RE.test(s)) return 'in_stock';
+  return null;
+}
+
+const TO_BASE = { ml: ['ml', 1], l: ['ml', 1000], g: ['g', 1], kg: ['g', 1000] };
+
+// price + volume ({ value: 50, unit: 'ml' }) → { value: 1.799, unit: 'ml' } ; oz/adet/bilinmeyen birim → null
+export function pricePerUnit(price, volume) {
+  const base = volume && TO_BASE[volume.unit];
+  if (price == null || !base || !(volume.value > 0)) return null;
+  return { value: Math.round((price / (volume.value * base[1])) * 10000) / 10000, unit: base[0] };
+}
+
+// Manşet sırası: stokta/sınırlı → bilinmiyor → ön sipariş → tükendi
+const HEADLINE_RANK = { in_stock: 0, limited: 0, preorder: 2, out_of_stock: 3 };
+const rankOf = (v) => HEADLINE_RANK[normAvailability(v.availability)] ?? 1;
+
+// Fiyatlı varyantlar içinden manşet: en iyi stok sınıfında en ucuz
+export function pickHeadline(variants) {
+  const priced = variants.filter(v => v.price_new != null);
+  if (!priced.length) return variants[0] || null;
+  return priced.reduce((best, v) => {
+    const d = rankOf(v) - rankOf(best);
+    return d < 0 || (d === 0 && v.price_new < best.price_new) ? v : best;
+  });
+}
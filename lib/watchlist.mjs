@@ -0,0 +1,145 @@
+// lib/watchlist.mjs — İzleme listesi: "bu ürün şu fiyatın altına düşerse haber ver"
+// Gecelik ürünler feeds/watchlist.json'daki izlemelerle eşleştirilir:
+//   { "resendAfterDays": 7,
+//     "notifiers": { "telegram": { "type": "telegram", "token": "${TELEGRAM_BOT_TOKEN}", "chatId": "${TELEGRAM_CHAT_ID}" } },
+//     "watches": [ { "id": "idole-de", "brand": "Lancôme", "name": "Idôle 50 ml", "country": "DE", "maxPrice": 80, "minDiscount": 20 } ] }
+// Bir izleme en az brand, name veya gtin taşır; verilen her koşul sağlanmalıdır:
+//   brand       : normalize marka eşitliği (takma adlar: ysl → yves saint laurent)
+//   name        : adın her kelimesi ürün adında geçer (aksan/büyük harf duyarsız)
+//   gtin        : GTIN-14'e normalize eşitlik
+//   country     : "DE" veya ["DE", "AT"]
+//   maxPrice    : currency (varsayılan EUR) cinsinden; ürün başka para birimindeyse price_new_eur ile karşılaştırılır
+//   minDiscount : sitenin indirimi veya 30 günlük en düşüğe göre gerçek indirim (büyük olan), %
+//   notify      : bildirici adları (varsayılan: hepsi)
+// Tükenen ürünler eşleşmez. Bildirici ayarları lib/notify.mjs'dedir.
+
+import { loadJsonConfig } from './util.mjs';
+import { normBrand, normGtin, fold } from './matching.mjs';
+import { productKey } from './history.mjs';
+import { normAvailability } from './variants.mjs';
+import { NOTIFIER_TYPES } from './notify.mjs';
+
+export const DEFAULT_WATCHLIST = { resendAfterDays: 7, notifiers: {}, watches: [] };
+
+const isStr = v => typeof v === 'string' && v.trim() !== '';
+const isCountry = v => typeof v === 'string' && /^[A-Z]{2}$/.test(v);
+const WATCH_SCHEMA = {
+  id: [isStr, 'metin'],
+  brand: [isStr, 'metin'],
+  name: [isStr, 'metin'],
+  gtin: [v => normGtin(v) != null, '8/12/13/14 haneli GTIN'],
+  country: [v => isCountry(v) || (Array.isArray(v) && v.length > 0 && v.every(isCountry)), '"DE" veya ["DE", "AT"]'],
+  maxPrice: [v => typeof v === 'number' && v > 0, 'pozitif sayı'],
+  currency: [v => typeof v === 'string' && /^[A-Z]{3}$/.test(v), 'ISO para birimi (EUR, TRY…)'],
+  minDiscount: [v => typeof v === 'number' && v >= 0 && v < 100, '0–99 arası yüzde'],
+  notify: [v => Array.isArray(v) && v.every(isStr), 'bildirici adları dizisi']
+};
+
+function validateWatch(w, i, notifiers) {
+  const at = `watches[${i}]`;
+  if (!w || typeof w !== 'object' || Array.isArray(w)) return [`${at}: nesne olmalı`];
+  const errors = [];
+  for (const [k, v] of Object.entries(w)) {
+    if (k.startsWith('$')) continue;
+    const rule = WATCH_SCHEMA[k];
+    if (!rule) errors.push(`${at}.${k}: bilinmeyen anahtar`);
+    else if (!rule[0](v)) errors.push(`${at}.${k}: beklenen ${rule[1]}, gelen ${JSON.stringify(v)}`);
+  }
+  if (!w.brand && !w.name && !w.gtin) errors.push(`${at}: brand, name veya gtin gerekli`);
+  for (const n of Array.isArray(w.notify) ? w.notify : []) {
+    if (!(n in notifiers)) errors.push(`${at}.notify: tanımsız bildirici "${n}"`);
+  }
+  return errors;
+}
+
+export function validateWatchlist(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return ['kök değer nesne olmalı'];
+  const errors = [];
+  for (const k of Object.keys(obj)) {
+    if (!k.startsWith('$') && !(k in DEFAULT_WATCHLIST)) errors.push(`${k}: bilinmeyen anahtar`);
+  }
+  if ('resendAfterDays' in obj && !(Number.isInteger(obj.resendAfterDays) && obj.resendAfterDays >= 0)) {
+    errors.push(`resendAfterDays: beklenen 0 veya pozitif tam sayı, gelen ${JSON.stringify(obj.resendAfterDays)}`);
+  }
+  const notifiers = obj.notifiers ?? {};
+  if (!notifiers || typeof notifiers !== 'object' || Array.isArray(notifiers)) {
+    errors.push('notifiers: beklenen { ad: { type, … } }');
+  } else {
+    for (const [name, n] of Object.entries(notifiers)) {
+      if (!n || !NOTIFIER_TYPES.includes(n.type)) errors.push(`notifiers.${name}.type: beklenen ${NOTIFIER_TYPES.join('|')}, gelen ${JSON.stringify(n?.type)}`);
+    }
+  }
+  if ('watches' in obj && !Array.isArray(obj.watches)) errors.push('watches: dizi olmalı');
+  else (obj.watches || []).forEach((w, i) => errors.push(...validateWatch(w, i, notifiers || {})));
+  const ids = (obj.watches || []).map(watchId);
+  for (const id of new Set(ids.filter((id, i) => ids.indexOf(id) !== i))) errors.push(`watches: tekrarlanan id "${id}"`);
+  return errors;
+}
+
+// Dosya yoksa boş liste (bildirim yok); geçersizse bot başlamaz (ranking.json ile aynı)
+export async function loadWatchlist(file) {
+  const obj = await loadJsonConfig(file, validateWatchlist);
+  if (!obj) return { ...DEFAULT_WATCHLIST };
+  return {
+    ...DEFAULT_WATCHLIST,
+    ...Object.fromEntries(Object.entries(obj).filter(([k]) => !k.startsWith('$'))),
+    watches: (obj.watches || []).map(w => ({ ...w, id: watchId(w) }))
+  };
+}
+
+// id verilmemişse koşullardan kararlı bir id (tekilleştirme anahtarının parçası)
+function watchId(w) {
+  if (w?.id) return w.id;
+  return [w?.gtin, w?.brand, w?.name, [].concat(w?.country || []).join('+')].filter(Boolean).map(fold).join('|');
+}
+
+// "50ml" ve "50 ml" aynı kelimeler
+const words = (s) => fold(s).replace(/(\d)(ml|gr?|l|oz)\b/g, '$1 $2').replace(/[.,]/g, ' ').split(/\s+/).filter(Boolean);
+
+function priceIn(it, currency) {
+  if (it.currency === currency) return it.price_new;
+  return currency === 'EUR' ? it.price_new_eur ?? null : null;
+}
+
+// Marka alanı boş kartlar (ranking.mjs brandTierOf ile aynı): ad markayla ya da takma adıyla ("YSL Libre …") başlıyorsa
+function sameBrand(it, brand) {
+  const want = normBrand(brand);
+  if (it.brand) return normBrand(it.brand) === want;
+  const name = normBrand(it.name);
+  return name.startsWith(want + ' ') || normBrand(name.split(' ')[0]) === want;
+}
+
+// Ürün izlemeyi karşılıyor mu?
+export function watchMatches(w, it) {
+  if (it.price_new == null || normAvailability(it.availability) === 'out_of_stock') return false;
+  if (w.gtin && normGtin(it.gtin) !== normGtin(w.gtin)) return false;
+  if (w.brand && !sameBrand(it, w.brand)) return false;
+  if (w.name) {
+    const have = new Set(words(`${it.brand || ''} ${it.name}`));
+    if (!words(w.name).every(t => have.has(t))) return false;
+  }
+  if (w.country && ![].concat(w.country).includes(it.country)) return false;
+  if (w.maxPrice != null) {
+    const price = priceIn(it, w.currency || 'EUR');
+    if (price == null || price > w.maxPrice) return false;
+  }
+  if (w.minDiscount != null && Math.max(it.discount_pct ?? 0, it.history?.true_discount_pct ?? 0) < w.minDiscount) return false;
+  return true;
+}
+
+// Sonuç ağacı → [{ watch, item, key }] ; aynı izleme + ürün bir kez (en ucuz teklif)
+export function matchWatchlist(out, watchlist) {
+  const found = new Map();
+  for (const r of out.results || []) {
+    for (const raw of r.items || []) {
+      const it = { ...raw, country: raw.country || r.country || null };
+      for (const w of watchlist.watches || []) {
+        if (!watchMatches(w, it)) continue;
+        const key = `${w.id}|${it.product_key || productKey(it)}`;
+        const prev = found.get(key);
+        if (!prev || it.price_new < prev.item.price_new) found.set(key, { watch: w, item: it, key });
+      }
+    }
+  }
+  return Array.from(found.values());
+}
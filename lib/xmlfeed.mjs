@@ -0,0 +1,187 @@
+// lib/xmlfeed.mjs — Tarayıcısız feed işleme (RSS 2.0, Atom, Google Merchant XML)
+// Fırsat bültenleri ve affiliate ürün feed'leri Playwright açmadan fast-xml-parser ile okunur.
+// Çıkan ürünler extractFromLdJson ile aynı şekildedir:
+//   { source, name, brand, price_new, price_old, discount_pct, currency, availability, url, image, breadcrumbs, store, country }
+//
+// feeds/beautydrop-feeds.txt içinde satırın başına biçim yazılarak yönlendirilir:
+//   rss https://example.com/deals.rss
+//   atom https://example.com/feed.atom
+//   merchant https://example.com/google-shopping.xml
+//   xml https://example.com/feed.xml        (biçim içerikten anlaşılır)
+
+import { XMLParser } from 'fast-xml-parser';
+import { trim, computeDiscount } from './util.mjs';
+import { parseNumberLocalized, detectCurrencyFromText } from './price.mjs';
+import { normAvailability } from './variants.mjs';
+
+export const XML_FEED_KINDS = ['rss', 'atom', 'merchant', 'xml'];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => ['item', 'entry', 'link', 'enclosure', 'media:content', 'category'].includes(name)
+});
+
+// URL'den tahmin (satırda biçim yazılmadıysa)
+export function looksLikeXmlFeed(url) {
+  try {
+    const u = new URL(url);
+    const p = u.pathname.toLowerCase();
+    return /\.(rss|atom|xml)$/.test(p) || /\/(feed|rss|atom)\/?$/.test(p) || u.searchParams.get('format') === 'rss';
+  } catch {
+    return false;
+  }
+}
+
+function text(v) {
+  if (v == null) return '';
+  if (Array.isArray(v)) return text(v[0]);
+  if (typeof v === 'object') return String(v['#text'] ?? v['@_href'] ?? '').trim();
+  return String(v).trim();
+}
+
+function stripHtml(s) {
+  return String(s || '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&euro;/g, '€').replace(/&pound;/g, '£')
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// "29.99 EUR" / "EUR 29,99" / "€29,99"
+function priceWithCurrency(s, country) {
+  const t = text(s);
+  if (!t) return { value: null, currency: null };
+  const code = t.match(/\b([A-Z]{3})\b/);
+  const currency = code ? code[1] : detectCurrencyFromText(t);
+  return { value: parseNumberLocalized(t, { currency, country }), currency };
+}
+
+// Bülten metinlerinden "59,90 € statt 89,90 €" gibi fiyat çiftleri
+const MONEY_RE = /(?:[€£]\s?\d[\d.,\s]*|\d[\d.,\s]*\s?(?:€|£|EUR|GBP|CHF|PLN|zł|Kč|CZK|Ft|HUF|lei|RON|TL|TRY|kr|SEK|DKK|NOK))/gi;
+function pricesFromText(s, country) {
+  const found = (stripHtml(s).match(MONEY_RE) || [])
+    .map(m => ({ value: parseNumberLocalized(m, { country }), currency: detectCurrencyFromText(m) }))
+    .filter(p => p.value != null && p.value > 0);
+  if (!found.length) return { price_new: null, price_old: null, currency: null };
+  const [first, second] = found;
+  const price_old = second && second.value > first.value ? second.value : null;
+  return { price_new: first.value, price_old, currency: first.currency };
+}
+
+function atomLink(links) {
+  const arr = [].concat(links || []);
+  const alt = arr.find(l => typeof l === 'object' && (!l['@_rel'] || l['@_rel'] === 'alternate')) || arr[0];
+  return text(alt);
+}
+
+// Merchant g:product_type "Beauty > Make-up > Lippen" / RSS <category> / Atom <category term> → breadcrumbs (taxonomy.mjs)
+function categoryPath(node) {
+  const typed = text(node['g:product_type']) || text(node['g:google_product_category']);
+  if (typed && !/^\d+$/.test(typed)) return typed.split('>').map(s => s.trim()).filter(Boolean);
+  return [].concat(node.category || [])
+    .map(c => (typeof c === 'object' ? String(c['#text'] ?? c['@_term'] ?? c['@_label'] ?? '').trim() : String(c).trim()))
+    .filter(Boolean);
+}
+
+function merchantItem(node, ctx) {
+  const g = (k) => node[`g:${k}`];
+  const regular = priceWithCurrency(g('price'), ctx.country);
+  const sale = priceWithCurrency(g('sale_price'), ctx.country);
+  const price_new = sale.value ?? regular.value;
+  const price_old = sale.value != null && regular.value != null && regular.value > sale.value ? regular.value : null;
+  return {
+    source: 'merchant',
+    name: trim(stripHtml(text(g('title')) || text(node.title)), 180),
+    brand: trim(text(g('brand')), 80) || null,
+    price_new,
+    price_old,
+    discount_pct: computeDiscount(price_new, price_old),
+    currency: sale.currency || regular.currency,
+    availability: normAvailability(text(g('availability'))),
+    url: text(g('link')) || text(node.link) || atomLink(node.link) || ctx.url,
+    image: text(g('image_link')) || null,
+    gtin: text(g('gtin')) || null,
+    sku: text(g('id')) || null,
+    mpn: text(g('mpn')) || null,
+    breadcrumbs: categoryPath(node),
+    store: ctx.host,
+    country: ctx.country
+  };
+}
+
+function rssItem(node, ctx) {
+  const desc = text(node.description) || text(node['content:encoded']);
+  const { price_new, price_old, currency } = pricesFromText(`${text(node.title)} ${desc}`, ctx.country);
+  const enclosure = [].concat(node.enclosure || []).find(e => /^image\//.test(e?.['@_type'] || ''));
+  const media = [].concat(node['media:content'] || [])[0];
+  const imgInDesc = desc.match(/<img[^>]+src=["']([^"']+)["']/i);
+  return {
+    source: 'rss',
+    name: trim(stripHtml(text(node.title)), 180),
+    brand: null,
+    price_new,
+    price_old,
+    discount_pct: computeDiscount(price_new, price_old),
+    currency,
+    availability: null,
+    url: text(node.link) || text(node.guid) || ctx.url,
+    image: enclosure?.['@_url'] || media?.['@_url'] || imgInDesc?.[1] || null,
+    breadcrumbs: categoryPath(node),
+    store: ctx.host,
+    country: ctx.country
+  };
+}
+
+function atomEntry(node, ctx) {
+  const body = text(node.summary) || text(node.content);
+  const { price_new, price_old, currency } = pricesFromText(`${text(node.title)} ${body}`, ctx.country);
+  const imgInBody = body.match(/<img[^>]+src=["']([^"']+)["']/i);
+  return {
+    source: 'atom',
+    name: trim(stripHtml(text(node.title)), 180),
+    brand: null,
+    price_new,
+    price_old,
+    discount_pct: computeDiscount(price_new, price_old),
+    currency,
+    availability: null,
+    url: atomLink(node.link) || ctx.url,
+    image: imgInBody?.[1] || null,
+    breadcrumbs: categoryPath(node),
+    store: ctx.host,
+    country: ctx.country
+  };
+}
+
+const isMerchant = (node) => node && Object.keys(node).some(k => k.startsWith('g:'));
+
+// xml metni → { format, items }
+export function parseXmlFeed(xml, ctx) {
+  const doc = parser.parse(xml);
+  if (doc.rss?.channel) {
+    const nodes = [].concat(doc.rss.channel.item || []);
+    const format = nodes.some(isMerchant) ? 'merchant' : 'rss';
+    return { format, items: nodes.map(n => (isMerchant(n) ? merchantItem(n, ctx) : rssItem(n, ctx))) };
+  }
+  if (doc.feed) {
+    const nodes = [].concat(doc.feed.entry || []);
+    const format = nodes.some(isMerchant) ? 'merchant' : 'atom';
+    return { format, items: nodes.map(n => (isMerchant(n) ? merchantItem(n, ctx) : atomEntry(n, ctx))) };
+  }
+  throw new Error('RSS/Atom/Merchant kökü bulunamadı (rss>channel veya feed bekleniyordu)');
+}
+
+export async function fetchXmlFeed(url, { headers = {}, timeoutMs = 30000 } = {}) {
+  const res = await fetch(url, {
+    headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8', ...headers },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText} (${url})`);
+  return { finalUrl: res.url || url, xml: await res.text() };
+}
@@ -0,0 +1,42 @@
+// scripts/changes.mjs — İki anlık görüntü arasındaki fark (yeni, biten, fiyatı/indirimi değişen fırsatlar)
+// Kullanım: npm run changes -- 2025-11-10 2025-11-16   (data/changes-2025-11-10_2025-11-16.json)
+//           npm run changes -- 2025-11-16              (bir önceki anlık görüntüye göre: data/changes-2025-11-16.json)
+//           npm run changes -- 2025-11-10 2025-11-16 --out=-   (JSON standart çıktıya)
+// Gece çalışması aynı farkı bot.mjs içinde kendisi yazar; bu betik geriye dönük karşılaştırma içindir.
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { diffSnapshots, changesSummary, loadSnapshot, previousSnapshotDay, writeChanges } from '../lib/changes.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const argv = process.argv.slice(2);
+const opt = (name) => argv.find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+const days = argv.filter(a => !a.startsWith('--'));
+const DATA_DIR = path.resolve(opt('data') || path.join(__dirname, '..', 'data'));
+const OUT = opt('out');
+
+async function main() {
+  if (!days.length || days.length > 2 || !days.every(d => DAY_RE.test(d))) {
+    throw new Error('kullanım: npm run changes -- [ÖNCEKİ-GÜN] GÜN [--out=dosya|-] [--data=klasör] (günler YYYY-MM-DD)');
+  }
+  let [from, to] = days.length === 2 ? days : [null, days[0]];
+  if (!from) {
+    from = await previousSnapshotDay(DATA_DIR, to);
+    if (!from) throw new Error(`${DATA_DIR} içinde ${to} öncesine ait anlık görüntü yok`);
+  }
+  if (from >= to) throw new Error(`ilk gün ikinciden önce olmalı (${from} → ${to})`);
+
+  const changes = diffSnapshots(await loadSnapshot(DATA_DIR, from), await loadSnapshot(DATA_DIR, to));
+  if (OUT === '-') {
+    process.stdout.write(JSON.stringify(changes, null, 2) + '\n');
+    return;
+  }
+  const name = days.length === 2 ? `changes-${from}_${to}.json` : `changes-${to}.json`;
+  const file = OUT ? await writeChanges(changes, path.dirname(path.resolve(OUT)), path.basename(OUT)) : await writeChanges(changes, DATA_DIR, name);
+  console.log(`[info] ${changesSummary(changes)}`);
+  console.log(`[ok] Yazıldı: ${file}`);
+}
+
+main().catch(e => { console.error('[fatal]', e.message || e); process.exitCode = 1; });
@@ -0,0 +1,31 @@
+// scripts/update-rates.mjs — ECB referans kurlarını rates/ klasörüne indirir
+// Kullanım: npm run rates:update            (günlük dosya: rates/eurofxref-daily.xml)
+//           npm run rates:update -- --hist90 (son 90 gün: rates/eurofxref-hist-90d.xml)
+// bot.mjs bu dosyaları çevrimdışı okur; indirme başarısız olursa eldeki dosyalar kullanılmaya devam eder.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseEcbXml } from '../lib/currency.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RATES_DIR = path.join(__dirname, '..', 'rates');
+const BASE = process.env.ECB_RATES_BASE || 'https://www.ecb.europa.eu/stats/eurofxref';
+
+const hist = process.argv.includes('--hist90');
+const name = hist ? 'eurofxref-hist-90d.xml' : 'eurofxref-daily.xml';
+
+async function main() {
+  const res = await fetch(`${BASE}/${name}`, { signal: AbortSignal.timeout(30000) });
+  if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
+  const xml = await res.text();
+  const days = parseEcbXml(xml);
+  if (!days.length) throw new Error('yanıtta kur bulunamadı (ECB biçimi değişmiş olabilir)');
+  await fs.mkdir(RATES_DIR, { recursive: true });
+  const file = path.join(RATES_DIR, name);
+  await fs.writeFile(file, xml, 'utf8');
+  const latest = days.map(d => d.date).sort().pop();
+  console.log(`[ok] Yazıldı: ${file} (${days.length} gün, en son ${latest})`);
+}
+
+main().catch(e => { console.error('[fatal]', e.message || e); process.exitCode = 1; });
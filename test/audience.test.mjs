@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyAudience, filterAudience } from '../lib/audience.mjs';
+
+const audienceOf = (name) => classifyAudience({ name }).audience;
+
+test('classifyAudience: erkek, kadın ve unisex ipuçları', () => {
+  assert.equal(audienceOf('Sauvage Eau de Toilette pour Homme 100 ml'), 'men');
+  assert.equal(audienceOf('Perfume para él 100 ml'), 'men');
+  assert.equal(audienceOf('Male Grooming Kit'), 'men');
+  assert.equal(audienceOf('Bartöl 30 ml'), 'men');
+  assert.equal(audienceOf('Scheerschuim 200 ml'), 'men');
+  assert.equal(audienceOf('Erkek Tıraş Köpüğü'), 'men');
+  assert.equal(audienceOf('Idôle Eau de Parfum für Damen'), 'women');
+  assert.equal(audienceOf('Female Eau de Parfum'), 'women', '"male" kelime içinde eşleşmez');
+  assert.equal(audienceOf('CK One Unisex EdT'), 'unisex');
+  assert.equal(audienceOf('Duftset Damen & Herren'), 'unisex');
+  assert.deepEqual(classifyAudience({ name: 'Deo Spray', brand: 'Old Spice' }), { audience: 'men', signal: 'brand' });
+  assert.deepEqual(classifyAudience({ name: 'Eau de Parfum', url: 'https://x.de/herren/duft/p/1' }), { audience: 'men', signal: 'url' });
+});
+
+test('classifyAudience: genel kelimeler erkek sayılmaz (yanlış pozitifler)', () => {
+  for (const name of [
+    'Aceite para el cabello 100 ml', 'Crema hidratante para el rostro', 'Loción para el cuerpo',
+    'Nagelscheren Set', 'Bart Simpson Bade-Gel', 'Maleficent Lipstick'
+  ]) assert.equal(audienceOf(name), 'unisex', name);
+});
+
+test('filterAudience: yalnızca erkek ürünleri ayıklanır, etiket ve sinyal yazılır', () => {
+  const items = [{ name: 'Aftershave Balm' }, { name: 'Champú para el cabello' }, { name: 'Rouge à lèvres pour elle' }];
+  const { items: kept, excluded } = filterAudience(items);
+  assert.deepEqual(kept.map(it => [it.name, it.audience, it.audience_signal]),
+    [['Champú para el cabello', 'unisex', null], ['Rouge à lèvres pour elle', 'women', 'name']]);
+  assert.deepEqual(excluded.map(it => it.name), ['Aftershave Balm']);
+  assert.equal(filterAudience(items, { excludeMen: false }).items.length, 3);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { detectBlock, parseEscalation, escalationLadder } from '../lib/blocks.mjs';
+
+const challenge = fs.readFileSync(new URL('./fixtures/site/challenge.html', import.meta.url), 'utf8');
+const listing = fs.readFileSync(new URL('./fixtures/site/cards.html', import.meta.url), 'utf8');
+const page = (over = {}) => ({
+  status: 200, requestedUrl: 'https://www.douglas.de/de/c/sale', finalUrl: 'https://www.douglas.de/de/c/sale',
+  title: 'Sale', html: listing, text: 'Lancôme Idôle 89,95 € '.repeat(30), links: 40, ...over
+});
+
+test('detectBlock: normal listing engel sayılmaz', () => {
+  assert.equal(detectBlock(page()), null);
+  assert.equal(detectBlock(page({ html: listing + '<script src="/cdn-cgi/challenge-platform/scripts/jsd/main.js"></script><script src="https://js.datadome.co/tags.js"></script>' })), null);
+});
+
+test('detectBlock: challenge izleri, durum kodu ve engel metni', () => {
+  assert.match(detectBlock(page({ status: 403, title: 'Just a moment...', html: challenge, text: 'Checking if the site connection is secure', links: 0 })).reason, /^cloudflare challenge \(HTTP 403\)$/);
+  assert.match(detectBlock(page({ html: '<iframe src="https://geo.captcha-delivery.com/captcha/?initialCid=x"></iframe>', text: '', links: 0 })).reason, /^datadome/);
+  assert.equal(detectBlock(page({ status: 403, title: 'Access Denied', html: '<h1>Access Denied</h1>', text: 'Access Denied. You don\'t have permission', links: 0 })).reason, 'HTTP 403: access denied');
+  assert.equal(detectBlock(page({ status: 429, text: 'Too many requests', links: 0 })).reason, 'HTTP 429');
+  assert.equal(detectBlock(page({ title: 'Robot Check', html: '<form class="captcha">', text: 'Enter the characters you see below', links: 1 })).reason, 'robot check');
+});
+
+test('detectBlock: ülke yönlendirmesi ve küçük DOM', () => {
+  assert.equal(detectBlock(page({ finalUrl: 'https://www.douglas.com/en/country-selector' })).reason, 'geo-redirect: douglas.de → douglas.com');
+  assert.equal(detectBlock(page({ requestedUrl: 'https://www.sephora.fr/promotions', finalUrl: 'https://www.sephora.fr/international/' })).reason, 'geo-redirect: https://www.sephora.fr/international/');
+  assert.equal(detectBlock(page({ finalUrl: 'https://www.douglas.de/de' })), null, 'aynı sitede yönlendirme engel değil');
+  assert.match(detectBlock(page({ html: '<html><body></body></html>', text: '', links: 0 })).reason, /^küçük DOM/);
+});
+
+test('parseEscalation / escalationLadder: birikimli basamaklar', () => {
+  assert.deepEqual(parseEscalation(undefined), ['engine', 'fingerprint', 'slow']);
+  assert.deepEqual(parseEscalation('none'), []);
+  assert.deepEqual(parseEscalation('slow,engine'), ['slow', 'engine']);
+  assert.throws(() => parseEscalation('proxy'), /bilinmeyen basamak proxy/);
+
+  const ladder = escalationLadder(['engine', 'fingerprint', 'slow'], 'chromium');
+  assert.deepEqual(ladder.map(p => [p.step, p.engine, p.pace]), [
+    ['initial', 'chromium', 1], ['engine', 'firefox', 1], ['fingerprint', 'firefox', 1], ['slow', 'firefox', 3]
+  ]);
+  assert.match(ladder[2].userAgent, /Firefox/);
+  assert.equal(ladder[3].userAgent, ladder[2].userAgent, 'yavaş basamak önceki parmak izini korur');
+  assert.equal(ladder[3].detailConcurrency, 1);
+  assert.deepEqual(escalationLadder([], 'firefox').map(p => p.engine), ['firefox']);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cardToItem } from '../lib/cards.mjs';
+import { createScraper } from '../lib/scrape.mjs';
+
+const card = (prices, extra = {}) => ({ url: 'https://shop.de/p/1', name: 'Idôle Eau de Parfum 50 ml', brand: 'Lancôme', image: '/i.jpg', prices, ...extra });
+
+test('cardToItem: güncel ve üstü çizili fiyat kartın içinden eşlenir', () => {
+  const it = cardToItem(card([{ text: '119,00 €', strike: true }, { text: '89,95 €' }, { text: '179,90 € / 100 ml' }]), { currency: 'EUR' });
+  assert.equal(it.source, 'dom-card');
+  assert.equal(it.price_new, 89.95);
+  assert.equal(it.price_old, 119);
+  assert.equal(it.discount_pct, 24.4);
+  assert.equal(it.currency, 'EUR');
+  assert.deepEqual(it.unit_price, { value: 179.9, currency: 'EUR', per: 100, unit: 'ml' });
+});
+
+test('cardToItem: ülke ondalık ayırıcıya yansır (boots.ie "€1,049")', () => {
+  const it = cardToItem(card([{ text: '€1,299', strike: true }, { text: '€1,049' }]), { currency: 'EUR', country: 'IE' });
+  assert.deepEqual([it.price_new, it.price_old, it.discount_pct], [1049, 1299, 19.2]);
+});
+
+test('cardToItem: çizili fiyat güncelden düşükse eski fiyat sayılmaz', () => {
+  const it = cardToItem(card([{ text: '9,99 €', strike: true }, { text: '19,99 €' }]));
+  assert.equal(it.price_new, 19.99);
+  assert.equal(it.price_old, null);
+  assert.equal(it.discount_pct, null);
+});
+
+test('cardToItem: rozet varsa işaretsiz iki fiyat indirimli + normal fiyattır', () => {
+  const it = cardToItem(card([{ text: '1.299 TL' }, { text: '899 TL' }], { badge: '-30%' }), { currency: 'TRY' });
+  assert.equal(it.price_new, 899);
+  assert.equal(it.price_old, 1299);
+  assert.equal(it.badge, '-30%');
+  assert.equal(it.currency, 'TRY');
+});
+
+test('cardToItem: eski fiyat yoksa indirim rozetten gelir', () => {
+  const it = cardToItem(card([{ text: '24,95 €' }], { badge: '−20 %', soldOut: true }));
+  assert.equal(it.price_old, null);
+  assert.equal(it.discount_pct, 20);
+  assert.equal(it.availability, 'OutOfStock');
+
+  const { finalizeItems } = createScraper({ rates: new Map() });
+  const [kept] = finalizeItems([it], { country: 'DE' }).items;
+  assert.equal(kept.discount_pct, 20, 'finalizeItems rozet indirimini silmez');
+  const [computed] = finalizeItems([{ ...it, price_old: 49.9 }], { country: 'DE' }).items;
+  assert.equal(computed.discount_pct, 50, 'eski fiyat varsa hesaplanan indirim geçerli');
+});
+
+test('cardToItem: fiyatsız veya linksiz kart atlanır', () => {
+  assert.equal(cardToItem(card([{ text: '119,00 €', strike: true }])), null);
+  assert.equal(cardToItem(card([{ text: 'Neu' }])), null);
+  assert.equal(cardToItem({ ...card([{ text: '9,99 €' }]), url: '' }), null);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { diffSnapshots, changesSummary, loadSnapshot, previousSnapshotDay } from '../lib/changes.mjs';
+import { item, snapshot } from './fixtures/deals.mjs';
+
+const before = snapshot('2025-11-15', [
+  item('same'), item('down', { price_new: 100 }), item('up'), item('gone'), item('disc', { discount_pct: 10 }),
+  item('fx', { currency: 'EUR' })
+], [item('tr-gone', { store: 'www.trendyol.com', currency: 'TRY', price_new: 900 })]);
+const after = snapshot('2025-11-16', [
+  item('same'), item('down', { price_new: 80, discount_pct: 20 }), item('up', { price_new: 55 }), item('disc', { discount_pct: 30 }),
+  item('fx', { currency: 'PLN', price_new: 210 }), item('fresh', { store: 'www.flaconi.de', discount_pct: 40 })
+], [item('tr-new', { store: 'www.trendyol.com', currency: 'TRY', price_new: 850 })]);
+
+test('diffSnapshots: yeni, biten, fiyatı düşen/artan, indirimi değişen; ülke → mağaza', () => {
+  const c = diffSnapshots(before, after);
+  assert.equal(c.from, '2025-11-15');
+  assert.equal(c.to, '2025-11-16');
+  assert.deepEqual(c.totals, { new: 2, ended: 2, price_down: 1, price_up: 1, discount_changed: 2 });
+  assert.deepEqual(Object.keys(c.countries), ['DE', 'TR']);
+  assert.deepEqual(Object.keys(c.countries.DE.stores), ['www.douglas.de', 'www.flaconi.de']);
+
+  const douglas = c.countries.DE.stores['www.douglas.de'];
+  assert.deepEqual(douglas.price_down.map(({ id, price_from, price_to, delta, delta_pct }) => ({ id, price_from, price_to, delta, delta_pct })),
+    [{ id: 'down', price_from: 100, price_to: 80, delta: -20, delta_pct: -20 }]);
+  assert.deepEqual(douglas.price_up.map(x => [x.id, x.delta, x.delta_pct]), [['up', 5, 10]]);
+  assert.deepEqual(douglas.discount_changed.map(x => [x.id, x.discount_from, x.discount_to]), [['disc', 10, 30], ['down', 16.7, 20]]);
+  assert.deepEqual(douglas.ended.map(x => x.id), ['gone']);
+  assert.deepEqual(douglas.new, []);
+  assert.ok(!douglas.price_down.concat(douglas.price_up).some(x => x.id === 'fx'), 'para birimi değişti: karşılaştırılmaz');
+
+  assert.deepEqual(c.countries.DE.stores['www.flaconi.de'].new.map(x => [x.id, x.price_new, x.discount_pct]), [['fresh', 50, 40]]);
+  assert.deepEqual(c.countries.TR.totals, { new: 1, ended: 1, price_down: 0, price_up: 0, discount_changed: 0 });
+  assert.match(changesSummary(c), /^2025-11-15 → 2025-11-16: 2 yeni, 2 biten, 1 fiyatı düşen, 1 fiyatı artan, 2 indirimi değişen \(1 feed iki günde de başarılı değil, yeni\/biten sayılmadı\)$/);
+  assert.deepEqual(c.feeds.map(f => [f.host, f.before, f.after]), [[null, 'error', 'error']], 'sourceUrl\'li hata veren feed listelenir');
+  assert.deepEqual(diffSnapshots(after, after).totals, { new: 0, ended: 0, price_down: 0, price_up: 0, discount_changed: 0 });
+});
+
+test('diffSnapshots: hata veren, engellenen veya atlanan feed\'in ürünleri biten/yeni sayılmaz, feed ayrıca listelenir', () => {
+  const feed = (sourceUrl, items, over = {}) => ({ ok: true, sourceUrl, host: new URL(sourceUrl).host, country: 'DE', items, ...over });
+  const douglas = 'https://www.douglas.de/de/c/parfum/01';
+  const flaconi = 'https://www.flaconi.de/parfum/';
+  const notino = 'https://www.notino.de/parfum/';
+  const d1 = { date: '2025-11-15', results: [
+    feed(douglas, [item('d-same'), item('d-gone')]),
+    feed(flaconi, [item('f-1', { store: 'www.flaconi.de' }), item('f-2', { store: 'www.flaconi.de' })]),
+    feed(notino, [], { ok: false, blocked: true, blockReason: 'captcha' })
+  ] };
+  const d2 = { date: '2025-11-16', results: [
+    feed(douglas, [item('d-same'), item('d-fresh')]),
+    feed(flaconi, undefined, { ok: false, error: { name: 'TimeoutError', message: 'Navigation timeout of 45000 ms exceeded' } }),
+    feed(notino, [item('n-1', { store: 'www.notino.de' })])
+  ] };
+  const c = diffSnapshots(d1, d2);
+  assert.deepEqual(c.totals, { new: 1, ended: 1, price_down: 0, price_up: 0, discount_changed: 0 });
+  const stores = c.countries.DE.stores['www.douglas.de'];
+  assert.deepEqual([stores.new.map(x => x.id), stores.ended.map(x => x.id)], [['d-fresh'], ['d-gone']]);
+  assert.deepEqual(Object.keys(c.countries.DE.stores), ['www.douglas.de'], 'flaconi bitmedi, notino yeni değil');
+  assert.deepEqual(c.feeds, [
+    { sourceUrl: flaconi, host: 'www.flaconi.de', country: 'DE', before: 'ok', after: 'error' },
+    { sourceUrl: notino, host: 'www.notino.de', country: 'DE', before: 'blocked', after: 'ok' }
+  ]);
+  assert.match(changesSummary(c), /1 yeni, 1 biten, .* \(2 feed iki günde de başarılı değil, yeni\/biten sayılmadı\)$/);
+
+  const skipped = diffSnapshots(d1, { date: '2025-11-16', results: [feed(douglas, [item('d-same'), item('d-gone')]),
+    feed(flaconi, undefined, { ok: false, error: { name: 'Skipped', message: 'robots.txt' } })] });
+  assert.equal(skipped.totals.ended, 0);
+  assert.deepEqual(skipped.feeds.map(f => [f.after, f.before]), [['skipped', 'ok'], ['missing', 'blocked']]);
+});
+
+test('anlık görüntüler ve CLI: iki rastgele gün, önceki güne göre, stdout', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'beautydrop-changes-'));
+  const cli = (...args) => promisify(execFile)(process.execPath, [new URL('../scripts/changes.mjs', import.meta.url).pathname, ...args, `--data=${dir}`]);
+  try {
+    for (const s of [before, snapshot('2025-11-14', []), after]) await fs.writeFile(path.join(dir, `deals-${s.date}.json`), JSON.stringify(s));
+    assert.equal(await previousSnapshotDay(dir, '2025-11-16'), '2025-11-15');
+    assert.equal(await previousSnapshotDay(dir, '2025-11-14'), null);
+    await assert.rejects(loadSnapshot(dir, '2025-11-01'), /2025-11-01 için anlık görüntü yok \(mevcut: 2025-11-14 … 2025-11-16\)/);
+
+    const { stdout } = await cli('2025-11-14', '2025-11-16');
+    assert.match(stdout, /2025-11-14 → 2025-11-16: 7 yeni, 0 biten/);
+    assert.equal(JSON.parse(await fs.readFile(path.join(dir, 'changes-2025-11-14_2025-11-16.json'), 'utf8')).totals.new, 7);
+
+    await cli('2025-11-16');
+    assert.equal(JSON.parse(await fs.readFile(path.join(dir, 'changes-2025-11-16.json'), 'utf8')).from, '2025-11-15');
+
+    const piped = await cli('2025-11-15', '2025-11-16', '--out=-');
+    assert.deepEqual(JSON.parse(piped.stdout).totals, diffSnapshots(before, after).totals);
+
+    await assert.rejects(cli('2025-11-16', '2025-11-15'), /ilk gün ikinciden önce olmalı/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
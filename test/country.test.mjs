@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveCountry, defaultCurrencyForCountry } from '../bot.mjs';
+
+test('resolveCountry: TLD, host ve path ipuçları', () => {
+  assert.equal(resolveCountry('https://www.douglas.de/de/c/parfum/01'), 'DE');
+  assert.equal(resolveCountry('https://www.sephora.fr/promotions/'), 'FR');
+  assert.equal(resolveCountry('https://www.trendyol.com/sr?q=parfum'), 'TR');
+  assert.equal(resolveCountry('https://www.lookfantastic.com/offers.list'), 'UK');
+  assert.equal(resolveCountry('https://www.cultbeauty.co.uk/sale'), 'UK');
+  assert.equal(resolveCountry('https://www.primor.eu/es_es/ofertas'), 'ES');
+  assert.equal(resolveCountry('https://www.kikocosmetics.com/it-it/promozioni/'), 'IT');
+  assert.equal(resolveCountry('https://example.com/'), 'UNK');
+  assert.equal(resolveCountry('not a url'), 'UNK');
+});
+
+test('resolveCountry: overrides.json country her şeyin önüne geçer', () => {
+  const overrides = { 'notino.com': { country: 'CZ' }, 'trendyol.com': { country: 'DE' } };
+  assert.equal(resolveCountry('https://www.notino.com/parfemy/', overrides), 'CZ');
+  assert.equal(resolveCountry('https://www.trendyol.com/de/', overrides), 'DE');
+});
+
+test('defaultCurrencyForCountry', () => {
+  assert.equal(defaultCurrencyForCountry('DE'), 'EUR');
+  assert.equal(defaultCurrencyForCountry('TR'), 'TRY');
+  assert.equal(defaultCurrencyForCountry('UK'), 'GBP');
+  assert.equal(defaultCurrencyForCountry('UNK'), null);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEcbXml, rateFor, toEur, withEur } from '../lib/currency.mjs';
+import { createScraper } from '../lib/scrape.mjs';
+
+const rates = new Map([
+  ['TRY', [{ date: '2025-11-10', rate: 48.5 }, { date: '2025-11-14', rate: 49.1 }]],
+  ['PLN', [{ date: '2025-11-14', rate: 4.2383 }]]
+]);
+
+test('parseEcbXml: gün ve kurlar, bozuk kur atlanır', () => {
+  const xml = `<gesmes:Envelope xmlns:gesmes="http://www.gesmes.org/xml/2002-08-01" xmlns="http://www.ecb.int/vocabulary/2002-08-01/eurofxref"><Cube>
+    <Cube time="2025-11-14"><Cube currency="USD" rate="1.1634"/><Cube currency="HUF" rate="x"/></Cube>
+    <Cube time="2025-11-13"><Cube currency="USD" rate="1.1600"/></Cube></Cube></gesmes:Envelope>`;
+  assert.deepEqual(parseEcbXml(xml), [{ date: '2025-11-14', rates: { USD: 1.1634 } }, { date: '2025-11-13', rates: { USD: 1.16 } }]);
+});
+
+test('rateFor: aynı gün, önceki en son gün, yoksa bilinen en son kur', () => {
+  assert.deepEqual(rateFor(rates, 'EUR', '2025-11-14'), { rate: 1, date: null });
+  assert.deepEqual(rateFor(rates, 'TRY', '2025-11-14'), { date: '2025-11-14', rate: 49.1 });
+  assert.deepEqual(rateFor(rates, 'TRY', '2025-11-12'), { date: '2025-11-10', rate: 48.5 }, 'hafta sonu / tatil: önceki kur');
+  assert.deepEqual(rateFor(rates, 'TRY', '2025-11-01'), { date: '2025-11-14', rate: 49.1 }, 'tablodan önceki gün: bilinen en son kur');
+  assert.deepEqual(rateFor(rates, 'TRY'), { date: '2025-11-14', rate: 49.1 });
+  assert.equal(rateFor(rates, 'HUF', '2025-11-14'), null);
+  assert.equal(rateFor(rates, null, '2025-11-14'), null);
+});
+
+test('toEur ve withEur: kuru bilinmeyen para biriminde null', () => {
+  assert.equal(toEur(3249.9, 'TRY', rates, '2025-11-14'), 66.19);
+  assert.equal(toEur(19.99, 'EUR', rates), 19.99);
+  assert.equal(toEur(2999, 'HUF', rates), null);
+  assert.equal(toEur(NaN, 'EUR', rates), null);
+
+  assert.deepEqual(withEur({ price_new: 199, price_old: 249, currency: 'PLN' }, rates, '2025-11-16'),
+    { price_new: 199, price_old: 249, currency: 'PLN', price_new_eur: 46.95, price_old_eur: 58.75, fx_rate: 4.2383, fx_date: '2025-11-14' });
+  assert.deepEqual(withEur({ price_new: 4990, price_old: null, currency: 'HUF' }, rates, '2025-11-16'),
+    { price_new: 4990, price_old: null, currency: 'HUF', price_new_eur: null, price_old_eur: null, fx_rate: null, fx_date: null });
+});
+
+test('finalizeItems: fiyat sağlamlığı EUR karşılığıyla; kuru bilinmeyen ürün atılmaz', () => {
+  const { finalizeItems } = createScraper({ rates });
+  const names = (items, country) => finalizeItems(items, { country }).items.map(it => it.name);
+  const it = (name, price_new, currency) => ({ name, url: `https://x/${encodeURIComponent(name)}`, price_new, currency });
+
+  assert.deepEqual(names([it('Parfüm', 3249.9, 'TRY'), it('Hatalı', 329990, 'TRY')], 'TR'), ['Parfüm'], '329.990 TRY ≈ 6.700 EUR');
+  assert.deepEqual(names([it('Parfüm', 24990, 'HUF'), it('Krém', 4990, 'HUF')], 'HU'), ['Parfüm', 'Krém'], 'HUF kuru yok: 2000 EUR gibi eşiklenmez');
+  assert.deepEqual(names([it('Eau de Parfum', 129.95, 'EUR'), it('Hatalı', 12995, 'EUR'), it('Sıfır', 0, 'EUR')], 'DE'), ['Eau de Parfum']);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { extractFromLdJson, extractFromOg } from '../bot.mjs';
+
+const page = (name) => fs.readFileSync(new URL(`./fixtures/site/p/${name}.html`, import.meta.url), 'utf8');
+
+test('Douglas: ld+json Product + ListPrice + BreadcrumbList', () => {
+  const [it, ...rest] = extractFromLdJson(page('douglas-de'), 'https://www.douglas.de/de/p/5010235', 'www.douglas.de', 'DE');
+  assert.equal(rest.length, 0);
+  assert.equal(it.source, 'ldjson');
+  assert.equal(it.name, 'Idôle Eau de Parfum 50 ml');
+  assert.equal(it.brand, 'Lancôme');
+  assert.equal(it.price_new, 89.95);
+  assert.equal(it.price_old, 119);
+  assert.equal(it.discount_pct, 24.4);
+  assert.equal(it.currency, 'EUR');
+  assert.equal(it.gtin, '3614272629219');
+  assert.equal(it.sku, '1010235');
+  assert.equal(it.url, 'https://www.douglas.de/de/p/5010235');
+  assert.deepEqual(it.breadcrumbs, ['Parfum', 'Damenparfum', 'Eau de Parfum']);
+});
+
+test('Notino: @graph + AggregateOffer (lowPrice/highPrice, virgüllü)', () => {
+  const [it] = extractFromLdJson(page('notino-de'), 'https://www.notino.de/x/', 'www.notino.de', 'DE');
+  assert.equal(it.brand, 'Yves Saint Laurent');
+  assert.equal(it.price_new, 74.9);
+  assert.equal(it.price_old, null, 'highPrice varyant fiyat aralığıdır, eski fiyat değil');
+  assert.deepEqual(it.price_range, { min: 74.9, max: 98.5 });
+  assert.equal(it.availability, 'in_stock');
+  assert.equal(it.gtin, '3614272648425');
+  assert.equal(it.mpn, 'L7183600');
+  assert.equal(it.url, 'https://www.notino.de/yves-saint-laurent/libre-eau-de-parfum-fur-damen/');
+  assert.deepEqual(it.breadcrumbs, ['Parfums', 'Damendüfte']);
+});
+
+test('Trendyol: TRY binlik ayırıcılı fiyat', () => {
+  const [it] = extractFromLdJson(page('trendyol-tr'), 'https://www.trendyol.com/maybelline/p-41327051', 'www.trendyol.com', 'TR');
+  assert.equal(it.price_new, 1299.9);
+  assert.equal(it.price_old, 1599);
+  assert.equal(it.currency, 'TRY');
+  assert.equal(it.country, 'TR');
+});
+
+test('Sephora: ld+json yok, OpenGraph product:price', () => {
+  const url = 'https://www.sephora.fr/p/gloss-bomb-P3367003.html';
+  assert.deepEqual(extractFromLdJson(page('sephora-fr'), url, 'www.sephora.fr', 'FR'), []);
+  const [it] = extractFromOg(page('sephora-fr'), url, 'www.sephora.fr', 'FR');
+  assert.equal(it.source, 'og');
+  assert.equal(it.name, 'Gloss Bomb - Enlumineur à lèvres universel');
+  assert.equal(it.price_new, 21.9);
+  assert.equal(it.currency, 'EUR');
+  assert.equal(it.url, url);
+});
+
+test('Microdata sayfası: ld+json/OG çıkarımı boş döner (DOM yoluna kalır)', () => {
+  assert.deepEqual(extractFromLdJson(page('flaconi-de'), 'https://www.flaconi.de/x', 'www.flaconi.de', 'DE'), []);
+  assert.deepEqual(extractFromOg(page('flaconi-de'), 'https://www.flaconi.de/x', 'www.flaconi.de', 'DE'), []);
+});
+
+test('ld+json UnitPriceSpecification birim fiyat olur, eski fiyat değil', () => {
+  const html = `<script type="application/ld+json">${JSON.stringify({
+    '@type': 'Product', name: 'Moisture Surge 100H 75 ml',
+    offers: { '@type': 'Offer', price: '29,95', priceCurrency: 'EUR', priceSpecification: [
+      { '@type': 'UnitPriceSpecification', price: '39,93', priceCurrency: 'EUR', referenceQuantity: { value: 100, unitCode: 'MLT' } }
+    ] }
+  })}</script>`;
+  const [it] = extractFromLdJson(html, 'https://x.de/p', 'x.de', 'DE');
+  assert.equal(it.price_new, 29.95);
+  assert.equal(it.price_old, null);
+  assert.deepEqual(it.unit_price, { value: 39.93, currency: 'EUR', per: 100, unit: 'ml' });
+  assert.deepEqual(it.volume, { value: 75, unit: 'ml' });
+});
+
+test('Bozuk ld+json atlanır', () => {
+  const html = '<script type="application/ld+json">{ "@type": "Product", </script>';
+  assert.deepEqual(extractFromLdJson(html, 'https://x.de/', 'x.de', 'DE'), []);
+});
+
+test('ProductGroup: renk varyantları tek ürün, manşet stoktaki en ucuz varyant', () => {
+  const items = extractFromLdJson(page('sephora-de'), 'https://www.sephora.de/p/rouge-dior-P10032', 'www.sephora.de', 'DE');
+  assert.equal(items.length, 1, 'varyantlar ayrı satır değil');
+  const [it] = items;
+  assert.equal(it.name, 'Rouge Dior Lippenstift 100 Nude Look', 'tükenen 999 daha ucuz ama manşet değil');
+  assert.equal(it.shade, '100 Nude Look');
+  assert.equal(it.price_new, 34.99);
+  assert.equal(it.price_old, 46);
+  assert.equal(it.availability, 'in_stock');
+  assert.equal(it.url, 'https://www.sephora.de/p/rouge-dior-P10032?skuId=726002');
+  assert.equal(it.sku, '726002');
+  assert.deepEqual(it.volume, { value: 3.5, unit: 'g' });
+  assert.deepEqual(it.variants.map(v => [v.shade, v.price_new, v.availability]),
+    [['999 Satin', 29.99, 'out_of_stock'], ['100 Nude Look', 34.99, 'in_stock'], ['720 Icône', 39.99, 'limited']]);
+  assert.equal(it.variants[0].gtin, '3348901571449');
+  assert.deepEqual(it.breadcrumbs, ['Make-up', 'Lippen', 'Lippenstift']);
+});
+
+test('Product + teklif dizisi / AggregateOffer.offers: boyut varyantları', () => {
+  const html = `<script type="application/ld+json">${JSON.stringify({
+    '@type': 'Product', name: 'Libre Eau de Parfum', brand: 'Yves Saint Laurent', url: 'https://x.de/libre',
+    offers: { '@type': 'AggregateOffer', priceCurrency: 'EUR', lowPrice: '74.90', highPrice: '139.00', offers: [
+      { '@type': 'Offer', name: 'Libre Eau de Parfum 30 ml', price: '74.90', availability: 'OutOfStock', sku: 'L30' },
+      { '@type': 'Offer', name: 'Libre Eau de Parfum 50 ml', price: '89.90', availability: 'InStock', sku: 'L50', url: 'https://x.de/libre?size=50' },
+      { '@type': 'Offer', name: 'Libre Eau de Parfum 90 ml', price: '139.00', availability: 'PreOrder', sku: 'L90' }
+    ] }
+  })}</script>`;
+  const [it, ...rest] = extractFromLdJson(html, 'https://x.de/libre', 'x.de', 'DE');
+  assert.equal(rest.length, 0);
+  assert.equal(it.name, 'Libre Eau de Parfum');
+  assert.equal(it.price_new, 89.9);
+  assert.equal(it.sku, 'L50');
+  assert.equal(it.url, 'https://x.de/libre?size=50');
+  assert.deepEqual(it.volume, { value: 50, unit: 'ml' });
+  assert.deepEqual(it.variants.map(v => [v.size?.value, v.currency, v.availability]), [[30, 'EUR', 'out_of_stock'], [50, 'EUR', 'in_stock'], [90, 'EUR', 'preorder']]);
+});
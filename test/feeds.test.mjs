@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseFeedsTxt } from '../bot.mjs';
+import { activeFeeds } from '../lib/feeds.mjs';
+
+const SAMPLE = `
+# GERMANY (DE)
+#@ category=perfume
+https://www.douglas.de/de/c/sale/010100 priority=2 tags=sale,douglas
+rss https://ornek.de/deals.rss
+https://www.dm.de/angebote disabled   # geçici olarak kapalı
+
+# TURKEY (TR)
+#@ type=marketplace category=mixed
+https://www.trendyol.com/sr?q=parfum
+https://www.trendyol.com/sr?q=parfum
+`;
+
+test('parseFeedsTxt: bölüm başlığı, #@ varsayılanları, satır öznitelikleri', () => {
+  const feeds = parseFeedsTxt(SAMPLE);
+  assert.equal(feeds.length, 4, 'tekrarlanan URL bir kez sayılır');
+  const [douglas, rss, dm, trendyol] = feeds;
+  assert.deepEqual(
+    { country: douglas.country, category: douglas.category, type: douglas.type, priority: douglas.priority, tags: douglas.tags, kind: douglas.kind },
+    { country: 'DE', category: 'perfume', type: 'store', priority: 2, tags: ['sale', 'douglas'], kind: 'html' }
+  );
+  assert.equal(rss.kind, 'rss');
+  assert.equal(dm.disabled, true);
+  assert.equal(trendyol.country, 'TR');
+  assert.equal(trendyol.type, 'marketplace');
+  assert.equal(trendyol.category, 'mixed');
+  assert.equal(trendyol.line, 10);
+});
+
+test('activeFeeds: disabled atlanır, öncelik sıralaması', () => {
+  const urls = activeFeeds(parseFeedsTxt(SAMPLE)).map(f => f.url);
+  assert.deepEqual(urls, ['https://www.douglas.de/de/c/sale/010100', 'https://ornek.de/deals.rss', 'https://www.trendyol.com/sr?q=parfum']);
+});
+
+test('parseFeedsTxt: geçersiz öznitelik satır numarasıyla hata verir', () => {
+  assert.throws(() => parseFeedsTxt('https://x.de/ category=shoes'), /satır 1: category/);
+  assert.throws(() => parseFeedsTxt('\nhttps://x.de/ colour=red'), /satır 2: bilinmeyen anahtar "colour"/);
+});
+
+test('feeds/beautydrop-feeds.txt geçerli', () => {
+  const txt = fs.readFileSync(new URL('../feeds/beautydrop-feeds.txt', import.meta.url), 'utf8');
+  const feeds = parseFeedsTxt(txt);
+  assert.ok(feeds.length > 0);
+  for (const f of feeds) assert.doesNotThrow(() => new URL(f.url), f.url);
+});
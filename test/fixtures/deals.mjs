@@ -0,0 +1,17 @@
+// Testler için ortak ürün ve anlık görüntü kalıpları (changes, server, sinks)
+
+// Düz ürün kaydı; product_key = key, fiyat 50 € (eski 60 €)
+export const item = (key, over = {}) => ({
+  name: `Ürün ${key}`, brand: 'Lancôme', store: 'www.douglas.de', currency: 'EUR', price_new: 50, price_old: 60, discount_pct: 16.7,
+  url: `https://www.douglas.de/p/${key}`, product_key: key, ...over
+});
+
+// DE (douglas) + TR (trendyol) feed'leri ve hata veren bir flaconi feed'i
+export const snapshot = (date, de, tr = []) => ({
+  date,
+  results: [
+    { ok: true, host: 'www.douglas.de', country: 'DE', items: de },
+    { ok: true, host: 'www.trendyol.com', country: 'TR', items: tr },
+    { ok: false, sourceUrl: 'https://www.flaconi.de/sale/', error: { name: 'Error', message: 'x' } }
+  ]
+});
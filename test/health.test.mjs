@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { classifyFeed, trailingCounts, buildHealthReport, healthMarkdown, parseHealthThresholds, DEFAULT_THRESHOLDS } from '../lib/health.mjs';
+
+const feed = (n, over = {}) => ({ ok: true, sourceUrl: `https://www.douglas.de/c/${n}`, host: 'www.douglas.de', country: 'DE', itemsCount: 40, ...over });
+
+test('classifyFeed: ok, empty, degraded, error, blocked, skipped', () => {
+  assert.deepEqual(classifyFeed(feed(1), [42, 38]), { status: 'ok', reason: null, trailingAvg: 40 });
+  assert.equal(classifyFeed(feed(1, { itemsCount: 0 }), [40]).reason, '0 ürün (ortalama 40)');
+  assert.equal(classifyFeed(feed(1, { itemsCount: 0 })).reason, '0 ürün');
+  assert.deepEqual(classifyFeed(feed(1, { itemsCount: 10 }), [40, 40]), { status: 'degraded', reason: '10 ürün, ortalama 40 (-%75)', trailingAvg: 40 });
+  assert.equal(classifyFeed(feed(1, { itemsCount: 25 }), [40]).status, 'ok', '%37,5 düşüş varsayılan %50 eşiğinin altında');
+  assert.equal(classifyFeed(feed(1, { itemsCount: 25 }), [40], { degradePct: 30 }).status, 'degraded');
+  assert.equal(classifyFeed(feed(1, { ok: false, error: { name: 'TimeoutError', message: 'Navigation timeout\nstack' } })).reason, 'Navigation timeout');
+  assert.equal(classifyFeed(feed(1, { ok: false, error: { name: 'Error', message: 'HTTP 403 Forbidden' } })).status, 'blocked');
+  assert.equal(classifyFeed(feed(1, { ok: false, blocked: true, blockReason: 'datadome' })).reason, 'datadome');
+  assert.equal(classifyFeed(feed(1, { ok: false, error: { name: 'Skipped', message: 'robots.txt' } })).status, 'skipped');
+});
+
+test('trailingCounts: beforeDay\'den önceki son window gün, yalnızca ok sonuçlar', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'beautydrop-health-'));
+  try {
+    const write = (day, results) => fs.writeFile(path.join(dir, `deals-${day}.json`), JSON.stringify({ date: day, results }));
+    await write('2025-11-12', [feed(1, { itemsCount: 10 })]);
+    await write('2025-11-13', [feed(1, { itemsCount: 30 }), feed(2, { ok: false, itemsCount: 0 })]);
+    await write('2025-11-14', [feed(1, { itemsCount: 50 }), feed(2, { itemsCount: 20 })]);
+    await write('2025-11-15', [feed(1, { itemsCount: 99 })]);
+    await fs.writeFile(path.join(dir, 'deals-2025-11-11.json'), JSON.stringify({ date: '2025-11-11', items: [] }));
+    await fs.writeFile(path.join(dir, 'deals-2025-11-10.json'), '{bozuk');
+
+    const counts = await trailingCounts(dir, { beforeDay: '2025-11-15', window: 2 });
+    assert.deepEqual(Object.fromEntries(counts), { [feed(1).sourceUrl]: [30, 50], [feed(2).sourceUrl]: [20] });
+    assert.deepEqual((await trailingCounts(dir, { beforeDay: '2025-11-15' })).get(feed(1).sourceUrl), [10, 30, 50]);
+    assert.equal((await trailingCounts(path.join(dir, 'yok'))).size, 0);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('buildHealthReport: eşik aşımları ve varsayılan degraded sınırı', () => {
+  assert.equal(DEFAULT_THRESHOLDS.maxDegradedPct, 30);
+  const history = new Map([1, 2, 3, 4, 5].map(n => [feed(n).sourceUrl, [40, 40]]));
+  const ok = buildHealthReport([1, 2, 3, 4, 5].map(n => feed(n)), history, { day: '2025-11-16' });
+  assert.deepEqual([ok.pass, ok.breaches, ok.summary.ok, ok.summary.items], [true, [], 5, 200]);
+
+  // 5 feed'in 2'si degraded: %40 > %30
+  const degraded = buildHealthReport([feed(1), feed(2), feed(3), feed(4, { itemsCount: 5 }), feed(5, { itemsCount: 5 })], history, { day: '2025-11-16' });
+  assert.deepEqual([degraded.pass, degraded.degradedPct, degraded.breaches], [false, 40, ['degraded %40 > %30']]);
+  assert.equal(buildHealthReport(degraded.feeds.map((f, i) => feed(i + 1, { itemsCount: f.itemsCount })), history,
+    { day: '2025-11-16', thresholds: { maxDegradedPct: 50 } }).pass, true);
+
+  const failed = (n, name, message) => feed(n, { ok: false, itemsCount: 0, error: { name, message } });
+  const bad = buildHealthReport([
+    feed(1, { itemsCount: 0 }), failed(2, 'Error', 'captcha'), failed(3, 'Error', 'ENOTFOUND'), failed(4, 'Skipped', 'budget')
+  ], new Map(), { day: '2025-11-16' });
+  assert.deepEqual(bad.summary, { ok: 0, empty: 1, degraded: 0, error: 1, blocked: 1, skipped: 1, total: 4, items: 0 });
+  assert.deepEqual(bad.breaches, ['empty+error+blocked %75 > %50', 'toplam ürün 0 < 1']);
+  const md = healthMarkdown(bad);
+  assert.match(md, /\*\*Durum: BAŞARISIZ\*\* — empty\+error\+blocked %75 > %50; toplam ürün 0 < 1/);
+  assert.deepEqual(md.split('## Sorunlu feed\'ler')[1].match(/^\| \w+ \| DE/gm), ['| blocked | DE', '| error | DE', '| empty | DE', '| skipped | DE'], 'sorunlu feed sırası');
+});
+
+test('parseHealthThresholds: verilen eşikler sayıya çevrilir, geçersiz değer açılışta hata', () => {
+  assert.deepEqual(parseHealthThresholds({}), {});
+  assert.deepEqual(parseHealthThresholds({ healthWindow: '14', healthMaxBadPct: '35.5', healthMinItems: '0', healthDegradePct: true }),
+    { window: 14, maxBadPct: 35.5, minItems: 0 });
+  assert.throws(() => parseHealthThresholds({ healthMaxBadPct: 'abc' }), /^Error: --healthMaxBadPct: 0–100 arası yüzde bekleniyordu, gelen "abc"$/);
+  assert.throws(() => parseHealthThresholds({ healthWindow: '2.5' }), /--healthWindow: pozitif tam sayı \(gün\)/);
+  assert.throws(() => parseHealthThresholds({ healthMinItems: '' }), /--healthMinItems/);
+  assert.throws(() => parseHealthThresholds({ healthDegradePct: '150' }), /--healthDegradePct/);
+});
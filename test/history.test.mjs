@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { productKey, listSnapshots, buildPriceIndex, historyFor, annotateResults } from '../lib/history.mjs';
+
+const item = (over = {}) => ({
+  name: 'Idôle Eau de Parfum 50 ml', store: 'www.douglas.de', currency: 'EUR', price_new: 79.95,
+  url: 'https://www.douglas.de/de/p/5010123', ...over
+});
+
+test('productKey: takip parametreleri, fragment, sondaki /, www ve büyük harf anahtarı değiştirmez', () => {
+  const key = productKey(item());
+  for (const url of [
+    'https://www.douglas.de/de/p/5010123/', 'https://douglas.de/de/p/5010123?utm_source=newsletter&utm_medium=email',
+    'https://WWW.DOUGLAS.DE/de/p/5010123#reviews', 'https://www.douglas.de/de/p/5010123?gclid=abc&fbclid=x&ref=home'
+  ]) assert.equal(productKey(item({ url })), key, url);
+  assert.equal(productKey(item({ store: 'douglas.de', name: 'IDÔLE  Eau de Parfum, 50 ml' })), key, 'www ve ad yazımı');
+  assert.equal(productKey(item({ url: 'https://www.douglas.de/de/p/5010123?b=2&a=1' })), productKey(item({ url: 'https://www.douglas.de/de/p/5010123?a=1&b=2' })), 'parametre sırası');
+
+  assert.notEqual(productKey(item({ url: 'https://www.douglas.de/de/p/5010123?variant=30ml' })), key, 'ürün parametresi korunur');
+  assert.notEqual(productKey(item({ store: 'www.douglas.at' })), key);
+  assert.notEqual(productKey(item({ name: 'Idôle Eau de Parfum 100 ml' })), key);
+  assert.match(key, /^[0-9a-f]{16}$/);
+});
+
+test('buildPriceIndex ve historyFor: gün başına en düşük fiyat, low_30d, true_discount_pct', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'beautydrop-history-'));
+  try {
+    const write = (day, items) => fs.writeFile(path.join(dir, `deals-${day}.json`), JSON.stringify({ date: day, results: [{ ok: true, items }] }));
+    await write('2025-10-01', [item({ price_new: 59 })]);
+    await write('2025-10-20', [item({ price_new: 89.95 }), item({ price_new: 84.5, url: 'https://www.douglas.de/de/p/5010123?utm_source=x' }), item({ price_new: null })]);
+    await write('2025-11-10', [item({ price_new: 94.95 }), item({ price_new: 399, currency: 'PLN' })]);
+    await write('2025-11-16', [item({ price_new: 10 })]);
+    await fs.writeFile(path.join(dir, 'deals-2025-11-01.json'), '{bozuk');
+    await fs.writeFile(path.join(dir, 'deals-latest.json'), '{}');
+
+    assert.deepEqual((await listSnapshots(dir)).map(s => s.day), ['2025-10-01', '2025-10-20', '2025-11-01', '2025-11-10', '2025-11-16']);
+    const idx = await buildPriceIndex(dir, { beforeDay: '2025-11-16' });
+    assert.deepEqual(idx.days, ['2025-10-01', '2025-10-20', '2025-11-01', '2025-11-10']);
+    assert.deepEqual(idx.index.get(productKey(item())), [
+      { day: '2025-10-01', price: 59, currency: 'EUR' },
+      { day: '2025-10-20', price: 84.5, currency: 'EUR' },
+      { day: '2025-11-10', price: 94.95, currency: 'EUR' },
+      { day: '2025-11-10', price: 399, currency: 'PLN' }
+    ], 'aynı gün: en düşük; bugünkü görüntü ve fiyatsız kayıt yok');
+
+    // 30 gün penceresi 2025-10-17'den başlar: 59 € pencere dışında, low_30d = 84,5
+    assert.deepEqual(historyFor(item({ price_new: 76.05 }), idx, '2025-11-16'), {
+      key: productKey(item()), first_seen: '2025-10-01', prev_price: 94.95, prev_seen: '2025-11-10',
+      low_30d: 84.5, days_observed: 3, true_discount_pct: 10
+    });
+    assert.equal(historyFor(item({ price_new: 99 }), idx, '2025-11-16').true_discount_pct, 0, 'dip fiyatın üstünde: gerçek indirim yok');
+    assert.equal(historyFor(item({ price_new: 99 }), idx, '2025-11-16', { windowDays: 60 }).low_30d, 59);
+    assert.equal(historyFor(item({ currency: 'PLN', price_new: 349 }), idx, '2025-11-16').low_30d, 399, 'yalnızca aynı para birimi');
+    assert.deepEqual(historyFor(item({ name: 'Yeni Ürün' }), idx, '2025-11-16'),
+      { key: productKey(item({ name: 'Yeni Ürün' })), first_seen: '2025-11-16', prev_price: null, prev_seen: null, low_30d: null, days_observed: 0, true_discount_pct: null });
+
+    const win = await buildPriceIndex(dir, { beforeDay: '2025-11-16', windowDays: 30 });
+    assert.deepEqual(win.days, ['2025-10-20', '2025-11-01', '2025-11-10'], 'pencere dışındaki dosyalar okunmaz');
+    assert.deepEqual(historyFor(item({ price_new: 76.05 }), win, '2025-11-16'), {
+      key: productKey(item()), first_seen: '2025-10-20', prev_price: 94.95, prev_seen: '2025-11-10',
+      low_30d: 84.5, days_observed: 2, true_discount_pct: 10
+    }, 'geçmişi taşımayan eski kayıt: first_seen pencereyle sınırlı');
+
+    const [r] = annotateResults([{ ok: true, items: [item({ price_new: 76.05 })] }, { ok: false }], idx, '2025-11-16');
+    assert.equal(r.items[0].product_key, productKey(item()));
+    assert.deepEqual([r.items[0].history.low_30d, r.items[0].history.true_discount_pct], [84.5, 10]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('buildPriceIndex: pencereden eski first_seen anlık görüntüdeki history.first_seen ile taşınır', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'beautydrop-history-'));
+  try {
+    const write = (day, items) => fs.writeFile(path.join(dir, `deals-${day}.json`), JSON.stringify({ date: day, results: [{ ok: true, items }] }));
+    await fs.writeFile(path.join(dir, 'deals-2025-06-01.json'), '{bozuk');
+    await write('2025-11-01', [{ ...item({ price_new: 89.95 }), history: { first_seen: '2025-06-01' } }]);
+    await write('2025-11-10', [{ ...item({ price_new: 84.5 }), history: { first_seen: '2025-07-15' } }]);
+
+    const idx = await buildPriceIndex(dir, { beforeDay: '2025-11-16', windowDays: 30 });
+    assert.deepEqual(idx.days, ['2025-11-01', '2025-11-10']);
+    const h = historyFor(item({ price_new: 79.95 }), idx, '2025-11-16');
+    assert.deepEqual([h.first_seen, h.prev_price, h.low_30d, h.days_observed], ['2025-06-01', 84.5, 84.5, 2]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
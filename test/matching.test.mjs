@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { identityOf, matchProducts, normBrand, normGtin, sizeOf } from '../lib/matching.mjs';
+
+const offer = (store, over = {}) => ({
+  store, country: 'DE', currency: 'EUR', price_new: 60, url: `https://${store}/p/1`, ...over
+});
+
+test('identityOf: GTIN, MPN ve marka + ad + boyut anahtarları', () => {
+  assert.equal(normBrand('YSL'), 'yves saint laurent');
+  assert.equal(normBrand("L'Oréal Paris"), 'loreal');
+  assert.equal(normGtin('3605532612836'), '03605532612836');
+  assert.equal(normGtin('12345'), null);
+  assert.equal(sizeOf('Libre 1,5 l'), '1500ml');
+
+  assert.deepEqual(identityOf({ name: 'Idôle Eau de Parfum Spray 50 ml', brand: 'Lancôme', gtin: '3605532612836' }),
+    { primary: 'gtin:03605532612836', nameKey: 'lancome|edp idole|50ml', match: 'gtin', brand: 'lancome', size: '50ml' });
+  assert.equal(identityOf({ name: 'Idôle EdP Vaporisateur 50ml', brand: 'Lancome' }).primary, 'name:lancome|edp idole|50ml', 'spray/vapo dolgu');
+  assert.equal(identityOf({ name: 'Libre EdP 50 ml', brand: 'YSL', mpn: 'LB50' }).primary, 'mpn:yves saint laurent|lb50');
+  assert.equal(identityOf({ name: 'Idôle 50 ml' }).primary, null, 'marka yoksa ad anahtarı yok');
+});
+
+test('identityOf: cinsiyet anahtarda kalır, diller arası aynı simgeye iner', () => {
+  const key = (name) => identityOf({ name, brand: 'Gucci' }).nameKey;
+  assert.notEqual(key('Guilty pour Homme EdT 50 ml'), key('Guilty pour Femme EdT 50 ml'));
+  assert.equal(key('Guilty pour Homme EdT 50 ml'), key('Guilty Eau de Toilette für Herren 50 ml'));
+  assert.equal(key('Guilty pour Femme EdT 50 ml'), key('Guilty Eau de Toilette Damen 50 ml'));
+});
+
+test('matchProducts: en az iki mağaza, ad anahtarı GTIN kümesine bağlanır, homme/femme ayrı kalır', () => {
+  const items = [
+    offer('www.douglas.de', { name: 'Idôle Eau de Parfum 50 ml', brand: 'Lancôme', gtin: '3605532612836', price_new_eur: 79.95 }),
+    offer('www.notino.de', { name: 'Idôle EdP Spray 50 ml', brand: 'Lancome', price_new_eur: 74.5 }),
+    offer('www.sephora.fr', { name: 'Idôle Eau de Parfum 50 ml', brand: 'Lancôme', gtin: '03605532612836', country: 'FR', price_new_eur: 82 }),
+    offer('www.douglas.de', { name: 'Guilty pour Homme EdT 50 ml', brand: 'Gucci' }),
+    offer('www.flaconi.de', { name: 'Guilty pour Femme EdT 50 ml', brand: 'Gucci' }),
+    offer('www.flaconi.de', { name: 'Sky High Mascara', brand: 'Maybelline' })
+  ];
+  const { products, productIdOf } = matchProducts(items);
+  assert.equal(products.length, 1, 'Guilty homme ve femme iki mağazada ama farklı ürün: küme olmaz');
+  const [idole] = products;
+  assert.equal(idole.stores, 3);
+  assert.equal(idole.cheapest.store, 'www.notino.de');
+  assert.equal(productIdOf(items[1]), productIdOf(items[0]));
+  assert.notEqual(productIdOf(items[3]), productIdOf(items[4]));
+});
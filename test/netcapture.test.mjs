@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { EventEmitter } from 'node:events';
+import { captureJson, extractFromJson, getPath } from '../lib/netcapture.mjs';
+import { validateOverrides } from '../lib/overrides.mjs';
+
+const fixture = (name) => JSON.parse(fs.readFileSync(new URL(`./fixtures/site/api/${name}`, import.meta.url), 'utf8'));
+const trendyol = { url: 'https://public.trendyol.com/discovery-web-searchgw-service/v2/api/infinite-scroll/sr?q=maskara', body: fixture('trendyol-search.json') };
+const douglas = { url: 'https://www.douglas.de/api/v2/products/search?query=parfum', body: fixture('douglas-search.json') };
+
+test('extractFromJson: genel sezgi iç içe fiyat nesnesinden ad, fiyat, eski fiyat, marka ve görseli okur', () => {
+  const items = extractFromJson([trendyol], { baseUrl: 'https://www.trendyol.com/sr?q=maskara', currency: 'TRY' });
+  assert.equal(items.length, 3, 'filtre değerleri ürün sayılmaz');
+  const [sky, panorama, paradise] = items;
+  assert.equal(sky.source, 'json-api');
+  assert.equal(sky.name, 'Lash Sensational Sky High Maskara');
+  assert.equal(sky.brand, 'Maybelline New York');
+  assert.equal(sky.price_new, 249.9);
+  assert.equal(sky.price_old, 399.9);
+  assert.equal(sky.discount_pct, 37.5);
+  assert.equal(sky.currency, 'TRY');
+  assert.equal(sky.url, 'https://www.trendyol.com/maybelline-new-york/lash-sensational-sky-high-maskara-p-32815541?boutiqueId=61&merchantId=968');
+  assert.equal(sky.image, 'https://www.trendyol.com/ty1/product/media/images/20220316/12/70787016/422049370/1/1_org_zoom.jpg');
+  assert.equal(sky.availability, 'InStock');
+  assert.equal(panorama.price_old, null, 'eski fiyat güncel fiyata eşitse indirim yok');
+  assert.equal(paradise.image, null);
+  assert.equal(paradise.availability, 'OutOfStock');
+});
+
+test('extractFromJson: formattedValue, üst düzey originalPrice, tekil dizi ve facet linkleri', () => {
+  const items = extractFromJson([douglas], { baseUrl: 'https://www.douglas.de/de/c/parfum/01' });
+  assert.deepEqual(items.map(it => it.name), ['Idôle Eau de Parfum 50 ml', 'Moisture Surge 100H 75 ml']);
+  const idole = items[0];
+  assert.equal(idole.price_new, 89.95);
+  assert.equal(idole.price_old, 119);
+  assert.equal(idole.currency, 'EUR');
+  assert.equal(idole.url, 'https://www.douglas.de/de/p/5010123');
+  assert.equal(idole.image, 'https://media.douglas.de/medias/idole-50.jpg');
+  assert.deepEqual(idole.volume, { value: 50, unit: 'ml' });
+  assert.equal(items[1].price_old, null);
+});
+
+test('extractFromJson: host kuralı varsa yalnızca eşleşen yanıt ve verilen yollar kullanılır', () => {
+  const rules = [{ match: '/discovery-web-searchgw-service/', items: 'result.products', name: 'name', price: 'price.sellingPrice', oldPrice: 'price.originalPrice', url: 'url', image: 'images.0', urlBase: 'https://www.trendyol.com' }];
+  const items = extractFromJson([trendyol, douglas], { baseUrl: 'https://m.trendyol.com/sr', currency: 'TRY', rules });
+  assert.equal(items.length, 3, 'kurala uymayan yanıt okunmaz');
+  assert.equal(items[0].url.startsWith('https://www.trendyol.com/'), true);
+  assert.equal(items[0].brand, 'Maybelline New York', 'yolu verilmeyen alan genel anahtarlarla okunur');
+
+  const cents = { url: 'https://shop.test/api/list', body: { data: { hits: [{ title: 'A', href: '/a', amount: 1299 }, { title: 'B', href: '/b', amount: 2599 }] } } };
+  const scaled = extractFromJson([cents], { baseUrl: 'https://shop.test/', currency: 'EUR', rules: [{ match: '/api/list', items: 'data.hits', price: 'amount', priceDivisor: 100 }] });
+  assert.deepEqual(scaled.map(it => [it.name, it.price_new, it.url]), [['A', 12.99, 'https://shop.test/a'], ['B', 25.99, 'https://shop.test/b']]);
+});
+
+test('extractFromJson: commercetools centAmount ve fiyatsız/linksiz diziler', () => {
+  const body = {
+    results: [
+      { name: 'Serum', slug: 'serum', url: '/p/serum', price: { value: { centAmount: 2495, currencyCode: 'EUR', fractionDigits: 2 } } },
+      { name: 'Toner', url: '/p/toner', price: { value: { centAmount: 1450, currencyCode: 'EUR', fractionDigits: 2 } } }
+    ],
+    menu: [{ name: 'Pflege', url: '/c/pflege' }, { name: 'Make-up', url: '/c/make-up' }],
+    banners: [{ title: 'Sale', price: 5 }, { title: 'Neu', price: 7 }]
+  };
+  const items = extractFromJson([{ url: 'https://shop.test/api', body }], { baseUrl: 'https://shop.test/' });
+  assert.deepEqual(items.map(it => [it.name, it.price_new, it.currency]), [['Serum', 24.95, 'EUR'], ['Toner', 14.5, 'EUR']], 'menü (fiyatsız) ve banner (linksiz) ürün değil');
+});
+
+test('getPath: nokta yolu ve dizi indeksi', () => {
+  assert.equal(getPath({ a: { b: [{ c: 1 }] } }, 'a.b.0.c'), 1);
+  assert.equal(getPath({ a: null }, 'a.b'), undefined);
+  assert.deepEqual(getPath([1, 2], ''), [1, 2]);
+});
+
+test('captureJson: yalnızca XHR/fetch JSON yanıtları, izleme uçları hariç', async () => {
+  const page = new EventEmitter();
+  page.off = page.removeListener;
+  const res = (url, { type = 'fetch', ct = 'application/json', status = 200, body = '{"ok":1}' } = {}) => ({
+    url: () => url, status: () => status, headers: () => ({ 'content-type': ct }),
+    request: () => ({ resourceType: () => type }),
+    text: async () => body
+  });
+  const cap = captureJson(page);
+  page.emit('response', res('https://shop.test/api/search'));
+  page.emit('response', res('https://shop.test/app.js', { type: 'script', ct: 'application/javascript' }));
+  page.emit('response', res('https://shop.test/page', { type: 'document', ct: 'text/html' }));
+  page.emit('response', res('https://www.google-analytics.com/g/collect'));
+  page.emit('response', res('https://shop.test/api/broken', { body: '{oops' }));
+  page.emit('response', res('https://shop.test/api/err', { status: 500 }));
+  const got = await cap.drain();
+  assert.deepEqual(got.map(r => r.url), ['https://shop.test/api/search']);
+  cap.stop();
+  page.emit('response', res('https://shop.test/api/late'));
+  assert.equal((await cap.drain()).length, 1);
+});
+
+test('overrides: jsonApi kural doğrulaması', () => {
+  assert.deepEqual(validateOverrides({ 'trendyol.com': { jsonApi: [{ match: '/search', items: 'result.products', price: 'price.sellingPrice' }] } }), []);
+  assert.equal(validateOverrides({ 'trendyol.com': { jsonApi: [{ match: '/search' }] } }).length, 1, 'items zorunlu');
+  assert.equal(validateOverrides({ 'trendyol.com': { jsonApi: [{ match: '/search', items: 'x', colour: 'c' }] } }).length, 1, 'bilinmeyen alan');
+});
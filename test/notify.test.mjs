@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import net from 'node:net';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { deliverAlerts, expandEnv, shouldSend, sendMail, alertText } from '../lib/notify.mjs';
+
+const alert = (key, over = {}) => ({
+  key: `idole-de|${key}`,
+  watch: { id: 'idole-de' },
+  item: {
+    name: 'Idôle Eau de Parfum 50 ml', brand: 'Lancôme', store: 'www.douglas.de', country: 'DE', currency: 'EUR',
+    price_new: 79.95, price_old: 119, discount_pct: 32.8, url: `https://www.douglas.de/p/${key}`, product_key: key, ...over
+  }
+});
+
+// Webhook / Telegram / Discord / Slack yerine yerel sahte sunucu
+async function withHttp(fn, status = 200) {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', d => { body += d; });
+    req.on('end', () => {
+      hits.push({ url: req.url, body: JSON.parse(body || 'null'), auth: req.headers.authorization });
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end('{"ok":true}');
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`, hits);
+  } finally {
+    server.close();
+  }
+}
+
+// En küçük SMTP sunucusu: komutları ve DATA gövdesini kaydeder
+async function withSmtp(fn) {
+  const session = { commands: [], data: '' };
+  const server = net.createServer(sock => {
+    sock.setEncoding('utf8');
+    let buf = '';
+    let inData = false;
+    sock.write('220 mock ESMTP\r\n');
+    sock.on('data', d => {
+      buf += d;
+      let i;
+      while ((i = buf.indexOf('\r\n')) >= 0) {
+        const line = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        if (inData) {
+          if (line === '.') { inData = false; sock.write('250 queued\r\n'); } else session.data += `${line}\n`;
+          continue;
+        }
+        session.commands.push(line);
+        if (line.startsWith('EHLO')) sock.write('250-mock\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+        else if (line.startsWith('AUTH')) sock.write('235 ok\r\n');
+        else if (line === 'DATA') { inData = true; sock.write('354 go\r\n'); }
+        else if (line === 'QUIT') { sock.end('221 bye\r\n'); }
+        else sock.write('250 ok\r\n');
+      }
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  try {
+    await fn(server.address().port, session);
+  } finally {
+    server.close();
+  }
+}
+
+test('expandEnv ve shouldSend', () => {
+  assert.deepEqual(expandEnv({ url: '${HOOK}/x', to: ['${A}', 'b'], port: 25 }, { HOOK: 'http://h', A: 'a' }), { url: 'http://h/x', to: ['a', 'b'], port: 25 });
+  assert.equal(expandEnv('${YOK}', {}), '');
+  const it = { price_new: 80, currency: 'EUR' };
+  assert.equal(shouldSend(null, it, '2025-11-16', 7), true);
+  assert.equal(shouldSend({ day: '2025-11-15', price: 80, currency: 'EUR' }, it, '2025-11-16', 7), false, 'aynı fırsat');
+  assert.equal(shouldSend({ day: '2025-11-15', price: 85, currency: 'EUR' }, it, '2025-11-16', 7), true, 'fiyat düştü');
+  assert.equal(shouldSend({ day: '2025-11-09', price: 80, currency: 'EUR' }, it, '2025-11-16', 7), true, 'süre doldu');
+  assert.equal(shouldSend({ day: '2025-01-01', price: 80, currency: 'EUR' }, it, '2025-11-16', 0), false, '0: yalnızca düşüşte');
+});
+
+test('deliverAlerts: webhook, Telegram, Discord, Slack yerel sunucuya; tekrar gönderilmez', async () => {
+  await withHttp(async (base, hits) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'beautydrop-notify-'));
+    const stateFile = path.join(dir, 'alerts-sent.json');
+    const watchlist = {
+      resendAfterDays: 7,
+      notifiers: {
+        hook: { type: 'webhook', url: '${HOOK_BASE}/hook', headers: { Authorization: 'Bearer ${HOOK_TOKEN}' } },
+        tg: { type: 'telegram', token: '123:abc', chatId: '-100', baseUrl: base },
+        dc: { type: 'discord', url: `${base}/discord` },
+        sl: { type: 'slack', url: `${base}/slack` },
+        mail: { type: 'email', host: '${SMTP_HOST}', from: 'bot@x', to: 'a@x' }
+      }
+    };
+    const env = { HOOK_BASE: base, HOOK_TOKEN: 's3cret' };
+    try {
+      const report = await deliverAlerts([alert('a'), alert('b')], watchlist, { day: '2025-11-16', stateFile, env });
+      assert.deepEqual(report.map(r => [r.name, r.sent, r.skipped || r.error || null]),
+        [['hook', 2, null], ['tg', 2, null], ['dc', 2, null], ['sl', 2, null], ['mail', 0, 'yapılandırılmamış (host)']]);
+      assert.deepEqual(hits.map(h => h.url), ['/hook', '/bot123:abc/sendMessage', '/discord', '/slack']);
+      assert.equal(hits[0].auth, 'Bearer s3cret');
+      assert.deepEqual(hits[0].body.alerts.map(a => [a.watch, a.product_key, a.price_new]), [['idole-de', 'a', 79.95], ['idole-de', 'b', 79.95]]);
+      assert.equal(hits[1].body.chat_id, '-100');
+      assert.match(hits[1].body.text, /^BeautyDrop fiyat alarmı — 2025-11-16 \(2 ürün\)/);
+      assert.match(hits[2].body.content, /79\.95 EUR \(-%33, önce 119\.00 EUR\)/);
+      assert.match(hits[3].body.text, /https:\/\/www\.douglas\.de\/p\/b/);
+      const state = JSON.parse(await fs.readFile(stateFile, 'utf8'));
+      assert.deepEqual(state['tg|idole-de|a'], { day: '2025-11-16', price: 79.95, currency: 'EUR' });
+
+      // Ertesi gece: a aynı fiyatta (atlanır), b daha ucuz, c yeni
+      hits.length = 0;
+      const next = await deliverAlerts([alert('a'), alert('b', { price_new: 75 }), alert('c')], watchlist, { day: '2025-11-17', stateFile, env });
+      assert.deepEqual(next.slice(0, 4).map(r => [r.sent, r.suppressed]), [[2, 1], [2, 1], [2, 1], [2, 1]]);
+      assert.deepEqual(hits[0].body.alerts.map(a => a.product_key), ['b', 'c']);
+
+      hits.length = 0;
+      const dry = [];
+      await deliverAlerts([alert('d')], watchlist, { day: '2025-11-17', stateFile, env, dryRun: true, onDryRun: (n) => dry.push(n) });
+      assert.equal(hits.length, 0);
+      assert.deepEqual(dry, ['hook', 'tg', 'dc', 'sl']);
+      assert.equal(JSON.parse(await fs.readFile(stateFile, 'utf8'))['hook|idole-de|d'], undefined);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+test('deliverAlerts: izlemenin notify listesi ve başarısız gönderim tekrar denenir', async () => {
+  await withHttp(async (base, hits) => {
+    const watchlist = { notifiers: { hook: { type: 'webhook', url: `${base}/hook` }, dc: { type: 'discord', url: `${base}/dc` } } };
+    const a = { ...alert('a'), watch: { id: 'idole-de', notify: ['hook'] } };
+    const report = await deliverAlerts([a], watchlist, { day: '2025-11-16' });
+    assert.deepEqual(report.map(r => [r.name, r.sent]), [['hook', 0], ['dc', 0]]);
+    assert.match(report[0].error, /HTTP 500/);
+    assert.deepEqual(hits.map(h => h.url), ['/hook']);
+  }, 500);
+});
+
+test('deliverAlerts: bilinmeyen tipli bildirici diğerlerini durdurmaz', async () => {
+  await withHttp(async (base, hits) => {
+    const watchlist = { notifiers: { odd: { type: '${NOTIFY_TYPE}' }, hook: { type: 'webhook', url: `${base}/hook` } } };
+    const report = await deliverAlerts([alert('a')], watchlist, { day: '2025-11-16', env: { NOTIFY_TYPE: 'pager' } });
+    assert.deepEqual(report.map(r => [r.name, r.sent, r.error ?? null]), [
+      ['odd', 0, 'bilinmeyen tip "pager" (geçerli: webhook, telegram, discord, slack, email)'],
+      ['hook', 1, null]
+    ]);
+    assert.deepEqual(hits.map(h => h.url), ['/hook']);
+  });
+});
+
+test('sendMail: SMTP konuşması, AUTH PLAIN, base64 gövde ve UTF-8 konu', async () => {
+  await withSmtp(async (port, session) => {
+    await sendMail({
+      host: '127.0.0.1', port, user: 'bot', pass: 'pw', from: 'BeautyDrop <bot@x.test>', to: ['a@x.test', 'b@x.test'],
+      subject: 'Fiyat alarmı', text: 'satır 1\n.nokta', timeoutMs: 5000
+    });
+    assert.deepEqual(session.commands.map(c => c.split(' ')[0]), ['EHLO', 'AUTH', 'MAIL', 'RCPT', 'RCPT', 'DATA', 'QUIT']);
+    assert.equal(session.commands[1], `AUTH PLAIN ${Buffer.from('\0bot\0pw').toString('base64')}`);
+    assert.equal(session.commands[2], 'MAIL FROM:<bot@x.test>');
+    assert.match(session.data, /^Subject: =\?UTF-8\?B\?/m);
+    const body = session.data.split('\n\n')[1].replace(/\n/g, '');
+    assert.equal(Buffer.from(body, 'base64').toString(), 'satır 1\r\n.nokta');
+  });
+
+  await withSmtp(async (port, session) => {
+    const watchlist = { notifiers: { mail: { type: 'email', host: '127.0.0.1', port: '${SMTP_PORT}', from: 'bot@x.test', to: '${TO}' } } };
+    const [r] = await deliverAlerts([alert('a')], watchlist, { day: '2025-11-16', env: { SMTP_PORT: String(port), TO: 'a@x.test, b@x.test' } });
+    assert.equal(r.sent, 1);
+    assert.deepEqual(session.commands.filter(c => c.startsWith('RCPT')), ['RCPT TO:<a@x.test>', 'RCPT TO:<b@x.test>']);
+  });
+
+  await assert.rejects(sendMail({ host: '127.0.0.1', port: 1, from: 'a@x', to: ['b@x'], subject: 's', text: 't', timeoutMs: 2000 }), /ECONNREFUSED|kapandı/);
+  assert.match(alertText([alert('a')], '2025-11-16'), /• Lancôme Idôle Eau de Parfum 50 ml — 79\.95 EUR/);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { extractOffers, offerItems, verifiedOffer, merchantHost, parseShipping, isAggregatorHost } from '../lib/offers.mjs';
+import { extractFromLdJson } from '../lib/extract.mjs';
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/site/p/${name}`, import.meta.url), 'utf8');
+const AKAKCE = 'https://www.akakce.com/parfum/en-ucuz-lancome-la-vie-est-belle-edp-50-ml-fiyati,1001.html';
+const CIMRI = 'https://www.cimri.com/makyaj/en-ucuz-maybelline-sky-high-maskara-fiyatlari,55';
+
+test('Akakçe: HTML teklif satırları (mağaza, fiyat, kargo, yönlendirme), toplam fiyata göre', () => {
+  const offers = extractOffers(fixture('akakce-tr.html'), AKAKCE);
+  assert.deepEqual(offers.map(o => [o.merchant, o.store, o.price, o.shipping, o.availability]), [
+    ['Kozmetik Sepeti', 'www.kozmetiksepeti.com', 3249.9, 49.9, null],
+    ['Trendyol', 'www.trendyol.com', 3349.9, 0, null],
+    ['Gratis', 'www.gratis.com', 3499, null, null],
+    ['Hepsiburada', 'www.hepsiburada.com', 4150, null, 'out_of_stock']
+  ], 'aynı mağaza + fiyat tekrarı atılır; menü ve benzer ürün satırları teklif sayılmaz');
+  assert.ok(offers.every(o => o.currency === 'TRY' && o.source === 'html'));
+  assert.equal(offers[1].url, 'https://www.akakce.com/c/?c=1001&f=77');
+});
+
+test('Cimri: __NEXT_DATA__ teklif dizisi; bilinmeyen mağaza adı host\'suz kalır', () => {
+  const offers = extractOffers(fixture('cimri-tr.html'), CIMRI);
+  assert.deepEqual(offers.map(o => [o.merchant, o.store, o.price, o.shipping, o.availability, o.url]), [
+    ['Hepsiburada', 'www.hepsiburada.com', 279.5, 0, 'in_stock', 'https://www.cimri.com/redirect/offer/5502'],
+    ['Makyaj Dünyası', null, 265, 29.9, 'out_of_stock', 'https://www.cimri.com/redirect/offer/5503'],
+    ['Watsons', 'www.watsons.com.tr', 289.9, 34.99, 'in_stock', 'https://www.cimri.com/redirect/offer/5501']
+  ]);
+});
+
+test('ld+json: seller adı olan teklifler öncelikli; sellersız AggregateOffer teklif değildir', () => {
+  const html = `<script type="application/ld+json">${JSON.stringify({
+    '@type': 'Product', name: 'Elseve Şampuan 450 ml',
+    offers: { '@type': 'AggregateOffer', priceCurrency: 'TRY', lowPrice: '119.90', offers: [
+      { '@type': 'Offer', price: '129.90', url: '/c/?c=1&f=2', seller: { '@type': 'Organization', name: 'Gratis' },
+        shippingDetails: { shippingRate: { value: 0, currency: 'TRY' } } },
+      { '@type': 'Offer', price: 119.9, url: 'https://www.n11.com/urun/elseve-450', seller: 'Mağaza X', availability: 'https://schema.org/InStock' }
+    ] }
+  })}</script><ul><li><a href="/c/?c=9">Trendyol 99 TL</a></li></ul>`;
+  assert.deepEqual(extractOffers(html, AKAKCE).map(o => [o.merchant, o.store, o.price, o.shipping, o.source]),
+    [['Mağaza X', 'www.n11.com', 119.9, null, 'ldjson'], ['Gratis', 'www.gratis.com', 129.9, 0, 'ldjson']]);
+  assert.deepEqual(extractOffers(fixture('trendyol-tr.html'), 'https://www.trendyol.com/p-1'), []);
+});
+
+test('offerItems: teklif başına gerçek mağazalı ürün; yardımcılar', () => {
+  const html = fixture('akakce-tr.html');
+  const [product] = extractFromLdJson(html, AKAKCE, 'www.akakce.com', 'TR');
+  const items = offerItems(extractOffers(html, AKAKCE), product, { host: 'www.akakce.com', country: 'TR' });
+  assert.deepEqual(items.map(it => [it.store, it.merchant, it.price_new, it.shipping, it.via, it.verified]), [
+    ['www.kozmetiksepeti.com', 'Kozmetik Sepeti', 3249.9, 49.9, 'www.akakce.com', false],
+    ['www.trendyol.com', 'Trendyol', 3349.9, 0, 'www.akakce.com', false],
+    ['www.gratis.com', 'Gratis', 3499, null, 'www.akakce.com', false],
+    ['www.hepsiburada.com', 'Hepsiburada', 4150, null, 'www.akakce.com', false]
+  ]);
+  assert.ok(items.every(it => it.name === 'Lancôme La Vie Est Belle EDP 50 ml Kadın Parfüm' && it.brand === 'Lancôme' &&
+    it.gtin === '3605532612836' && it.country === 'TR' && it.source === 'aggregator'));
+  assert.deepEqual(items[0].volume, { value: 50, unit: 'ml' });
+  assert.deepEqual(items[0].breadcrumbs, ['Kozmetik', 'Parfüm']);
+  assert.equal(offerItems([{ merchant: 'Makyaj Dünyası', store: null, price: 1, url: 'x' }], { name: 'a' }, { host: 'h' })[0].store, 'Makyaj Dünyası');
+
+  assert.equal(isAggregatorHost('www.cimri.com'), true);
+  assert.equal(isAggregatorHost('m.akakce.com'), true);
+  assert.equal(isAggregatorHost('www.trendyol.com'), false);
+  assert.equal(merchantHost('Amazon.com.tr', 'https://www.akakce.com/c/?c=1'), 'www.amazon.com.tr');
+  assert.equal(merchantHost('Bilinmeyen', 'https://shop.example.com.tr/p/1'), 'shop.example.com.tr');
+  assert.equal(parseShipping('+ 39,90 TL kargo'), 39.9);
+  assert.equal(parseShipping('Kargo Bedava'), 0);
+  assert.equal(parseShipping('Hemen teslim'), null);
+});
+
+test('verifiedOffer: mağaza sayfasında fiyat bulunmazsa teklif doğrulanmış sayılmaz', () => {
+  const it = { store: 'www.trendyol.com', merchant: 'Trendyol', url: 'https://www.akakce.com/c/?c=1001&f=77', price_new: 3349.9, currency: 'TRY', availability: null, verified: false };
+  const hop = { host: 'www.trendyol.com', finalUrl: 'https://www.trendyol.com/lancome/la-vie-est-belle-p-1' };
+
+  const found = verifiedOffer(it, { ...hop, found: { price_new: 3299, price_old: 3899, currency: 'TRY', availability: 'InStock' } });
+  assert.deepEqual([found.verified, found.price_new, found.price_old, found.aggregator_price, found.availability], [true, 3299, 3899, 3349.9, 'InStock']);
+  assert.equal(found.offer_url, it.url);
+
+  const notFound = verifiedOffer(it, hop);
+  assert.deepEqual([notFound.verified, notFound.store, notFound.url, notFound.offer_url, notFound.price_new, notFound.aggregator_price],
+    [false, 'www.trendyol.com', hop.finalUrl, it.url, 3349.9, undefined], 'host ve link çözülür, fiyat aggregator\'da kalır');
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { validateOverrides, loadOverrides, overrideFor, buildPageUrl } from '../lib/overrides.mjs';
+import { ESCALATION_STEPS } from '../lib/blocks.mjs';
+import { COUNTRIES } from '../lib/util.mjs';
+
+test('validateOverrides: geçerli dosya, $ açıklamaları atlanır', () => {
+  assert.deepEqual(validateOverrides({
+    $comment: 'açıklama',
+    'douglas.de': { linkSelectors: ['a.ProductTile-link'], pagination: '?page={n}', detailLimit: 0, currency: 'EUR', country: 'DE', escalation: [] },
+    'shop.rossmann.hu': { pagination: '?start={offset}', pageSize: 24, engine: 'firefox', hostBudget: 0 },
+    'trendyol.com': { jsonApi: [{ match: '/searchgw-service/', items: 'result.products', price: 'price.sellingPrice', priceDivisor: 100 }] }
+  }), []);
+});
+
+test('validateOverrides: host, tür, bilinmeyen anahtar ve bağımlı alan hataları', () => {
+  assert.deepEqual(validateOverrides([]), ['kök değer host -> ayar nesnesi olmalı']);
+  assert.deepEqual(validateOverrides({
+    'www.douglas.de': {},
+    'https://flaconi.de': {},
+    'notino.de': ['a'],
+    'sephora.fr': { linkSelector: ['a'], detailLimit: -1, pagination: 'page={n}', currency: 'eur', country: 'XX', escalation: ['teleport'] },
+    'rossmann.hu': { pagination: '?start={offset}', hostConcurrency: 0 },
+    'trendyol.com': { jsonApi: [{ match: '/api/', items: 'products', pricePath: 'a' }], engine: 'webkit' }
+  }), [
+    '"www.douglas.de": geçersiz host (ör. "douglas.de", "www." olmadan)',
+    '"https://flaconi.de": geçersiz host (ör. "douglas.de", "www." olmadan)',
+    '"notino.de": ayar nesnesi olmalı',
+    '"sephora.fr".linkSelector: bilinmeyen anahtar ("linkSelectors" mı demek istediniz?)',
+    '"sephora.fr".detailLimit: beklenen sıfır veya pozitif tam sayı, gelen -1',
+    '"sephora.fr".pagination: beklenen "?page={n}", "?start={offset}" veya "/page/{n}" gibi bir kalıp, gelen "page={n}"',
+    '"sephora.fr".currency: beklenen ISO para birimi (ör. EUR), gelen "eur"',
+    `"sephora.fr".country: beklenen ülke kodu (${COUNTRIES.join(', ')}), gelen "XX"`,
+    `"sephora.fr".escalation: beklenen engel basamakları listesi (${ESCALATION_STEPS.join(', ')}; [] = denenmez), gelen ["teleport"]`,
+    '"rossmann.hu".hostConcurrency: beklenen pozitif tam sayı (aynı anda süren sayfa yüklemesi), gelen 0',
+    '"rossmann.hu".pagination: {offset} kullanılıyorsa pageSize de verilmeli',
+    '"trendyol.com".jsonApi: beklenen JSON API kural listesi ([{ "match", "items", "name", "brand", "price", "oldPrice", "url", "image", "urlBase", "priceDivisor" }]), gelen [{"match":"/api/","items":"products","pricePath":"a"}]',
+    '"trendyol.com".engine: beklenen chromium | firefox, gelen "webkit"'
+  ]);
+});
+
+test('loadOverrides: dosya yoksa boş, bozuk JSON ve geçersiz içerik hata', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'beautydrop-overrides-'));
+  try {
+    const file = path.join(dir, 'overrides.json');
+    assert.deepEqual(await loadOverrides(path.join(dir, 'yok.json')), {});
+    await fs.writeFile(file, JSON.stringify({ $comment: 'x', 'douglas.de': { detailLimit: 8 } }));
+    assert.deepEqual(await loadOverrides(file), { 'douglas.de': { detailLimit: 8 } });
+    await fs.writeFile(file, '{ "douglas.de": ');
+    await assert.rejects(loadOverrides(file), /overrides\.json: JSON okunamadı/);
+    await fs.writeFile(file, JSON.stringify({ 'douglas.de': { maxPage: 2, hostdelayms: 500 } }));
+    const err = await loadOverrides(file).then(() => null, e => e.message);
+    assert.match(err, /geçersiz:\n {2}- "douglas\.de"\.maxPage: bilinmeyen anahtar \("maxPages" mı demek istediniz\?\)/);
+    assert.match(err, /\n {2}- "douglas\.de"\.hostdelayms: bilinmeyen anahtar \("hostDelayMs" mı demek istediniz\?\)$/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('overrideFor: www atılır, üst alan adına çıkılır, URL de kabul edilir', () => {
+  const overrides = { 'rossmann.hu': { detailLimit: 4 }, 'shop.rossmann.hu': { detailLimit: 8 }, 'douglas.de': { maxPages: 2 } };
+  assert.deepEqual(overrideFor(overrides, 'shop.rossmann.hu'), { detailLimit: 8 });
+  assert.deepEqual(overrideFor(overrides, 'www.rossmann.hu'), { detailLimit: 4 });
+  assert.deepEqual(overrideFor(overrides, 'm.shop.rossmann.hu'), { detailLimit: 8 }, 'en yakın üst alan adı');
+  assert.deepEqual(overrideFor(overrides, 'https://WWW.Douglas.de/de/c/parfum/01?page=2'), { maxPages: 2 });
+  assert.deepEqual(overrideFor(overrides, 'douglas.at'), {});
+  assert.deepEqual(overrideFor(overrides, 'hu'), {}, 'yalnızca son ek eşleşmez');
+  assert.deepEqual(overrideFor(overrides, null), {});
+});
+
+test('buildPageUrl: sorgu, ofset ve yol kalıpları; mevcut parametreler korunur', () => {
+  assert.equal(buildPageUrl('https://www.douglas.de/de/c/parfum/01', '?page={n}', 2), 'https://www.douglas.de/de/c/parfum/01?page=2');
+  assert.equal(buildPageUrl('https://www.douglas.de/de/c/parfum/01?sort=price&page=1', '&page={n}', 3), 'https://www.douglas.de/de/c/parfum/01?sort=price&page=3');
+  assert.equal(buildPageUrl('https://shop.rossmann.hu/termekek?q=parfum', '?start={offset}&sz={n}', 3, 24), 'https://shop.rossmann.hu/termekek?q=parfum&start=48&sz=3');
+  assert.equal(buildPageUrl('https://www.sephora.fr/parfum/', '/page/{n}', 4), 'https://www.sephora.fr/parfum/page/4');
+  assert.equal(buildPageUrl('https://www.sephora.fr/parfum?x=1#top', '/page/{n}', 2), 'https://www.sephora.fr/parfum/page/2?x=1#top');
+  assert.equal(buildPageUrl('https://x.de/c', '?start={offset}', 1), 'https://x.de/c?start=0');
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextParamUrl, nextPageUrl } from '../lib/pagination.mjs';
+
+test('nextParamUrl: sayfa, ofset ve yol parametreleri', () => {
+  assert.equal(nextParamUrl('https://www.douglas.de/de/c/make-up/03?page=2'), 'https://www.douglas.de/de/c/make-up/03?page=3');
+  assert.equal(nextParamUrl('https://www.sephora.fr/maquillage/?start=24&sz=24'), 'https://www.sephora.fr/maquillage/?start=48&sz=24');
+  assert.equal(nextParamUrl('https://shop.test/blog/page/2/'), 'https://shop.test/blog/page/3/');
+  assert.equal(nextParamUrl('https://api.shop.test/search?q=serum&offset=40', { pageSize: 20 }), 'https://api.shop.test/search?q=serum&offset=60');
+  assert.equal(nextParamUrl('https://api.shop.test/search?q=serum&offset=40'), null, 'adım bilinmiyor');
+  assert.equal(nextParamUrl('https://api.shop.test/search?q=serum&pageIndex=0&pageSize=48'), 'https://api.shop.test/search?q=serum&pageIndex=1&pageSize=48');
+  assert.equal(nextParamUrl('https://shop.test/sale?sort=price'), null);
+  assert.equal(nextParamUrl('https://shop.test/sale?page=last'), null, 'sayısal olmayan değer');
+});
+
+const list = 'https://shop.test/collections/offers';
+
+test('nextPageUrl: rel=next, numaralı link, ileri linki sırası', () => {
+  const signals = {
+    url: list,
+    relNext: 'https://shop.test/collections/offers?page=2',
+    numbered: [{ n: 2, href: 'https://shop.test/collections/offers?page=2&view=grid' }],
+    next: ['https://shop.test/collections/offers?page=2&ref=next']
+  };
+  assert.equal(nextPageUrl(signals, { listUrl: list }), 'https://shop.test/collections/offers?page=2');
+  assert.equal(nextPageUrl({ ...signals, relNext: null }, { listUrl: list }), 'https://shop.test/collections/offers?page=2&view=grid');
+  assert.equal(nextPageUrl({ ...signals, relNext: null, numbered: [] }, { listUrl: list }), 'https://shop.test/collections/offers?page=2&ref=next');
+  assert.equal(nextPageUrl({ ...signals, relNext: null }, { listUrl: list, pageNo: 2 }), 'https://shop.test/collections/offers?page=2&ref=next', 'numaralı linklerde 3 yok');
+});
+
+test('nextPageUrl: ziyaret edilmiş adresler ve # atlanır, parametre ve eski ?page= yedeği', () => {
+  const visited = new Set(['https://shop.test/collections/offers?page=2']);
+  assert.equal(nextPageUrl({ url: list, relNext: 'https://shop.test/collections/offers?page=2#top', numbered: [], next: [] }, { listUrl: list, visited }), null);
+  assert.equal(nextPageUrl({ url: `${list}?page=2`, numbered: [], next: [] }, { listUrl: list, pageNo: 2, visited }), `${list}?page=3`);
+  assert.equal(nextPageUrl({ url: list, numbered: [], next: [] }, { listUrl: list }), null, 'iz yoksa ve ilk sayfada link varsa durulur');
+  assert.equal(nextPageUrl({ url: list, numbered: [], next: [] }, { listUrl: list, fallback: true }), `${list}?page=2`);
+});
+
+test('nextPageUrl: overrides.json kalıbı sayfadaki izlerden önce gelir', () => {
+  const signals = { url: list, relNext: 'https://shop.test/other?p=2', numbered: [], next: [] };
+  assert.equal(nextPageUrl(signals, { listUrl: 'https://www.sephora.fr/maquillage/', pattern: '?start={offset}&sz=24', pageSize: 24, pageNo: 2 }), 'https://www.sephora.fr/maquillage/?start=48&sz=24');
+  assert.equal(nextPageUrl(signals, { listUrl: 'https://shop.test/sale', pattern: '/page/{n}' }), 'https://shop.test/sale/page/2');
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { registrableDomain, parseRobots, isAllowed, createHostScheduler } from '../lib/politeness.mjs';
+
+const ROBOTS = `
+# örnek
+User-agent: *
+Disallow: /checkout
+Disallow: /*?sort=
+Allow: /checkout/help$
+Crawl-delay: 2
+
+User-agent: BeautyDropBot
+Disallow: /private
+Allow: /private/sale
+Crawl-delay: 0.5
+`;
+
+test('registrableDomain: alt alan adı ve ikinci düzey son ekler', () => {
+  assert.equal(registrableDomain('shop.rossmann.hu'), 'rossmann.hu');
+  assert.equal(registrableDomain('www.douglas.de'), 'douglas.de');
+  assert.equal(registrableDomain('www.boots.co.uk'), 'boots.co.uk');
+  assert.equal(registrableDomain('m.gratis.com.tr'), 'gratis.com.tr');
+  assert.equal(registrableDomain('127.0.0.1:8080'), '127.0.0.1');
+});
+
+test('parseRobots: kendi ajan grubumuz "*" grubundan önce gelir', () => {
+  const mine = parseRobots(ROBOTS);
+  assert.equal(mine.crawlDelay, 0.5);
+  assert.equal(isAllowed(mine, '/private/x'), false);
+  assert.equal(isAllowed(mine, '/private/sale/lancome'), true, 'daha uzun Allow kazanır');
+  assert.equal(isAllowed(mine, '/checkout'), true, '"*" grubu bizim ajana uygulanmaz');
+
+  const any = parseRobots(ROBOTS, 'OtherBot');
+  assert.equal(any.crawlDelay, 2);
+  assert.equal(isAllowed(any, '/checkout/cart'), false);
+  assert.equal(isAllowed(any, '/checkout/help'), true);
+  assert.equal(isAllowed(any, '/checkout/help/more'), false, '$ ile sabitlenmiş kural');
+  assert.equal(isAllowed(any, '/sale?sort=price'), false, '* joker');
+  assert.equal(isAllowed(any, '/sale?page=2'), true);
+});
+
+test('isAllowed: eşit uzunlukta Allow kazanır, boş robots her şeye izin verir', () => {
+  assert.equal(isAllowed(parseRobots('User-agent: *\nDisallow: /sale\nAllow: /sale'), '/sale'), true);
+  assert.equal(isAllowed(parseRobots(''), '/anything'), true);
+  assert.equal(isAllowed(parseRobots('User-agent: *\nDisallow:'), '/anything'), true);
+});
+
+async function withServer(routes, fn) {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    hits.push(req.url);
+    const body = routes[req.url];
+    res.writeHead(body == null ? 404 : 200, { 'content-type': 'text/plain' });
+    res.end(body ?? 'not found');
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'politeness-'));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`, cacheDir, hits);
+  } finally {
+    server.close();
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  }
+}
+
+test('zamanlayıcı: robots.txt yasağı ve günlük bütçe; bütçe ve robots önbelleğe yazılır', async () => {
+  await withServer({ '/robots.txt': 'User-agent: *\nDisallow: /cart\n' }, async (base, cacheDir, hits) => {
+    const sched = createHostScheduler({ limits: { minDelayMs: 0, dailyBudget: 2 }, cacheDir, day: '2026-10-19' });
+    assert.deepEqual(await sched.acquire(`${base}/cart/1`), { ok: false, reason: 'robots' });
+    for (const p of ['/sale', '/sale?page=2']) {
+      const slot = await sched.acquire(base + p);
+      assert.equal(slot.ok, true);
+      slot.release();
+    }
+    assert.deepEqual(await sched.acquire(`${base}/sale?page=3`), { ok: false, reason: 'budget' });
+    assert.deepEqual(sched.usage(), { '127.0.0.1': 2 });
+    assert.equal(hits.filter(h => h === '/robots.txt').length, 1, 'robots.txt host başına bir kez');
+
+    await sched.flush();
+    const again = createHostScheduler({ limits: { minDelayMs: 0, dailyBudget: 2 }, cacheDir, day: '2026-10-19' });
+    assert.deepEqual(await again.acquire(`${base}/other`), { ok: false, reason: 'budget' }, 'aynı gün yeniden çalıştırma');
+    assert.equal(hits.filter(h => h === '/robots.txt').length, 1, 'ikinci çalıştırma önbellekten okur');
+
+    const tomorrow = createHostScheduler({ limits: { minDelayMs: 0, dailyBudget: 2 }, cacheDir, day: '2026-10-20' });
+    assert.equal((await tomorrow.acquire(`${base}/other`)).ok, true);
+  });
+});
+
+test('zamanlayıcı: robots.txt 404 ise her şey serbest; robots=false yasağı yok sayar', async () => {
+  await withServer({}, async (base, cacheDir) => {
+    const sched = createHostScheduler({ limits: { minDelayMs: 0 }, cacheDir });
+    assert.equal((await sched.acquire(`${base}/cart`)).ok, true);
+  });
+  await withServer({ '/robots.txt': 'User-agent: *\nDisallow: /\n' }, async (base, cacheDir, hits) => {
+    const sched = createHostScheduler({ limits: { minDelayMs: 0 }, robots: false, cacheDir });
+    assert.equal((await sched.acquire(`${base}/sale`)).ok, true);
+    assert.equal(hits.length, 0);
+  });
+});
+
+test('zamanlayıcı: alan adı başına eşzamanlılık ve minimum gecikme', async () => {
+  const sched = createHostScheduler({ limits: { minDelayMs: 60, maxInFlight: 1 }, limitsFor: h => (h.endsWith('fast.test') ? { minDelayMs: 0, maxInFlight: 3 } : {}), robots: false });
+  const t0 = Date.now();
+  let active = 0;
+  let peak = 0;
+  const visit = async (url) => {
+    const slot = await sched.acquire(url);
+    active++; peak = Math.max(peak, active);
+    const at = Date.now() - t0;
+    await new Promise(r => setTimeout(r, 10));
+    active--;
+    slot.release();
+    return at;
+  };
+  const starts = await Promise.all(['https://a.slow.test/1', 'https://b.slow.test/2', 'https://slow.test/3'].map(visit));
+  assert.equal(peak, 1, 'alt alan adları aynı sırayı paylaşır');
+  starts.sort((a, b) => a - b);
+  assert.ok(starts[1] - starts[0] >= 55 && starts[2] - starts[1] >= 55, `başlangıçlar: ${starts}`);
+
+  peak = 0;
+  const t1 = Date.now();
+  await Promise.all(['https://fast.test/1', 'https://fast.test/2', 'https://fast.test/3'].map(visit));
+  assert.equal(peak, 3);
+  assert.ok(Date.now() - t1 < 200);
+});
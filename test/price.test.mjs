@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNumberLocalized, detectCurrencyFromText, computeDiscount } from '../bot.mjs';
+import { parsePrice, volumeOf } from '../lib/price.mjs';
+
+test('parseNumberLocalized: yerel ondalık/binlik ayırıcılar', () => {
+  assert.equal(parseNumberLocalized('89,95 €'), 89.95);
+  assert.equal(parseNumberLocalized('€ 1.299,90'), 1299.9);
+  assert.equal(parseNumberLocalized('£1,299.90'), 1299.9);
+  assert.equal(parseNumberLocalized('1 299,90 zł'), 1299.9);
+  assert.equal(parseNumberLocalized("CHF 1'299.90"), 1299.9);
+  assert.equal(parseNumberLocalized('649,90&nbsp;TL'), 649.9);
+  assert.equal(parseNumberLocalized(24.95), 24.95);
+  assert.equal(parseNumberLocalized(null), null);
+});
+
+test('parseNumberLocalized: tek ayırıcı + 3 hane binliktir, işaret korunur', () => {
+  assert.equal(parseNumberLocalized('1.299 TL'), 1299);
+  assert.equal(parseNumberLocalized('12 990 Ft'), 12990);
+  assert.equal(parseNumberLocalized('1.299 Kč', { currency: 'CZK' }), 1299);
+  assert.equal(parseNumberLocalized('1.299.000'), 1299000);
+  assert.equal(parseNumberLocalized('1.299', { currency: 'KWD' }), 1.299);
+  assert.equal(parseNumberLocalized('0,299'), 0.299);
+  assert.equal(parseNumberLocalized('12,5'), 12.5);
+  assert.equal(parseNumberLocalized('CHF 12.–'), 12);
+  assert.equal(parseNumberLocalized('−5,00 €'), -5);
+});
+
+test('parseNumberLocalized: virgül + 3 hane yalnızca ondalığı nokta olan para biriminde binlik', () => {
+  assert.equal(parseNumberLocalized('24,950 €'), 24.95);
+  assert.equal(parseNumberLocalized('1,299 zł'), 1.299);
+  assert.equal(parseNumberLocalized('1,299', { currency: 'EUR' }), 1.299);
+  assert.equal(parseNumberLocalized('£1,299'), 1299);
+  assert.equal(parseNumberLocalized('$24,950'), 24950);
+  assert.equal(parseNumberLocalized('1,299,000 €'), 1299000, 'birden çok ayırıcı yine binlik');
+  assert.equal(parseNumberLocalized('24.950 €'), 24950);
+});
+
+test('parseNumberLocalized: Euro\'yu noktayla yazan ülkelerde (IE, MT, CY) virgül + 3 hane binlik', () => {
+  assert.equal(parseNumberLocalized('€1,299', { currency: 'EUR', country: 'IE' }), 1299, 'boots.ie');
+  assert.equal(parseNumberLocalized('€1,299', { country: 'mt' }), 1299, 'para birimi metinden');
+  assert.equal(parseNumberLocalized('€1,299.50', { country: 'CY' }), 1299.5);
+  assert.equal(parseNumberLocalized('€24.95', { country: 'IE' }), 24.95);
+  assert.equal(parseNumberLocalized('1,299 €', { country: 'DE' }), 1.299, 'virgül ondalıklı ülke değişmez');
+  assert.equal(parsePrice('€1,299 / 100 ml', { country: 'IE' }).unit_price.value, 1299);
+  assert.equal(parsePrice('ab €1,049', { currency: 'EUR', country: 'IE' }).value, 1049);
+});
+
+test('parsePrice: "ab/from" ön ekleri ve aralıklar', () => {
+  assert.deepEqual(pick(parsePrice('ab 1.299,90 TL')), { value: 1299.9, currency: 'TRY', from: true, min: null, max: null });
+  assert.deepEqual(pick(parsePrice('à partir de 19,90 €')), { value: 19.9, currency: 'EUR', from: true, min: null, max: null });
+  assert.deepEqual(pick(parsePrice("1.599,00 TL'den başlayan")), { value: 1599, currency: 'TRY', from: true, min: null, max: null });
+  assert.deepEqual(pick(parsePrice('12,99 € – 24,99 €')), { value: 12.99, currency: 'EUR', from: false, min: 12.99, max: 24.99 });
+  assert.deepEqual(pick(parsePrice('from $12 to $24')), { value: 12, currency: 'USD', from: true, min: 12, max: 24 });
+});
+
+test('parsePrice: birim fiyat ve hacim ayrı alanlara', () => {
+  const p = parsePrice('Idôle 50 ml 89,95 € 35,98 € / 100 ml');
+  assert.equal(p.value, 89.95);
+  assert.deepEqual(p.unit_price, { value: 35.98, currency: 'EUR', per: 100, unit: 'ml' });
+  assert.deepEqual(p.volume, { value: 50, unit: 'ml' });
+
+  const only = parsePrice('12,99 €/100 ml');
+  assert.equal(only.value, null, 'birim fiyat ürün fiyatı sayılmaz');
+  assert.equal(only.unit_price.value, 12.99);
+  assert.deepEqual(parsePrice('(1 l = 25,98 €)').unit_price, { value: 25.98, currency: 'EUR', per: 1, unit: 'l' });
+  assert.deepEqual(parsePrice('Grundpreis: 179,80 € pro 1 l').unit_price, { value: 179.8, currency: 'EUR', per: 1, unit: 'l' });
+  assert.deepEqual(volumeOf('Eau de Toilette 7,5 cl'), { value: 75, unit: 'ml' });
+
+  const set = parsePrice('Set 3x50 ml');
+  assert.equal(set.value, null, 'hacim önündeki çarpan fiyat değil');
+  assert.deepEqual(set.volume, { value: 50, unit: 'ml' });
+  assert.equal(parsePrice('Duo 2 × 30 ml 39,90 €').value, 39.9);
+});
+
+test('parsePrice: çoklu alım kampanyaları', () => {
+  assert.deepEqual(parsePrice('2 für 1').multibuy, { buy: 2, pay: 1 });
+  assert.deepEqual(parsePrice('3 al 2 öde').multibuy, { buy: 3, pay: 2 });
+  assert.deepEqual(parsePrice('1+1 gratis').multibuy, { buy: 2, pay: 1 });
+  assert.deepEqual(parsePrice('Buy 2 get 1 free').multibuy, { buy: 3, pay: 2 });
+  const total = parsePrice('3 for £10');
+  assert.deepEqual(total.multibuy, { qty: 3, total: 10 });
+  assert.equal(total.value, null);
+  assert.equal(parsePrice('-30% 19,99 €').value, 19.99, 'yüzde rozetleri fiyat değil');
+});
+
+test('detectCurrencyFromText: sembol ve kodlar', () => {
+  assert.equal(detectCurrencyFromText('89,95 €'), 'EUR');
+  assert.equal(detectCurrencyFromText('£12.00'), 'GBP');
+  assert.equal(detectCurrencyFromText('129,99 zł'), 'PLN');
+  assert.equal(detectCurrencyFromText('499 Kč'), 'CZK');
+  assert.equal(detectCurrencyFromText('649,90 TL'), 'TRY');
+  assert.equal(detectCurrencyFromText('199 kr SEK'), 'SEK');
+  assert.equal(detectCurrencyFromText('199 kr', { currency: 'DKK' }), 'DKK');
+  assert.equal(detectCurrencyFromText('GIFT SET'), null);
+  assert.equal(detectCurrencyFromText('12.99'), null);
+  assert.equal(detectCurrencyFromText(''), null);
+});
+
+test('computeDiscount: yalnızca geçerli eski fiyatla', () => {
+  assert.equal(computeDiscount(89.95, 119), 24.4);
+  assert.equal(computeDiscount(50, 50), null);
+  assert.equal(computeDiscount(60, 50), null);
+  assert.equal(computeDiscount(10, null), null);
+  assert.equal(computeDiscount(null, 20), null);
+  assert.equal(computeDiscount(10, 0), null);
+});
+
+function pick({ value, currency, from, min, max }) { return { value, currency, from, min, max }; }
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePromotion, parseValidity, extractPromotions } from '../lib/promotions.mjs';
+
+const day = '2026-10-19';
+
+test('parsePromotion: kupon kodu, yüzde ve bitiş tarihi', () => {
+  const p = parsePromotion('-20% mit Code BEAUTY20 bis 31.10.', { currency: 'EUR', day });
+  assert.equal(p.type, 'coupon');
+  assert.equal(p.code, 'BEAUTY20');
+  assert.equal(p.percent, 20);
+  assert.equal(p.valid_until, '2026-10-31');
+
+  const fr = parsePromotion("-15 % avec le code NOEL15 dès 49 € d'achat, jusqu'au 24 décembre", { currency: 'EUR', day });
+  assert.deepEqual([fr.code, fr.percent, fr.threshold, fr.valid_until], ['NOEL15', 15, 49, '2026-12-24']);
+
+  const tr = parsePromotion('BEAUTY25 kodu ile 500 TL ve üzeri alışverişlerde 100 TL indirim', { currency: 'TRY', day });
+  assert.deepEqual([tr.code, tr.amount, tr.threshold, tr.currency], ['BEAUTY25', 100, 500, 'TRY']);
+});
+
+test('parsePromotion: tutar indirimi, çoklu alım ve hediye', () => {
+  const fixed = parsePromotion('10 € Rabatt ab 60 € Bestellwert', { currency: 'EUR', day });
+  assert.deepEqual([fixed.type, fixed.amount, fixed.threshold], ['discount', 10, 60]);
+
+  assert.deepEqual(parsePromotion('3 für 2 auf alle Make-up Produkte', { day }).multibuy, { buy: 3, pay: 2 });
+  assert.deepEqual(parsePromotion('2x1 en perfumes', { day }).multibuy, { buy: 2, pay: 1 });
+  const tr = parsePromotion('3 al 2 öde kampanyası 1 Kasım - 15 Kasım', { day });
+  assert.deepEqual([tr.type, tr.valid_from, tr.valid_until], ['multibuy', '2026-11-01', '2026-11-15']);
+
+  const gift = parsePromotion('free gift when you spend £40', { day });
+  assert.deepEqual([gift.type, gift.gift, gift.threshold, gift.currency], ['gift', true, 40, 'GBP']);
+  assert.equal(parsePromotion('Geschenk ab 50 € Einkaufswert', { currency: 'EUR', day }).threshold, 50);
+  assert.equal(parsePromotion('Gratis Geschenk zum Einkauf', { currency: 'EUR', day }).type, 'gift');
+  assert.equal(parsePromotion('500 TL ve üzeri alışverişe hediye', { currency: 'TRY', day }).threshold, 500);
+});
+
+test('parsePromotion: ürün rozeti, kargo bandı ve fiyatlar kampanya değildir', () => {
+  for (const t of ['-30%', 'Sale bis zu -50%', 'Gratis Versand ab 29,00 €', 'Jetzt 3,10 € sparen', 'Set 2x50 ml']) {
+    assert.equal(parsePromotion(t, { currency: 'EUR', day }), null, t);
+  }
+  assert.equal(parsePromotion('Sepette %25 indirim!', { currency: 'TRY', day }).percent, 25);
+});
+
+test('parsePromotion: hediye seti adları ve büyük harfli kupon bannerları kampanya değildir', () => {
+  for (const t of ['Lancôme Idôle Geschenkset 50 ml', 'Coffret Cadeau Dior Sauvage', 'Hugo Boss Hediye Seti',
+    'GUTSCHEIN SICHERN', 'JETZT GUTSCHEIN EINLÖSEN', 'CODE KOPIEREN', 'GUTSCHEINCODE ANZEIGEN']) {
+    assert.equal(parsePromotion(t, { currency: 'EUR', day }), null, t);
+  }
+  assert.equal(parsePromotion('-20% MIT CODE BEAUTY20', { currency: 'EUR', day }).code, 'BEAUTY20');
+  assert.equal(parsePromotion('EXTRA -10% MIT GUTSCHEIN: SOMMER', { currency: 'EUR', day }).code, 'SOMMER');
+});
+
+test('parseValidity: sayısal ve yazılı tarihler, yılsız tarih ileriye yuvarlanır', () => {
+  assert.deepEqual(parseValidity('Oferta válida del 01/11 al 15/11', { day }), { valid_from: '2026-11-01', valid_until: '2026-11-15' });
+  assert.deepEqual(parseValidity('offer ends October 31, 2026', { day }), { valid_from: null, valid_until: '2026-10-31' });
+  assert.deepEqual(parseValidity("31 Ekim'e kadar", { day }), { valid_from: null, valid_until: '2026-10-31' });
+  assert.deepEqual(parseValidity('gültig bis 05.01.', { day }), { valid_from: null, valid_until: '2027-01-05' });
+  assert.deepEqual(parseValidity('ab 01.11.2026', { day }), { valid_from: '2026-11-01', valid_until: null });
+  assert.deepEqual(parseValidity('nur 3.10 €', { day }), { valid_from: null, valid_until: null });
+});
+
+test('extractPromotions: bloklar parçalanır, aynı mekanik bir kez yazılır', () => {
+  const promos = extractPromotions([
+    'Nur heute: -20% mit Code BEAUTY20 | 3 für 2 auf Make-up',
+    { text: '-20% mit Code BEAUTY20', url: 'https://shop.de/aktion' },
+    'Neu eingetroffen'
+  ], { store: 'shop.de', country: 'DE', url: 'https://shop.de/angebote', currency: 'EUR', day });
+  assert.equal(promos.length, 2);
+  assert.deepEqual(promos.map(p => p.type), ['coupon', 'multibuy']);
+  assert.equal(promos[0].store, 'shop.de');
+  assert.equal(promos[0].country, 'DE');
+  assert.equal(promos[0].url, 'https://shop.de/angebote');
+  assert.match(promos[0].id, /^[0-9a-f]{16}$/);
+});
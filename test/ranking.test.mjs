@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { scoreDeal, rankResults, resolveRanking, validateRanking, loadRanking } from '../lib/ranking.mjs';
+import { buildDigest, digestMarkdown, digestHtml, writeDigest } from '../lib/digest.mjs';
+
+const conf = resolveRanking({ brandTiers: { 1: ['Lancôme', 'YSL'], 3: ['Maybelline New York'] }, storeTrust: { 'douglas.de': 1 } });
+const item = (over = {}) => ({
+  name: 'Idôle Eau de Parfum 50 ml', brand: 'Lancôme', store: 'www.douglas.de', country: 'DE', currency: 'EUR',
+  price_new: 89.95, price_old: 119, discount_pct: 24.4, availability: 'https://schema.org/InStock',
+  url: 'https://www.douglas.de/de/p/5010123', product_key: 'douglas.de|idole-50', ...over
+});
+
+test('scoreDeal: bileşenler ve ağırlıklı puan', () => {
+  const { score, parts } = scoreDeal(item(), conf);
+  assert.deepEqual(parts, { discount: 0.41, history: 0.5, brand: 1, availability: 1, store: 1 });
+  assert.equal(score, 66.7);
+  assert.deepEqual(scoreDeal(item({ discount_pct: null, price_old: null }), conf), { score: null, parts: null }, 'indirim yoksa fırsat değil');
+});
+
+test('scoreDeal: geçmiş güvenilirliği, marka kademesi, stok ve mağaza türü', () => {
+  const below = scoreDeal(item({ history: { low_30d: 95, true_discount_pct: 5.3 } }), conf);
+  const above = scoreDeal(item({ history: { low_30d: 79, true_discount_pct: 0 } }), conf);
+  assert.equal(below.parts.history, 1);
+  assert.equal(above.parts.history, 0.2, 'son 30 günde daha ucuzdu: sahte indirim şüphesi');
+  assert.ok(below.score > above.score);
+
+  assert.equal(scoreDeal(item({ brand: 'Saint Laurent' }), conf).parts.brand, 1, 'marka takma adı');
+  assert.equal(scoreDeal(item({ brand: null, name: 'Maybelline New York Sky High Maskara' }), conf).parts.brand, 0.4, 'marka addan');
+  assert.equal(scoreDeal(item({ brand: 'Noname' }), conf).parts.brand, 0.3);
+  assert.equal(scoreDeal(item({ availability: 'OutOfStock' }), conf).parts.availability, 0);
+  assert.equal(scoreDeal(item({ availability: null }), conf).parts.availability, 0.7);
+  assert.equal(scoreDeal(item({ store: 'www.trendyol.com', retailer_type: 'marketplace' }), conf).parts.store, 0.6);
+  assert.equal(scoreDeal(item({ discount_pct: 80 }), conf).parts.discount, 1, '%60 üstü tavan');
+});
+
+test('rankResults: feed retailerType ürüne geçer', () => {
+  const results = [{ ok: true, retailerType: 'aggregator', items: [item({ store: 'www.cimri.com' }), item({ discount_pct: 0, price_old: null })] }];
+  rankResults(results, conf);
+  assert.equal(results[0].items[0].score_parts.store, 0.5);
+  assert.equal(results[0].items[1].deal_score, null);
+});
+
+test('ranking.json doğrulaması ve yükleme', async () => {
+  assert.deepEqual(validateRanking({ $comment: 'x', topN: 5, brandTiers: { 1: ['Dior'] } }), []);
+  assert.equal(validateRanking({ brandTiers: { 4: ['Dior'] }, weights: { price: 1 }, topN: 0, colour: 1 }).length, 4);
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'beautydrop-ranking-'));
+  try {
+    assert.equal((await loadRanking(path.join(dir, 'yok.json'))).topN, 10, 'dosya yoksa varsayılanlar');
+    await fs.writeFile(path.join(dir, 'bad.json'), JSON.stringify({ minDiscount: 120 }));
+    await assert.rejects(loadRanking(path.join(dir, 'bad.json')), /geçersiz:\n {2}- minDiscount/);
+    assert.deepEqual(validateRanking(JSON.parse(await fs.readFile(new URL('../feeds/ranking.json', import.meta.url), 'utf8'))), []);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+function sampleOut() {
+  const results = [
+    { ok: true, country: 'DE', items: [
+      item(),
+      item({ name: 'Libre EdP 50 ml', brand: 'YSL', product_key: 'douglas.de|libre', product_id: 'p-libre', price_new: 70, price_old: 100, discount_pct: 30, category: 'perfume' }),
+      item({ name: 'Mascara', brand: 'Noname', product_key: 'douglas.de|m', price_new: 9.5, price_old: 10, discount_pct: 5 }),
+      item({ name: 'Sold out', product_key: 'douglas.de|so', availability: 'OutOfStock', discount_pct: 50 }),
+      item({ name: 'A & <b>', brand: 'Noname', product_key: 'douglas.de|a', discount_pct: 20, category: 'makeup' })
+    ] },
+    { ok: true, country: 'FR', items: [
+      item({ name: 'Libre EdP 50 ml', brand: 'YSL', store: 'www.sephora.fr', country: 'FR', product_key: 'sephora.fr|libre', product_id: 'p-libre', price_new: 75, price_old: 100, discount_pct: 25, category: 'perfume' })
+    ] },
+    { ok: false, error: { name: 'Error', message: 'x' } }
+  ];
+  rankResults(results, conf);
+  return { date: '2025-11-16', results };
+}
+
+test('buildDigest: eşik, stok, ürün tekilliği, mağaza sınırı ve gruplar', () => {
+  const d = buildDigest(sampleOut(), { ...conf, maxPerStore: 2 }, { day: '2025-11-16', topN: 5 });
+  assert.equal(d.totals.deals, 4, '%10 altı ve tükenen hariç');
+  // 3. douglas ürünü mağaza sınırına, sephora'daki Libre aynı product_id'ye takılır
+  assert.deepEqual(d.top.map(x => x.id), ['douglas.de|libre', 'douglas.de|idole-50']);
+  assert.deepEqual(Object.keys(d.countries), ['DE', 'FR']);
+  assert.deepEqual(Object.keys(d.categories), ['makeup', 'mixed', 'perfume']);
+  assert.equal(d.countries.FR[0].store, 'www.sephora.fr');
+  assert.ok(d.top.every((x, i, a) => i === 0 || a[i - 1].score >= x.score));
+});
+
+test('digest Markdown/HTML ve dosyalar', async () => {
+  const d = buildDigest(sampleOut(), conf, { day: '2025-11-16' });
+  const md = digestMarkdown(d);
+  assert.match(md, /^# BeautyDrop — Günün fırsatları \(2025-11-16\)/);
+  assert.match(md, /### Parfüm/);
+  assert.match(md, /~~119\.00 EUR~~/);
+  const html = digestHtml(d);
+  assert.match(html, /A &amp; &lt;b&gt;/);
+  assert.doesNotMatch(html, /A & <b>/);
+
+  const empty = buildDigest({ date: '2025-11-16', results: [] }, conf);
+  assert.match(digestMarkdown(empty), /eşiği geçen fırsat yok/);
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'beautydrop-digest-'));
+  try {
+    const files = await writeDigest(d, dir);
+    assert.deepEqual(files.map(f => path.basename(f)), ['digest-2025-11-16.json', 'digest-2025-11-16.md', 'digest-2025-11-16.html']);
+    assert.equal(JSON.parse(await fs.readFile(files[0], 'utf8')).top.length, d.top.length);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
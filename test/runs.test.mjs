@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { parseShard, shardFeeds, saveCheckpoint, loadCheckpoints, writeManifest, collectRun, latestRunDay, runDir } from '../lib/runs.mjs';
+import { registrableDomain } from '../lib/politeness.mjs';
+
+test('parseShard', () => {
+  assert.deepEqual(parseShard(undefined), { index: 1, count: 1 });
+  assert.deepEqual(parseShard('2/4'), { index: 2, count: 4 });
+  assert.throws(() => parseShard('5/4'), /--shard/);
+  assert.throws(() => parseShard('0/4'), /--shard/);
+  assert.throws(() => parseShard('2'), /--shard/);
+});
+
+test('shardFeeds: her feed tam olarak bir parçada', () => {
+  const feeds = Array.from({ length: 10 }, (_, i) => ({ url: `https://shop${i}.de/c/${i}` }));
+  const parts = [1, 2, 3].map(index => shardFeeds(feeds, { index, count: 3 }));
+  assert.deepEqual(parts.map(p => p.length), [4, 3, 3]);
+  assert.deepEqual(parts.flat().map(f => f.url).sort(), feeds.map(f => f.url).sort());
+  assert.deepEqual(shardFeeds(feeds, { index: 1, count: 1 }), feeds);
+});
+
+test('shardFeeds: bir alan adının feed\'leri aynı parçada, öncelik sırası korunur', () => {
+  const feeds = [
+    'https://www.douglas.de/de/c/parfum/01', 'https://www.flaconi.de/parfum/', 'https://www.douglas.de/de/c/make-up/03',
+    'https://www.notino.de/parfum/', 'https://shop.douglas.de/sale', 'https://www.flaconi.de/make-up/',
+    'https://www.trendyol.com.tr/kozmetik', 'https://m.trendyol.com.tr/parfum', 'https://www.sephora.de/parfum'
+  ].map(url => ({ url }));
+  const parts = [1, 2, 3].map(index => shardFeeds(feeds, { index, count: 3 }));
+  const domains = parts.map(p => [...new Set(p.map(f => registrableDomain(new URL(f.url).host)))]);
+  assert.deepEqual(domains, [['douglas.de'], ['flaconi.de', 'notino.de'], ['trendyol.com.tr', 'sephora.de']]);
+  assert.deepEqual(parts.map(p => p.length), [3, 3, 3]);
+  assert.deepEqual(parts[0].map(f => f.url), ['https://www.douglas.de/de/c/parfum/01', 'https://www.douglas.de/de/c/make-up/03', 'https://shop.douglas.de/sale']);
+});
+
+test('checkpoint → collectRun: feed sırası, eksik ve bitmemiş shard', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'beautydrop-runs-'));
+  try {
+    const day = '2025-11-16';
+    const dir = runDir(dataDir, day);
+    const s1 = path.join(dir, 'shard-1of3');
+    const s2 = path.join(dir, 'shard-2of3');
+    await fs.mkdir(s1, { recursive: true });
+    await fs.mkdir(s2, { recursive: true });
+    const cp = (order) => ({ order, feed: { url: `https://x.de/${order}` }, result: { sourceUrl: `https://x.de/${order}`, ok: true } });
+    await saveCheckpoint(s1, cp(3));
+    await saveCheckpoint(s1, cp(0));
+    await saveCheckpoint(s2, cp(1));
+    await writeManifest(s1, { day, shard: { index: 1, count: 3 } });
+
+    assert.deepEqual((await loadCheckpoints(s1)).map(c => c.order), [0, 3]);
+    const run = await collectRun(dir);
+    assert.deepEqual(run.results.map(r => r.sourceUrl), ['https://x.de/0', 'https://x.de/1', 'https://x.de/3']);
+    assert.equal(run.shards.length, 1);
+    assert.deepEqual(run.incomplete, ['shard-2of3']);
+    assert.deepEqual(run.missing, ['shard-3of3']);
+    assert.equal(await latestRunDay(dataDir), day);
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,142 @@
+// Uçtan uca: test/fixtures/site yerel HTTP sunucusundan servis edilir, scrapeWithEngine ağa çıkmadan çalışır.
+// Playwright tarayıcısı kurulu değilse atlanır (npx playwright install chromium veya CHROMIUM_PATH=/yol/chrome).
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { chromium } from 'playwright';
+import { createScraper } from '../lib/scrape.mjs';
+import { loadRates } from '../lib/currency.mjs';
+
+const ROOT = fileURLToPath(new URL('./fixtures/site/', import.meta.url));
+const executablePath = process.env.CHROMIUM_PATH || undefined;
+const browserMissing = !fs.existsSync(executablePath || chromium.executablePath());
+
+let server;
+let base;
+
+before(async () => {
+  if (browserMissing) return;
+  server = http.createServer(async (req, res) => {
+    const file = path.join(ROOT, decodeURIComponent(new URL(req.url, 'http://x').pathname));
+    if (!file.startsWith(ROOT)) { res.writeHead(403).end(); return; }
+    try {
+      const body = await fsp.readFile(file);
+      res.writeHead(200, { 'Content-Type': file.endsWith('.json') ? 'application/json' : 'text/html; charset=utf-8' }).end(body);
+    } catch {
+      res.writeHead(404, { 'Content-Type': 'text/html' }).end('<h1>404</h1>');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server?.close());
+
+test('scrapeWithEngine: listing → ürün detayları (ld+json, OG, microdata)', { skip: browserMissing && 'Playwright Chromium kurulu değil', timeout: 180000 }, async () => {
+  const rates = await loadRates(fileURLToPath(new URL('../rates/', import.meta.url)));
+  const { scrapeWithEngine } = createScraper({ executablePath, maxScrolls: 1, tryPaginate: false, rates });
+  const r = await scrapeWithEngine(`${base}/list.html`, 'chromium', { country: 'DE' });
+
+  assert.equal(r.ok, true);
+  assert.equal(r.country, 'DE');
+  assert.equal(r.host, new URL(base).host);
+  const byName = Object.fromEntries(r.items.map(it => [it.name, it]));
+
+  const idole = byName['Idôle Eau de Parfum 50 ml'];
+  assert.ok(idole, 'Douglas ld+json ürünü');
+  assert.equal(idole.price_new, 89.95);
+  assert.equal(idole.price_old, 119);
+  assert.equal(idole.price_new_eur, 89.95);
+
+  const gloss = byName['Gloss Bomb - Enlumineur à lèvres universel'];
+  assert.ok(gloss, 'Sephora OG ürünü');
+  assert.equal(gloss.source, 'og');
+
+  const skyHigh = byName['Lash Sensational Sky High Maskara'];
+  assert.ok(skyHigh, 'Trendyol ürünü');
+  assert.equal(skyHigh.currency, 'TRY');
+  assert.ok(skyHigh.price_new_eur > 0 && skyHigh.price_new_eur < skyHigh.price_new);
+
+  const surge = r.items.find(it => it.source === 'dom-microdata');
+  assert.ok(surge, 'Flaconi microdata ürünü DOM yolundan gelir');
+  assert.equal(surge.price_new, 24.95);
+  assert.equal(surge.price_old, 32.95);
+  assert.equal(surge.currency, 'EUR');
+
+  assert.ok(byName['Libre Eau de Parfum für Damen 50 ml'], 'Notino ürünü');
+});
+
+test('scrapeWithEngine: listing kartlarından fiyat, eski fiyat ve rozet (detay sayfası açmadan)', { skip: browserMissing && 'Playwright Chromium kurulu değil', timeout: 180000 }, async () => {
+  const { scrapeWithEngine } = createScraper({ executablePath, maxScrolls: 1, tryPaginate: false });
+  const r = await scrapeWithEngine(`${base}/cards.html`, 'chromium', { country: 'DE' });
+
+  assert.equal(r.ok, true);
+  assert.equal(r.items.length, 4, 'kargo bandı ürün sayılmaz');
+  assert.ok(r.items.every(it => it.source === 'dom-card'));
+  const byName = Object.fromEntries(r.items.map(it => [it.name, it]));
+
+  const idole = byName['Idôle Eau de Parfum 50 ml'];
+  assert.equal(idole.brand, 'Lancôme');
+  assert.equal(idole.price_new, 89.95);
+  assert.equal(idole.price_old, 119);
+  assert.equal(idole.badge, '-24%');
+  assert.equal(idole.url, `${base}/p/card-idole.html`);
+  assert.equal(idole.image, `${base}/img/idole.jpg`);
+  assert.equal(idole.unit_price.value, 179.9);
+
+  const libre = byName['Libre Eau de Parfum 30 ml'];
+  assert.equal(libre.price_new, 74.25);
+  assert.equal(libre.price_old, 99, 'line-through stili çizili fiyat sayılır');
+  assert.equal(libre.discount_pct, 25);
+
+  const surge = byName['Moisture Surge 100H 75 ml'];
+  assert.deepEqual([surge.price_old, surge.badge, surge.discount_pct], [null, null, null], 'kart metnindeki kampanya yazısı rozet sayılmaz');
+  assert.equal(byName['Gloss Bomb Universal Lip Luminizer'].availability, 'out_of_stock');
+
+  assert.equal(r.promotions.length, 1, 'kargo bandı ve ürün rozetleri kampanya sayılmaz');
+  assert.equal(r.promotions[0].code, 'HERBST10');
+  assert.equal(r.promotions[0].percent, 10);
+  assert.equal(r.promotions[0].store, r.host);
+});
+
+test('scrapeWithEngine: challenge sayfası 0 ürünlü "ok" değil, blocked döner', { skip: browserMissing && 'Playwright Chromium kurulu değil', timeout: 120000 }, async () => {
+  const { scrapeWithEngine } = createScraper({ executablePath, maxScrolls: 1, tryPaginate: false });
+  const r = await scrapeWithEngine(`${base}/challenge.html`, 'chromium', { country: 'DE' });
+  assert.equal(r.ok, false);
+  assert.equal(r.blocked, true);
+  assert.match(r.blockReason, /^cloudflare challenge/);
+  assert.equal(r.itemsCount, 0);
+});
+
+test('scrapeWithEngine: fetch ile gelen JSON listesi detay sayfası açmadan ürün olur', { skip: browserMissing && 'Playwright Chromium kurulu değil', timeout: 120000 }, async () => {
+  const { scrapeWithEngine } = createScraper({ executablePath, maxScrolls: 1, tryPaginate: false });
+  const r = await scrapeWithEngine(`${base}/api.html`, 'chromium', { country: 'TR' });
+
+  assert.equal(r.ok, true);
+  assert.equal(r.items.length, 3);
+  assert.ok(r.items.every(it => it.source === 'json-api'));
+  const sky = r.items.find(it => it.name === 'Lash Sensational Sky High Maskara');
+  assert.equal(sky.price_new, 249.9);
+  assert.equal(sky.price_old, 399.9);
+  assert.equal(sky.currency, 'TRY');
+  assert.equal(sky.url, `${base}/maybelline-new-york/lash-sensational-sky-high-maskara-p-32815541?boutiqueId=61&merchantId=968`);
+  assert.equal(sky.store, r.host);
+});
+
+test('scrapeWithEngine: rel=next → numaralı link → "Weiter"; aynı ürünleri veren sayfada durur', { skip: browserMissing && 'Playwright Chromium kurulu değil', timeout: 180000 }, async () => {
+  const { scrapeWithEngine } = createScraper({ executablePath, maxScrolls: 1 });
+  const r = await scrapeWithEngine(`${base}/paged-1.html`, 'chromium', { country: 'DE' });
+
+  assert.equal(r.ok, true);
+  assert.equal(r.pagesCrawled, 3, 'paged-4 paged-3 ile aynı ürünleri verir, sayılmaz');
+  assert.deepEqual(r.items.map(it => it.url.split('/').pop()).sort(), ['paged-a.html', 'paged-b.html', 'paged-c.html', 'paged-d.html', 'paged-e.html', 'paged-f.html']);
+
+  const short = createScraper({ executablePath, maxScrolls: 1, maxPages: 2 });
+  const r2 = await short.scrapeWithEngine(`${base}/paged-1.html`, 'chromium', { country: 'DE' });
+  assert.equal(r2.pagesCrawled, 2);
+  assert.equal(r2.items.length, 4);
+});
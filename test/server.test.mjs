@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { serveApi, queryDeals, storeStats } from '../lib/server.mjs';
+import { withEur } from '../lib/currency.mjs';
+import { item, snapshot } from './fixtures/deals.mjs';
+
+// 1 EUR = 49 TRY; bot gibi ürünlere withEur uygulanır
+const rates = new Map([['TRY', [{ date: '2025-11-14', rate: 49 }]]]);
+const eur = (day, items) => items.map(it => withEur(it, rates, day));
+
+async function withApi(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'beautydrop-api-'));
+  const write = async (s, mtime) => {
+    const file = path.join(dir, `deals-${s.date}.json`);
+    await fs.writeFile(file, JSON.stringify(s));
+    if (mtime) await fs.utimes(file, mtime, mtime);
+  };
+  await write(snapshot('2025-11-15', eur('2025-11-15', [item('idole', { price_new: 95, name: 'Idôle Eau de Parfum 50 ml' })])), new Date('2025-11-15T04:00:00Z'));
+  await write(snapshot('2025-11-16', [
+    ...eur('2025-11-16', [
+      item('idole', { name: 'Idôle Eau de Parfum 50 ml', price_new: 79.95, price_old: 119, discount_pct: 32.8, deal_score: 71, category: 'perfume' }),
+      item('libre', { name: 'Libre Eau de Parfum 30 ml', brand: 'YSL', price_new: 74.25, discount_pct: 25, deal_score: 64, category: 'perfume' })
+    ]),
+    // Kur tablosu olmadan yazılmış eski kayıt: price_new_eur yok
+    item('mascara', { name: 'Sky High Mascara', brand: 'Maybelline', price_new: 9.95, discount_pct: null, price_old: null })
+  ], [
+    ...eur('2025-11-16', [item('tr', { name: 'Elseve Şampuan 450 ml', brand: "L'Oréal Paris", store: 'www.trendyol.com', currency: 'TRY', price_new: 129.9, discount_pct: 35, deal_score: 50 })]),
+    item('tr-eski', { name: 'Elvital Saç Kremi 360 ml', brand: "L'Oréal Paris", store: 'www.trendyol.com', currency: 'TRY', price_new: 98, price_old: null, discount_pct: null })
+  ]),
+  new Date('2025-11-16T04:00:00Z'));
+  const { server, url } = await serveApi({ dataDir: dir, rates, port: 0 });
+  try {
+    await fn(url, { dir, write });
+  } finally {
+    await new Promise(r => server.close(r));
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const getJson = async (url, headers) => {
+  const res = await fetch(url, { headers });
+  return { res, body: res.status === 304 ? null : await res.json() };
+};
+
+test('GET /deals: süzgeçler, sıralama ve sayfalama', async () => {
+  await withApi(async (base) => {
+    const ids = async (q) => (await getJson(`${base}/deals?${q}`)).body.items.map(it => it.id);
+    const { body } = await getJson(`${base}/deals`);
+    assert.equal(body.date, '2025-11-16');
+    assert.equal(body.total, 5);
+    assert.deepEqual(body.items.map(it => it.id), ['idole', 'libre', 'tr', 'mascara', 'tr-eski'], 'varsayılan -score, puansız sonda');
+
+    assert.deepEqual(await ids('country=de'), ['idole', 'libre', 'mascara']);
+    assert.deepEqual(await ids('store=trendyol.com'), ['tr', 'tr-eski']);
+    assert.deepEqual(await ids('brand=Yves%20Saint%20Laurent'), ['libre'], 'marka takma adı');
+    assert.deepEqual(await ids('currency=TRY,PLN'), ['tr', 'tr-eski']);
+    assert.deepEqual(await ids('minDiscount=30'), ['idole', 'tr']);
+    assert.deepEqual(await ids('minPrice=10&maxPrice=80&sort=price'), ['libre', 'idole']);
+    assert.deepEqual(await ids('maxPrice=5'), ['tr', 'tr-eski'], 'para birimi verilmezse EUR karşılığı: 129,90 TRY ≈ 2,65 €, 98 TRY = 2 €');
+    assert.deepEqual(await ids('country=DE&maxPrice=10'), ['mascara'], 'EUR alanı olmayan eski EUR kaydı');
+    assert.deepEqual(await ids('currency=TRY&minPrice=100'), ['tr'], 'tek para birimi: o para biriminde');
+    assert.deepEqual(await ids('currency=EUR,TRY&minPrice=100'), [], 'birden çok para birimi: EUR karşılığı');
+    assert.deepEqual(await ids('q=idole%20parfum'), ['idole'], 'metin araması aksan duyarsız');
+    assert.deepEqual(await ids('category=perfume&sort=-discount'), ['idole', 'libre']);
+    assert.deepEqual(await ids('sort=name&limit=2&offset=1'), ['tr-eski', 'idole']);
+
+    const legacy = (await getJson(`${base}/deals?store=trendyol.com&sort=price_eur`)).body.items;
+    assert.deepEqual(legacy.map(it => [it.id, it.price_new_eur]), [['tr-eski', 2], ['tr', 2.65]], 'eksik EUR karşılığı kurla doldurulur');
+
+    const page = (await getJson(`${base}/deals?limit=1&offset=3`)).body;
+    assert.deepEqual([page.total, page.limit, page.offset, page.items.length], [5, 1, 3, 1]);
+    assert.equal((await getJson(`${base}/deals?date=2025-11-15`)).body.items[0].price_new, 95, 'eski gün');
+
+    const bad = await getJson(`${base}/deals?sort=color`);
+    assert.equal(bad.res.status, 400);
+    assert.match(bad.body.error.message, /^sort:/);
+    assert.equal((await getJson(`${base}/deals?limit=9999`)).res.status, 400);
+    assert.equal((await getJson(`${base}/deals?minPrice=abc`)).res.status, 400);
+    assert.equal((await getJson(`${base}/deals?date=2025-01-01`)).res.status, 404);
+  });
+});
+
+test('GET /stores ve /history/:productKey', async () => {
+  await withApi(async (base) => {
+    const { body } = await getJson(`${base}/stores`);
+    assert.deepEqual(body.stores.map(s => [s.store, s.items, s.feeds, s.errors]),
+      [['www.douglas.de', 3, 1, 0], ['www.trendyol.com', 2, 1, 0], ['www.flaconi.de', 0, 1, 1]]);
+    const douglas = body.stores[0];
+    assert.deepEqual([douglas.countries, douglas.currencies, douglas.discounted, douglas.avg_discount, douglas.max_discount], [['DE'], ['EUR'], 2, 28.9, 32.8]);
+
+    const h = (await getJson(`${base}/history/idole`)).body;
+    assert.equal(h.name, 'Idôle Eau de Parfum 50 ml');
+    assert.deepEqual(h.observations, [{ day: '2025-11-15', price: 95, currency: 'EUR' }, { day: '2025-11-16', price: 79.95, currency: 'EUR' }]);
+    assert.deepEqual([h.first_seen, h.last_seen, h.low, h.high], ['2025-11-15', '2025-11-16', 79.95, 95]);
+    assert.equal((await getJson(`${base}/history/yok`)).res.status, 404);
+    const malformed = await getJson(`${base}/history/%E0`);
+    assert.equal(malformed.res.status, 400, 'bozuk URL kodlaması 500 değil');
+    assert.deepEqual(malformed.body.error, { name: 'HttpError', message: 'productKey: geçersiz URL kodlaması "%E0"' });
+    assert.equal((await getJson(`${base}/nope`)).res.status, 404);
+    assert.equal((await fetch(`${base}/deals`, { method: 'POST' })).status, 405);
+  });
+});
+
+test('ETag / Last-Modified: 304 ve yeni anlık görüntüde yenilenme', async () => {
+  await withApi(async (base, { write }) => {
+    const first = await getJson(`${base}/deals?country=DE`);
+    const etag = first.res.headers.get('etag');
+    const lastModified = first.res.headers.get('last-modified');
+    assert.equal(lastModified, 'Sun, 16 Nov 2025 04:00:00 GMT');
+    assert.equal((await getJson(`${base}/deals?country=DE`, { 'If-None-Match': etag })).res.status, 304);
+    assert.equal((await getJson(`${base}/deals?country=DE`, { 'If-Modified-Since': lastModified })).res.status, 304);
+    assert.equal((await getJson(`${base}/deals?country=DE`, { 'If-Modified-Since': 'Sat, 15 Nov 2025 04:00:00 GMT' })).res.status, 200);
+    assert.equal((await getJson(`${base}/deals?country=TR`, { 'If-None-Match': etag })).res.status, 200, 'başka sorgu başka ETag');
+    const head = await fetch(`${base}/deals`, { method: 'HEAD' });
+    assert.equal(head.status, 200);
+    assert.equal(await head.text(), '');
+
+    await write(snapshot('2025-11-17', [item('idole', { price_new: 70 })]), new Date('2025-11-17T04:00:00Z'));
+    const next = await getJson(`${base}/deals?country=DE`, { 'If-None-Match': etag });
+    assert.equal(next.res.status, 200);
+    assert.equal(next.body.date, '2025-11-17');
+    assert.equal((await getJson(`${base}/history/idole`)).body.observations.length, 3);
+  });
+});
+
+test('queryDeals: değeri olmayanlar her iki yönde sonda', () => {
+  const items = [{ id: 'a', price_new: 5, deal_score: null }, { id: 'b', price_new: 3, deal_score: 10 }, { id: 'c', price_new: 4, deal_score: 20 }];
+  const ids = (sort) => queryDeals(items, new URLSearchParams({ sort })).items.map(it => it.id);
+  assert.deepEqual(ids('score'), ['b', 'c', 'a']);
+  assert.deepEqual(ids('-score'), ['c', 'b', 'a']);
+  assert.deepEqual(ids('-price'), ['a', 'c', 'b']);
+});
+
+test('storeStats: bozuk sourceUrl atlanır, yanıt düşmez', () => {
+  const stats = storeStats({ results: [
+    { ok: false, sourceUrl: 'douglas.de/sale', error: { name: 'Error', message: 'x' } },
+    { ok: false, sourceUrl: 'https://www.flaconi.de/sale/', error: { name: 'Error', message: 'x' } }
+  ] }, []);
+  assert.deepEqual(stats.map(s => [s.store, s.feeds, s.errors]), [['www.flaconi.de', 1, 1]]);
+});
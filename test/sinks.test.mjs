@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { parseSinks, flattenItems, flattenPromotions, toCsv, writeSinks } from '../lib/sinks.mjs';
+import { item as baseItem } from './fixtures/deals.mjs';
+
+// node:sqlite (Node 22.5+) veya better-sqlite3; ikisi de yoksa yazma testi atlanır, yalnızca hata mesajı doğrulanır
+const Sqlite = await import('node:sqlite').then(m => m.DatabaseSync).catch(() => null)
+  || await import('better-sqlite3').then(m => m.default).catch(() => null);
+const NO_SQLITE = 'sqlite sürücüsü yok (Node 22.5+ node:sqlite veya better-sqlite3 gerekli)';
+
+const item = (key, over = {}) => baseItem(key, {
+  name: `Idôle ${key}`, price_new: 79.95, price_old: 119, discount_pct: 32.8,
+  history: { true_discount_pct: 20, low_30d: 74.5, first_seen: '2025-11-01' }, ...over
+});
+const out = {
+  results: [
+    { ok: true, country: 'DE', items: [item('a'), item('b', { price_new: 60 })], promotions: [{ id: 'p1', type: 'coupon', code: 'BEAUTY20' }] },
+    { ok: true, country: 'AT', items: [item('a', { price_new: 74.9, store: 'www.douglas.at' }), item('b', { price_new: 65 })], promotions: [{ id: 'p1' }, { id: 'p2' }] },
+    { ok: false, error: { name: 'Error', message: 'x' } }
+  ]
+};
+
+test('parseSinks: varsayılan json, tekil, bilinmeyen çıktı hata', () => {
+  assert.deepEqual(parseSinks(undefined), ['json']);
+  assert.deepEqual(parseSinks(' JSON, csv,,csv '), ['json', 'csv']);
+  assert.throws(() => parseSinks('json,xml,parquet'), /--sinks: bilinmeyen çıktı xml, parquet \(geçerli: json, min, ndjson, csv, sqlite\)/);
+});
+
+test('flattenItems: aynı id birden çok feed\'de → en ucuz teklif; kampanyalar tekil', () => {
+  const flat = flattenItems(out);
+  assert.deepEqual(flat.map(r => [r.id, r.store, r.country, r.price_new]), [['a', 'www.douglas.at', 'AT', 74.9], ['b', 'www.douglas.de', 'DE', 60]]);
+  assert.deepEqual([flat[1].true_discount_pct, flat[1].low_30d, flat[1].first_seen, flat[1].variants_count], [20, 74.5, '2025-11-01', null]);
+  assert.deepEqual(flattenPromotions(out).map(p => p.id), ['p1', 'p2']);
+  const [noKey] = flattenItems({ results: [{ country: 'DE', items: [{ name: 'x', url: 'https://x.de/p/1?utm_source=a' }] }] });
+  assert.equal(noKey.id, flattenItems({ results: [{ items: [{ name: 'x', url: 'https://x.de/p/1' }] }] })[0].id, 'product_key yoksa URL\'den');
+});
+
+test('toCsv: UTF-8 BOM, CRLF, virgül/noktalı virgül/tırnak/satır sonu tırnaklanır', () => {
+  const csv = toCsv([{ id: 'a', name: 'Set "Duo", 2 × 50 ml', brand: 'Lancôme; Paris', price_new: 79.95, discount_pct: null, url: 'https://x/p?a=1\nb' }]);
+  assert.ok(csv.startsWith('\uFEFFid,product_id,name,brand,store,'));
+  const [header, row, end] = csv.slice(1).split('\r\n');
+  assert.equal(end, '');
+  assert.match(row, /^a,,"Set ""Duo"", 2 × 50 ml","Lancôme; Paris",,/);
+  assert.match(row, /,79\.95,,/);
+  assert.match(row, /,"https:\/\/x\/p\?a=1\nb",$/);
+  assert.equal(toCsv([]), '\uFEFF' + header + '\r\n');
+});
+
+test('writeSinks: min, ndjson ve csv dosyaları', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'beautydrop-sinks-'));
+  try {
+    const written = await writeSinks(out, { dir, day: '2025-11-16', sinks: ['min', 'ndjson', 'csv'] });
+    assert.deepEqual(written.map(f => path.basename(f)), ['deals-latest.min.json', 'deals-2025-11-16.ndjson', 'deals-2025-11-16.csv']);
+    const min = JSON.parse(await fs.readFile(path.join(dir, 'deals-latest.min.json'), 'utf8'));
+    assert.deepEqual([min.date, min.count, min.items.length, min.promotions.length], ['2025-11-16', 2, 2, 2]);
+    const lines = (await fs.readFile(path.join(dir, 'deals-2025-11-16.ndjson'), 'utf8')).split('\n');
+    assert.deepEqual(lines.map(l => l && JSON.parse(l).id), ['a', 'b', '']);
+    assert.equal(JSON.parse(lines[0]).day, '2025-11-16');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('writeSinks sqlite: sürücü yoksa anlaşılır hata', { skip: !!Sqlite && 'sqlite sürücüsü kurulu' }, async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'beautydrop-sinks-'));
+  try {
+    await assert.rejects(writeSinks(out, { dir, day: '2025-11-16', sinks: ['sqlite'] }), /Node 22\.5\+ \(node:sqlite\) veya "better-sqlite3"/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('writeSinks sqlite: gün + ürün anahtarıyla INSERT OR IGNORE (aynı gün tekrar yazmak satır eklemez)', { skip: !Sqlite && NO_SQLITE }, async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'beautydrop-sinks-'));
+  try {
+    await writeSinks(out, { dir, day: '2025-11-16', sinks: ['sqlite'] });
+    const changed = { results: [{ ok: true, country: 'DE', items: [item('a', { price_new: 10 }), item('c')] }] };
+    await writeSinks(changed, { dir, day: '2025-11-16', sinks: ['sqlite'] });
+    await writeSinks(changed, { dir, day: '2025-11-17', sinks: ['sqlite'] });
+
+    const db = new Sqlite(path.join(dir, 'deals.sqlite'));
+    try {
+      const rows = db.prepare('SELECT day, product_key, price_new FROM observations ORDER BY day, product_key').all();
+      assert.deepEqual(rows.map(r => [r.day, r.product_key, r.price_new]), [
+        ['2025-11-16', 'a', 74.9], ['2025-11-16', 'b', 60], ['2025-11-16', 'c', 79.95],
+        ['2025-11-17', 'a', 10], ['2025-11-17', 'c', 79.95]
+      ], 'aynı gün + anahtar ilk gözlemde kalır');
+    } finally {
+      db.close();
+    }
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { classifyCategory, classifyItems, TAXONOMY } from '../lib/taxonomy.mjs';
+import { extractFromLdJson } from '../lib/extract.mjs';
+import { parseXmlFeed } from '../lib/xmlfeed.mjs';
+import { withFeedMeta } from '../lib/scrape.mjs';
+
+const page = (name) => fs.readFileSync(new URL(`./fixtures/site/p/${name}.html`, import.meta.url), 'utf8');
+const pick = ({ category, subtype }) => [category, subtype];
+
+test('classifyCategory: kayıtlı sayfalarda BreadcrumbList', () => {
+  const [douglas] = extractFromLdJson(page('douglas-de'), 'https://www.douglas.de/de/p/5010235', 'www.douglas.de', 'DE');
+  assert.deepEqual(classifyCategory(douglas), { category: 'perfume', subtype: 'edp', confidence: 0.95, signal: 'breadcrumbs' });
+  const [notino] = extractFromLdJson(page('notino-de'), 'https://www.notino.de/x/', 'www.notino.de', 'DE');
+  assert.deepEqual(pick(classifyCategory(notino)), ['perfume', 'edp'], 'kategori breadcrumb, alt tip addan');
+});
+
+test('classifyCategory: çok dilli ürün adları', () => {
+  const cases = [
+    ['Lash Sensational Sky High Maskara', 'makeup', 'eyes'],
+    ['Rouge Dior Lipstick 999', 'makeup', 'lips'],
+    ['Dream Matte Mousse Foundation', 'makeup', 'face'],
+    ['Essie Nagellack Ballet Slippers', 'makeup', 'nails'],
+    ['Elseve Şampuan 450 ml', 'hair', 'shampoo'],
+    ['Batiste Trockenshampoo Original', 'hair', 'styling'],
+    ['Garnier Fructis Haarmaske 400 ml', 'hair', 'treatment'],
+    ['Nivea Duschgel Creme Soft 250 ml', 'body', 'wash'],
+    ['Gratis Kadın Deodorant 150 ml', 'body', 'deodorant'],
+    ['Garnier Mizellen Reinigungswasser', 'skin', 'cleanser'],
+    ['La Roche-Posay Anthelios SPF50+ Fluid', 'skin', 'sun'],
+    ['Clinique Moisture Surge 100H 75 ml', 'skin', 'moisturizer'],
+    ['Crème de jour hydratante 50 ml', 'skin', 'moisturizer'],
+    ['Jo Malone English Pear & Freesia Cologne 100 ml', 'perfume', 'edc'],
+    ['Acqua di Giò Eau de Toilette 100 ml', 'perfume', 'edt'],
+    ['Real Techniques Expert Face Brush', 'tools', 'brush']
+  ];
+  for (const [name, category, subtype] of cases) {
+    assert.deepEqual(pick(classifyCategory({ name })), [category, subtype], name);
+  }
+  for (const [category, subtypes] of Object.entries(TAXONOMY)) assert.ok(subtypes.length, category);
+});
+
+test('classifyCategory: URL, listing ve feed sinyalleri; güven', () => {
+  const noisy = { name: 'Sauvage', url: 'https://www.cimri.com/parfum/en-ucuz-dior-sauvage-fiyatlari,1' };
+  assert.deepEqual(classifyCategory(noisy, { listing: { url: 'https://www.cimri.com/parfum' } }),
+    { category: 'perfume', subtype: null, confidence: 0.75, signal: 'url' }, 'listing yolu aynı kategoriyi doğrular');
+
+  for (const [path, category] of [['/makyaj-urunleri', 'makeup'], ['/cilt-bakimi', 'skin'], ['/sac-bakimi', 'hair']]) {
+    const c = classifyCategory({ name: 'X' }, { listing: { url: `https://www.cimri.com${path}` } });
+    assert.deepEqual([c.category, c.signal, c.confidence], [category, 'listing', 0.6], path);
+  }
+  assert.deepEqual(classifyCategory({ name: 'X' }, { listing: { breadcrumbs: ['Home', 'Parfum', 'Sale'] } }).category, 'perfume');
+  assert.deepEqual(classifyCategory({ name: 'X' }, { feedCategory: 'perfume' }), { category: 'perfume', subtype: null, confidence: 0.5, signal: 'feed' });
+  assert.deepEqual(classifyCategory({ name: 'X' }, { feedCategory: 'mixed' }), { category: 'mixed', subtype: null, confidence: 0, signal: null });
+  assert.equal(classifyCategory({ name: 'Moisture Surge' }, { feedCategory: 'perfume' }).confidence, 0.7, 'feed ile çelişki güveni düşürür');
+});
+
+test('XML feed: g:product_type ve <category> breadcrumb olur', () => {
+  const xml = `<?xml version="1.0"?><rss xmlns:g="http://base.google.com/ns/1.0"><channel>
+    <item><g:id>1</g:id><g:title>Velvet Teddy 3 g</g:title><g:price>24.00 EUR</g:price><g:link>https://shop.test/p/1</g:link>
+      <g:product_type>Beauty &gt; Make-up &gt; Lippen</g:product_type></item></channel></rss>`;
+  const { items: [merchant] } = parseXmlFeed(xml, { url: 'https://shop.test/feed.xml', host: 'shop.test', country: 'DE' });
+  assert.deepEqual(merchant.breadcrumbs, ['Beauty', 'Make-up', 'Lippen']);
+  assert.deepEqual(pick(classifyCategory(merchant)), ['makeup', 'lips']);
+
+  const rss = `<?xml version="1.0"?><rss><channel><item><title>-30% auf alles</title><link>https://shop.test/a</link>
+    <category>Haare</category><category>Sale</category></item></channel></rss>`;
+  assert.deepEqual(parseXmlFeed(rss, { url: 'https://shop.test/rss', host: 'shop.test', country: 'DE' }).items[0].breadcrumbs, ['Haare', 'Sale']);
+});
+
+test('withFeedMeta: ürünlere category, subtype, güven ve sinyal yazılır', () => {
+  const result = {
+    ok: true, finalUrl: 'https://www.cimri.com/sac-bakimi', listingBreadcrumbs: [],
+    items: [{ name: 'Elseve Şampuan 450 ml', url: 'https://www.cimri.com/x' }, { name: 'Ürün', url: 'https://www.cimri.com/y' }]
+  };
+  const r = withFeedMeta(result, { url: 'https://www.cimri.com/sac-bakimi', category: 'mixed', type: 'aggregator' });
+  assert.equal(r.category, 'mixed');
+  assert.deepEqual(r.items.map(it => [it.category, it.subtype, it.category_signal, it.retailer_type]),
+    [['hair', 'shampoo', 'name', 'aggregator'], ['hair', null, 'listing', 'aggregator']]);
+  assert.deepEqual(classifyItems([{ name: 'Lipgloss' }]).map(it => it.category_confidence), [0.8]);
+  assert.equal(withFeedMeta({ ok: false }, {}).items, undefined);
+});
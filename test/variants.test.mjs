@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normAvailability, pricePerUnit, pickHeadline } from '../lib/variants.mjs';
+import { createScraper } from '../lib/scrape.mjs';
+import { parseXmlFeed } from '../lib/xmlfeed.mjs';
+
+test('normAvailability: schema.org, Merchant, bayraklar ve çok dilli metinler', () => {
+  const cases = [
+    ['https://schema.org/InStock', 'in_stock'], ['http://schema.org/OutOfStock', 'out_of_stock'],
+    ['LimitedAvailability', 'limited'], ['PreOrder', 'preorder'], ['BackOrder', 'preorder'], ['SoldOut', 'out_of_stock'],
+    ['in stock', 'in_stock'], ['out of stock', 'out_of_stock'], ['preorder', 'preorder'],
+    [true, 'in_stock'], [false, 'out_of_stock'],
+    ['Ausverkauft', 'out_of_stock'], ['Nicht verfügbar', 'out_of_stock'], ['Sofort lieferbar', 'in_stock'], ['Nur noch 2 Stück', 'limited'],
+    ['Épuisé', 'out_of_stock'], ['En stock', 'in_stock'], ['Esaurito', 'out_of_stock'], ['Agotado', 'out_of_stock'],
+    ['Niedostępny', 'out_of_stock'], ['Tükendi', 'out_of_stock'], ['Stokta yok', 'out_of_stock'], ['Stokta', 'in_stock'],
+    ['Vorbestellen', 'preorder'], ['', null], [null, null], ['Neu', null],
+    // Olumsuz kalıplar olumlu kelimeyi içerir ("stock", "Lager") ama tükenmiş demektir
+    ['Not in stock', 'out_of_stock'], ['Nicht auf Lager', 'out_of_stock'], ['Pas en stock', 'out_of_stock'], ['Plus en stock', 'out_of_stock'],
+    ['Non disponibile', 'out_of_stock'], ['Nicht mehr verfügbar', 'out_of_stock'], ['Niet op voorraad', 'out_of_stock'],
+    ['Nie ma w magazynie', 'out_of_stock'], ['Není skladem', 'out_of_stock'], ['Currently not available', 'out_of_stock'],
+    ['Auf Lager', 'in_stock'], ['Op voorraad', 'in_stock'], ['Plus que 2 articles', 'limited']
+  ];
+  for (const [raw, want] of cases) assert.equal(normAvailability(raw), want, String(raw));
+});
+
+test('pricePerUnit: ml/g tabanı, l/kg çevrimi, desteklenmeyen birimler', () => {
+  assert.deepEqual(pricePerUnit(89.95, { value: 50, unit: 'ml' }), { value: 1.799, unit: 'ml' });
+  assert.deepEqual(pricePerUnit(4.95, { value: 1, unit: 'l' }), { value: 0.005, unit: 'ml' });
+  assert.deepEqual(pricePerUnit(34.99, { value: 3.5, unit: 'g' }), { value: 9.9971, unit: 'g' });
+  assert.equal(pricePerUnit(20, { value: 1.7, unit: 'oz' }), null);
+  assert.equal(pricePerUnit(20, null), null);
+  assert.equal(pricePerUnit(null, { value: 50, unit: 'ml' }), null);
+});
+
+test('pickHeadline: stoktaki en ucuz, yoksa en ucuz', () => {
+  const v = (price_new, availability) => ({ price_new, availability });
+  assert.equal(pickHeadline([v(10, 'out_of_stock'), v(15, 'in_stock'), v(12, 'preorder')]).price_new, 15);
+  assert.equal(pickHeadline([v(10, 'out_of_stock'), v(12, null), v(11, 'preorder')]).price_new, 12, 'bilinmiyor ön siparişten önce');
+  assert.equal(pickHeadline([v(14, 'limited'), v(13, 'in_stock')]).price_new, 13);
+  assert.equal(pickHeadline([v(10, 'out_of_stock'), v(9, 'out_of_stock')]).price_new, 9);
+  assert.equal(pickHeadline([]), null);
+});
+
+test('finalizeItems: stok enum, birim fiyat, tükenenler sona / hariç', () => {
+  const rates = new Map([['PLN', [{ date: '2000-01-01', rate: 4.3 }]]]);
+  const raw = [
+    { name: 'Tusz Sky High 7,2 ml', url: 'https://x.pl/1', price_new: 49.99, availability: 'Wyprzedane', volume: { value: 7.2, unit: 'ml' } },
+    { name: 'Woda perfumowana 50 ml', url: 'https://x.pl/2', price_new: 299, availability: 'https://schema.org/InStock', volume: { value: 50, unit: 'ml' },
+      variants: [{ name: '30 ml', price_new: 199, availability: 'OutOfStock', size: { value: 30, unit: 'ml' } }, { name: '50 ml', price_new: 299, availability: 'InStock', size: { value: 50, unit: 'ml' } }] },
+    { name: 'Pomadka', url: 'https://x.pl/3', price_new: 59, availability: null }
+  ];
+  const { finalizeItems } = createScraper({ rates });
+  const demoted = finalizeItems(raw, { country: 'PL' });
+  assert.deepEqual(demoted.items.map(it => [it.url, it.availability]),
+    [['https://x.pl/2', 'in_stock'], ['https://x.pl/3', null], ['https://x.pl/1', 'out_of_stock']]);
+  assert.equal(demoted.outOfStock, 1);
+  const [edp] = demoted.items;
+  assert.equal(edp.currency, 'PLN');
+  assert.deepEqual(edp.price_per_unit, { value: 5.98, unit: 'ml', value_eur: 1.3906 });
+  assert.deepEqual(edp.variants.map(v => [v.currency, v.availability, v.price_per_unit.value]), [['PLN', 'out_of_stock', 6.6333], ['PLN', 'in_stock', 5.98]]);
+  assert.equal(demoted.items[1].price_per_unit, undefined, 'hacim yoksa birim fiyat yok');
+  assert.deepEqual(finalizeItems(raw, { country: 'PL', limit: 2 }).items.map(it => it.url), ['https://x.pl/2', 'https://x.pl/3'], 'limit önce tükenenleri keser');
+
+  const excluded = createScraper({ rates, outOfStock: 'exclude' }).finalizeItems(raw, { country: 'PL' });
+  assert.deepEqual(excluded.items.map(it => it.url), ['https://x.pl/2', 'https://x.pl/3']);
+  assert.equal(excluded.outOfStock, 1);
+});
+
+test('XML feed: Merchant g:availability enum olur', () => {
+  const xml = `<?xml version="1.0"?><rss xmlns:g="http://base.google.com/ns/1.0"><channel>
+    <item><g:id>1</g:id><g:title>A 50 ml</g:title><g:price>24.00 EUR</g:price><g:link>https://shop.test/1</g:link><g:availability>out of stock</g:availability></item>
+    <item><g:id>2</g:id><g:title>B 50 ml</g:title><g:price>24.00 EUR</g:price><g:link>https://shop.test/2</g:link><g:availability>preorder</g:availability></item>
+  </channel></rss>`;
+  const { items } = parseXmlFeed(xml, { url: 'https://shop.test/feed.xml', host: 'shop.test', country: 'DE' });
+  assert.deepEqual(items.map(it => it.availability), ['out_of_stock', 'preorder']);
+});
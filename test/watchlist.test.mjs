@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { validateWatchlist, loadWatchlist, watchMatches, matchWatchlist } from '../lib/watchlist.mjs';
+
+const item = (over = {}) => ({
+  name: 'Idôle Eau de Parfum 50ml', brand: 'Lancôme', store: 'www.douglas.de', country: 'DE', currency: 'EUR',
+  price_new: 79.95, price_old: 119, discount_pct: 32.8, price_new_eur: 79.95, availability: 'in_stock',
+  gtin: '3614273069540', url: 'https://www.douglas.de/de/p/5010123', product_key: 'k-idole', ...over
+});
+
+test('watchMatches: marka, ad, GTIN, ülke, fiyat tavanı ve indirim', () => {
+  assert.ok(watchMatches({ brand: 'Lancome', name: 'idole 50 ml' }, item()), 'aksan ve "50ml" yazımı');
+  assert.ok(!watchMatches({ brand: 'Lancôme', name: 'Idôle 100 ml' }, item()));
+  assert.ok(watchMatches({ brand: 'YSL' }, item({ brand: 'Yves Saint Laurent' })), 'marka takma adı');
+  assert.ok(watchMatches({ gtin: '03614273069540' }, item()), 'GTIN-14');
+  assert.ok(!watchMatches({ gtin: '3614273069541' }, item()));
+  assert.ok(watchMatches({ name: 'Idôle', country: ['AT', 'DE'] }, item()));
+  assert.ok(!watchMatches({ name: 'Idôle', country: 'FR' }, item()));
+  assert.ok(watchMatches({ name: 'Idôle', maxPrice: 80 }, item()));
+  assert.ok(!watchMatches({ name: 'Idôle', maxPrice: 79 }, item()));
+  assert.ok(watchMatches({ name: 'Idôle', maxPrice: 80 }, item({ currency: 'PLN', price_new: 340, price_new_eur: 78.1 })), 'EUR karşılığı');
+  assert.ok(!watchMatches({ name: 'Idôle', maxPrice: 3000, currency: 'TRY' }, item()), 'para birimi karşılaştırılamaz');
+  assert.ok(watchMatches({ name: 'Idôle', minDiscount: 30 }, item()));
+  assert.ok(watchMatches({ name: 'Idôle', minDiscount: 30 }, item({ discount_pct: 0, history: { true_discount_pct: 31 } })), 'gerçek indirim');
+  assert.ok(!watchMatches({ name: 'Idôle', minDiscount: 40 }, item()));
+  assert.ok(!watchMatches({ name: 'Idôle' }, item({ availability: 'out_of_stock' })), 'tükenen ürün');
+});
+
+test('watchMatches: marka alanı boş üründe ad markayla başlıyorsa marka eşleşir', () => {
+  assert.ok(watchMatches({ brand: 'Lancôme', name: 'Idôle' }, item({ brand: null, name: 'Lancôme Idôle Eau de Parfum 50ml' })));
+  assert.ok(watchMatches({ brand: 'Yves Saint Laurent' }, item({ brand: null, name: 'YSL Libre EdP 50 ml' })), 'takma adla başlayan ad');
+  assert.ok(watchMatches({ brand: 'Lancome' }, item({ brand: '', name: 'LANCOME Idôle 50ml' })));
+  assert.ok(!watchMatches({ brand: 'Lancôme' }, item({ brand: null })), 'ad markayla başlamıyor');
+  assert.ok(!watchMatches({ brand: 'Dior' }, item({ brand: null, name: 'Diorshow Mascara' })), 'kelime sınırı');
+  assert.ok(!watchMatches({ brand: 'Dior' }, item({ brand: 'Chanel', name: 'Dior Sauvage EdT' })), 'marka alanı doluysa ad kullanılmaz');
+});
+
+test('matchWatchlist: izleme + ürün başına en ucuz teklif', () => {
+  const out = { results: [
+    { ok: true, country: 'DE', items: [item(), item({ price_new: 74.5, store: 'www.flaconi.de', product_key: 'k-flaconi' })] },
+    { ok: true, country: 'AT', items: [item({ country: undefined, product_key: 'k-at' })] },
+    { ok: false, error: { name: 'Error', message: 'x' } }
+  ] };
+  const watches = [{ id: 'idole-de', name: 'Idôle', country: 'DE' }, { id: 'idole-cheap', name: 'Idôle', maxPrice: 75 }];
+  const alerts = matchWatchlist(out, { watches });
+  assert.deepEqual(alerts.map(a => a.key), ['idole-de|k-idole', 'idole-de|k-flaconi', 'idole-cheap|k-flaconi']);
+  assert.equal(matchWatchlist({ results: [out.results[1]] }, { watches }).length, 0, 'ülke sonuçtan gelir');
+});
+
+test('watchlist.json doğrulaması ve yükleme', async () => {
+  assert.deepEqual(validateWatchlist({ $comment: 'x', notifiers: { t: { type: 'telegram' } }, watches: [{ brand: 'Dior', notify: ['t'] }] }), []);
+  const errors = validateWatchlist({
+    notifiers: { x: { type: 'pager' } },
+    watches: [{ maxPrice: 10 }, { id: 'a', name: 'A', country: 'de', notify: ['yok'] }, { id: 'a', gtin: '123' }],
+    colour: 1
+  });
+  assert.deepEqual(errors, [
+    'colour: bilinmeyen anahtar',
+    'notifiers.x.type: beklenen webhook|telegram|discord|slack|email, gelen "pager"',
+    'watches[0]: brand, name veya gtin gerekli',
+    'watches[1].country: beklenen "DE" veya ["DE", "AT"], gelen "de"',
+    'watches[1].notify: tanımsız bildirici "yok"',
+    'watches[2].gtin: beklenen 8/12/13/14 haneli GTIN, gelen "123"',
+    'watches: tekrarlanan id "a"'
+  ]);
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'beautydrop-watchlist-'));
+  try {
+    assert.deepEqual((await loadWatchlist(path.join(dir, 'yok.json'))).watches, [], 'dosya yoksa bildirim yok');
+    await fs.writeFile(path.join(dir, 'bad.json'), JSON.stringify({ watches: [{}] }));
+    await assert.rejects(loadWatchlist(path.join(dir, 'bad.json')), /geçersiz:\n {2}- watches\[0\]/);
+    const repo = await loadWatchlist(new URL('../feeds/watchlist.json', import.meta.url).pathname);
+    assert.ok(repo.watches.length > 0 && repo.watches.every(w => w.id));
+    await fs.writeFile(path.join(dir, 'noid.json'), JSON.stringify({ watches: [{ brand: 'Lancôme', name: 'Idôle', country: 'DE' }] }));
+    assert.equal((await loadWatchlist(path.join(dir, 'noid.json'))).watches[0].id, 'lancome|idole|de');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseXmlFeed, looksLikeXmlFeed } from '../lib/xmlfeed.mjs';
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/feeds/${name}`, import.meta.url), 'utf8');
+const ctx = { url: 'https://feed.test/deals', host: 'feed.test', country: 'DE' };
+
+test('parseXmlFeed RSS 2.0: başlık/açıklamadaki fiyat çifti, görsel, kategoriler', () => {
+  const { format, items } = parseXmlFeed(fixture('deals.rss'), ctx);
+  assert.equal(format, 'rss');
+  assert.deepEqual(items.map(it => [it.name, it.price_new, it.price_old, it.discount_pct, it.currency, it.url]), [
+    ['Lancôme Idôle Eau de Parfum 50 ml für 59,90 € statt 89,90 €', 59.9, 89.9, 33.4, 'EUR', 'https://www.beauty-deals.test/deal/idole-50'],
+    ['Maybelline Sky High Mascara', 8.95, null, null, 'EUR', 'https://www.beauty-deals.test/deal/sky-high'],
+    ['3 für 2 auf alle Haarpflege-Produkte', null, null, null, null, 'https://www.beauty-deals.test/aktion/3fuer2']
+  ], 'link yoksa guid; fiyatsız kampanya başlığı price_new null');
+  assert.deepEqual(items.map(it => it.image), ['https://cdn.beauty-deals.test/idole.jpg', 'https://cdn.beauty-deals.test/sky-media.jpg', null], 'enclosure → media:content');
+  assert.deepEqual(items[0].breadcrumbs, ['Parfum', 'Damen']);
+  assert.ok(items.every(it => it.source === 'rss' && it.store === 'feed.test' && it.country === 'DE' && it.brand === null));
+});
+
+test('parseXmlFeed Atom: alternate link, html özet, category term', () => {
+  const { format, items } = parseXmlFeed(fixture('deals.atom'), ctx);
+  assert.equal(format, 'atom');
+  assert.deepEqual(items.map(it => [it.url, it.price_new, it.price_old, it.discount_pct, it.image]), [
+    ['https://bons-plans.test/deal/sauvage-100', 79, 112, 29.5, 'https://bons-plans.test/img/sauvage.jpg'],
+    ['https://bons-plans.test/deal/mineral-89', 19.9, null, null, null]
+  ]);
+  assert.deepEqual(items[0].breadcrumbs, ['Parfum', 'Homme']);
+  assert.ok(items.every(it => it.source === 'atom' && it.currency === 'EUR'));
+});
+
+test('parseXmlFeed Google Merchant: g: alanları, indirimli fiyat, stok enum', () => {
+  const { format, items } = parseXmlFeed(fixture('merchant.xml'), ctx);
+  assert.equal(format, 'merchant');
+  const [idole, mascara, shampoo] = items;
+  assert.deepEqual(idole, {
+    source: 'merchant', name: 'Lancôme Idôle Eau de Parfum 50 ml', brand: 'Lancôme',
+    price_new: 64.9, price_old: 89.9, discount_pct: 27.8, currency: 'EUR', availability: 'in_stock',
+    url: 'https://shop.test/p/idole-50', image: 'https://shop.test/img/idole.jpg',
+    gtin: '3605532612836', sku: 'SKU-1001', mpn: 'L9876', breadcrumbs: ['Beauty', 'Parfum', 'Damenduft'],
+    store: 'feed.test', country: 'DE'
+  });
+  assert.deepEqual([mascara.name, mascara.url, mascara.price_new, mascara.currency, mascara.availability, mascara.breadcrumbs],
+    ['Maybelline Sky High Mascara', 'https://shop.test/p/sky-high', 12.95, 'EUR', 'out_of_stock', []], 'g: olmayan title/link; sayısal kategori kimliği kırıntı olmaz');
+  assert.deepEqual([shampoo.price_new, shampoo.price_old, shampoo.availability], [6.95, null, 'preorder']);
+});
+
+test('parseXmlFeed: fiyatlar feed ülkesinin ondalık ayırıcısıyla okunur', () => {
+  const xml = fixture('merchant.xml').replace('<g:price>89.90 EUR</g:price>', '<g:price>1,299 EUR</g:price>');
+  assert.equal(parseXmlFeed(xml, { ...ctx, country: 'IE' }).items[0].price_old, 1299);
+  assert.equal(parseXmlFeed(xml, ctx).items[0].price_old, null, 'DE: 1,299 € ondalık, indirimli fiyattan düşük');
+});
+
+test('parseXmlFeed: bilinmeyen kök hata; looksLikeXmlFeed URL tahmini', () => {
+  assert.throws(() => parseXmlFeed('<html><body>Kein Feed</body></html>', ctx), /RSS\/Atom\/Merchant kökü bulunamadı/);
+  assert.deepEqual(parseXmlFeed('<rss version="2.0"><channel><title>Boş</title></channel></rss>', ctx), { format: 'rss', items: [] });
+  for (const url of ['https://x.de/deals.rss', 'https://x.de/feed.atom', 'https://x.de/google.xml', 'https://x.de/blog/feed/', 'https://x.de/deals?format=rss']) {
+    assert.equal(looksLikeXmlFeed(url), true, url);
+  }
+  for (const url of ['https://x.de/c/parfum', 'https://x.de/feedback', 'kein url']) assert.equal(looksLikeXmlFeed(url), false, url);
+});